@@ -2,17 +2,43 @@
 const API_BASE = window.location.origin;
 
 // Session Management
+// Private sessions are accessed with a bearer token issued by the server;
+// the session name is only kept for display.
 let currentSessionId = localStorage.getItem('multisig_session') || '0';
+let currentSessionToken = localStorage.getItem('multisig_session_token');
+
+// A stored private session without a token (from before sessions were protected) can't be used
+if (currentSessionId !== '0' && !currentSessionToken) {
+    currentSessionId = '0';
+}
+
+// The member we are signed in as ({ id, name, role }), loaded from /api/sessions/me
+let currentMember = null;
+
+// Member roles, from least to most privileged (must match the server)
+const SESSION_ROLES = ['viewer', 'signer', 'coordinator'];
+
+// Check whether the current member may perform actions that need minRole
+function hasRole(minRole) {
+    if (!currentMember) return false;
+    return SESSION_ROLES.indexOf(currentMember.role) >= SESSION_ROLES.indexOf(minRole);
+}
 
 // Get session ID for API calls
 function getSessionId() {
     return currentSessionId;
 }
 
-// Set session ID
-function setSessionId(sessionId) {
+// Set session ID (and the access token for private sessions)
+function setSessionId(sessionId, token = null) {
     currentSessionId = sessionId || '0';
+    currentSessionToken = currentSessionId === '0' ? null : token;
     localStorage.setItem('multisig_session', currentSessionId);
+    if (currentSessionToken) {
+        localStorage.setItem('multisig_session_token', currentSessionToken);
+    } else {
+        localStorage.removeItem('multisig_session_token');
+    }
     updateSessionUI();
     // Reload all data with new session
     reloadAllData();
@@ -24,44 +50,630 @@ function updateSessionUI() {
     const sessionLabel = document.getElementById('session-label');
     const sessionIcon = document.querySelector('.session-icon');
     const sessionInput = document.getElementById('session-input');
+    const passphraseInput = document.getElementById('session-passphrase');
+    const memberInput = document.getElementById('session-member');
     const setBtn = document.getElementById('session-set-btn');
+    const createBtn = document.getElementById('session-create-btn');
+    const membersBtn = document.getElementById('session-members-btn');
     const clearBtn = document.getElementById('session-clear-btn');
+    const e2eLabel = document.getElementById('session-e2e-label');
+    
+    passphraseInput.value = '';
+    document.getElementById('session-e2e').checked = false;
     
     if (currentSessionId === '0') {
         sessionBar.classList.remove('private');
         sessionIcon.textContent = '🔓';
         sessionLabel.textContent = 'Public Session';
         sessionInput.value = '';
+        memberInput.value = '';
+        sessionInput.style.display = 'inline-block';
+        memberInput.style.display = 'inline-block';
+        passphraseInput.style.display = 'inline-block';
         setBtn.style.display = 'inline-block';
+        createBtn.style.display = 'inline-block';
+        e2eLabel.style.display = 'flex';
+        membersBtn.style.display = 'none';
         clearBtn.style.display = 'none';
     } else {
         sessionBar.classList.add('private');
         sessionIcon.textContent = '🔒';
-        sessionLabel.textContent = `Private: ${currentSessionId}`;
+        sessionLabel.textContent = currentMember
+            ? `Private: ${currentSessionId} · ${currentMember.name} (${currentMember.role})`
+            : `Private: ${currentSessionId}`;
+        if (isEncryptedSession()) {
+            sessionLabel.textContent += ' · end-to-end encrypted';
+        }
         sessionInput.value = currentSessionId;
+        sessionInput.style.display = 'none';
+        memberInput.style.display = 'none';
+        passphraseInput.style.display = 'none';
         setBtn.style.display = 'none';
+        createBtn.style.display = 'none';
+        e2eLabel.style.display = 'none';
+        membersBtn.style.display = 'inline-block';
         clearBtn.style.display = 'inline-block';
     }
 }
 
+// Enable or disable the static controls the current member's role doesn't allow
+function applyRoleUI() {
+    const canCoordinate = hasRole('coordinator');
+    const canSign = hasRole('signer');
+    
+    addXpubBtn.disabled = !canCoordinate;
+    addXpubBtn.title = canCoordinate ? '' : 'Only coordinators can add xpubs';
+    const importBtn = document.getElementById('session-import-btn');
+    importBtn.disabled = !canCoordinate;
+    importBtn.title = canCoordinate
+        ? 'Restore xpubs, descriptors and PSBTs from an exported bundle'
+        : 'Only coordinators can import bundles';
+    uploadPsbtBtn.disabled = !canSign;
+    uploadPsbtBtn.title = canSign ? '' : 'Viewers cannot upload PSBTs';
+}
+
+// Load the member we are signed in as so the UI can reflect their role
+async function loadSessionMember() {
+    let encryption = null;
+    sessionEncryption = null;
+    sessionKey = null;
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/me`, withSession());
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to load session');
+        const result = await response.json();
+        currentMember = result.member;
+        encryption = result.encryption;
+    } catch (error) {
+        console.error('Error loading session member:', error);
+        currentMember = null;
+    }
+    
+    // Encrypted sessions can't be used until this browser holds the key
+    if (currentMember && !(await unlockSessionEncryption(encryption))) {
+        setSessionId('0');
+        return;
+    }
+    updateSessionUI();
+    applyRoleUI();
+}
+
+// Log in to (or create) a private session and switch to it
+async function openPrivateSession(create = false) {
+    const name = document.getElementById('session-input').value.trim();
+    const member = document.getElementById('session-member').value.trim();
+    const passphrase = document.getElementById('session-passphrase').value;
+    const encrypt = create && document.getElementById('session-e2e').checked;
+    
+    if (!name || !passphrase) {
+        showToast('Missing Input', 'Enter a session name and passphrase', 'warning');
+        return;
+    }
+    
+    try {
+        // The encryption passphrase is separate from the login passphrase and never leaves the browser
+        let encryption;
+        let key = null;
+        if (encrypt) {
+            const encryptionPassphrase = await promptEncryptionPassphrase(name, true);
+            if (!encryptionPassphrase) return;
+            ({ encryption, key } = await createSessionEncryption(name, encryptionPassphrase));
+        }
+        
+        const response = await fetch(`${API_BASE}/api/sessions${create ? '' : '/login'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, passphrase, member: member || undefined, encryption })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to open session');
+        }
+        
+        if (key) {
+            await rememberSessionKey(result.session, key);
+        }
+        setSessionId(result.session, result.token);
+        showToast(
+            create ? 'Session Created' : 'Session Changed',
+            `Now using private session: ${result.session} as ${result.member.name} (${result.member.role})`,
+            'success'
+        );
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Drop back to the public session when the server rejects our token
+function handleSessionExpired(response) {
+    if (response.status !== 401) return false;
+    // Several loaders may hit the 401 at once; only switch sessions once
+    if (currentSessionId !== '0') {
+        setSessionId('0');
+        showToast('Session Expired', 'Please log in to your private session again', 'warning');
+    }
+    return true;
+}
+
 // Reload all data (after session change)
 async function reloadAllData() {
     // Clear selection state
     selectedXpubIds.clear();
+    currentMember = null;
+    keyPinChanges = { xpubs: [], descriptors: [] };
+    await loadSessionMember();
     await loadXpubs();
-    await loadPsbts();
     await loadDescriptors();
+    await loadPsbts();
+    await loadPolicy();
+    await loadAddressBook();
+    await verifyAuditChain();
+    connectLiveUpdates();
 }
 
-// Helper function to add session header to fetch options
+// Random id of this tab, sent with every request so live updates caused by
+// our own changes can be recognized (see applyLiveEvent)
+const CLIENT_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Helper function to add session credentials to fetch options
 function withSession(options = {}) {
+    const sessionHeaders = currentSessionToken
+        ? { 'Authorization': `Bearer ${currentSessionToken}` }
+        : { 'X-Session-Id': '0' };
     return {
         ...options,
         headers: {
             ...options.headers,
-            'X-Session-Id': getSessionId()
+            ...sessionHeaders,
+            'X-Client-Id': CLIENT_ID
+        }
+    };
+}
+
+// Show the members of the current private session; coordinators can add
+// members, change roles and remove members from here
+async function showMembersModal() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 520px; max-height: 80vh; overflow-y: auto;">
+            <h3>👥 Session Members</h3>
+            <div id="members-list" style="margin-top: 15px;">
+                <p class="loading">Loading members...</p>
+            </div>
+            ${hasRole('coordinator') ? `
+            <div class="form-group" style="margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee;">
+                <label>Add member:</label>
+                <input type="text" id="member-name-input" placeholder="Name" style="width: 100%; margin-bottom: 8px;">
+                <input type="password" id="member-passphrase-input" placeholder="Their passphrase (8+ characters)" autocomplete="new-password" style="width: 100%; margin-bottom: 8px;">
+                <select id="member-role-input" style="margin-bottom: 8px;">
+                    ${SESSION_ROLES.map(role => `<option value="${role}" ${role === 'signer' ? 'selected' : ''}>${role}</option>`).join('')}
+                </select>
+                <button class="btn btn-primary btn-sm" id="member-add-btn">Add Member</button>
+            </div>
+            <div class="form-group" style="margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee;">
+                <label>Invite link:</label>
+                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <select id="invite-role-input">
+                        ${SESSION_ROLES.map(role => `<option value="${role}" ${role === 'signer' ? 'selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                    <select id="invite-expiry-input">
+                        <option value="1">expires in 1 hour</option>
+                        <option value="24">expires in 1 day</option>
+                        <option value="72" selected>expires in 3 days</option>
+                        <option value="168">expires in 7 days</option>
+                    </select>
+                    <label style="display: inline-flex; align-items: center; gap: 4px; margin: 0;">
+                        <input type="checkbox" id="invite-single-use-input" checked> single use
+                    </label>
+                </div>
+                <button class="btn btn-primary btn-sm" id="invite-create-btn">Create Invite</button>
+                <div id="invite-link-output" style="margin-top: 10px;"></div>
+                <div id="invites-list" style="margin-top: 10px;"></div>
+            </div>
+            ` : ''}
+            <div style="display: flex; justify-content: flex-end; margin-top: 15px;">
+                <button class="btn btn-primary" id="members-close">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    const close = () => document.body.removeChild(overlay);
+    document.getElementById('members-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    
+    const addBtn = document.getElementById('member-add-btn');
+    if (addBtn) {
+        addBtn.addEventListener('click', addSessionMember);
+    }
+    
+    const inviteBtn = document.getElementById('invite-create-btn');
+    if (inviteBtn) {
+        inviteBtn.addEventListener('click', createSessionInvite);
+    }
+    
+    await renderMembersList();
+    if (hasRole('coordinator')) {
+        await renderInvitesList();
+    }
+}
+
+// Render the member list inside the members modal
+async function renderMembersList() {
+    const listDiv = document.getElementById('members-list');
+    if (!listDiv) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/members`, withSession());
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load members');
+        
+        const canManage = hasRole('coordinator');
+        listDiv.innerHTML = result.map(member => `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px; background: #f8f9fa; border-radius: 6px; margin-bottom: 6px;">
+                <span>${escapeHtml(member.name)}${currentMember && member.id === currentMember.id ? ' <em>(you)</em>' : ''}</span>
+                ${canManage ? `
+                <span style="display: flex; gap: 6px;">
+                    <select onchange="changeMemberRole('${member.id}', this.value)">
+                        ${SESSION_ROLES.map(role => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-danger btn-sm" onclick="removeSessionMember('${member.id}')">Remove</button>
+                </span>
+                ` : `<span class="psbt-fingerprint">${member.role}</span>`}
+            </div>
+        `).join('');
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error-message">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Render the invites that can still be redeemed inside the members modal
+async function renderInvitesList() {
+    const listDiv = document.getElementById('invites-list');
+    if (!listDiv) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/invites`, withSession());
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load invites');
+        
+        listDiv.innerHTML = result.map(invite => `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 8px; background: #f8f9fa; border-radius: 6px; margin-bottom: 6px; font-size: 12px;">
+                <span>
+                    ${invite.role} · ${invite.max_uses ? 'single use' : 'reusable'} · expires ${formatTimestamp(invite.expires_at).exact}
+                </span>
+                <button class="btn btn-danger btn-sm" onclick="revokeSessionInvite('${invite.id}')">Revoke</button>
+            </div>
+        `).join('');
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error-message">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Create an invite link for the current session
+async function createSessionInvite() {
+    const role = document.getElementById('invite-role-input').value;
+    const expiresInHours = parseInt(document.getElementById('invite-expiry-input').value);
+    const singleUse = document.getElementById('invite-single-use-input').checked;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/invites`, withSession({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role, expires_in_hours: expiresInHours, single_use: singleUse })
+        }));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to create invite');
+        
+        // The token is only shown once; the server keeps just its hash
+        const link = `${window.location.origin}/join/${result.token}`;
+        document.getElementById('invite-link-output').innerHTML = `
+            <div style="padding: 8px; background: #e8f5e9; border-radius: 6px; font-size: 12px;">
+                <div style="font-family: monospace; word-break: break-all; margin-bottom: 6px;">${escapeHtml(link)}</div>
+                <button class="btn btn-secondary btn-sm" onclick="copyToClipboard('${escapeHtml(link)}', 'Invite link')">📋 Copy Link</button>
+            </div>
+        `;
+        await renderInvitesList();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Revoke an invite link
+async function revokeSessionInvite(id) {
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/invites/${id}`, withSession({
+            method: 'DELETE'
+        }));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to revoke invite');
+        
+        showToast('Invite Revoked', 'The invite link no longer works', 'success');
+        await renderInvitesList();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Join a session from an invite link (/join/:token)
+async function showJoinModal(inviteToken) {
+    let invite;
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/join/${encodeURIComponent(inviteToken)}`);
+        invite = await response.json();
+        if (!response.ok) throw new Error(invite.error || 'Invalid invite');
+    } catch (error) {
+        showToast('Invite Unavailable', error.message, 'error');
+        return;
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 420px;">
+            <h3>🤝 Join Session</h3>
+            <p style="margin-bottom: 15px; color: #666;">
+                You've been invited to <strong>${escapeHtml(invite.session)}</strong> as a <strong>${invite.role}</strong>.
+                Choose a name and a passphrase you'll use to log in.
+            </p>
+            ${invite.encrypted ? `
+            <p style="margin-bottom: 15px; color: #666;">
+                🔐 This session is end-to-end encrypted. After joining you'll also need the group's encryption passphrase, which you should get from a coordinator directly.
+            </p>
+            ` : ''}
+            <div class="form-group">
+                <input type="text" id="join-member-input" placeholder="Your name" style="width: 100%; margin-bottom: 8px;">
+                <input type="password" id="join-passphrase-input" placeholder="Passphrase (8+ characters)" autocomplete="new-password" style="width: 100%;">
+            </div>
+            <div class="modal-buttons" style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 15px;">
+                <button class="btn btn-secondary" id="join-cancel">Cancel</button>
+                <button class="btn btn-success" id="join-submit">Join</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    document.getElementById('join-cancel').addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    document.getElementById('join-submit').addEventListener('click', async () => {
+        const member = document.getElementById('join-member-input').value.trim();
+        const passphrase = document.getElementById('join-passphrase-input').value;
+        
+        if (!member || !passphrase) {
+            showToast('Missing Input', 'Enter your name and a passphrase', 'warning');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE}/api/sessions/join/${encodeURIComponent(inviteToken)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ member, passphrase })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to join session');
+            
+            document.body.removeChild(overlay);
+            setSessionId(result.session, result.token);
+            showToast('Joined Session', `Welcome to ${result.session}, ${result.member.name} (${result.member.role})`, 'success');
+        } catch (error) {
+            showToast('Error', error.message, 'error');
+        }
+    });
+}
+
+// Add a member to the current session
+async function addSessionMember() {
+    const name = document.getElementById('member-name-input').value.trim();
+    const passphrase = document.getElementById('member-passphrase-input').value;
+    const role = document.getElementById('member-role-input').value;
+    
+    if (!name || !passphrase) {
+        showToast('Missing Input', 'Enter a name and passphrase for the new member', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/members`, withSession({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, passphrase, role })
+        }));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to add member');
+        
+        document.getElementById('member-name-input').value = '';
+        document.getElementById('member-passphrase-input').value = '';
+        showToast('Member Added', `${result.name} can now log in as ${result.role}`, 'success');
+        await renderMembersList();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Change a member's role
+async function changeMemberRole(id, role) {
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/members/${id}`, withSession({
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        }));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to change role');
+        
+        showToast('Role Updated', `${result.name} is now a ${result.role}`, 'success');
+        // Changing our own role changes what we may do
+        if (currentMember && id === currentMember.id) {
+            await reloadAllData();
+        }
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+    await renderMembersList();
+}
+
+// Remove a member from the session
+async function removeSessionMember(id) {
+    if (!confirm('Remove this member? They will be signed out immediately.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/members/${id}`, withSession({
+            method: 'DELETE'
+        }));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to remove member');
+        
+        showToast('Member Removed', 'The member no longer has access to this session', 'success');
+        await renderMembersList();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Download the current session's xpubs, descriptors and PSBTs as a bundle
+// that can be imported into another session or deployment
+async function exportSession() {
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/export`, withSession());
+        if (handleSessionExpired(response)) return;
+        const bundle = await response.json();
+        if (!response.ok) throw new Error(bundle.error || 'Failed to export session');
+        
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `multisig_session_${currentSessionId.replace(/[^\w-]+/g, '_')}_${bundle.exported_at.slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        showToast(
+            'Session Exported',
+            `${bundle.xpubs.length} xpubs, ${bundle.descriptors.length} descriptors and ${bundle.psbts.length} PSBTs saved`,
+            'success'
+        );
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Read a bundle chosen in the file picker and ask how to import it
+function handleSessionImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        let bundle;
+        try {
+            bundle = JSON.parse(e.target.result);
+        } catch (error) {
+            showToast('Error', 'The file is not a valid session bundle', 'error');
+            return;
         }
+        showImportModal(bundle);
+    };
+    reader.onerror = () => showToast('Error', 'Could not read the file', 'error');
+    reader.readAsText(file);
+}
+
+function showImportModal(bundle) {
+    const count = (records) => Array.isArray(records) ? records.length : 0;
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 480px;">
+            <h3>📥 Import Session Bundle</h3>
+            <p style="margin-top: 10px;">
+                From session <strong>${escapeHtml(bundle.session === '0' ? 'Public' : String(bundle.session || 'unknown'))}</strong>${bundle.encryption ? ' (end-to-end encrypted)' : ''}:
+                ${count(bundle.xpubs)} xpubs, ${count(bundle.descriptors)} descriptors, ${count(bundle.psbts)} PSBTs.
+            </p>
+            <p style="font-size: 0.9em; color: #666;">Descriptors and PSBTs identical to ones already in this session are skipped.</p>
+            <div class="form-group">
+                <label for="import-conflict-input">Xpubs already in this session:</label>
+                <select id="import-conflict-input">
+                    <option value="skip" selected>Keep the existing label</option>
+                    <option value="overwrite">Use the label from the bundle</option>
+                    <option value="fail">Cancel the import</option>
+                </select>
+            </div>
+            <div style="display: flex; justify-content: flex-end; gap: 10px; margin-top: 15px;">
+                <button class="btn btn-secondary" id="import-cancel">Cancel</button>
+                <button class="btn btn-primary" id="import-confirm">Import</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    const close = () => document.body.removeChild(overlay);
+    document.getElementById('import-cancel').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.getElementById('import-confirm').addEventListener('click', async () => {
+        const onConflict = document.getElementById('import-conflict-input').value;
+        close();
+        await importSession(bundle, onConflict);
+    });
+}
+
+async function importSession(bundle, onConflict) {
+    try {
+        const response = await fetch(`${API_BASE}/api/sessions/import?on_conflict=${onConflict}`, withSession({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(bundle)
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to import session');
+        
+        // Keys we imported ourselves are trusted, like keys we add by hand
+        await pinImportedKeys(bundle);
+        await reloadAllData();
+        
+        const { xpubs, descriptors, psbts } = result.imported;
+        const skipped = xpubs.skipped + descriptors.skipped + psbts.skipped;
+        showToast(
+            'Session Imported',
+            `Added ${xpubs.created} xpubs, ${descriptors.created} descriptors and ${psbts.created} PSBTs` +
+                (xpubs.updated ? `, relabelled ${xpubs.updated} xpubs` : '') +
+                (skipped ? `, skipped ${skipped} already present` : ''),
+            'success'
+        );
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Pin the session's xpubs and descriptors whose key material came from the
+// bundle (the server stores bundle values unchanged, ciphertext included)
+async function pinImportedKeys(bundle) {
+    const kinds = {
+        xpubs: (row) => (bundle.xpubs || []).some(entry => entry.xpub && entry.xpub.trim() === row.xpub),
+        descriptors: (row) => (bundle.descriptors || []).some(entry => entry.descriptor === row.descriptor)
     };
+    
+    for (const [kind, fromBundle] of Object.entries(kinds)) {
+        const response = await fetch(`${API_BASE}/api/${kind}`, withSession());
+        if (!response.ok) continue;
+        for (const row of (await response.json()).filter(fromBundle)) {
+            await pinKeyEntry(kind, await decryptRecord(kind, row));
+        }
+    }
 }
 
 // Bitcoin library reference
@@ -120,6 +732,26 @@ let allPsbts = [];
 let allDescriptors = [];
 let expandedPsbtId = null; // Track which PSBT is expanded
 
+// PSBT list filters; statuses each status filter stands for, as in GET /api/psbts
+const PSBT_STATUS_FILTERS = {
+    pending: ['pending'],
+    ready: ['ready'],
+    broadcast: ['broadcast', 'confirmed_1', 'confirmed_2', 'confirmed_3', 'confirmed_4', 'confirmed_5', 'confirmed_6'],
+    final: ['final'],
+    closed: ['expired', 'invalidated']
+};
+const PSBT_PAGE_SIZE = 20;
+const PSBT_MAX_PAGE_SIZE = 200; // Largest page GET /api/psbts returns
+let psbtStatusFilter = '';
+let psbtSearchText = '';
+let psbtSearchTimer = null;
+let psbtsShown = PSBT_PAGE_SIZE;
+let psbtListCursor = null; // X-Next-Cursor of the last page loaded (null on the last page)
+let psbtListTotal = 0; // X-Total-Count of the list
+let psbtListRequest = 0; // Bumped by every list load, so a stale response is dropped
+const psbtDataCache = new Map(); // Full PSBTs fetched on demand by id; cleared when the list reloads
+let psbtDataLoading = null; // Id of the expanded PSBT whose data is being fetched
+
 // DOM Elements
 const xpubLabelInput = document.getElementById('xpub-label');
 const xpubInput = document.getElementById('xpub-input');
@@ -133,10 +765,13 @@ const addressOutput = document.getElementById('address-output');
 
 // PSBT Collaboration Elements
 const psbtNameInput = document.getElementById('psbt-name');
+const psbtDeadlineInput = document.getElementById('psbt-deadline');
 const psbtFileInput = document.getElementById('psbt-file');
 const uploadPsbtBtn = document.getElementById('upload-psbt-btn');
 const psbtUploadOutput = document.getElementById('psbt-upload-output');
 const psbtListDiv = document.getElementById('psbt-list');
+const psbtStatusFilterSelect = document.getElementById('psbt-status-filter');
+const psbtSearchInput = document.getElementById('psbt-search');
 
 // Store uploaded file data
 let uploadedPsbtData = null;
@@ -145,11 +780,24 @@ let uploadedPsbtData = null;
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('DOM loaded, initializing...');
     
-    // Load data immediately (doesn't need Bitcoin libraries)
+    // Load data immediately (doesn't need Bitcoin libraries); the member's
+    // role decides which actions are rendered, so resolve it first
+    setupEventListeners();
+    await loadSessionMember();
     loadXpubs();
     loadPsbts();
     loadDescriptors();
-    setupEventListeners();
+    loadPolicy();
+    loadAddressBook();
+    verifyAuditChain();
+    connectLiveUpdates();
+    
+    // Invite links open the app at /join/:token; drop the token from the address bar
+    const joinMatch = window.location.pathname.match(/^\/join\/([^/]+)\/?$/);
+    if (joinMatch) {
+        window.history.replaceState(null, '', '/');
+        showJoinModal(joinMatch[1]);
+    }
     
     // Wait for Bitcoin libraries to load (async from ESM)
     await waitForBitcoinLibraries();
@@ -194,6 +842,26 @@ function setupEventListeners() {
         psbtFileInput.addEventListener('change', handlePsbtFileUpload);
     }
     
+    // PSBT list filters; searching waits for a pause in typing
+    if (psbtStatusFilterSelect) {
+        psbtStatusFilterSelect.addEventListener('change', () => {
+            psbtStatusFilter = psbtStatusFilterSelect.value;
+            psbtsShown = PSBT_PAGE_SIZE;
+            if (isEncryptedSession()) displayPsbts();
+            else loadPsbts();
+        });
+    }
+    
+    if (psbtSearchInput) {
+        psbtSearchInput.addEventListener('input', () => {
+            psbtSearchText = psbtSearchInput.value.trim();
+            psbtsShown = PSBT_PAGE_SIZE;
+            clearTimeout(psbtSearchTimer);
+            if (isEncryptedSession()) displayPsbts();
+            else psbtSearchTimer = setTimeout(loadPsbts, 300);
+        });
+    }
+    
     // Constrain M value to valid range (1 to N)
     mValueInput.addEventListener('change', () => {
         const n = parseInt(nValueInput.value) || 0;
@@ -208,38 +876,60 @@ function setupEventListeners() {
     
     // Session controls
     const sessionInput = document.getElementById('session-input');
+    const passphraseInput = document.getElementById('session-passphrase');
     const sessionSetBtn = document.getElementById('session-set-btn');
+    const sessionCreateBtn = document.getElementById('session-create-btn');
+    const sessionMembersBtn = document.getElementById('session-members-btn');
     const sessionClearBtn = document.getElementById('session-clear-btn');
+    const memberInput = document.getElementById('session-member');
     
     if (sessionSetBtn) {
-        sessionSetBtn.addEventListener('click', () => {
-            const newSession = sessionInput.value.trim();
-            if (newSession) {
-                setSessionId(newSession);
-                showToast('Session Changed', `Now using private session: ${newSession}`, 'success');
-            }
-        });
+        sessionSetBtn.addEventListener('click', () => openPrivateSession(false));
     }
     
-    if (sessionClearBtn) {
-        sessionClearBtn.addEventListener('click', () => {
-            setSessionId('0');
+    if (sessionCreateBtn) {
+        sessionCreateBtn.addEventListener('click', () => openPrivateSession(true));
+    }
+    
+    if (sessionMembersBtn) {
+        sessionMembersBtn.addEventListener('click', showMembersModal);
+    }
+    
+    const sessionExportBtn = document.getElementById('session-export-btn');
+    const sessionImportBtn = document.getElementById('session-import-btn');
+    const sessionImportFile = document.getElementById('session-import-file');
+    
+    if (sessionExportBtn) {
+        sessionExportBtn.addEventListener('click', exportSession);
+    }
+    
+    const sessionTrashBtn = document.getElementById('session-trash-btn');
+    if (sessionTrashBtn) {
+        sessionTrashBtn.addEventListener('click', showTrashModal);
+    }
+    
+    if (sessionImportBtn && sessionImportFile) {
+        sessionImportBtn.addEventListener('click', () => sessionImportFile.click());
+        sessionImportFile.addEventListener('change', handleSessionImportFile);
+    }
+    
+    if (sessionClearBtn) {
+        sessionClearBtn.addEventListener('click', () => {
+            forgetSessionKey(currentSessionId);
+            setSessionId('0');
             showToast('Session Cleared', 'Switched to public session', 'info');
         });
     }
     
-    // Allow Enter key to set session
-    if (sessionInput) {
-        sessionInput.addEventListener('keypress', (e) => {
+    // Allow Enter key to open the session
+    [sessionInput, memberInput, passphraseInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
-                const newSession = sessionInput.value.trim();
-                if (newSession) {
-                    setSessionId(newSession);
-                    showToast('Session Changed', `Now using private session: ${newSession}`, 'success');
-                }
+                openPrivateSession(false);
             }
         });
-    }
+    });
     
     // Initialize session UI on load
     updateSessionUI();
@@ -300,16 +990,22 @@ async function loadXpubs() {
         const response = await fetch(`${API_BASE}/api/xpubs`, withSession());
         console.log('Response status:', response.status);
         
+        if (handleSessionExpired(response)) return;
+        
         if (!response.ok) {
             const errorText = await response.text();
             console.error('Response error:', errorText);
             throw new Error(`Failed to load xpubs: ${response.status}`);
         }
         
-        allXpubs = await response.json();
+        allXpubs = await decryptRecords('xpubs', await response.json());
         console.log('Loaded xpubs:', allXpubs.length);
+        await checkKeyPins('xpubs', allXpubs);
         updateXpubSelection();
+        scheduleActivityRefresh();
         updateAutoLabelPlaceholder(); // Update auto-generated label hint
+        // The session's keys decide which PSBT outputs are change
+        if (allPsbts.length > 0) displayPsbts();
     } catch (error) {
         console.error('Error in loadXpubs:', error);
         xpubSelectionDiv.innerHTML = `<p class="error-message">Error loading xpubs: ${error.message}</p>`;
@@ -332,6 +1028,8 @@ function updateXpubSelection() {
         return xpub.substring(0, 8) + '...' + xpub.substring(xpub.length - 8);
     };
 
+    const canEdit = hasRole('coordinator');
+
     xpubSelectionDiv.innerHTML = `
         <div class="xpub-cards-grid">
             ${allXpubs.map(xpub => {
@@ -340,13 +1038,15 @@ function updateXpubSelection() {
                     <div class="xpub-card ${isSelected ? 'selected' : ''}" 
                          data-xpub-id="${xpub.id}" 
                          data-xpub="${escapeHtml(xpub.xpub)}"
-                         onclick="toggleXpubCard(${xpub.id})">
+                         onclick="toggleXpubCard('${xpub.id}')">
                         <div class="xpub-card-label">${escapeHtml(xpub.label)}</div>
                         <div class="xpub-card-key">${abbreviateXpub(xpub.xpub)}</div>
+                        ${canEdit ? `
                         <div class="xpub-card-actions">
-                            <button class="btn btn-secondary" onclick="event.stopPropagation(); editXpub(${xpub.id})">Edit</button>
-                            <button class="btn btn-danger" onclick="event.stopPropagation(); deleteXpub(${xpub.id})">Delete</button>
+                            <button class="btn btn-secondary" onclick="event.stopPropagation(); editXpub('${xpub.id}')">Edit</button>
+                            <button class="btn btn-danger" onclick="event.stopPropagation(); deleteXpub('${xpub.id}')">Delete</button>
                         </div>
+                        ` : ''}
                     </div>
                 `;
             }).join('')}
@@ -417,6 +1117,9 @@ function getSelectedXpubs() {
         .map(x => x.xpub);
 }
 
+// Same format check as the server (server/routes/xpubs.js)
+const XPUB_PATTERN = /^(xpub|ypub|zpub|Xpub|Ypub|Zpub)[1-9A-HJ-NP-Za-km-z]{70,120}$/;
+
 async function addXpub() {
     let label = xpubLabelInput.value.trim();
     const xpub = xpubInput.value.trim();
@@ -431,11 +1134,17 @@ async function addXpub() {
         return;
     }
 
+    // The server can't check the format of encrypted xpubs, so check it here
+    if (isEncryptedSession() && !XPUB_PATTERN.test(xpub)) {
+        showToast('Error', 'Invalid xpub format', 'error');
+        return;
+    }
+
     try {
         const response = await fetch(`${API_BASE}/api/xpubs`, withSession({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ label, xpub })
+            body: JSON.stringify(await encryptRecord('xpubs', { label, xpub }))
         }));
 
         if (!response.ok) {
@@ -443,6 +1152,9 @@ async function addXpub() {
             throw new Error(error.error || 'Failed to add xpub');
         }
 
+        // Keys we add ourselves are trusted
+        await pinKeyEntry('xpubs', await decryptRecord('xpubs', await response.json()));
+
         xpubLabelInput.value = '';
         xpubInput.value = '';
         await loadXpubs();
@@ -460,11 +1172,11 @@ async function editXpub(id) {
     if (!newLabel || newLabel === xpub.label) return;
 
     try {
-        const response = await fetch(`${API_BASE}/api/xpubs/${id}`, {
+        const response = await fetch(`${API_BASE}/api/xpubs/${id}`, withSession({
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ label: newLabel })
-        });
+            body: JSON.stringify(await encryptRecord('xpubs', { label: newLabel }, id))
+        }));
 
         if (!response.ok) throw new Error('Failed to update xpub');
 
@@ -476,24 +1188,28 @@ async function editXpub(id) {
 }
 
 async function deleteXpub(id) {
-    if (!confirm('Are you sure you want to delete this xpub?')) return;
+    if (!confirm('Move this xpub to the trash? It can be restored from the trash until it is deleted for good.')) return;
 
     try {
-        const response = await fetch(`${API_BASE}/api/xpubs/${id}`, {
+        const response = await fetch(`${API_BASE}/api/xpubs/${id}`, withSession({
             method: 'DELETE'
-        });
+        }));
 
         if (!response.ok) throw new Error('Failed to delete xpub');
 
+        trashKeyPin('xpubs', id);
         await loadXpubs();
-        showToast('XPub Deleted', 'Key has been removed', 'success');
+        showToast('XPub Deleted', 'Key has been moved to the trash', 'success');
     } catch (error) {
         showToast('Error', error.message, 'error');
     }
 }
 
 // Multisig Address Generation
-function generateAddress() {
+async function generateAddress() {
+    // Never derive addresses from keys that changed since we last saw them
+    if (!(await confirmKeysTrusted())) return;
+    
     try {
         // Initialize libraries if not done yet
         if (!bitcoin) {
@@ -627,7 +1343,7 @@ function displayAddressResult(address, m, n, index, xpubs, pubkeys) {
             <div class="descriptor-actions" style="display: flex; flex-wrap: wrap; gap: 8px;">
                 <button class="btn btn-primary" onclick="copyDescriptor()">📋 Copy Descriptor</button>
                 <button class="btn btn-info" onclick="downloadDescriptor()">📥 Download</button>
-                <button class="btn btn-success" onclick="saveDescriptorToServer()">💾 Save to Server</button>
+                ${hasRole('coordinator') ? `<button class="btn btn-success" onclick="saveDescriptorToServer()">💾 Save to Server</button>` : ''}
                 <button class="btn btn-secondary" onclick="toggleDescriptorQR('${descriptorQRId}')">📱 QR Code</button>
             </div>
             
@@ -831,9 +1547,12 @@ function parsePsbtDetails(psbt) {
         } catch (e) {
             // Could not decode address
         }
+        const change = isChangeOutput(psbt, i);
         return {
             address,
-            value: output.value
+            value: output.value,
+            change,
+            payee: change ? null : findPayee(address)
         };
     });
 
@@ -995,13 +1714,38 @@ function matchPubkeyToXpub(targetPubkey) {
 }
 
 // PSBT Collaboration Functions
+
+// In end-to-end encrypted sessions the server can't read names or decode
+// PSBTs, so every PSBT is loaded and the browser filters the list and finds
+// conflicts. Elsewhere the server filters, pages and finds conflicts, and the
+// list holds summaries without psbt_data (see fetchPsbt).
 async function loadPsbts() {
+    const request = ++psbtListRequest;
     try {
-        const response = await fetch(`${API_BASE}/api/psbts`, withSession());
-        if (!response.ok) throw new Error('Failed to load PSBTs');
+        let psbts;
+        if (isEncryptedSession()) {
+            // Archived PSBTs are loaded too: they only show under their own
+            // filter, but still count when looking for conflicts
+            const response = await fetch(`${API_BASE}/api/psbts?archived=include`, withSession());
+            if (handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load PSBTs');
+            psbts = await decryptRecords('psbts', await response.json());
+        } else {
+            // Reload as many PSBTs as were shown, so "Show more" isn't undone
+            const page = await fetchPsbtPage(null, Math.min(psbtsShown, PSBT_MAX_PAGE_SIZE));
+            if (!page) return;
+            psbts = page.psbts;
+            psbtListCursor = page.cursor;
+            psbtListTotal = page.total;
+        }
         
-        allPsbts = await response.json();
+        // Filters changed while this load ran
+        if (request !== psbtListRequest) return;
+        allPsbts = psbts;
+        psbtDataCache.clear();
+        await loadConflictingPsbts();
         displayPsbts();
+        scheduleActivityRefresh();
         
         // Initialize confirmation tracking for any broadcast PSBTs
         initializeConfirmationTracking();
@@ -1010,35 +1754,151 @@ async function loadPsbts() {
     }
 }
 
+// A page of the PSBT list under the current filters, following cursor (null
+// for the first page), as { psbts, total, cursor }; null once the session expired
+async function fetchPsbtPage(cursor, limit) {
+    const params = new URLSearchParams({
+        view: 'summary',
+        archived: psbtStatusFilter === 'archived' ? 'only' : 'exclude',
+        limit: String(limit)
+    });
+    if (PSBT_STATUS_FILTERS[psbtStatusFilter]) params.set('status', psbtStatusFilter);
+    if (psbtSearchText) params.set('q', psbtSearchText);
+    if (cursor) params.set('cursor', cursor);
+    
+    const response = await fetch(`${API_BASE}/api/psbts?${params}`, withSession());
+    if (handleSessionExpired(response)) return null;
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to load PSBTs');
+    return {
+        psbts: result,
+        total: Number(response.headers.get('X-Total-Count')),
+        cursor: response.headers.get('X-Next-Cursor')
+    };
+}
+
+// A PSBT with its psbt_data. List rows only carry it in end-to-end encrypted
+// sessions; elsewhere it is fetched on first use and kept until the list reloads.
+async function fetchPsbt(id) {
+    const listed = allPsbts.find(p => p.id === id);
+    if (listed && listed.psbt_data) return listed;
+    if (!psbtDataCache.has(id)) {
+        const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession());
+        if (handleSessionExpired(response)) return null;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to fetch PSBT');
+        psbtDataCache.set(id, await decryptRecord('psbts', result));
+    }
+    return psbtDataCache.get(id);
+}
+
+// A PSBT this tab has loaded, listed or fetched on its own (undefined otherwise)
+function findLoadedPsbt(id) {
+    return allPsbts.find(p => p.id === id) || psbtDataCache.get(id);
+}
+
+// Map each listed PSBT's id to the ids of the PSBTs it conflicts with
+function listedPsbtConflicts() {
+    if (isEncryptedSession()) return findPsbtConflicts(allPsbts);
+    return new Map(allPsbts.map(psbt => [psbt.id, psbt.conflicts || []]));
+}
+
+// Fetch the PSBTs listed ones conflict with that aren't listed themselves
+// (on a later page, or left out by the filters), to show their names
+async function loadConflictingPsbts() {
+    const ids = new Set([...listedPsbtConflicts().values()].flat());
+    const missing = [...ids].filter(id => !findLoadedPsbt(id));
+    await Promise.all(missing.map(id => fetchPsbt(id).catch(error => {
+        console.log('Failed to load conflicting PSBT:', error.message);
+    })));
+}
+
+// PSBTs matching the status filter and the search, in end-to-end encrypted
+// sessions (the server filters the list elsewhere). The server only holds
+// ciphertext there, so PSBTs are matched on their decrypted name alone.
+// Archived PSBTs only match the 'archived' filter.
+function filterPsbts(psbts) {
+    const statuses = PSBT_STATUS_FILTERS[psbtStatusFilter];
+    const text = psbtSearchText.toLowerCase();
+    return psbts.filter(psbt => {
+        if (Boolean(psbt.archived_at) !== (psbtStatusFilter === 'archived')) return false;
+        if (statuses && !statuses.includes(psbt.status)) return false;
+        return !text || psbt.name.toLowerCase().includes(text);
+    });
+}
+
+async function showMorePsbts() {
+    psbtsShown += PSBT_PAGE_SIZE;
+    if (isEncryptedSession() || !psbtListCursor) {
+        displayPsbts();
+        return;
+    }
+    
+    const request = ++psbtListRequest;
+    try {
+        const page = await fetchPsbtPage(psbtListCursor, PSBT_PAGE_SIZE);
+        if (!page || request !== psbtListRequest) return;
+        allPsbts = allPsbts.concat(page.psbts);
+        psbtListCursor = page.cursor;
+        psbtListTotal = page.total;
+        await loadConflictingPsbts();
+        displayPsbts();
+        initializeConfirmationTracking(page.psbts);
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
 function displayPsbts() {
-    if (allPsbts.length === 0) {
+    const encrypted = isEncryptedSession();
+    const filtered = Boolean(psbtStatusFilter || psbtSearchText);
+    if (allPsbts.length === 0 && (encrypted || !filtered)) {
         psbtListDiv.innerHTML = '<p class="info">No PSBTs uploaded yet. Upload your first PSBT above.</p>';
         return;
     }
+    
+    const matching = encrypted ? filterPsbts(allPsbts) : allPsbts;
+    if (matching.length === 0) {
+        psbtListDiv.innerHTML = '<p class="info">No PSBTs match these filters.</p>';
+        return;
+    }
+    const shown = encrypted ? matching.slice(0, psbtsShown) : matching;
+    const total = encrypted ? matching.length : psbtListTotal;
 
     // Auto-expand the first (newest) PSBT
     if (expandedPsbtId === null && allPsbts.length > 0) {
         expandedPsbtId = allPsbts[0].id;
     }
-
-    psbtListDiv.innerHTML = allPsbts.map((psbt, index) => {
+    // The expanded card shows who signed, which needs the PSBT's data
+    loadExpandedPsbtData();
+
+    // Only render the actions the member's role allows
+    const canSign = hasRole('signer');
+    const canDelete = hasRole('coordinator');
+    const conflicts = listedPsbtConflicts();
+
+    psbtListDiv.innerHTML = shown.map((psbt, index) => {
+        const conflictingPsbts = (conflicts.get(psbt.id) || [])
+            .map(findLoadedPsbt)
+            .filter(Boolean);
         const progressPercent = (psbt.signatures_count / psbt.m_required) * 100;
         const isReady = psbt.status === 'ready';
         const isExpanded = expandedPsbtId === psbt.id;
         
         // Generate unique gradient and fingerprint
-        const gradient = generateGradientFromHash(psbt.psbt_data);
-        const fingerprint = generatePsbtFingerprint(psbt.psbt_data);
+        const gradient = generateGradientFromHash(psbt.id);
+        const fingerprint = generatePsbtFingerprint(psbt.id);
         const timestamp = formatTimestamp(psbt.created_at);
         
         // Get signer status - use database metadata as fallback
         let signerStatusHtml = '';
         let sigInfo = null;
         
-        // Try to get detailed signer info from PSBT parsing
-        if (bitcoin) {
+        // Try to get detailed signer info from PSBT parsing, once its data is loaded
+        const psbtData = (findLoadedPsbtData(psbt.id) || {}).psbt_data;
+        if (bitcoin && psbtData) {
             try {
-                const parsedPsbt = bitcoin.Psbt.fromBase64(psbt.psbt_data);
+                const parsedPsbt = bitcoin.Psbt.fromBase64(psbtData);
                 sigInfo = getSignatureInfo(parsedPsbt);
             } catch (e) {
                 console.log('Error parsing PSBT for signer status:', e.message || e);
@@ -1096,11 +1956,30 @@ function displayPsbts() {
             }
         }
         
+        // Only one of a set of conflicting PSBTs can confirm, so none of them is
+        // broadcast until a coordinator keeps one (a broadcast one can't be discarded)
+        let conflictHtml = '';
+        if (conflictingPsbts.length > 0) {
+            const canKeep = canDelete && conflictingPsbts.every(p => !p.txid);
+            conflictHtml = `
+                <div class="psbt-conflict">
+                    <strong>⚠️ Double-spend conflict</strong>
+                    <p>Spends some of the same inputs as ${conflictingPsbts.map(p => `<strong>${escapeHtml(p.name)}</strong>`).join(', ')} with different outputs. Only one of them can confirm.${canKeep ? '' : ' A coordinator must choose which one to keep.'}</p>
+                    <div class="psbt-conflict-actions">
+                        ${conflictingPsbts.map(p => `
+                            <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); compareConflictingPsbts('${psbt.id}', '${p.id}')">🔍 Compare with ${escapeHtml(p.name)}</button>
+                        `).join('')}
+                        ${canKeep ? `<button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); keepConflictingPsbt('${psbt.id}')">✅ Keep this one</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }
+        
         return `
-            <div class="psbt-item status-${psbt.status} ${isExpanded ? 'expanded' : ''}" 
+            <div class="psbt-item status-${psbt.status} ${conflictingPsbts.length > 0 ? 'conflict' : ''} ${isExpanded ? 'expanded' : ''}" 
                  data-psbt-id="${psbt.id}"
                  style="background: ${gradient.gradient};">
-                <div class="psbt-header" onclick="togglePsbtCard(${psbt.id})">
+                <div class="psbt-header" onclick="togglePsbtCard('${psbt.id}')">
                     <div class="psbt-header-left">
                         <span class="psbt-expand-icon">▶</span>
                         <div class="psbt-title">
@@ -1121,11 +2000,16 @@ function displayPsbts() {
                         <span class="psbt-sig-badge ${isReady ? 'complete' : 'pending'}">
                             ${psbt.signatures_count}/${psbt.m_required} ✍️
                         </span>
+                        ${conflictingPsbts.length > 0 ? '<span class="psbt-conflict-badge">⚠️ Conflict</span>' : ''}
+                        ${psbt.discussion && psbt.discussion.objections > 0 ? `<span class="psbt-objection-badge">✋ ${psbt.discussion.objections}</span>` : ''}
+                        ${psbt.policy_verdict && !psbt.policy_verdict.passed ? '<span class="psbt-policy-badge">🛡️ Blocked</span>' : ''}
                         ${getBroadcastStatusBadge(psbt)}
                     </div>
                 </div>
                 
                 <div class="psbt-content">
+                    ${conflictHtml}
+                    
                     <div class="psbt-progress">
                         <strong>Signatures:</strong> ${psbt.signatures_count} of ${psbt.m_required} required
                         <div class="psbt-progress-bar">
@@ -1134,13 +2018,21 @@ function displayPsbts() {
                         </div>
                     </div>
                     
+                    ${psbt.deadline && ['pending', 'ready', 'expired'].includes(psbt.status) ? `
+                    <div class="psbt-deadline ${psbt.status === 'expired' ? 'overdue' : ''}">
+                        ⏰ Deadline: ${formatTimestamp(psbt.deadline).exact}
+                    </div>
+                    ` : ''}
+                    
                     ${signerStatusHtml}
                     
-                    ${psbt.notes ? `<div class="psbt-notes">${escapeHtml(psbt.notes)}</div>` : ''}
+                    ${policyVerdictHtml(psbt)}
+                    
+                    ${discussionSummaryHtml(psbt)}
                     
                     <div class="psbt-actions">
-                        ${isReady && !psbt.txid ? `
-                        <button class="btn btn-success broadcast-btn" onclick="event.stopPropagation(); broadcastTransaction(${psbt.id})">
+                        ${isReady && !psbt.txid && canSign && conflictingPsbts.length === 0 ? `
+                        <button class="btn btn-success broadcast-btn" onclick="event.stopPropagation(); broadcastTransaction('${psbt.id}')">
                             📡 Broadcast
                         </button>
                         ` : ''}
@@ -1149,16 +2041,45 @@ function displayPsbts() {
                             🔍 View TX
                         </a>
                         ` : ''}
-                        <button class="btn btn-info" onclick="event.stopPropagation(); downloadPsbt(${psbt.id})">📥 Download</button>
-                        <button class="btn btn-info" onclick="event.stopPropagation(); togglePsbtQR(${psbt.id}, '${escapeHtml(psbt.psbt_data)}')">📱 QR Code</button>
-                        <button class="btn btn-secondary" onclick="event.stopPropagation(); viewPsbtDetails(${psbt.id})">👁️ Details</button>
-                        <button class="btn btn-danger" onclick="event.stopPropagation(); deletePsbt(${psbt.id})">🗑️ Delete</button>
+                        <button class="btn btn-info" onclick="event.stopPropagation(); downloadPsbt('${psbt.id}')">📥 Download</button>
+                        <button class="btn btn-info" onclick="event.stopPropagation(); togglePsbtQR('${psbt.id}')">📱 QR Code</button>
+                        <button class="btn btn-secondary" onclick="event.stopPropagation(); viewPsbtDetails('${psbt.id}')">👁️ Details</button>
+                        <button class="btn btn-secondary" onclick="event.stopPropagation(); showPsbtDiscussion('${psbt.id}')">💬 Discussion</button>
+                        <button class="btn btn-secondary" onclick="event.stopPropagation(); showPsbtHistory('${psbt.id}')">🕘 History</button>
+                        <button class="btn btn-secondary" onclick="event.stopPropagation(); showPsbtCompareModal('${psbt.id}')">🔍 Compare</button>
+                        ${canDelete && psbt.status === 'final' ? `<button class="btn btn-secondary" onclick="event.stopPropagation(); setPsbtArchived('${psbt.id}', ${!psbt.archived_at})">${psbt.archived_at ? '📤 Unarchive' : '🗄️ Archive'}</button>` : ''}
+                        ${canDelete ? `<button class="btn btn-danger" onclick="event.stopPropagation(); deletePsbt('${psbt.id}')">🗑️ Delete</button>` : ''}
                     </div>
                     <div id="psbt-qr-${psbt.id}" class="psbt-qr-container" style="display: none; margin-top: 15px; text-align: center; padding: 20px; background: white; border-radius: 8px;"></div>
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + (total > shown.length ? `
+        <button class="btn btn-secondary psbt-list-more" onclick="showMorePsbts()">
+            Show more (${shown.length} of ${total} shown)
+        </button>
+    ` : '');
+}
+
+// A loaded PSBT that carries its psbt_data (undefined until it is fetched)
+function findLoadedPsbtData(id) {
+    const listed = allPsbts.find(p => p.id === id);
+    return listed && listed.psbt_data ? listed : psbtDataCache.get(id);
+}
+
+// Fetch the expanded PSBT's data if the list left it out, then show it again
+function loadExpandedPsbtData() {
+    const id = expandedPsbtId;
+    if (!id || id === psbtDataLoading || findLoadedPsbtData(id) || !allPsbts.some(p => p.id === id)) return;
+    psbtDataLoading = id;
+    fetchPsbt(id)
+        .then(psbt => {
+            if (psbt && expandedPsbtId === id) displayPsbts();
+        })
+        .catch(error => console.log('Failed to load PSBT data:', error.message))
+        .finally(() => {
+            if (psbtDataLoading === id) psbtDataLoading = null;
+        });
 }
 
 // Toggle PSBT card expand/collapse
@@ -1168,18 +2089,23 @@ function togglePsbtCard(id) {
     
     // Update all cards
     document.querySelectorAll('.psbt-item').forEach(item => {
-        const itemId = parseInt(item.dataset.psbtId);
+        const itemId = item.dataset.psbtId;
         if (itemId === id && !wasExpanded) {
             item.classList.add('expanded');
         } else {
             item.classList.remove('expanded');
         }
     });
+    loadExpandedPsbtData();
 }
 
 async function uploadPsbt() {
     const name = psbtNameInput.value.trim();
     const psbtString = uploadedPsbtData;
+    // datetime-local values are in the browser's time zone
+    const deadline = psbtDeadlineInput && psbtDeadlineInput.value
+        ? new Date(psbtDeadlineInput.value).toISOString()
+        : null;
 
     if (!name || !psbtString) {
         psbtUploadOutput.className = 'output error';
@@ -1211,13 +2137,12 @@ async function uploadPsbt() {
 
         // Get signature info (includes M-of-N from PSBT)
         const sigInfo = getSignatureInfo(psbt);
-        let signaturesCount = sigInfo.signatures;
         let mRequired = sigInfo.required;
         let nTotal = sigInfo.total;
 
         // === AUTO-MERGE: Check if this PSBT matches any existing one ===
-        const uploadedFingerprint = generatePsbtFingerprint(psbt.toBase64());
-        const matchingPsbt = findMatchingPsbt(psbt);
+        const candidates = await fetchPsbtsSpendingInputs(psbt);
+        const matchingPsbt = findMatchingPsbt(psbt, candidates);
         
         if (matchingPsbt) {
             // Found a matching PSBT - try to merge signatures
@@ -1232,17 +2157,14 @@ async function uploadPsbt() {
                 const newSigCount = countPsbtSignatures(existingPsbt);
                 
                 if (newSigCount > oldSigCount) {
-                    // Update the existing PSBT with merged signatures
-                    const updateResponse = await fetch(`${API_BASE}/api/psbts/${matchingPsbt.id}`, {
-                        method: 'PUT',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            psbt_data: existingPsbt.toBase64(),
-                            signatures_count: newSigCount
-                        })
-                    });
+                    // Send our signed copy to be merged into the latest stored version
+                    const updateResponse = await mergePsbtSignatures(matchingPsbt.id, psbt);
                     
                     if (updateResponse.ok) {
+                        // Server recounts signatures after verifying them
+                        const updatedPsbt = await updateResponse.json();
+                        const verifiedSigCount = updatedPsbt.signatures_count;
+                        
                         // Clear form
                         psbtNameInput.value = '';
                         uploadedPsbtData = null;
@@ -1251,17 +2173,17 @@ async function uploadPsbt() {
                         // Show success toast
                         showToast(
                             'Signatures Merged! ✨',
-                            `Merged with "${matchingPsbt.name}" (${oldSigCount} → ${newSigCount} signatures)`,
+                            `Merged with "${matchingPsbt.name}" (${oldSigCount} → ${verifiedSigCount} signatures)`,
                             'success'
                         );
                         
                         // Show inline success
-                        const fingerprint = generatePsbtFingerprint(matchingPsbt.psbt_data);
+                        const fingerprint = generatePsbtFingerprint(matchingPsbt.id);
                         psbtUploadOutput.className = 'output success';
                         psbtUploadOutput.innerHTML = `
                             <p class="success-message">✨ Signatures automatically merged!</p>
                             <p>Matched with: <strong>${escapeHtml(matchingPsbt.name)}</strong> <span class="psbt-fingerprint">${fingerprint}</span></p>
-                            <p>Signatures: ${oldSigCount} → ${newSigCount} of ${mRequired}</p>
+                            <p>Signatures: ${oldSigCount} → ${verifiedSigCount} of ${updatedPsbt.m_required}</p>
                         `;
                         
                         // Expand the merged PSBT
@@ -1292,17 +2214,21 @@ async function uploadPsbt() {
             }
         }
 
+        // Same inputs but a different transaction: store it separately and
+        // leave it to a coordinator to pick which one survives
+        const conflictingPsbts = findConflictingPsbts(psbt, candidates);
+
         // Upload as new PSBT
         const response = await fetch(`${API_BASE}/api/psbts`, withSession({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                name,
-                psbt_data: psbt.toBase64(),
+                ...(await encryptRecord('psbts', { name, psbt_data: psbt.toBase64() })),
                 m_required: mRequired,
                 n_total: nTotal,
-                signatures_count: signaturesCount,
-                notes: null
+                // Only used by encrypted sessions, where the server can't count signatures itself
+                signatures_count: sigInfo.signatures,
+                deadline
             })
         }));
 
@@ -1310,22 +2236,34 @@ async function uploadPsbt() {
             const error = await response.json();
             throw new Error(error.error || 'Failed to upload PSBT');
         }
+        
+        // Use the server's verified signature count rather than our local one
+        const createdPsbt = await response.json();
 
         // Clear form
         psbtNameInput.value = '';
+        if (psbtDeadlineInput) psbtDeadlineInput.value = '';
         uploadedPsbtData = null;
         if (psbtFileInput) psbtFileInput.value = '';
         
         // Show success
-        const newFingerprint = generatePsbtFingerprint(psbt.toBase64());
+        const newFingerprint = generatePsbtFingerprint(createdPsbt.id);
         psbtUploadOutput.className = 'output success';
         psbtUploadOutput.innerHTML = `
             <p class="success-message">✅ PSBT uploaded successfully!</p>
             <p>Fingerprint: <span class="psbt-fingerprint">${newFingerprint}</span></p>
-            <p>Signatures: ${signaturesCount} of ${mRequired}</p>
+            <p>Signatures: ${createdPsbt.signatures_count} of ${createdPsbt.m_required}</p>
         `;
 
-        showToast('PSBT Uploaded', `"${name}" has been added`, 'success');
+        if (conflictingPsbts.length > 0) {
+            const conflictNames = conflictingPsbts.map(p => `"${p.name}"`).join(', ');
+            psbtUploadOutput.innerHTML += `
+                <p class="error-message">⚠️ Spends the same inputs as ${escapeHtml(conflictNames)} with different outputs. It was not merged; a coordinator must choose which one to keep.</p>
+            `;
+            showToast('Conflicting PSBT', `"${name}" conflicts with ${conflictNames}`, 'warning');
+        } else {
+            showToast('PSBT Uploaded', `"${name}" has been added`, 'success');
+        }
 
         // Reload list and expand the new one
         expandedPsbtId = null; // Will auto-expand newest
@@ -1343,25 +2281,55 @@ async function uploadPsbt() {
     }
 }
 
-// Find a matching PSBT based on transaction structure (same inputs/outputs)
-function findMatchingPsbt(newPsbt) {
-    if (!allPsbts || allPsbts.length === 0) return null;
-    if (!bitcoin) return null;
-    
-    // Get the unsigned transaction ID from the new PSBT
-    const newTxInputs = newPsbt.txInputs.map(inp => 
+// Outpoints ("txid:vout") a decoded PSBT spends
+function psbtOutpoints(psbt) {
+    return psbt.txInputs.map(inp => 
         Buffer.from(inp.hash).reverse().toString('hex') + ':' + inp.index
-    ).sort().join(',');
+    );
+}
+
+function isSameTransaction(a, b) {
+    return a.data.globalMap.unsignedTx.toBuffer().equals(b.data.globalMap.unsignedTx.toBuffer());
+}
+
+// Double-spend candidates: at least one input in common but a different
+// transaction (outputs, amounts or fee), so at most one of them can confirm
+function psbtsConflict(a, b) {
+    const outpoints = psbtOutpoints(b);
+    return psbtOutpoints(a).some(outpoint => outpoints.includes(outpoint)) && !isSameTransaction(a, b);
+}
+
+// Stored PSBTs a new one may match or conflict with: only the ones spending
+// one of its inputs can. The server finds them, except in end-to-end encrypted
+// sessions, where every PSBT is loaded already.
+async function fetchPsbtsSpendingInputs(newPsbt) {
+    if (isEncryptedSession()) return allPsbts;
+    
+    // The server takes up to 100 outpoints at a time
+    const outpoints = psbtOutpoints(newPsbt);
+    const found = new Map();
+    for (let i = 0; i < outpoints.length; i += 100) {
+        const params = new URLSearchParams({ archived: 'include', spends: outpoints.slice(i, i + 100).join(',') });
+        const response = await fetch(`${API_BASE}/api/psbts?${params}`, withSession());
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to look up PSBTs spending the same inputs');
+        result.forEach(psbt => found.set(psbt.id, psbt));
+    }
+    return [...found.values()];
+}
+
+// Find a stored PSBT (among psbts) for the same unsigned transaction, whose
+// signatures can be merged with the new one. Expired and invalidated PSBTs
+// can't be signed any more, so uploading their transaction again starts a new PSBT.
+function findMatchingPsbt(newPsbt, psbts) {
+    if (!psbts || psbts.length === 0) return null;
+    if (!bitcoin) return null;
     
-    for (const existingPsbtData of allPsbts) {
+    for (const existingPsbtData of psbts) {
+        if (['expired', 'invalidated'].includes(existingPsbtData.status)) continue;
         try {
             const existingPsbt = bitcoin.Psbt.fromBase64(existingPsbtData.psbt_data);
-            const existingTxInputs = existingPsbt.txInputs.map(inp => 
-                Buffer.from(inp.hash).reverse().toString('hex') + ':' + inp.index
-            ).sort().join(',');
-            
-            // If inputs match, these are the same transaction
-            if (newTxInputs === existingTxInputs) {
+            if (isSameTransaction(newPsbt, existingPsbt)) {
                 return existingPsbtData;
             }
         } catch (e) {
@@ -1373,6 +2341,44 @@ function findMatchingPsbt(newPsbt) {
     return null;
 }
 
+// Stored PSBTs (among psbts) that conflict with a new one; they are never merged into
+function findConflictingPsbts(newPsbt, psbts) {
+    if (!bitcoin) return [];
+    return psbts.filter(existingPsbtData => {
+        try {
+            return psbtsConflict(newPsbt, bitcoin.Psbt.fromBase64(existingPsbtData.psbt_data));
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+// Map each PSBT's id to the ids of the PSBTs it conflicts with. Worked out
+// here rather than taken from the server, which can't decode PSBTs in
+// end-to-end encrypted sessions.
+function findPsbtConflicts(psbts) {
+    const conflicts = new Map(psbts.map(psbt => [psbt.id, []]));
+    if (!bitcoin) return conflicts;
+    
+    const decoded = [];
+    psbts.forEach(psbt => {
+        try {
+            decoded.push({ id: psbt.id, psbt: bitcoin.Psbt.fromBase64(psbt.psbt_data) });
+        } catch (e) {
+            // Skip invalid PSBTs
+        }
+    });
+    decoded.forEach((a, i) => {
+        decoded.slice(i + 1).forEach(b => {
+            if (psbtsConflict(a.psbt, b.psbt)) {
+                conflicts.get(a.id).push(b.id);
+                conflicts.get(b.id).push(a.id);
+            }
+        });
+    });
+    return conflicts;
+}
+
 function countPsbtSignatures(psbt) {
     let sigCount = 0;
     psbt.data.inputs.forEach(input => {
@@ -1383,6 +2389,38 @@ function countPsbtSignatures(psbt) {
     return sigCount;
 }
 
+// Merge a signed copy into a stored PSBT and return the server's response.
+// Normally the server combines it with its latest copy; in encrypted sessions
+// the browser combines it with a freshly fetched copy and stores the result.
+async function mergePsbtSignatures(id, signedPsbt) {
+    if (!isEncryptedSession()) {
+        return fetch(`${API_BASE}/api/psbts/${id}/signatures`, withSession({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                psbt_data: signedPsbt.toBase64()
+            })
+        }));
+    }
+    
+    const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession());
+    if (!response.ok) throw new Error('Failed to fetch PSBT');
+    const stored = await decryptRecord('psbts', await response.json());
+    
+    // combine() throws if the signed copy is for a different transaction
+    const merged = bitcoin.Psbt.fromBase64(stored.psbt_data);
+    merged.combine(signedPsbt);
+    
+    return fetch(`${API_BASE}/api/psbts/${id}`, withSession({
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...(await encryptRecord('psbts', { psbt_data: merged.toBase64() }, id)),
+            signatures_count: countPsbtSignatures(merged)
+        })
+    }));
+}
+
 function extractMultisigInfo(witnessScript) {
     try {
         // Decode the witness script to get M and N
@@ -1400,10 +2438,10 @@ function extractMultisigInfo(witnessScript) {
 
 async function downloadPsbt(id) {
     try {
-        const response = await fetch(`${API_BASE}/api/psbts/${id}`);
+        const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession());
         if (!response.ok) throw new Error('Failed to fetch PSBT');
         
-        const psbt = await response.json();
+        const psbt = await decryptRecord('psbts', await response.json());
         
         // Create download link
         const blob = new Blob([psbt.psbt_data], { type: 'text/plain' });
@@ -1437,18 +2475,9 @@ async function updatePsbtSignatures(id) {
             throw new Error('Bitcoin libraries not loaded. Please refresh the page.');
         }
         
-        // Fetch the existing PSBT from server
-        const existingResponse = await fetch(`${API_BASE}/api/psbts/${id}`);
-        if (!existingResponse.ok) throw new Error('Failed to fetch existing PSBT');
-        const existingPsbtData = await existingResponse.json();
-        
-        // Parse the existing PSBT
-        let existingPsbt;
-        try {
-            existingPsbt = bitcoin.Psbt.fromBase64(existingPsbtData.psbt_data);
-        } catch (e) {
-            throw new Error('Failed to parse existing PSBT');
-        }
+        // Look up the current signature count for the success message
+        const existingPsbtData = allPsbts.find(p => p.id === id);
+        const oldSigCount = existingPsbtData ? (existingPsbtData.signatures_count || 0) : 0;
         
         // Parse the new PSBT
         let newPsbt;
@@ -1462,38 +2491,18 @@ async function updatePsbtSignatures(id) {
             }
         }
 
-        // Try to combine/merge the PSBTs
-        let combinedPsbt;
-        try {
-            // Clone the existing PSBT and combine with the new one
-            combinedPsbt = bitcoin.Psbt.fromBase64(existingPsbtData.psbt_data);
-            combinedPsbt.combine(newPsbt);
-            console.log('PSBTs merged successfully using combine()');
-        } catch (combineError) {
-            console.log('Combine failed, using new PSBT directly:', combineError.message);
-            // If combine fails (e.g., different transactions), just use the new PSBT
-            combinedPsbt = newPsbt;
-        }
-
-        // Count signatures in the combined PSBT
-        const signaturesCount = countPsbtSignatures(combinedPsbt);
-        const oldSigCount = existingPsbtData.signatures_count || 0;
-
-        // Update on server
-        const response = await fetch(`${API_BASE}/api/psbts/${id}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                psbt_data: combinedPsbt.toBase64(),
-                signatures_count: signaturesCount
-            })
-        });
+        // Merge against the latest stored copy so simultaneous uploads from
+        // other cosigners are not overwritten
+        const response = await mergePsbtSignatures(id, newPsbt);
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to update PSBT');
+            throw new Error(error.error || 'Failed to merge signatures');
         }
 
+        const updatedPsbt = await response.json();
+        const signaturesCount = updatedPsbt.signatures_count;
+
         await loadPsbts();
         
         // Show success message with signature count change
@@ -1644,10 +2653,10 @@ function validateModalPsbt(psbtString, validationEl, submitBtn) {
 
 async function viewPsbtDetails(id) {
     try {
-        const response = await fetch(`${API_BASE}/api/psbts/${id}`);
+        const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession());
         if (!response.ok) throw new Error('Failed to fetch PSBT');
         
-        const psbtData = await response.json();
+        const psbtData = await decryptRecord('psbts', await response.json());
         
         // Initialize libraries if not done yet
         if (!bitcoin) {
@@ -1747,12 +2756,8 @@ function showPsbtDetailsModal(name, details) {
 
                 <div class="tx-info" style="margin-bottom: 15px;">
                     <h4 style="margin-bottom: 8px;">Outputs (${outputs.length}):</h4>
-                    ${outputs.map((out, i) => `
-                        <div class="tx-item" style="padding: 8px; background: #fff; border-radius: 4px; margin-bottom: 5px; font-size: 12px; word-break: break-all;">
-                            <strong>#${i}:</strong> ${out.address}<br>
-                            <strong>Value:</strong> ${formatSatoshis(out.value)}
-                        </div>
-                    `).join('')}
+                    ${unknownPayeesHtml(outputs)}
+                    ${payeeOutputsHtml(outputs)}
                 </div>
 
                 <div class="tx-info" style="padding: 15px; background: #e8f5e9; border-radius: 8px;">
@@ -1790,769 +2795,1980 @@ function showPsbtDetailsModal(name, details) {
     });
 }
 
-async function deletePsbt(id) {
-    if (!confirm('Are you sure you want to delete this PSBT?')) return;
+// How each kind of PSBT revision came about
+const REVISION_ACTIONS = {
+    baseline: 'Stored before revision history',
+    create: 'Uploaded',
+    update: 'Replaced',
+    merge_signatures: 'Signatures merged',
+    import: 'Imported',
+    restore: 'Restored'
+};
+
+// Label of the stored xpub a signing pubkey derives from, or a short pubkey
+function describeSigner(pubkeyHex) {
+    const match = bitcoin ? matchPubkeyToXpub(Buffer.from(pubkeyHex, 'hex')) : null;
+    return match ? match.label : `${pubkeyHex.substring(0, 8)}...${pubkeyHex.substring(pubkeyHex.length - 8)}`;
+}
 
+// Show every stored version of a PSBT, who uploaded it and which keys it
+// added signatures for. Coordinators can restore an earlier version.
+async function showPsbtHistory(id) {
     try {
-        const response = await fetch(`${API_BASE}/api/psbts/${id}`, {
-            method: 'DELETE'
+        const response = await fetch(`${API_BASE}/api/psbts/${id}/revisions`, withSession());
+        if (handleSessionExpired(response)) return;
+        const revisions = await response.json();
+        if (!response.ok) throw new Error(revisions.error || 'Failed to load PSBT history');
+        
+        const psbt = allPsbts.find(p => p.id === id);
+        const canRestore = hasRole('coordinator') && psbt && ['pending', 'ready'].includes(psbt.status);
+        
+        const rows = revisions.map((revision, index) => {
+            const previous = revisions[index + 1];
+            const delta = previous ? revision.signatures_count - previous.signatures_count : 0;
+            const timestamp = formatTimestamp(revision.created_at);
+            const action = revision.action === 'restore'
+                ? `Restored revision ${revision.restored_from}`
+                : (REVISION_ACTIONS[revision.action] || revision.action);
+            
+            // Signers are unknown in end-to-end encrypted sessions and for versions stored before history existed
+            let signersHtml = '';
+            if (revision.new_signers && revision.new_signers.length > 0) {
+                signersHtml = `
+                    <div class="revision-signers">
+                        ${revision.new_signers.map(pubkey => `<span class="revision-signer">✍️ ${escapeHtml(describeSigner(pubkey))}</span>`).join('')}
+                    </div>
+                `;
+            }
+            
+            return `
+                <div class="revision-item ${index === 0 ? 'current' : ''}">
+                    <div>
+                        <div>
+                            <strong>#${revision.revision}</strong> ${escapeHtml(action)}
+                            ${revision.created_by ? `by <strong>${escapeHtml(revision.created_by)}</strong>` : ''}
+                            ${index === 0 ? '<em>(current)</em>' : ''}
+                        </div>
+                        <div class="activity-meta" title="${timestamp.exact}">
+                            ${timestamp.relative} • ${revision.signatures_count} signature${revision.signatures_count === 1 ? '' : 's'}${delta ? ` (${delta > 0 ? '+' : ''}${delta})` : ''}
+                        </div>
+                        ${signersHtml}
+                    </div>
+                    <div style="display: flex; gap: 6px;">
+                        ${previous ? `<button class="btn btn-secondary" data-diff="${revision.revision}">🔍 Changes</button>` : ''}
+                        ${canRestore && index > 0 ? `<button class="btn btn-secondary" data-restore="${revision.revision}">↩️ Restore</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content" style="max-width: 600px; max-height: 80vh; overflow-y: auto;">
+                <h3>🕘 History: ${escapeHtml(psbt ? psbt.name : 'PSBT')}</h3>
+                <div style="margin-top: 15px;">
+                    ${rows || '<p class="info">No revisions recorded.</p>'}
+                </div>
+                <div style="display: flex; justify-content: flex-end; margin-top: 15px;">
+                    <button class="btn btn-primary" id="history-close">Close</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(overlay);
+        
+        const close = () => document.body.removeChild(overlay);
+        document.getElementById('history-close').addEventListener('click', close);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
         });
+        overlay.querySelectorAll('[data-diff]').forEach(button => {
+            button.addEventListener('click', () => showRevisionDiff(id, Number(button.dataset.diff)));
+        });
+        overlay.querySelectorAll('[data-restore]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (await restorePsbtRevision(id, Number(button.dataset.restore))) close();
+            });
+        });
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
 
-        if (!response.ok) throw new Error('Failed to delete PSBT');
-
+async function restorePsbtRevision(id, revision) {
+    if (!confirm(`Restore revision #${revision}? Signatures added since then are dropped from the current version (they stay in the history).`)) {
+        return false;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/psbts/${id}/revisions/${revision}/restore`, withSession({
+            method: 'POST'
+        }));
+        if (handleSessionExpired(response)) return false;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to restore revision');
+        
         await loadPsbts();
-        showToast('PSBT Deleted', 'Transaction has been removed', 'success');
+        showToast('Revision Restored', `Revision #${revision} is the current version again`, 'success');
+        return true;
     } catch (error) {
         showToast('Error', error.message, 'error');
+        return false;
     }
 }
 
-// Toggle PSBT QR code
-function togglePsbtQR(id, psbtData) {
-    const qrContainer = document.getElementById(`psbt-qr-${id}`);
-    if (qrContainer.style.display === 'none') {
-        qrContainer.style.display = 'block';
-        qrContainer.innerHTML = '<p style="margin-bottom: 15px; color: #666;">Scan this QR code with your hardware wallet or mobile signer</p>';
-        const qrDiv = document.createElement('div');
-        qrContainer.appendChild(qrDiv);
-        new QRCode(qrDiv, {
-            text: psbtData,
-            width: 300,
-            height: 300,
-            colorDark: "#000000",
-            colorLight: "#ffffff",
-            correctLevel: QRCode.CorrectLevel.L // Low error correction for max data
-        });
-    } else {
-        qrContainer.style.display = 'none';
+// ============================================
+// PSBT discussion (comments and approvals)
+// ============================================
+
+// Comments are limited so they still fit the server's limit once encrypted
+const MAX_COMMENT_CHARS = 4000;
+
+const DECISION_LABELS = {
+    approve: '👍 Approved',
+    object: '✋ Objected'
+};
+
+// PSBT whose discussion is open, so live updates can refresh it
+let openDiscussion = null;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// One-line summary on PSBT cards (from the server's discussion counts)
+function discussionSummaryHtml(psbt) {
+    const discussion = psbt.discussion;
+    if (!discussion || (!discussion.comments && !discussion.approvals && !discussion.objections)) return '';
+    const parts = [
+        discussion.comments ? `💬 ${plural(discussion.comments, 'comment')}` : null,
+        discussion.approvals ? `👍 ${plural(discussion.approvals, 'approval')}` : null,
+        discussion.objections ? `✋ ${plural(discussion.objections, 'objection')}` : null
+    ].filter(Boolean);
+    return `
+        <div class="psbt-discussion-summary" onclick="event.stopPropagation(); showPsbtDiscussion('${psbt.id}')">
+            ${parts.join(' • ')}
+        </div>
+    `;
+}
+
+async function decryptCommentBody(commentId, body) {
+    return (await decryptRecord('comments', { body }, commentId)).body;
+}
+
+async function decryptComment(comment) {
+    if (!isEncryptedSession()) return comment;
+    const edits = [];
+    for (const edit of comment.edits || []) {
+        edits.push({ ...edit, body: await decryptCommentBody(comment.id, edit.body) });
     }
+    return { ...comment, body: await decryptCommentBody(comment.id, comment.body), edits };
 }
 
-// Auto-validate PSBT after file upload
-function autoValidateUploadedPsbt(filename) {
+async function fetchDiscussionJson(url, options, fallbackError) {
+    const response = await fetch(url, withSession(options));
+    if (handleSessionExpired(response)) return null;
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || fallbackError);
+    return result;
+}
+
+// Show a PSBT's comment thread and each member's decision on it. Approving
+// (or objecting) is separate from signing: it lets the group agree on a
+// payment before anyone gets a hardware wallet out.
+async function showPsbtDiscussion(id) {
+    const psbt = allPsbts.find(p => p.id === id);
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 640px; max-height: 85vh; overflow-y: auto;">
+            <h3>💬 Discussion: ${escapeHtml(psbt ? psbt.name : 'PSBT')}</h3>
+            <div id="discussion-body" style="margin-top: 15px;"><p class="info">Loading...</p></div>
+            <div style="display: flex; justify-content: flex-end; margin-top: 15px;">
+                <button class="btn btn-primary" id="discussion-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+    
+    const close = () => {
+        openDiscussion = null;
+        document.body.removeChild(overlay);
+    };
+    document.getElementById('discussion-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    
+    openDiscussion = { id, overlay };
+    await renderPsbtDiscussion(id);
+}
+
+async function renderPsbtDiscussion(id) {
+    if (!openDiscussion || openDiscussion.id !== id) return;
+    const container = openDiscussion.overlay.querySelector('#discussion-body');
+    
     try {
-        // Initialize libraries if not done yet
-        if (!bitcoin) {
-            initializeBitcoinLibraries();
-        }
+        const [comments, approvals] = await Promise.all([
+            fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/comments`, {}, 'Failed to load comments'),
+            fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/approvals`, {}, 'Failed to load approvals')
+        ]);
+        if (!comments || !approvals) return;
+        const thread = await Promise.all(comments.map(decryptComment));
         
-        if (!bitcoin) {
-            psbtUploadOutput.className = 'output success';
-            psbtUploadOutput.innerHTML = `<p class="success-message">✅ File loaded: ${escapeHtml(filename)}</p><p class="info">Libraries loading... validation pending</p>`;
-            return;
-        }
+        const psbt = allPsbts.find(p => p.id === id);
+        const canComment = hasRole('signer');
+        const canDecide = canComment && psbt && ['pending', 'ready'].includes(psbt.status);
+        const memberName = currentMember ? currentMember.name : null;
+        const ownDecision = approvals.find(approval => approval.member === memberName);
         
-        const psbtString = uploadedPsbtData;
-        if (!psbtString) return;
+        const approvalsHtml = approvals.length === 0
+            ? '<p class="info">Nobody has approved or objected to this payment yet.</p>'
+            : approvals.map(approval => `
+                <span class="discussion-decision ${approval.decision} ${approval.stale ? 'stale' : ''}"
+                      title="${approval.stale ? 'Given for an earlier version of the transaction' : formatTimestamp(approval.updated_at).exact}">
+                    ${DECISION_LABELS[approval.decision] || escapeHtml(approval.decision)}: <strong>${escapeHtml(approval.member)}</strong>
+                    ${approval.stale ? ' (outdated)' : ''}
+                </span>
+            `).join('');
         
-        // Try to parse PSBT
-        let psbt;
-        try {
-            psbt = bitcoin.Psbt.fromBase64(psbtString);
-        } catch (e) {
-            try {
-                psbt = bitcoin.Psbt.fromHex(psbtString);
-            } catch (e2) {
-                psbtUploadOutput.className = 'output error';
-                psbtUploadOutput.innerHTML = `<p class="error-message">❌ Invalid PSBT file: ${escapeHtml(filename)}</p>`;
-                return;
-            }
-        }
-        
-        // Get signature info
-        const sigInfo = getSignatureInfo(psbt);
-        const inputCount = psbt.data.inputs.length;
-        const outputCount = psbt.txOutputs.length;
-        
-        // Calculate total amounts
-        let totalInput = 0;
-        psbt.data.inputs.forEach(input => {
-            if (input.witnessUtxo) {
-                totalInput += input.witnessUtxo.value;
-            }
-        });
-        
-        let totalOutput = 0;
-        psbt.txOutputs.forEach(output => {
-            totalOutput += output.value;
-        });
-        
-        const fee = totalInput - totalOutput;
-        
-        // Build signer status HTML for upload validation
-        let signerStatusHtml = '';
-        if (sigInfo.signerStatus && sigInfo.signerStatus.length > 0) {
-            // Detailed signer info available
-            signerStatusHtml = `
-                <div style="margin-top: 15px; padding: 12px; background: rgba(255,255,255,0.5); border-radius: 8px;">
-                    <strong style="font-size: 13px; color: #555;">🔑 Signers:</strong>
-                    <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
-                        ${sigInfo.signerStatus.map(signer => `
-                            <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; ${signer.hasSigned ? 'background: #d4edda; color: #155724; border: 1px solid #c3e6cb;' : 'background: #fff3cd; color: #856404; border: 1px solid #ffeeba;'}">
-                                ${signer.hasSigned ? '✅' : '⏳'}
-                                <span style="margin-left: 4px; font-weight: 500;">${signer.label ? escapeHtml(signer.label) : signer.pubkeyShort}</span>
-                            </span>
-                        `).join('')}
-                    </div>
-                </div>
-            `;
-        } else {
-            // Fallback: show generic signed/unsigned badges
-            const signed = sigInfo.signatures;
-            const unsigned = Math.max(0, sigInfo.total - signed);
-            if (sigInfo.total > 0) {
-                signerStatusHtml = `
-                    <div style="margin-top: 15px; padding: 12px; background: rgba(255,255,255,0.5); border-radius: 8px;">
-                        <strong style="font-size: 13px; color: #555;">🔑 Signers (${sigInfo.total} keys):</strong>
-                        <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
-                            ${Array(signed).fill(0).map((_, i) => `
-                                <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; background: #d4edda; color: #155724; border: 1px solid #c3e6cb;">
-                                    ✅ <span style="margin-left: 4px; font-weight: 500;">Signed</span>
-                                </span>
-                            `).join('')}
-                            ${Array(unsigned).fill(0).map((_, i) => `
-                                <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; background: #fff3cd; color: #856404; border: 1px solid #ffeeba;">
-                                    ⏳ <span style="margin-left: 4px; font-weight: 500;">Needs signature</span>
-                                </span>
-                            `).join('')}
+        const commentsHtml = thread.length === 0
+            ? '<p class="info">No comments yet.</p>'
+            : thread.map(comment => {
+                const timestamp = formatTimestamp(comment.created_at);
+                const edited = comment.edits.length > 0;
+                return `
+                    <div class="discussion-comment" data-comment="${comment.id}">
+                        <div class="activity-meta" title="${timestamp.exact}">
+                            <strong>${escapeHtml(comment.author)}</strong> • ${timestamp.relative}
+                            ${edited ? ` • edited ${formatTimestamp(comment.updated_at).relative}` : ''}
                         </div>
+                        <div class="discussion-comment-body">${escapeHtml(comment.body)}</div>
+                        ${edited ? `
+                        <details class="discussion-edits">
+                            <summary>Edit history (${comment.edits.length})</summary>
+                            ${comment.edits.map(edit => `
+                                <div class="discussion-edit">
+                                    <div class="activity-meta">Replaced ${formatTimestamp(edit.edited_at).relative}</div>
+                                    <div class="discussion-comment-body">${escapeHtml(edit.body)}</div>
+                                </div>
+                            `).join('')}
+                        </details>
+                        ` : ''}
+                        ${comment.author === memberName && canComment ? `<button class="btn btn-secondary btn-sm" data-edit="${comment.id}">✏️ Edit</button>` : ''}
                     </div>
                 `;
-            }
-        }
+            }).join('');
         
-        // Display validation result with signature progress
-        psbtUploadOutput.className = 'output success';
-        psbtUploadOutput.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-                <h4 style="margin: 0;">✅ Valid PSBT: ${escapeHtml(filename)}</h4>
-                <span style="background: #6c757d; color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 500;">PREVIEW</span>
-            </div>
-            
-            <div class="signature-progress" style="margin: 15px 0;">
-                <div class="sig-count" style="font-size: 24px;">
-                    <span class="sig-current">${sigInfo.signatures}</span>
-                    <span class="sig-separator">/</span>
-                    <span class="sig-required">${sigInfo.required}</span>
-                    <span class="sig-label" style="font-size: 14px;">signatures</span>
-                </div>
-                <div class="sig-progress-bar">
-                    <div class="sig-progress-fill ${sigInfo.isComplete ? 'complete' : ''}" 
-                         style="width: ${sigInfo.percentage}%"></div>
-                </div>
-                <div class="sig-status ${sigInfo.isComplete ? 'ready' : 'pending'}" style="font-size: 14px;">
-                    ${sigInfo.isComplete 
-                        ? '✅ Ready to broadcast' 
-                        : `⏳ Needs ${sigInfo.required - sigInfo.signatures} more signature${sigInfo.required - sigInfo.signatures > 1 ? 's' : ''}`}
-                </div>
+        container.innerHTML = `
+            <div class="discussion-approvals">${approvalsHtml}</div>
+            ${canDecide ? `
+            <div class="discussion-decide">
+                <button class="btn btn-success btn-sm" data-decision="approve" ${ownDecision && ownDecision.decision === 'approve' && !ownDecision.stale ? 'disabled' : ''}>👍 I approve this payment</button>
+                <button class="btn btn-danger btn-sm" data-decision="object" ${ownDecision && ownDecision.decision === 'object' && !ownDecision.stale ? 'disabled' : ''}>✋ I object</button>
+                ${ownDecision ? '<button class="btn btn-secondary btn-sm" data-withdraw>Withdraw my decision</button>' : ''}
             </div>
-            
-            ${signerStatusHtml}
-            
-            <div style="font-size: 14px; color: #666; margin-top: 10px;">
-                <strong>Transaction:</strong> ${inputCount} input(s) → ${outputCount} output(s)<br>
-                <strong>Total:</strong> ${formatSatoshis(totalInput)}<br>
-                <strong>Fee:</strong> ${formatSatoshis(fee)}
+            ` : ''}
+            <h4 style="margin-top: 15px;">Comments</h4>
+            <div class="discussion-thread">${commentsHtml}</div>
+            ${canComment ? `
+            <div class="discussion-new">
+                <textarea id="discussion-new-comment" rows="3" maxlength="${MAX_COMMENT_CHARS}" placeholder="Ask a question or explain what this payment is for..."></textarea>
+                <button class="btn btn-primary btn-sm" id="discussion-post">Post comment</button>
             </div>
+            ` : ''}
         `;
         
+        container.querySelectorAll('[data-decision]').forEach(button => {
+            button.addEventListener('click', () => recordPsbtDecision(id, button.dataset.decision));
+        });
+        const withdrawButton = container.querySelector('[data-withdraw]');
+        if (withdrawButton) withdrawButton.addEventListener('click', () => withdrawPsbtDecision(id));
+        const postButton = container.querySelector('#discussion-post');
+        if (postButton) {
+            postButton.addEventListener('click', () => {
+                postPsbtComment(id, container.querySelector('#discussion-new-comment').value);
+            });
+        }
+        container.querySelectorAll('[data-edit]').forEach(button => {
+            const comment = thread.find(c => c.id === button.dataset.edit);
+            button.addEventListener('click', () => editPsbtComment(id, comment));
+        });
     } catch (error) {
-        psbtUploadOutput.className = 'output error';
-        psbtUploadOutput.innerHTML = `<p class="error-message">Error validating PSBT: ${escapeHtml(error.message)}</p>`;
+        container.innerHTML = `<p class="error-message">Error loading discussion: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Utility Functions
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
+// Reload a PSBT after its discussion changed, so its card shows the new counts
+async function refreshPsbtDiscussion(id) {
+    const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession());
+    if (handleSessionExpired(response) || !response.ok) return;
+    const psbt = await decryptRecord('psbts', await response.json());
+    allPsbts = allPsbts.map(existing => (existing.id === id ? psbt : existing));
+    displayPsbts();
+    await renderPsbtDiscussion(id);
 }
 
-function formatSatoshis(sats) {
-    if (typeof sats !== 'number') return 'Unknown';
-    const btc = sats / 100000000;
-    return `${sats.toLocaleString()} sats (${btc.toFixed(8)} BTC)`;
+async function postPsbtComment(id, text) {
+    const body = text.trim();
+    if (!body) return;
+    
+    try {
+        const result = await fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/comments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(await encryptRecord('comments', { body }))
+        }, 'Failed to post comment');
+        if (!result) return;
+        await refreshPsbtDiscussion(id);
+        scheduleActivityRefresh();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
 }
 
-// Generate unique gradient colors from a string hash
-function generateGradientFromHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
+// Edit your own comment; the text it replaces stays in its edit history
+async function editPsbtComment(id, comment) {
+    const text = prompt('Edit your comment (the current text is kept in its edit history):', comment.body);
+    if (text === null || text.trim() === '' || text.trim() === comment.body) return;
+    if (text.trim().length > MAX_COMMENT_CHARS) {
+        showToast('Error', `Comments are limited to ${MAX_COMMENT_CHARS} characters`, 'error');
+        return;
     }
     
-    // Generate two soft pastel colors
-    const hue1 = Math.abs(hash % 360);
-    const hue2 = (hue1 + 40 + Math.abs((hash >> 8) % 40)) % 360;
-    
-    return {
-        color1: `hsl(${hue1}, 70%, 95%)`,
-        color2: `hsl(${hue2}, 60%, 92%)`,
-        gradient: `linear-gradient(135deg, hsl(${hue1}, 70%, 95%) 0%, hsl(${hue2}, 60%, 92%) 100%)`
-    };
+    try {
+        const result = await fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/comments/${comment.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(await encryptRecord('comments', { body: text.trim() }, comment.id))
+        }, 'Failed to edit comment');
+        if (!result) return;
+        await renderPsbtDiscussion(id);
+        scheduleActivityRefresh();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
 }
 
-// Generate a short fingerprint from PSBT data
-function generatePsbtFingerprint(psbtData) {
-    let hash = 0;
-    const str = psbtData.substring(0, 100);
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
+async function recordPsbtDecision(id, decision) {
+    try {
+        const result = await fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/approvals`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ decision })
+        }, 'Failed to record your decision');
+        if (!result) return;
+        await refreshPsbtDiscussion(id);
+        scheduleActivityRefresh();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
     }
-    return Math.abs(hash).toString(16).substring(0, 6).toLowerCase();
 }
 
-// Format timestamp with exact time and relative time
-function formatTimestamp(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diff = now - date;
-    
-    // Exact time
-    const exactTime = date.toLocaleString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        year: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: true
-    });
+async function withdrawPsbtDecision(id) {
+    try {
+        const result = await fetchDiscussionJson(`${API_BASE}/api/psbts/${id}/approvals`, {
+            method: 'DELETE'
+        }, 'Failed to withdraw your decision');
+        if (!result) return;
+        await refreshPsbtDiscussion(id);
+        scheduleActivityRefresh();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// ============================================
+// Spending policy
+// ============================================
+
+// The session's rules (see /api/policy), or null where there are none to load
+let spendingPolicy = null;
+
+const SATS_PER_BTC = 100000000;
+
+async function loadPolicy() {
+    const policyPanel = document.getElementById('policy-panel');
+    if (!policyPanel) return;
     
-    // Relative time
-    let relative;
-    if (diff < 60000) {
-        relative = 'just now';
-    } else if (diff < 3600000) {
-        const mins = Math.floor(diff / 60000);
-        relative = `${mins} min${mins > 1 ? 's' : ''} ago`;
-    } else if (diff < 86400000) {
-        const hours = Math.floor(diff / 3600000);
-        relative = `${hours} hour${hours > 1 ? 's' : ''} ago`;
-    } else {
-        const days = Math.floor(diff / 86400000);
-        relative = `${days} day${days > 1 ? 's' : ''} ago`;
+    // Anyone could change the public session's rules, so it has none
+    if (currentSessionId === '0') {
+        spendingPolicy = null;
+        policyPanel.innerHTML = '<p class="info">Spending policies are only available in private sessions.</p>';
+        return;
     }
     
-    return { exact: exactTime, relative };
+    try {
+        const response = await fetch(`${API_BASE}/api/policy`, withSession());
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to load spending policy');
+        
+        spendingPolicy = await response.json();
+        displayPolicy();
+    } catch (error) {
+        console.error('Error loading spending policy:', error);
+        policyPanel.innerHTML = `<p class="error-message">Error loading spending policy: ${escapeHtml(error.message)}</p>`;
+    }
 }
 
-// Toast notification system
-function showToast(title, message, type = 'info') {
-    // Create container if it doesn't exist
-    let container = document.querySelector('.toast-container');
-    if (!container) {
-        container = document.createElement('div');
-        container.className = 'toast-container';
-        document.body.appendChild(container);
+function displayPolicy() {
+    const policyPanel = document.getElementById('policy-panel');
+    if (!policyPanel || !spendingPolicy) return;
+    
+    // The server can't read the PSBTs of encrypted sessions, so it can't check them
+    if (isEncryptedSession()) {
+        policyPanel.innerHTML = "<p class=\"info\">Spending policies can't be enforced in end-to-end encrypted sessions: the server can't read their PSBTs.</p>";
+        return;
     }
     
-    const icons = {
-        success: '✅',
-        info: 'ℹ️',
-        warning: '⚠️',
-        error: '❌'
-    };
+    const rules = spendingPolicy.rules;
+    const canEdit = hasRole('coordinator');
+    const disabled = canEdit ? '' : 'disabled';
+    const btcValue = (sats) => (sats === null ? '' : sats / SATS_PER_BTC);
     
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <span class="toast-icon">${icons[type] || icons.info}</span>
-        <div class="toast-content">
-            <div class="toast-title">${escapeHtml(title)}</div>
-            <div class="toast-message">${escapeHtml(message)}</div>
+    policyPanel.innerHTML = `
+        <div class="policy-grid">
+            <div class="form-group">
+                <label for="policy-max-amount">Max per transaction (BTC):</label>
+                <input type="number" id="policy-max-amount" min="0" step="0.00000001" placeholder="No limit" value="${btcValue(rules.max_amount_sats)}" ${disabled}>
+            </div>
+            <div class="form-group">
+                <label for="policy-daily-limit">Max per 24 hours (BTC):</label>
+                <input type="number" id="policy-daily-limit" min="0" step="0.00000001" placeholder="No limit" value="${btcValue(rules.daily_limit_sats)}" ${disabled}>
+            </div>
+            <div class="form-group">
+                <label for="policy-max-fee-rate">Max fee rate (sat/vB):</label>
+                <input type="number" id="policy-max-fee-rate" min="0" step="0.1" placeholder="No limit" value="${rules.max_fee_rate === null ? '' : rules.max_fee_rate}" ${disabled}>
+            </div>
+        </div>
+        <div class="form-group">
+            <label for="policy-allowed-addresses">Allowed destinations (one address per line; leave empty to allow any):</label>
+            <textarea id="policy-allowed-addresses" rows="3" placeholder="bc1q..." ${disabled}>${escapeHtml(rules.allowed_addresses.join('\n'))}</textarea>
+        </div>
+        <div class="policy-footer">
+            <span class="policy-updated">
+                ${spendingPolicy.updated_by
+                    ? `Last changed by ${escapeHtml(spendingPolicy.updated_by)} · ${formatTimestamp(spendingPolicy.updated_at).exact}`
+                    : 'No rules set yet: any PSBT can become ready.'}
+            </span>
+            ${canEdit ? '<button class="btn btn-primary" onclick="savePolicy()">Save Policy</button>' : ''}
         </div>
-        <button class="toast-close">×</button>
     `;
-    
-    container.appendChild(toast);
-    
-    // Close button
-    toast.querySelector('.toast-close').addEventListener('click', () => {
-        toast.style.animation = 'toastSlideOut 0.3s ease forwards';
-        setTimeout(() => toast.remove(), 300);
-    });
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        if (toast.parentNode) {
-            toast.style.animation = 'toastSlideOut 0.3s ease forwards';
-            setTimeout(() => toast.remove(), 300);
-        }
-    }, 5000);
 }
 
-// ==================== DESCRIPTOR MANAGEMENT ====================
-
-// Load saved descriptors from server
-async function loadDescriptors() {
+async function savePolicy() {
+    const readSats = (id) => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : Math.round(parseFloat(value) * SATS_PER_BTC);
+    };
+    const feeRate = document.getElementById('policy-max-fee-rate').value.trim();
+    const rules = {
+        max_amount_sats: readSats('policy-max-amount'),
+        daily_limit_sats: readSats('policy-daily-limit'),
+        max_fee_rate: feeRate === '' ? null : parseFloat(feeRate),
+        allowed_addresses: document.getElementById('policy-allowed-addresses').value
+            .split(/\s+/)
+            .filter(Boolean)
+    };
+    
     try {
-        const response = await fetch(`${API_BASE}/api/descriptors`, withSession());
-        if (!response.ok) throw new Error('Failed to load descriptors');
+        const response = await fetch(`${API_BASE}/api/policy`, withSession({
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rules)
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to save spending policy');
         
-        allDescriptors = await response.json();
-        displayDescriptors();
+        spendingPolicy = result;
+        displayPolicy();
+        // Open PSBTs were checked against the new rules
+        await loadPsbts();
+        showToast('Policy Saved', 'Open PSBTs were checked against the new rules', 'success');
     } catch (error) {
-        console.error('Error loading descriptors:', error);
+        showToast('Error', error.message, 'error');
     }
 }
 
-// Save current descriptor to server
-async function saveDescriptorToServer() {
-    const descriptor = window.currentDescriptor;
-    const m = window.currentDescriptorM;
-    const n = window.currentDescriptorN;
-    const firstAddress = window.currentFirstAddress;
+// The rules a PSBT was checked against, on its card
+function policyVerdictHtml(psbt) {
+    const verdict = psbt.policy_verdict;
+    if (!verdict || verdict.rules.length === 0) return '';
+    return `
+        <div class="psbt-policy ${verdict.passed ? 'passed' : 'failed'}">
+            <strong>🛡️ Spending policy:</strong> ${verdict.passed ? 'passes' : "fails, so it can't become ready"}
+            <ul>
+                ${verdict.rules.map(rule => `
+                    <li>${rule.passed ? '✅' : '❌'} ${escapeHtml(rule.message)}</li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// ============================================
+// Address book
+// ============================================
+
+// Known payees of the session (see /api/addresses). PSBT outputs paying one
+// of them are labelled; any other destination that isn't change is flagged.
+let addressBook = [];
+
+// Entry being edited in the address book form, if any
+let editingAddressId = null;
+
+async function loadAddressBook() {
+    const addressBookDiv = document.getElementById('address-book');
+    if (!addressBookDiv) return;
     
-    if (!descriptor) {
-        showToast('Error', 'No descriptor to save', 'error');
+    // Anyone could vouch for an address in the public session, so it has none
+    if (currentSessionId === '0') {
+        addressBook = [];
+        addressBookDiv.innerHTML = '<p class="info">The address book is only available in private sessions.</p>';
         return;
     }
     
-    // Generate a name
-    const name = `${m}-of-${n} Multisig Wallet`;
-    
     try {
-        const response = await fetch(`${API_BASE}/api/descriptors`, withSession({
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                name,
-                descriptor,
-                m_required: m,
-                n_total: n,
-                first_address: firstAddress
-            })
-        }));
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to save descriptor');
-        }
+        const response = await fetch(`${API_BASE}/api/addresses`, withSession());
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to load address book');
         
-        showToast('Saved', 'Descriptor saved to server for sharing', 'success');
-        await loadDescriptors();
+        addressBook = await decryptRecords('addresses', await response.json());
+        displayAddressBook();
+        scheduleActivityRefresh();
     } catch (error) {
-        showToast('Error', error.message, 'error');
+        console.error('Error loading address book:', error);
+        addressBookDiv.innerHTML = `<p class="error-message">Error loading address book: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Display saved descriptors
-function displayDescriptors() {
-    const descriptorListDiv = document.getElementById('descriptor-list');
-    if (!descriptorListDiv) return;
+function displayAddressBook() {
+    const addressBookDiv = document.getElementById('address-book');
+    if (!addressBookDiv || currentSessionId === '0') return;
     
-    if (allDescriptors.length === 0) {
-        descriptorListDiv.innerHTML = '<p class="info">No saved descriptors yet. Generate a descriptor above and click "Save to Server" to share it.</p>';
-        return;
-    }
+    const canEdit = hasRole('coordinator');
+    const editing = addressBook.find(entry => entry.id === editingAddressId) || null;
+    const entries = [...addressBook].sort((a, b) => a.label.localeCompare(b.label));
     
-    descriptorListDiv.innerHTML = allDescriptors.map(desc => {
-        const gradient = generateGradientFromHash(desc.descriptor);
-        const fingerprint = generatePsbtFingerprint(desc.descriptor);
-        const timestamp = formatTimestamp(desc.created_at);
-        
-        return `
-            <div class="descriptor-item" style="background: ${gradient.gradient}; border-radius: 12px; padding: 15px; margin-bottom: 12px;">
-                <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
-                    <div>
-                        <h4 style="margin: 0; color: #333;">📜 ${escapeHtml(desc.name)}</h4>
-                        <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                            ${desc.m_required}-of-${desc.n_total} Multisig • ${timestamp.exact}
-                        </div>
+    addressBookDiv.innerHTML = `
+        ${entries.length === 0 ? '<p class="info">No known payees yet. Every PSBT output will be flagged as unknown.</p>' : `
+        <div class="address-book-list">
+            ${entries.map(entry => `
+                <div class="address-book-entry">
+                    <div class="address-book-details">
+                        <strong>📒 ${escapeHtml(entry.label)}</strong>
+                        ${entry.owner ? `<span class="address-book-owner">${escapeHtml(entry.owner)}</span>` : ''}
+                        <div class="address-book-address">${escapeHtml(entry.address)}</div>
+                        ${entry.notes ? `<div class="address-book-notes">${escapeHtml(entry.notes)}</div>` : ''}
                     </div>
-                    <span class="psbt-fingerprint" style="background: rgba(0,0,0,0.1); padding: 4px 10px; border-radius: 12px; font-family: monospace; font-size: 12px;">${fingerprint}</span>
-                </div>
-                
-                ${desc.first_address ? `
-                <div style="background: rgba(46, 125, 50, 0.1); border: 1px solid rgba(46, 125, 50, 0.3); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
-                    <div style="font-size: 11px; color: #2e7d32; font-weight: 600;">💰 First Receive Address:</div>
-                    <div style="font-family: monospace; font-size: 12px; color: #1b5e20; word-break: break-all;">${desc.first_address}</div>
-                </div>
-                ` : ''}
-                
-                <div style="display: flex; flex-wrap: wrap; gap: 8px;">
-                    <button class="btn btn-primary btn-sm" onclick="copyDescriptorById(${desc.id})">📋 Copy</button>
-                    <button class="btn btn-info btn-sm" onclick="downloadDescriptorById(${desc.id})">📥 Download</button>
-                    ${desc.first_address ? `<button class="btn btn-secondary btn-sm" onclick="copyToClipboard('${desc.first_address}', 'Address')">📋 Copy Address</button>` : ''}
-                    <button class="btn btn-danger btn-sm" onclick="deleteDescriptor(${desc.id})">🗑️ Delete</button>
+                    ${canEdit ? `
+                    <div class="address-book-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="editAddressBookEntry('${entry.id}')">✏️ Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="deleteAddressBookEntry('${entry.id}')">🗑️ Delete</button>
+                    </div>
+                    ` : ''}
                 </div>
+            `).join('')}
+        </div>
+        `}
+        ${canEdit ? `
+        <div class="address-book-form">
+            <h4>${editing ? `Edit "${escapeHtml(editing.label)}"` : 'Add a payee'}</h4>
+            <input type="text" id="address-book-address" placeholder="bc1q..." value="${editing ? escapeHtml(editing.address) : ''}" ${editing ? 'disabled' : ''}>
+            <div class="address-book-form-row">
+                <input type="text" id="address-book-label" placeholder="Label, e.g. Exchange deposit" value="${editing ? escapeHtml(editing.label) : ''}">
+                <input type="text" id="address-book-owner" placeholder="Owner (optional)" value="${editing && editing.owner ? escapeHtml(editing.owner) : ''}">
             </div>
-        `;
-    }).join('');
+            <textarea id="address-book-notes" rows="2" placeholder="Notes (optional)">${editing && editing.notes ? escapeHtml(editing.notes) : ''}</textarea>
+            <div class="address-book-form-row">
+                ${editing ? '<button class="btn btn-secondary" onclick="cancelAddressBookEdit()">Cancel</button>' : ''}
+                <button class="btn btn-primary" onclick="saveAddressBookEntry()">${editing ? 'Save Changes' : 'Add Payee'}</button>
+            </div>
+        </div>
+        ` : ''}
+    `;
 }
 
-// Copy descriptor by ID
-function copyDescriptorById(id) {
-    const desc = allDescriptors.find(d => d.id === id);
-    if (desc) {
-        copyToClipboard(desc.descriptor, 'Descriptor');
-    }
+function editAddressBookEntry(id) {
+    editingAddressId = id;
+    displayAddressBook();
 }
 
-// Download descriptor by ID
-function downloadDescriptorById(id) {
-    const desc = allDescriptors.find(d => d.id === id);
-    if (!desc) return;
-    
-    const content = `# Multisig Wallet Descriptor
-# Configuration: ${desc.m_required}-of-${desc.n_total}
-# Type: Native Segwit (P2WSH)
-# Generated: ${desc.created_at}
-
-# Wallet Descriptor (import this into Sparrow Wallet or Bitcoin Core):
-${desc.descriptor}
-
-# First Receive Address (Index 0):
-${desc.first_address || 'N/A'}
+function cancelAddressBookEdit() {
+    editingAddressId = null;
+    displayAddressBook();
+}
 
-# Instructions:
-# 1. Open Sparrow Wallet (or similar software)
-# 2. Create New Wallet → Import External → Descriptor
-# 3. Paste the descriptor above
-# 4. The wallet will generate addresses matching this multisig configuration
-`;
-    
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `multisig_${desc.m_required}of${desc.n_total}_descriptor.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+// Add a payee, or save the entry being edited (its address can't change)
+async function saveAddressBookEntry() {
+    const address = document.getElementById('address-book-address').value.trim();
+    const details = {
+        label: document.getElementById('address-book-label').value.trim(),
+        owner: document.getElementById('address-book-owner').value.trim(),
+        notes: document.getElementById('address-book-notes').value.trim()
+    };
     
-    showToast('Downloaded', 'Descriptor file saved', 'success');
+    try {
+        if (!details.label) throw new Error('Please enter a label');
+        
+        let response;
+        if (editingAddressId) {
+            response = await fetch(`${API_BASE}/api/addresses/${editingAddressId}`, withSession({
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(await encryptRecord('addresses', details, editingAddressId))
+            }));
+        } else {
+            // The server can't check encrypted addresses, so check them here
+            if (!bitcoin) initializeBitcoinLibraries();
+            if (!bitcoin) throw new Error('Bitcoin libraries not loaded. Please refresh the page.');
+            try {
+                bitcoin.address.toOutputScript(address, bitcoin.networks.bitcoin);
+            } catch (e) {
+                throw new Error('Invalid Bitcoin address');
+            }
+            if (findPayee(address)) throw new Error('This address is already in the address book');
+            
+            response = await fetch(`${API_BASE}/api/addresses`, withSession({
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(await encryptRecord('addresses', { address, ...details }))
+            }));
+        }
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to save payee');
+        
+        editingAddressId = null;
+        await loadAddressBook();
+        showToast('Address Book Updated', `"${details.label}" has been saved`, 'success');
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
 }
 
-// Delete descriptor
-async function deleteDescriptor(id) {
-    if (!confirm('Are you sure you want to delete this saved descriptor?')) return;
+async function deleteAddressBookEntry(id) {
+    const entry = addressBook.find(e => e.id === id);
+    if (!entry || !confirm(`Remove "${entry.label}" from the address book? Outputs paying it will be flagged as unknown.`)) return;
     
     try {
-        const response = await fetch(`${API_BASE}/api/descriptors/${id}`, {
+        const response = await fetch(`${API_BASE}/api/addresses/${id}`, withSession({
             method: 'DELETE'
-        });
-        
-        if (!response.ok) throw new Error('Failed to delete descriptor');
+        }));
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to delete payee');
         
-        await loadDescriptors();
-        showToast('Deleted', 'Descriptor has been removed', 'success');
+        if (editingAddressId === id) editingAddressId = null;
+        await loadAddressBook();
+        showToast('Deleted', `"${entry.label}" has been removed`, 'success');
     } catch (error) {
         showToast('Error', error.message, 'error');
     }
 }
 
-// Update auto-generated label placeholder
-function updateAutoLabelPlaceholder() {
-    const nextNum = allXpubs.length + 1;
-    const placeholder = `Key #${nextNum}`;
-    xpubLabelInput.placeholder = placeholder;
-    
-    // Update hint visibility
-    const hint = document.getElementById('auto-label-hint');
-    if (hint) {
-        hint.textContent = `(will use "${placeholder}" if empty)`;
+function findPayee(address) {
+    return addressBook.find(entry => entry.address === address) || null;
+}
+
+// Whoever uploads a PSBT chooses the key derivations and scripts it carries,
+// so an output only counts as change when its script is a multisig with the
+// inputs' M-of-N whose every key derives from one of the session's xpubs or
+// descriptor keys (the server's spending policy checks the same way)
+
+// Version bytes of the extended public key prefixes the app accepts
+const XPUB_VERSIONS = {
+    xpub: 0x0488b21e,
+    ypub: 0x049d7cb2,
+    zpub: 0x04b24746,
+    Ypub: 0x0295b43f,
+    Zpub: 0x02aa7ed3
+};
+const WALLET_XPUB_PATTERN = /[xyzYZ]pub[1-9A-HJ-NP-Za-km-z]{70,120}/g;
+
+// Most unhardened steps derived below a session key (change/index needs two)
+const MAX_DERIVATION_STEPS = 4;
+
+let walletNodes = { source: null, nodes: [] };
+
+// BIP32 nodes of the session's xpubs and descriptor keys, parsed again only
+// when those change
+function walletKeyNodes() {
+    const keys = allXpubs.map(xpub => String(xpub.xpub).trim());
+    allDescriptors.forEach(descriptor => {
+        keys.push(...(String(descriptor.descriptor).match(WALLET_XPUB_PATTERN) || []));
+    });
+    const source = [...new Set(keys)].join(',');
+    if (walletNodes.source !== source) {
+        const nodes = [...new Set(keys)].map(key => {
+            const version = XPUB_VERSIONS[key.slice(0, 4)];
+            if (!version) return null;
+            try {
+                return bitcoin.bip32.fromBase58(key, { ...bitcoin.networks.bitcoin, bip32: { public: version, private: 0 } });
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+        walletNodes = { source, nodes };
     }
+    return walletNodes.nodes;
 }
 
-// ==================== BROADCAST FUNCTIONALITY ====================
+// { m, pubkeys } of an OP_CHECKMULTISIG script, or null
+function multisigScriptKeys(script) {
+    if (!script) return null;
+    try {
+        const decompiled = bitcoin.script.decompile(script);
+        if (!decompiled || decompiled.length < 4 ||
+            decompiled[decompiled.length - 1] !== bitcoin.opcodes.OP_CHECKMULTISIG) return null;
+        const first = decompiled[0];
+        const m = typeof first === 'number' ? first - (bitcoin.opcodes.OP_1 - 1) : bitcoin.script.number.decode(Buffer.from(first));
+        const pubkeys = decompiled.slice(1, -2);
+        if (!(m >= 1 && m <= pubkeys.length) ||
+            !pubkeys.every(pubkey => pubkey instanceof Uint8Array && (pubkey.length === 33 || pubkey.length === 65))) {
+            return null;
+        }
+        return { m, pubkeys: pubkeys.map(pubkey => Buffer.from(pubkey)) };
+    } catch (e) {
+        return null;
+    }
+}
 
-// Broadcast endpoints configuration
-const BROADCAST_ENDPOINTS = [
-    {
-        name: 'Blockstream',
-        url: 'https://blockstream.info/api/tx',
-        method: 'POST',
-        contentType: 'text/plain',
-        formatBody: (hex) => hex,
-        parseResponse: (text) => text.trim(), // Returns txid
-        explorerUrl: (txid) => `https://blockstream.info/tx/${txid}`
-    },
-    {
-        name: 'Mempool.space',
-        url: 'https://mempool.space/api/tx',
-        method: 'POST',
-        contentType: 'text/plain',
-        formatBody: (hex) => hex,
-        parseResponse: (text) => text.trim(), // Returns txid
-        explorerUrl: (txid) => `https://mempool.space/tx/${txid}`
+// Whether deriving the rest of a PSBT key derivation's path below one of the
+// wallet's nodes gives its pubkey
+function isWalletKey(nodes, derivation) {
+    const steps = derivation.path.split('/').slice(1).map(step => step.match(/^(\d+)(['hH]?)$/));
+    if (!steps.every(Boolean)) return false;
+    return nodes.some(node => {
+        const rest = steps.slice(node.depth);
+        if (steps.length < node.depth || rest.length > MAX_DERIVATION_STEPS || rest.some(step => step[2])) return false;
+        try {
+            const child = rest.reduce((parent, step) => parent.derive(Number(step[1])), node);
+            return Buffer.from(child.publicKey).equals(Buffer.from(derivation.pubkey));
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+function isChangeOutput(psbt, index) {
+    const output = psbt.data.outputs[index] || {};
+    const input = psbt.data.inputs[0] || {};
+    const multisig = multisigScriptKeys(output.witnessScript || output.redeemScript);
+    const spent = multisigScriptKeys(input.witnessScript || input.redeemScript);
+    if (!multisig || !spent || multisig.m !== spent.m || multisig.pubkeys.length !== spent.pubkeys.length) {
+        return false;
     }
-];
 
-// Verification endpoints (we check these AFTER broadcasting to confirm propagation)
-const VERIFY_ENDPOINTS = [
-    {
-        name: 'Blockstream',
-        checkUrl: (txid) => `https://blockstream.info/api/tx/${txid}`,
-        parseExists: (response) => response.ok
-    },
-    {
-        name: 'Mempool.space',
-        checkUrl: (txid) => `https://mempool.space/api/tx/${txid}`,
-        parseExists: (response) => response.ok
-    },
-    {
-        name: 'Blockchain.info',
-        checkUrl: (txid) => `https://blockchain.info/rawtx/${txid}?cors=true`,
-        parseExists: (response) => response.ok
+    const nodes = walletKeyNodes();
+    const derivations = output.bip32Derivation || [];
+    const ownKeys = nodes.length > 0 && multisig.pubkeys.every(pubkey => derivations.some(derivation =>
+        Buffer.from(derivation.pubkey).equals(pubkey) && isWalletKey(nodes, derivation)
+    ));
+    if (!ownKeys) return false;
+
+    const network = bitcoin.networks.bitcoin;
+    const redeem = bitcoin.payments.p2ms({ m: multisig.m, pubkeys: multisig.pubkeys, network });
+    const witness = bitcoin.payments.p2wsh({ redeem, network });
+    const script = Buffer.from(psbt.txOutputs[index].script);
+    return [
+        witness.output,
+        bitcoin.payments.p2sh({ redeem: witness, network }).output,
+        bitcoin.payments.p2sh({ redeem, network }).output
+    ].some(candidate => Buffer.from(candidate).equals(script));
+}
+
+// Badge naming who an output pays (see parsePsbtDetails)
+function payeeBadgeHtml(output) {
+    if (output.change) {
+        return '<span class="payee-badge change">↩️ Change</span>';
     }
-];
+    if (output.payee) {
+        return `<span class="payee-badge known" title="${escapeHtml(output.payee.notes || '')}">📒 ${escapeHtml(output.payee.label)}${output.payee.owner ? ` (${escapeHtml(output.payee.owner)})` : ''}</span>`;
+    }
+    return '<span class="payee-badge unknown">⚠️ UNKNOWN ADDRESS</span>';
+}
 
-// Finalize a PSBT and extract the raw transaction hex
-function finalizePsbt(psbtData) {
+// Warning shown above a transaction's outputs when it pays anyone who isn't
+// in the address book
+function unknownPayeesHtml(outputs) {
+    const unknown = outputs.filter(output => !output.change && !output.payee);
+    if (unknown.length === 0) return '';
+    return `
+        <div class="payee-warning">
+            ⚠️ <strong>${unknown.length === 1 ? '1 output pays an address' : `${unknown.length} outputs pay addresses`} that ${unknown.length === 1 ? "isn't" : "aren't"} in the address book.</strong>
+            Confirm ${unknown.length === 1 ? 'it' : 'them'} with the recipient over another channel before signing.
+        </div>
+    `;
+}
+
+// One line per output: who it pays, the address and the amount
+function payeeOutputsHtml(outputs) {
+    return outputs.map((out, i) => `
+        <div class="payee-output ${!out.change && !out.payee ? 'unknown' : ''}">
+            <div><strong>#${i}:</strong> ${payeeBadgeHtml(out)} ${formatSatoshis(out.value)}</div>
+            <div class="payee-output-address">${escapeHtml(out.address)}</div>
+        </div>
+    `).join('');
+}
+
+// Decode a PSBT given as base64 or hex
+function decodePsbtString(psbtString) {
     try {
-        const psbt = bitcoin.Psbt.fromBase64(psbtData);
-        
-        // Check if already finalized
-        let needsFinalize = false;
-        for (const input of psbt.data.inputs) {
-            if (!input.finalScriptSig && !input.finalScriptWitness) {
-                needsFinalize = true;
-                break;
-            }
-        }
-        
-        if (needsFinalize) {
-            psbt.finalizeAllInputs();
+        return bitcoin.Psbt.fromBase64(psbtString.trim());
+    } catch (e) {
+        try {
+            return bitcoin.Psbt.fromHex(psbtString.trim());
+        } catch (e2) {
+            throw new Error('Invalid PSBT format. Use base64 or hex encoding.');
         }
-        
-        const tx = psbt.extractTransaction();
-        return {
-            success: true,
-            hex: tx.toHex(),
-            txid: tx.getId()
-        };
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message
-        };
     }
 }
 
-// Broadcast transaction to a single endpoint
-async function broadcastToEndpoint(endpoint, txHex) {
-    try {
-        const response = await fetch(endpoint.url, {
-            method: endpoint.method,
-            headers: {
-                'Content-Type': endpoint.contentType
-            },
-            body: endpoint.formatBody(txHex)
-        });
-        
-        if (response.ok) {
-            const text = await response.text();
-            const txid = endpoint.parseResponse(text);
-            return {
-                success: true,
-                endpoint: endpoint.name,
-                txid: txid,
-                explorerUrl: endpoint.explorerUrl(txid)
-            };
-        } else {
-            const errorText = await response.text();
-            return {
-                success: false,
-                endpoint: endpoint.name,
-                error: errorText || `HTTP ${response.status}`
-            };
-        }
-    } catch (error) {
-        return {
-            success: false,
-            endpoint: endpoint.name,
-            error: error.message
-        };
-    }
+const toHex = (bytes) => (bytes ? Buffer.from(bytes).toString('hex') : null);
+
+// "fingerprint/path pubkey" for each BIP32 derivation, in a stable order
+function formatDerivations(derivations) {
+    return (derivations || [])
+        .map(d => `${toHex(d.masterFingerprint)}${d.path.replace(/^m/, '')} ${toHex(d.pubkey)}`)
+        .sort()
+        .join('\n') || null;
 }
 
-// Verify transaction exists on an endpoint (to confirm propagation)
-async function verifyOnEndpoint(verifyEndpoint, txid, broadcastedTo) {
-    // Skip if we directly broadcast to this endpoint
-    if (broadcastedTo.includes(verifyEndpoint.name)) {
-        return {
-            endpoint: verifyEndpoint.name,
-            status: 'skipped',
-            reason: 'Direct broadcast target'
-        };
-    }
+// The fields of a PSBT that a diff compares, built on parsePsbtDetails()
+function describePsbtForDiff(psbt) {
+    const details = parsePsbtDetails(psbt);
     
-    try {
-        const response = await fetch(verifyEndpoint.checkUrl(txid), {
-            method: 'GET'
-        });
-        
-        const exists = verifyEndpoint.parseExists(response);
-        return {
-            endpoint: verifyEndpoint.name,
-            status: exists ? 'confirmed' : 'not_found',
-            independent: true // This is an independent verification
-        };
-    } catch (error) {
-        return {
-            endpoint: verifyEndpoint.name,
-            status: 'error',
-            error: error.message
-        };
-    }
+    return {
+        version: psbt.version,
+        locktime: psbt.locktime,
+        fee: details.fee,
+        inputs: details.inputs.map((input, i) => {
+            const data = psbt.data.inputs[i];
+            return {
+                outpoint: `${input.txid}:${input.vout}`,
+                value: input.value,
+                sequence: psbt.txInputs[i].sequence,
+                sighashType: data.sighashType === undefined ? null : data.sighashType,
+                witnessScript: toHex(data.witnessScript),
+                redeemScript: toHex(data.redeemScript),
+                bip32Derivation: formatDerivations(data.bip32Derivation),
+                finalized: !!(data.finalScriptWitness || data.finalScriptSig),
+                partialSig: Object.fromEntries((data.partialSig || []).map(sig => [toHex(sig.pubkey), toHex(sig.signature)]))
+            };
+        }),
+        outputs: details.outputs.map((output, i) => ({
+            address: output.address,
+            value: output.value,
+            bip32Derivation: formatDerivations(psbt.data.outputs[i].bip32Derivation)
+        }))
+    };
 }
 
-// Main broadcast function with verification
-async function broadcastTransaction(psbtId) {
-    const psbtData = allPsbts.find(p => p.id === psbtId);
-    if (!psbtData) {
-        showToast('Error', 'PSBT not found', 'error');
-        return;
-    }
-    
-    // Show broadcast modal
-    const modal = showBroadcastModal(psbtData);
-    const statusContainer = modal.querySelector('#broadcast-status');
-    const resultContainer = modal.querySelector('#broadcast-result');
+const DIFF_INPUT_FIELDS = ['outpoint', 'value', 'sequence', 'sighashType', 'witnessScript', 'redeemScript', 'bip32Derivation', 'finalized'];
+const DIFF_OUTPUT_FIELDS = ['address', 'value', 'bip32Derivation'];
+
+// Compare two PSBTs field by field. Cosigners should only ever add partial
+// signatures, so every other difference (including removed or replaced
+// signatures) is a red flag. Returns { changes, signaturesAdded, redFlags }
+// where each change is { location, field, before, after, redFlag }.
+function diffPsbts(beforePsbt, afterPsbt) {
+    const before = describePsbtForDiff(beforePsbt);
+    const after = describePsbtForDiff(afterPsbt);
+    const changes = [];
+    const compare = (location, field, a, b) => {
+        if (a !== b) changes.push({ location, field, before: a, after: b, redFlag: true });
+    };
     
-    // Step 1: Finalize PSBT
-    updateBroadcastStatus(statusContainer, 'finalize', 'pending', 'Finalizing PSBT...');
+    compare('Transaction', 'version', before.version, after.version);
+    compare('Transaction', 'locktime', before.locktime, after.locktime);
+    compare('Transaction', 'fee', before.fee, after.fee);
     
-    const finalizeResult = finalizePsbt(psbtData.psbt_data);
-    if (!finalizeResult.success) {
-        updateBroadcastStatus(statusContainer, 'finalize', 'error', `Failed: ${finalizeResult.error}`);
-        return;
+    for (let i = 0; i < Math.max(before.inputs.length, after.inputs.length); i++) {
+        const a = before.inputs[i];
+        const b = after.inputs[i];
+        const location = `Input #${i}`;
+        if (!a || !b) {
+            changes.push({ location, field: 'input', before: a ? a.outpoint : null, after: b ? b.outpoint : null, redFlag: true });
+            continue;
+        }
+        DIFF_INPUT_FIELDS.forEach(field => compare(location, field, a[field], b[field]));
+        
+        const pubkeys = new Set([...Object.keys(a.partialSig), ...Object.keys(b.partialSig)]);
+        pubkeys.forEach(pubkey => {
+            const field = `signature ${describeSigner(pubkey)}`;
+            if (a.partialSig[pubkey] === b.partialSig[pubkey]) return;
+            changes.push({
+                location,
+                field,
+                before: a.partialSig[pubkey] || null,
+                after: b.partialSig[pubkey] || null,
+                // Only a signature that wasn't there before is expected
+                redFlag: !!a.partialSig[pubkey]
+            });
+        });
     }
     
-    updateBroadcastStatus(statusContainer, 'finalize', 'success', `Finalized! TxID: ${finalizeResult.txid.substring(0, 16)}...`);
+    for (let i = 0; i < Math.max(before.outputs.length, after.outputs.length); i++) {
+        const a = before.outputs[i];
+        const b = after.outputs[i];
+        const location = `Output #${i}`;
+        if (!a || !b) {
+            changes.push({ location, field: 'output', before: a ? a.address : null, after: b ? b.address : null, redFlag: true });
+            continue;
+        }
+        DIFF_OUTPUT_FIELDS.forEach(field => compare(location, field, a[field], b[field]));
+    }
     
-    const txHex = finalizeResult.hex;
-    const txid = finalizeResult.txid;
+    return {
+        changes,
+        signaturesAdded: changes.filter(change => !change.redFlag).length,
+        redFlags: changes.filter(change => change.redFlag).length
+    };
+}
+
+// Short display form of a compared value (scripts and signatures can be long)
+function formatDiffValue(value) {
+    if (value === null || value === undefined) return '<em>none</em>';
+    const text = String(value);
+    const short = text.length > 24 && !text.includes('\n') ? `${text.substring(0, 12)}...${text.substring(text.length - 8)}` : text;
+    return `<span title="${escapeHtml(text)}">${escapeHtml(short).replace(/\n/g, '<br>')}</span>`;
+}
+
+// Show the changes from one PSBT (string) to another
+function showPsbtDiffModal(title, beforeLabel, afterLabel, beforeData, afterData) {
+    const diff = diffPsbts(decodePsbtString(beforeData), decodePsbtString(afterData));
     
-    // Step 2: Broadcast to all endpoints in parallel
-    updateBroadcastStatus(statusContainer, 'broadcast', 'pending', 'Broadcasting to network...');
+    let summary;
+    if (diff.redFlags > 0) {
+        summary = `<div class="diff-summary red-flag">🚩 ${diff.redFlags} change${diff.redFlags === 1 ? '' : 's'} besides new signatures. Do not sign or merge until you know why.</div>`;
+    } else if (diff.signaturesAdded > 0) {
+        summary = `<div class="diff-summary ok">✅ Only signatures were added (${diff.signaturesAdded}).</div>`;
+    } else {
+        summary = '<div class="diff-summary ok">✅ The PSBTs are identical.</div>';
+    }
     
-    const broadcastPromises = BROADCAST_ENDPOINTS.map(endpoint => 
-        broadcastToEndpoint(endpoint, txHex)
-    );
+    const rows = diff.changes.map(change => `
+        <tr class="${change.redFlag ? 'diff-red-flag' : 'diff-signature'}">
+            <td>${change.redFlag ? '🚩' : '✍️'} ${escapeHtml(change.location)}</td>
+            <td>${escapeHtml(change.field)}</td>
+            <td>${formatDiffValue(change.before)}</td>
+            <td>${formatDiffValue(change.after)}</td>
+        </tr>
+    `).join('');
     
-    const broadcastResults = await Promise.all(broadcastPromises);
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 760px; max-height: 80vh; overflow-y: auto;">
+            <h3>🔍 ${escapeHtml(title)}</h3>
+            ${summary}
+            ${rows ? `
+            <table class="diff-table">
+                <thead>
+                    <tr><th>Where</th><th>Field</th><th>${escapeHtml(beforeLabel)}</th><th>${escapeHtml(afterLabel)}</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ` : ''}
+            <div style="display: flex; justify-content: flex-end; margin-top: 15px;">
+                <button class="btn btn-primary" id="diff-close">Close</button>
+            </div>
+        </div>
+    `;
     
-    // Track which endpoints accepted the broadcast
-    const successfulBroadcasts = broadcastResults.filter(r => r.success);
-    const failedBroadcasts = broadcastResults.filter(r => !r.success);
+    document.body.appendChild(overlay);
     
-    // Update broadcast status for each endpoint
-    broadcastResults.forEach(result => {
-        const statusClass = result.success ? 'success' : 'error';
-        const icon = result.success ? '✅' : '❌';
-        const message = result.success 
-            ? `Accepted` 
-            : `Failed: ${result.error.substring(0, 50)}`;
-        
-        addEndpointStatus(statusContainer, 'broadcast', result.endpoint, statusClass, `${icon} ${message}`);
+    const close = () => document.body.removeChild(overlay);
+    document.getElementById('diff-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
     });
-    
-    if (successfulBroadcasts.length === 0) {
-        updateBroadcastStatus(statusContainer, 'broadcast', 'error', 'All broadcasts failed!');
-        showBroadcastResult(resultContainer, false, 'Transaction broadcast failed. Please try again later.');
-        return;
+}
+
+// Fetch a stored revision's (decrypted) PSBT data
+async function fetchPsbtRevisionData(id, revision) {
+    const response = await fetch(`${API_BASE}/api/psbts/${id}/revisions/${revision}`, withSession());
+    if (handleSessionExpired(response)) throw new Error('Your session has expired');
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to load revision');
+    // Every revision's data is bound to the PSBT, not to the revision
+    return (await decryptRecord('psbts', result, id)).psbt_data;
+}
+
+// Show what a revision changed compared with the one before it
+async function showRevisionDiff(id, revision) {
+    try {
+        if (!bitcoin) initializeBitcoinLibraries();
+        const [beforeData, afterData] = await Promise.all([
+            fetchPsbtRevisionData(id, revision - 1),
+            fetchPsbtRevisionData(id, revision)
+        ]);
+        showPsbtDiffModal(`Changes in revision #${revision}`, `#${revision - 1}`, `#${revision}`, beforeData, afterData);
+    } catch (error) {
+        showToast('Error', error.message, 'error');
     }
+}
+
+// Compare a stored PSBT with another one in the session or a pasted/uploaded PSBT
+function showPsbtCompareModal(id) {
+    const psbt = allPsbts.find(p => p.id === id);
+    if (!psbt) return;
+    if (!bitcoin) initializeBitcoinLibraries();
     
-    updateBroadcastStatus(statusContainer, 'broadcast', 'success', 
-        `Sent to ${successfulBroadcasts.length}/${BROADCAST_ENDPOINTS.length} endpoints`);
-    
-    // Step 3: Wait and verify propagation on INDEPENDENT endpoints
-    updateBroadcastStatus(statusContainer, 'verify', 'pending', 'Verifying network propagation...');
-    
-    // Wait a few seconds for propagation
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    const broadcastedToNames = successfulBroadcasts.map(r => r.endpoint);
-    const verifyPromises = VERIFY_ENDPOINTS.map(endpoint =>
-        verifyOnEndpoint(endpoint, txid, broadcastedToNames)
-    );
+    const others = allPsbts.filter(p => p.id !== id);
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content">
+            <h3>🔍 Compare "${escapeHtml(psbt.name)}"</h3>
+            <p style="margin-bottom: 15px; color: #666;">
+                Check that a PSBT sent back by a cosigner only adds signatures to this one.
+            </p>
+            ${others.length > 0 ? `
+            <div class="form-group">
+                <label for="compare-psbt-select">With another PSBT in this session:</label>
+                <select id="compare-psbt-select">
+                    <option value="">Paste or upload a PSBT instead</option>
+                    ${others.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+                </select>
+            </div>
+            ` : ''}
+            <div class="form-group">
+                <label>Upload .psbt file:</label>
+                <input type="file" id="compare-psbt-file" accept=".psbt,.txt" style="margin-bottom: 10px;">
+            </div>
+            <div class="form-group">
+                <label>Or paste PSBT (Base64 or Hex):</label>
+                <textarea id="compare-psbt-input" rows="6" style="width: 100%; font-family: monospace; font-size: 12px;"></textarea>
+            </div>
+            <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 15px;">
+                <button class="btn btn-secondary" id="compare-cancel">Cancel</button>
+                <button class="btn btn-primary" id="compare-submit">Compare</button>
+            </div>
+        </div>
+    `;
     
-    const verifyResults = await Promise.all(verifyPromises);
+    document.body.appendChild(overlay);
     
-    // Check for independent confirmations
-    const independentConfirmations = verifyResults.filter(r => 
-        r.status === 'confirmed' && r.independent
-    );
+    const textInput = document.getElementById('compare-psbt-input');
+    const select = document.getElementById('compare-psbt-select');
+    const close = () => document.body.removeChild(overlay);
     
-    // Update verify status for each endpoint
-    verifyResults.forEach(result => {
-        if (result.status === 'skipped') return; // Don't show skipped endpoints
-        
-        const statusClass = result.status === 'confirmed' ? 'success' : 'warning';
-        const icon = result.status === 'confirmed' ? '🌐' : '⏳';
-        const message = result.status === 'confirmed' 
-            ? 'Confirmed on network!' 
-            : 'Not seen yet';
-        
-        addEndpointStatus(statusContainer, 'verify', result.endpoint, statusClass, `${icon} ${message}`);
+    document.getElementById('compare-psbt-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const content = event.target.result;
+            textInput.value = content instanceof ArrayBuffer
+                ? btoa(String.fromCharCode.apply(null, new Uint8Array(content)))
+                : content.trim();
+        };
+        if (file.name.endsWith('.psbt')) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
     });
     
-    // Final result
-    if (independentConfirmations.length > 0) {
-        updateBroadcastStatus(statusContainer, 'verify', 'success', 
-            `✨ Independently confirmed on ${independentConfirmations.length} service(s)!`);
-        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl);
-        
-        // Update PSBT status in database
-        await updatePsbtBroadcastStatus(psbtId, txid);
-    } else if (successfulBroadcasts.length > 0) {
-        updateBroadcastStatus(statusContainer, 'verify', 'warning', 
-            'Broadcast accepted, waiting for network propagation...');
-        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl, true);
-        
-        // Still update status - it was accepted
-        await updatePsbtBroadcastStatus(psbtId, txid);
+    document.getElementById('compare-cancel').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.getElementById('compare-submit').addEventListener('click', async () => {
+        try {
+            const other = select && select.value ? await fetchPsbt(select.value) : null;
+            const otherData = other ? other.psbt_data : textInput.value.trim();
+            if (!otherData) {
+                showToast('Nothing to Compare', 'Choose a PSBT, upload a file or paste one', 'warning');
+                return;
+            }
+            
+            const stored = await fetchPsbt(id);
+            if (!stored) return;
+            showPsbtDiffModal(
+                `${psbt.name} → ${other ? other.name : 'pasted PSBT'}`,
+                psbt.name,
+                other ? other.name : 'Pasted',
+                stored.psbt_data,
+                otherData
+            );
+            close();
+        } catch (error) {
+            showToast('Error', error.message, 'error');
+        }
+    });
+}
+
+// Show what differs between two conflicting PSBTs
+async function compareConflictingPsbts(id, otherId) {
+    try {
+        const [psbt, other] = await Promise.all([fetchPsbt(id), fetchPsbt(otherId)]);
+        if (!psbt || !other) return;
+        showPsbtDiffModal('Conflicting PSBTs', psbt.name, other.name, psbt.psbt_data, other.psbt_data);
+    } catch (error) {
+        showToast('Error', error.message, 'error');
     }
 }
 
-// Update PSBT status after broadcast
-async function updatePsbtBroadcastStatus(psbtId, txid) {
+// Keep one PSBT of a conflict and delete the ones it conflicts with
+async function keepConflictingPsbt(id) {
+    const psbt = allPsbts.find(p => p.id === id);
+    const discard = listedPsbtConflicts().get(id) || [];
+    if (!psbt || discard.length === 0) return;
+    
+    const names = discard.map(otherId => {
+        const other = findLoadedPsbt(otherId);
+        return `"${other ? other.name : otherId}"`;
+    }).join(', ');
+    if (!confirm(`Keep "${psbt.name}" and move ${names} to the trash?`)) return;
+    
     try {
-        await fetch(`${API_BASE}/api/psbts/${psbtId}/broadcast`, withSession({
-            method: 'PATCH',
+        const response = await fetch(`${API_BASE}/api/psbts/${id}/resolve-conflict`, withSession({
+            method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                txid: txid,
-                status: 'broadcast',
-                confirmations: 0
-            })
+            body: JSON.stringify({ discard })
         }));
-        await loadPsbts();
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to resolve conflict');
         
-        // Start confirmation tracking for this transaction
-        startConfirmationTracking(psbtId, txid);
+        expandedPsbtId = id;
+        await loadPsbts();
+        showToast('Conflict Resolved', `Kept "${psbt.name}" and moved ${names} to the trash`, 'success');
     } catch (error) {
-        console.error('Failed to update PSBT status:', error);
+        showToast('Error', error.message, 'error');
     }
 }
 
-// ==================== CONFIRMATION TRACKING ====================
+async function deletePsbt(id) {
+    if (!confirm('Move this PSBT to the trash? It can be restored from the trash until it is deleted for good.')) return;
 
-// Store active polling timers
-const confirmationPollers = new Map();
+    try {
+        const response = await fetch(`${API_BASE}/api/psbts/${id}`, withSession({
+            method: 'DELETE'
+        }));
 
-// Check transaction confirmations from blockchain API
-async function checkConfirmations(txid) {
+        if (!response.ok) throw new Error('Failed to delete PSBT');
+
+        await loadPsbts();
+        showToast('PSBT Deleted', 'Transaction has been moved to the trash', 'success');
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Archive a final PSBT (archived true), which hides it from the list unless
+// the "Archived" filter is picked, or bring it back
+async function setPsbtArchived(id, archived) {
     try {
-        // Try Blockstream API first
-        const response = await fetch(`https://blockstream.info/api/tx/${txid}`);
-        if (response.ok) {
-            const txData = await response.json();
-            
+        const response = await fetch(`${API_BASE}/api/psbts/${id}/${archived ? 'archive' : 'unarchive'}`, withSession({
+            method: 'POST'
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Failed to ${archived ? 'archive' : 'unarchive'} PSBT`);
+        
+        await loadPsbts();
+        showToast(
+            archived ? 'PSBT Archived' : 'PSBT Unarchived',
+            archived ? 'Pick "Archived" in the status filter to see it again' : 'It is back in the PSBT list',
+            'success'
+        );
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Toggle PSBT QR code
+async function togglePsbtQR(id) {
+    const qrContainer = document.getElementById(`psbt-qr-${id}`);
+    if (qrContainer.style.display === 'none') {
+        let psbt;
+        try {
+            psbt = await fetchPsbt(id);
+        } catch (error) {
+            showToast('Error', error.message, 'error');
+            return;
+        }
+        if (!psbt) return;
+        const psbtData = psbt.psbt_data;
+        qrContainer.style.display = 'block';
+        qrContainer.innerHTML = '<p style="margin-bottom: 15px; color: #666;">Scan this QR code with your hardware wallet or mobile signer</p>';
+        const qrDiv = document.createElement('div');
+        qrContainer.appendChild(qrDiv);
+        new QRCode(qrDiv, {
+            text: psbtData,
+            width: 300,
+            height: 300,
+            colorDark: "#000000",
+            colorLight: "#ffffff",
+            correctLevel: QRCode.CorrectLevel.L // Low error correction for max data
+        });
+    } else {
+        qrContainer.style.display = 'none';
+    }
+}
+
+// Auto-validate PSBT after file upload
+function autoValidateUploadedPsbt(filename) {
+    try {
+        // Initialize libraries if not done yet
+        if (!bitcoin) {
+            initializeBitcoinLibraries();
+        }
+        
+        if (!bitcoin) {
+            psbtUploadOutput.className = 'output success';
+            psbtUploadOutput.innerHTML = `<p class="success-message">✅ File loaded: ${escapeHtml(filename)}</p><p class="info">Libraries loading... validation pending</p>`;
+            return;
+        }
+        
+        const psbtString = uploadedPsbtData;
+        if (!psbtString) return;
+        
+        // Try to parse PSBT
+        let psbt;
+        try {
+            psbt = bitcoin.Psbt.fromBase64(psbtString);
+        } catch (e) {
+            try {
+                psbt = bitcoin.Psbt.fromHex(psbtString);
+            } catch (e2) {
+                psbtUploadOutput.className = 'output error';
+                psbtUploadOutput.innerHTML = `<p class="error-message">❌ Invalid PSBT file: ${escapeHtml(filename)}</p>`;
+                return;
+            }
+        }
+        
+        // Get signature info
+        const sigInfo = getSignatureInfo(psbt);
+        const { outputs } = parsePsbtDetails(psbt);
+        const inputCount = psbt.data.inputs.length;
+        const outputCount = psbt.txOutputs.length;
+        
+        // Calculate total amounts
+        let totalInput = 0;
+        psbt.data.inputs.forEach(input => {
+            if (input.witnessUtxo) {
+                totalInput += input.witnessUtxo.value;
+            }
+        });
+        
+        let totalOutput = 0;
+        psbt.txOutputs.forEach(output => {
+            totalOutput += output.value;
+        });
+        
+        const fee = totalInput - totalOutput;
+        
+        // Build signer status HTML for upload validation
+        let signerStatusHtml = '';
+        if (sigInfo.signerStatus && sigInfo.signerStatus.length > 0) {
+            // Detailed signer info available
+            signerStatusHtml = `
+                <div style="margin-top: 15px; padding: 12px; background: rgba(255,255,255,0.5); border-radius: 8px;">
+                    <strong style="font-size: 13px; color: #555;">🔑 Signers:</strong>
+                    <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
+                        ${sigInfo.signerStatus.map(signer => `
+                            <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; ${signer.hasSigned ? 'background: #d4edda; color: #155724; border: 1px solid #c3e6cb;' : 'background: #fff3cd; color: #856404; border: 1px solid #ffeeba;'}">
+                                ${signer.hasSigned ? '✅' : '⏳'}
+                                <span style="margin-left: 4px; font-weight: 500;">${signer.label ? escapeHtml(signer.label) : signer.pubkeyShort}</span>
+                            </span>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        } else {
+            // Fallback: show generic signed/unsigned badges
+            const signed = sigInfo.signatures;
+            const unsigned = Math.max(0, sigInfo.total - signed);
+            if (sigInfo.total > 0) {
+                signerStatusHtml = `
+                    <div style="margin-top: 15px; padding: 12px; background: rgba(255,255,255,0.5); border-radius: 8px;">
+                        <strong style="font-size: 13px; color: #555;">🔑 Signers (${sigInfo.total} keys):</strong>
+                        <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
+                            ${Array(signed).fill(0).map((_, i) => `
+                                <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; background: #d4edda; color: #155724; border: 1px solid #c3e6cb;">
+                                    ✅ <span style="margin-left: 4px; font-weight: 500;">Signed</span>
+                                </span>
+                            `).join('')}
+                            ${Array(unsigned).fill(0).map((_, i) => `
+                                <span style="display: inline-flex; align-items: center; padding: 6px 12px; border-radius: 16px; font-size: 12px; background: #fff3cd; color: #856404; border: 1px solid #ffeeba;">
+                                    ⏳ <span style="margin-left: 4px; font-weight: 500;">Needs signature</span>
+                                </span>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
+            }
+        }
+        
+        // Display validation result with signature progress
+        psbtUploadOutput.className = 'output success';
+        psbtUploadOutput.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                <h4 style="margin: 0;">✅ Valid PSBT: ${escapeHtml(filename)}</h4>
+                <span style="background: #6c757d; color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 500;">PREVIEW</span>
+            </div>
+            
+            <div class="signature-progress" style="margin: 15px 0;">
+                <div class="sig-count" style="font-size: 24px;">
+                    <span class="sig-current">${sigInfo.signatures}</span>
+                    <span class="sig-separator">/</span>
+                    <span class="sig-required">${sigInfo.required}</span>
+                    <span class="sig-label" style="font-size: 14px;">signatures</span>
+                </div>
+                <div class="sig-progress-bar">
+                    <div class="sig-progress-fill ${sigInfo.isComplete ? 'complete' : ''}" 
+                         style="width: ${sigInfo.percentage}%"></div>
+                </div>
+                <div class="sig-status ${sigInfo.isComplete ? 'ready' : 'pending'}" style="font-size: 14px;">
+                    ${sigInfo.isComplete 
+                        ? '✅ Ready to broadcast' 
+                        : `⏳ Needs ${sigInfo.required - sigInfo.signatures} more signature${sigInfo.required - sigInfo.signatures > 1 ? 's' : ''}`}
+                </div>
+            </div>
+            
+            ${signerStatusHtml}
+            
+            <div style="font-size: 14px; color: #666; margin-top: 10px;">
+                <strong>Transaction:</strong> ${inputCount} input(s) → ${outputCount} output(s)<br>
+                <strong>Total:</strong> ${formatSatoshis(totalInput)}<br>
+                <strong>Fee:</strong> ${formatSatoshis(fee)}
+            </div>
+            
+            <div style="margin-top: 10px;">
+                ${unknownPayeesHtml(outputs)}
+                ${payeeOutputsHtml(outputs)}
+            </div>
+        `;
+        
+    } catch (error) {
+        psbtUploadOutput.className = 'output error';
+        psbtUploadOutput.innerHTML = `<p class="error-message">Error validating PSBT: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Utility Functions
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+function formatSatoshis(sats) {
+    if (typeof sats !== 'number') return 'Unknown';
+    const btc = sats / 100000000;
+    return `${sats.toLocaleString()} sats (${btc.toFixed(8)} BTC)`;
+}
+
+// Generate unique gradient colors from a string hash
+function generateGradientFromHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    
+    // Generate two soft pastel colors
+    const hue1 = Math.abs(hash % 360);
+    const hue2 = (hue1 + 40 + Math.abs((hash >> 8) % 40)) % 360;
+    
+    return {
+        color1: `hsl(${hue1}, 70%, 95%)`,
+        color2: `hsl(${hue2}, 60%, 92%)`,
+        gradient: `linear-gradient(135deg, hsl(${hue1}, 70%, 95%) 0%, hsl(${hue2}, 60%, 92%) 100%)`
+    };
+}
+
+// Generate a short fingerprint of a PSBT's id (or a descriptor)
+function generatePsbtFingerprint(value) {
+    let hash = 0;
+    const str = value.substring(0, 100);
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return Math.abs(hash).toString(16).substring(0, 6).toLowerCase();
+}
+
+// Format timestamp with exact time and relative time
+function formatTimestamp(dateString) {
+    const date = new Date(dateString);
+    const now = new Date();
+    const diff = now - date;
+    
+    // Exact time
+    const exactTime = date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: true
+    });
+    
+    // Relative time
+    let relative;
+    if (diff < 60000) {
+        relative = 'just now';
+    } else if (diff < 3600000) {
+        const mins = Math.floor(diff / 60000);
+        relative = `${mins} min${mins > 1 ? 's' : ''} ago`;
+    } else if (diff < 86400000) {
+        const hours = Math.floor(diff / 3600000);
+        relative = `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    } else {
+        const days = Math.floor(diff / 86400000);
+        relative = `${days} day${days > 1 ? 's' : ''} ago`;
+    }
+    
+    return { exact: exactTime, relative };
+}
+
+// Toast notification system
+function showToast(title, message, type = 'info') {
+    // Create container if it doesn't exist
+    let container = document.querySelector('.toast-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'toast-container';
+        document.body.appendChild(container);
+    }
+    
+    const icons = {
+        success: '✅',
+        info: 'ℹ️',
+        warning: '⚠️',
+        error: '❌'
+    };
+    
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.innerHTML = `
+        <span class="toast-icon">${icons[type] || icons.info}</span>
+        <div class="toast-content">
+            <div class="toast-title">${escapeHtml(title)}</div>
+            <div class="toast-message">${escapeHtml(message)}</div>
+        </div>
+        <button class="toast-close">×</button>
+    `;
+    
+    container.appendChild(toast);
+    
+    // Close button
+    toast.querySelector('.toast-close').addEventListener('click', () => {
+        toast.style.animation = 'toastSlideOut 0.3s ease forwards';
+        setTimeout(() => toast.remove(), 300);
+    });
+    
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+        if (toast.parentNode) {
+            toast.style.animation = 'toastSlideOut 0.3s ease forwards';
+            setTimeout(() => toast.remove(), 300);
+        }
+    }, 5000);
+}
+
+// ==================== DESCRIPTOR MANAGEMENT ====================
+
+// Load saved descriptors from server
+async function loadDescriptors() {
+    try {
+        const response = await fetch(`${API_BASE}/api/descriptors`, withSession());
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to load descriptors');
+        
+        allDescriptors = await decryptRecords('descriptors', await response.json());
+        await checkKeyPins('descriptors', allDescriptors);
+        displayDescriptors();
+        scheduleActivityRefresh();
+        if (allPsbts.length > 0) displayPsbts();
+    } catch (error) {
+        console.error('Error loading descriptors:', error);
+    }
+}
+
+// Save current descriptor to server
+async function saveDescriptorToServer() {
+    const descriptor = window.currentDescriptor;
+    const m = window.currentDescriptorM;
+    const n = window.currentDescriptorN;
+    const firstAddress = window.currentFirstAddress;
+    
+    if (!descriptor) {
+        showToast('Error', 'No descriptor to save', 'error');
+        return;
+    }
+    
+    // Generate a name
+    const name = `${m}-of-${n} Multisig Wallet`;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/descriptors`, withSession({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...(await encryptRecord('descriptors', { name, descriptor, first_address: firstAddress })),
+                m_required: m,
+                n_total: n
+            })
+        }));
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save descriptor');
+        }
+        
+        await pinKeyEntry('descriptors', await decryptRecord('descriptors', await response.json()));
+        
+        showToast('Saved', 'Descriptor saved to server for sharing', 'success');
+        await loadDescriptors();
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Display saved descriptors
+function displayDescriptors() {
+    const descriptorListDiv = document.getElementById('descriptor-list');
+    if (!descriptorListDiv) return;
+    
+    if (allDescriptors.length === 0) {
+        descriptorListDiv.innerHTML = '<p class="info">No saved descriptors yet. Generate a descriptor above and click "Save to Server" to share it.</p>';
+        return;
+    }
+    
+    const canDelete = hasRole('coordinator');
+    // Receive addresses stay hidden until key changes have been reviewed
+    const addressesBlocked = hasKeyPinChanges();
+    
+    descriptorListDiv.innerHTML = allDescriptors.map(desc => {
+        const gradient = generateGradientFromHash(desc.descriptor);
+        const fingerprint = generatePsbtFingerprint(desc.descriptor);
+        const timestamp = formatTimestamp(desc.created_at);
+        
+        return `
+            <div class="descriptor-item" style="background: ${gradient.gradient}; border-radius: 12px; padding: 15px; margin-bottom: 12px;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
+                    <div>
+                        <h4 style="margin: 0; color: #333;">📜 ${escapeHtml(desc.name)}</h4>
+                        <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                            ${desc.m_required}-of-${desc.n_total} Multisig • ${timestamp.exact}
+                        </div>
+                    </div>
+                    <span class="psbt-fingerprint" style="background: rgba(0,0,0,0.1); padding: 4px 10px; border-radius: 12px; font-family: monospace; font-size: 12px;">${fingerprint}</span>
+                </div>
+                
+                ${desc.first_address && addressesBlocked ? `
+                <div style="background: rgba(220, 53, 69, 0.1); border: 1px solid rgba(220, 53, 69, 0.3); border-radius: 8px; padding: 10px; margin-bottom: 10px; font-size: 12px; color: #721c24;">
+                    🔒 Receive address hidden until the key changes are reviewed.
+                    <button class="btn btn-secondary btn-sm" onclick="reviewKeyChanges()">Review</button>
+                </div>
+                ` : ''}
+                
+                ${desc.first_address && !addressesBlocked ? `
+                <div style="background: rgba(46, 125, 50, 0.1); border: 1px solid rgba(46, 125, 50, 0.3); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                    <div style="font-size: 11px; color: #2e7d32; font-weight: 600;">💰 First Receive Address:</div>
+                    <div style="font-family: monospace; font-size: 12px; color: #1b5e20; word-break: break-all;">${escapeHtml(desc.first_address)}</div>
+                </div>
+                ` : ''}
+                
+                <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                    <button class="btn btn-primary btn-sm" onclick="copyDescriptorById('${desc.id}')">📋 Copy</button>
+                    <button class="btn btn-info btn-sm" onclick="downloadDescriptorById('${desc.id}')">📥 Download</button>
+                    ${desc.first_address && !addressesBlocked ? `<button class="btn btn-secondary btn-sm" data-copy-address="${escapeHtml(desc.first_address)}">📋 Copy Address</button>` : ''}
+                    ${canDelete ? `<button class="btn btn-danger btn-sm" onclick="deleteDescriptor('${desc.id}')">🗑️ Delete</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    descriptorListDiv.querySelectorAll('[data-copy-address]').forEach(button => {
+        button.addEventListener('click', () => copyToClipboard(button.dataset.copyAddress, 'Address'));
+    });
+}
+
+// Copy descriptor by ID
+async function copyDescriptorById(id) {
+    if (!(await confirmKeysTrusted())) return;
+    const desc = allDescriptors.find(d => d.id === id);
+    if (desc) {
+        copyToClipboard(desc.descriptor, 'Descriptor');
+    }
+}
+
+// Download descriptor by ID
+async function downloadDescriptorById(id) {
+    if (!(await confirmKeysTrusted())) return;
+    const desc = allDescriptors.find(d => d.id === id);
+    if (!desc) return;
+    
+    const content = `# Multisig Wallet Descriptor
+# Configuration: ${desc.m_required}-of-${desc.n_total}
+# Type: Native Segwit (P2WSH)
+# Generated: ${desc.created_at}
+
+# Wallet Descriptor (import this into Sparrow Wallet or Bitcoin Core):
+${desc.descriptor}
+
+# First Receive Address (Index 0):
+${desc.first_address || 'N/A'}
+
+# Instructions:
+# 1. Open Sparrow Wallet (or similar software)
+# 2. Create New Wallet → Import External → Descriptor
+# 3. Paste the descriptor above
+# 4. The wallet will generate addresses matching this multisig configuration
+`;
+    
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multisig_${desc.m_required}of${desc.n_total}_descriptor.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    showToast('Downloaded', 'Descriptor file saved', 'success');
+}
+
+// Delete descriptor
+async function deleteDescriptor(id) {
+    if (!confirm('Move this saved descriptor to the trash? It can be restored from the trash until it is deleted for good.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/descriptors/${id}`, withSession({
+            method: 'DELETE'
+        }));
+        
+        if (!response.ok) throw new Error('Failed to delete descriptor');
+        
+        trashKeyPin('descriptors', id);
+        await loadDescriptors();
+        showToast('Deleted', 'Descriptor has been moved to the trash', 'success');
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+// Update auto-generated label placeholder
+function updateAutoLabelPlaceholder() {
+    const nextNum = allXpubs.length + 1;
+    const placeholder = `Key #${nextNum}`;
+    xpubLabelInput.placeholder = placeholder;
+    
+    // Update hint visibility
+    const hint = document.getElementById('auto-label-hint');
+    if (hint) {
+        hint.textContent = `(will use "${placeholder}" if empty)`;
+    }
+}
+
+// ==================== BROADCAST FUNCTIONALITY ====================
+
+// Broadcast endpoints configuration
+const BROADCAST_ENDPOINTS = [
+    {
+        name: 'Blockstream',
+        url: 'https://blockstream.info/api/tx',
+        method: 'POST',
+        contentType: 'text/plain',
+        formatBody: (hex) => hex,
+        parseResponse: (text) => text.trim(), // Returns txid
+        explorerUrl: (txid) => `https://blockstream.info/tx/${txid}`
+    },
+    {
+        name: 'Mempool.space',
+        url: 'https://mempool.space/api/tx',
+        method: 'POST',
+        contentType: 'text/plain',
+        formatBody: (hex) => hex,
+        parseResponse: (text) => text.trim(), // Returns txid
+        explorerUrl: (txid) => `https://mempool.space/tx/${txid}`
+    }
+];
+
+// Verification endpoints (we check these AFTER broadcasting to confirm propagation)
+const VERIFY_ENDPOINTS = [
+    {
+        name: 'Blockstream',
+        checkUrl: (txid) => `https://blockstream.info/api/tx/${txid}`,
+        parseExists: (response) => response.ok
+    },
+    {
+        name: 'Mempool.space',
+        checkUrl: (txid) => `https://mempool.space/api/tx/${txid}`,
+        parseExists: (response) => response.ok
+    },
+    {
+        name: 'Blockchain.info',
+        checkUrl: (txid) => `https://blockchain.info/rawtx/${txid}?cors=true`,
+        parseExists: (response) => response.ok
+    }
+];
+
+// Finalize a PSBT and extract the raw transaction hex
+function finalizePsbt(psbtData) {
+    try {
+        const psbt = bitcoin.Psbt.fromBase64(psbtData);
+        
+        // Check if already finalized
+        let needsFinalize = false;
+        for (const input of psbt.data.inputs) {
+            if (!input.finalScriptSig && !input.finalScriptWitness) {
+                needsFinalize = true;
+                break;
+            }
+        }
+        
+        if (needsFinalize) {
+            psbt.finalizeAllInputs();
+        }
+        
+        const tx = psbt.extractTransaction();
+        return {
+            success: true,
+            hex: tx.toHex(),
+            txid: tx.getId()
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Broadcast transaction to a single endpoint
+async function broadcastToEndpoint(endpoint, txHex) {
+    try {
+        const response = await fetch(endpoint.url, {
+            method: endpoint.method,
+            headers: {
+                'Content-Type': endpoint.contentType
+            },
+            body: endpoint.formatBody(txHex)
+        });
+        
+        if (response.ok) {
+            const text = await response.text();
+            const txid = endpoint.parseResponse(text);
+            return {
+                success: true,
+                endpoint: endpoint.name,
+                txid: txid,
+                explorerUrl: endpoint.explorerUrl(txid)
+            };
+        } else {
+            const errorText = await response.text();
+            return {
+                success: false,
+                endpoint: endpoint.name,
+                error: errorText || `HTTP ${response.status}`
+            };
+        }
+    } catch (error) {
+        return {
+            success: false,
+            endpoint: endpoint.name,
+            error: error.message
+        };
+    }
+}
+
+// Verify transaction exists on an endpoint (to confirm propagation)
+async function verifyOnEndpoint(verifyEndpoint, txid, broadcastedTo) {
+    // Skip if we directly broadcast to this endpoint
+    if (broadcastedTo.includes(verifyEndpoint.name)) {
+        return {
+            endpoint: verifyEndpoint.name,
+            status: 'skipped',
+            reason: 'Direct broadcast target'
+        };
+    }
+    
+    try {
+        const response = await fetch(verifyEndpoint.checkUrl(txid), {
+            method: 'GET'
+        });
+        
+        const exists = verifyEndpoint.parseExists(response);
+        return {
+            endpoint: verifyEndpoint.name,
+            status: exists ? 'confirmed' : 'not_found',
+            independent: true // This is an independent verification
+        };
+    } catch (error) {
+        return {
+            endpoint: verifyEndpoint.name,
+            status: 'error',
+            error: error.message
+        };
+    }
+}
+
+// Main broadcast function with verification
+async function broadcastTransaction(psbtId) {
+    let psbtData;
+    try {
+        psbtData = await fetchPsbt(psbtId);
+    } catch (error) {
+        psbtData = null;
+    }
+    if (!psbtData) {
+        showToast('Error', 'PSBT not found', 'error');
+        return;
+    }
+    
+    // Show broadcast modal
+    const modal = showBroadcastModal(psbtData);
+    const statusContainer = modal.querySelector('#broadcast-status');
+    const resultContainer = modal.querySelector('#broadcast-result');
+    
+    // Step 1: Finalize PSBT
+    updateBroadcastStatus(statusContainer, 'finalize', 'pending', 'Finalizing PSBT...');
+    
+    const finalizeResult = finalizePsbt(psbtData.psbt_data);
+    if (!finalizeResult.success) {
+        updateBroadcastStatus(statusContainer, 'finalize', 'error', `Failed: ${finalizeResult.error}`);
+        return;
+    }
+    
+    updateBroadcastStatus(statusContainer, 'finalize', 'success', `Finalized! TxID: ${finalizeResult.txid.substring(0, 16)}...`);
+    
+    const txHex = finalizeResult.hex;
+    const txid = finalizeResult.txid;
+    
+    // Step 2: Broadcast to all endpoints in parallel
+    updateBroadcastStatus(statusContainer, 'broadcast', 'pending', 'Broadcasting to network...');
+    
+    const broadcastPromises = BROADCAST_ENDPOINTS.map(endpoint => 
+        broadcastToEndpoint(endpoint, txHex)
+    );
+    
+    const broadcastResults = await Promise.all(broadcastPromises);
+    
+    // Track which endpoints accepted the broadcast
+    const successfulBroadcasts = broadcastResults.filter(r => r.success);
+    const failedBroadcasts = broadcastResults.filter(r => !r.success);
+    
+    // Update broadcast status for each endpoint
+    broadcastResults.forEach(result => {
+        const statusClass = result.success ? 'success' : 'error';
+        const icon = result.success ? '✅' : '❌';
+        const message = result.success 
+            ? `Accepted` 
+            : `Failed: ${result.error.substring(0, 50)}`;
+        
+        addEndpointStatus(statusContainer, 'broadcast', result.endpoint, statusClass, `${icon} ${message}`);
+    });
+    
+    if (successfulBroadcasts.length === 0) {
+        updateBroadcastStatus(statusContainer, 'broadcast', 'error', 'All broadcasts failed!');
+        showBroadcastResult(resultContainer, false, 'Transaction broadcast failed. Please try again later.');
+        return;
+    }
+    
+    updateBroadcastStatus(statusContainer, 'broadcast', 'success', 
+        `Sent to ${successfulBroadcasts.length}/${BROADCAST_ENDPOINTS.length} endpoints`);
+    
+    // Step 3: Wait and verify propagation on INDEPENDENT endpoints
+    updateBroadcastStatus(statusContainer, 'verify', 'pending', 'Verifying network propagation...');
+    
+    // Wait a few seconds for propagation
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    
+    const broadcastedToNames = successfulBroadcasts.map(r => r.endpoint);
+    const verifyPromises = VERIFY_ENDPOINTS.map(endpoint =>
+        verifyOnEndpoint(endpoint, txid, broadcastedToNames)
+    );
+    
+    const verifyResults = await Promise.all(verifyPromises);
+    
+    // Check for independent confirmations
+    const independentConfirmations = verifyResults.filter(r => 
+        r.status === 'confirmed' && r.independent
+    );
+    
+    // Update verify status for each endpoint
+    verifyResults.forEach(result => {
+        if (result.status === 'skipped') return; // Don't show skipped endpoints
+        
+        const statusClass = result.status === 'confirmed' ? 'success' : 'warning';
+        const icon = result.status === 'confirmed' ? '🌐' : '⏳';
+        const message = result.status === 'confirmed' 
+            ? 'Confirmed on network!' 
+            : 'Not seen yet';
+        
+        addEndpointStatus(statusContainer, 'verify', result.endpoint, statusClass, `${icon} ${message}`);
+    });
+    
+    // Final result
+    if (independentConfirmations.length > 0) {
+        updateBroadcastStatus(statusContainer, 'verify', 'success', 
+            `✨ Independently confirmed on ${independentConfirmations.length} service(s)!`);
+        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl);
+        
+        // Update PSBT status in database
+        await updatePsbtBroadcastStatus(psbtId, txid);
+    } else if (successfulBroadcasts.length > 0) {
+        updateBroadcastStatus(statusContainer, 'verify', 'warning', 
+            'Broadcast accepted, waiting for network propagation...');
+        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl, true);
+        
+        // Still update status - it was accepted
+        await updatePsbtBroadcastStatus(psbtId, txid);
+    }
+}
+
+// Update PSBT status after broadcast
+async function updatePsbtBroadcastStatus(psbtId, txid) {
+    try {
+        await fetch(`${API_BASE}/api/psbts/${psbtId}/broadcast`, withSession({
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                txid: txid,
+                status: 'broadcast',
+                confirmations: 0
+            })
+        }));
+        await loadPsbts();
+        
+        // Start confirmation tracking for this transaction
+        startConfirmationTracking(psbtId, txid);
+    } catch (error) {
+        console.error('Failed to update PSBT status:', error);
+    }
+}
+
+// ==================== CONFIRMATION TRACKING ====================
+
+// Store active polling timers
+const confirmationPollers = new Map();
+
+// Check transaction confirmations from blockchain API
+async function checkConfirmations(txid) {
+    try {
+        // Try Blockstream API first
+        const response = await fetch(`https://blockstream.info/api/tx/${txid}`);
+        if (response.ok) {
+            const txData = await response.json();
+            
             // If tx has block_height, it's confirmed - need to get current block height
             if (txData.status && txData.status.confirmed) {
                 const blockHeightResponse = await fetch('https://blockstream.info/api/blocks/tip/height');
@@ -2562,564 +4778,1691 @@ async function checkConfirmations(txid) {
                     return { confirmations: Math.max(0, confirmations), confirmed: true };
                 }
             }
-            return { confirmations: 0, confirmed: false };
+            return { confirmations: 0, confirmed: false };
+        }
+        
+        // Fallback to mempool.space
+        const mempoolResponse = await fetch(`https://mempool.space/api/tx/${txid}`);
+        if (mempoolResponse.ok) {
+            const txData = await mempoolResponse.json();
+            if (txData.status && txData.status.confirmed) {
+                const blockHeightResponse = await fetch('https://mempool.space/api/blocks/tip/height');
+                if (blockHeightResponse.ok) {
+                    const currentHeight = await blockHeightResponse.text();
+                    const confirmations = parseInt(currentHeight) - txData.status.block_height + 1;
+                    return { confirmations: Math.max(0, confirmations), confirmed: true };
+                }
+            }
+            return { confirmations: 0, confirmed: false };
+        }
+        
+        return null; // Couldn't check
+    } catch (error) {
+        console.error('Error checking confirmations:', error);
+        return null;
+    }
+}
+
+// Start tracking confirmations for a transaction
+function startConfirmationTracking(psbtId, txid) {
+    // Clear any existing poller for this PSBT
+    if (confirmationPollers.has(psbtId)) {
+        clearTimeout(confirmationPollers.get(psbtId));
+    }
+    
+    // Start the polling
+    pollConfirmations(psbtId, txid, 0);
+}
+
+// Poll for confirmations
+async function pollConfirmations(psbtId, txid, currentConfirmations) {
+    const result = await checkConfirmations(txid);
+    
+    if (result !== null) {
+        const newConfirmations = result.confirmations;
+        
+        // Update if confirmations changed
+        if (newConfirmations !== currentConfirmations) {
+            let newStatus;
+            if (newConfirmations === 0) {
+                newStatus = 'broadcast';
+            } else if (newConfirmations >= 6) {
+                newStatus = 'final';
+            } else {
+                newStatus = `confirmed_${newConfirmations}`;
+            }
+            
+            // Update on server
+            try {
+                await fetch(`${API_BASE}/api/psbts/${psbtId}/broadcast`, withSession({
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        txid: txid,
+                        status: newStatus,
+                        confirmations: newConfirmations
+                    })
+                }));
+                
+                // Reload PSBTs to update UI
+                await loadPsbts();
+                
+                // Show notification on milestones
+                if (newConfirmations === 1) {
+                    showToast('First Confirmation! 🎉', `Transaction ${txid.substring(0, 8)}... has 1 confirmation`, 'success');
+                } else if (newConfirmations === 6) {
+                    showToast('Transaction Final! ✅', `Transaction ${txid.substring(0, 8)}... has 6+ confirmations`, 'success');
+                }
+            } catch (error) {
+                console.error('Error updating confirmation status:', error);
+            }
+        }
+        
+        // If we've reached 6+ confirmations, stop polling
+        if (newConfirmations >= 6) {
+            confirmationPollers.delete(psbtId);
+            return;
+        }
+        
+        // Schedule next poll
+        // Unconfirmed: check every 5 seconds
+        // 1-5 confirmations: check every 20 seconds
+        const pollInterval = newConfirmations === 0 ? 5000 : 20000;
+        
+        const timerId = setTimeout(() => {
+            pollConfirmations(psbtId, txid, newConfirmations);
+        }, pollInterval);
+        
+        confirmationPollers.set(psbtId, timerId);
+    } else {
+        // If check failed, retry in 10 seconds
+        const timerId = setTimeout(() => {
+            pollConfirmations(psbtId, txid, currentConfirmations);
+        }, 10000);
+        
+        confirmationPollers.set(psbtId, timerId);
+    }
+}
+
+// Initialize confirmation tracking for any broadcast PSBTs on page load
+// (and for the ones each further page of the list brings)
+function initializeConfirmationTracking(psbts = allPsbts) {
+    psbts.forEach(psbt => {
+        // Track any broadcast transaction that isn't final
+        if (psbt.txid && psbt.status && 
+            (psbt.status === 'broadcast' || psbt.status.startsWith('confirmed_')) && 
+            psbt.status !== 'final') {
+            startConfirmationTracking(psbt.id, psbt.txid);
+        }
+        
+        // Check if "ready" PSBTs without txid might already be on chain (broadcast externally)
+        if (psbt.status === 'ready' && !psbt.txid) {
+            checkIfAlreadyBroadcast(psbt);
+        }
+    });
+}
+
+// Check if a "ready" PSBT was already broadcast externally
+async function checkIfAlreadyBroadcast(psbt) {
+    if (!bitcoin) {
+        console.log(`checkIfAlreadyBroadcast: Bitcoin libraries not loaded yet for "${psbt.name}"`);
+        return false;
+    }
+    
+    try {
+        // Compute the txid by finalizing the PSBT (without actually broadcasting)
+        console.log(`checkIfAlreadyBroadcast: Attempting to finalize PSBT "${psbt.name}"...`);
+        const stored = await fetchPsbt(psbt.id);
+        if (!stored) return false;
+        const result = finalizePsbt(stored.psbt_data);
+        if (!result.success) {
+            console.log(`checkIfAlreadyBroadcast: Failed to finalize "${psbt.name}": ${result.error}`);
+            return false;
+        }
+        
+        const txid = result.txid;
+        console.log(`checkIfAlreadyBroadcast: PSBT "${psbt.name}" would have txid: ${txid}`);
+        console.log(`checkIfAlreadyBroadcast: Checking blockchain APIs...`);
+        
+        // Check if this txid exists on the blockchain
+        const confirmResult = await checkConfirmations(txid);
+        
+        console.log(`checkIfAlreadyBroadcast: API result for "${psbt.name}":`, confirmResult);
+        
+        if (confirmResult !== null) {
+            // Transaction exists on chain or in mempool!
+            const confs = confirmResult.confirmations;
+            let newStatus;
+            if (confs === 0) {
+                newStatus = 'broadcast';
+            } else if (confs >= 6) {
+                newStatus = 'final';
+            } else {
+                newStatus = `confirmed_${confs}`;
+            }
+            
+            console.log(`checkIfAlreadyBroadcast: Found! "${psbt.name}" is on chain. Status: ${newStatus}, Confirmations: ${confs}`);
+            
+            // Update the database
+            const updateResponse = await fetch(`${API_BASE}/api/psbts/${psbt.id}/broadcast`, withSession({
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    txid: txid,
+                    status: newStatus,
+                    confirmations: confs
+                })
+            }));
+            
+            console.log(`checkIfAlreadyBroadcast: Database update response:`, updateResponse.status);
+            
+            if (updateResponse.ok) {
+                showToast('Transaction Found! 🔍', 
+                    `"${psbt.name}" was already broadcast (${confs} confirmations)`, 
+                    'info');
+                
+                // Reload PSBTs to update UI (don't await to avoid recursion issues)
+                setTimeout(() => loadPsbts(), 100);
+                return true; // Signal that we found and updated
+            }
+        } else {
+            console.log(`checkIfAlreadyBroadcast: "${psbt.name}" (txid: ${txid.substring(0, 12)}...) NOT found on blockchain`);
+        }
+    } catch (error) {
+        console.error(`checkIfAlreadyBroadcast: Error for "${psbt.name}":`, error);
+    }
+    return false;
+}
+
+// Show broadcast confirmation modal
+function showBroadcastModal(psbtData) {
+    // Parse PSBT to show summary
+    let summary = { inputs: 0, outputs: 0, totalOutput: 0, fee: 0 };
+    let outputs = [];
+    try {
+        const psbt = bitcoin.Psbt.fromBase64(psbtData.psbt_data);
+        const details = parsePsbtDetails(psbt);
+        summary = {
+            inputs: details.inputs.length,
+            outputs: details.outputs.length,
+            totalOutput: details.totalOutput,
+            fee: details.fee
+        };
+        outputs = details.outputs;
+    } catch (e) {
+        console.error('Failed to parse PSBT for summary:', e);
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'broadcast-modal';
+    overlay.innerHTML = `
+        <div class="modal-content broadcast-modal">
+            <h3>📡 Broadcast Transaction</h3>
+            
+            <div class="broadcast-summary">
+                <h4>Transaction Summary</h4>
+                <div class="summary-grid">
+                    <div class="summary-item">
+                        <span class="summary-label">Name:</span>
+                        <span class="summary-value">${escapeHtml(psbtData.name)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">Inputs:</span>
+                        <span class="summary-value">${summary.inputs}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">Outputs:</span>
+                        <span class="summary-value">${summary.outputs}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">Amount:</span>
+                        <span class="summary-value">${formatSatoshis(summary.totalOutput)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">Fee:</span>
+                        <span class="summary-value">${formatSatoshis(summary.fee)}</span>
+                    </div>
+                </div>
+                ${outputs.length > 0 ? `
+                <h4>Pays</h4>
+                ${unknownPayeesHtml(outputs)}
+                ${payeeOutputsHtml(outputs)}
+                ` : ''}
+            </div>
+            
+            <div class="broadcast-status-container" id="broadcast-status">
+                <div class="status-step" data-step="finalize">
+                    <span class="status-icon">⏳</span>
+                    <span class="status-text">Waiting to start...</span>
+                </div>
+            </div>
+            
+            <div class="broadcast-result" id="broadcast-result" style="display: none;"></div>
+            
+            <div class="broadcast-warning">
+                ⚠️ <strong>Warning:</strong> Broadcasting is irreversible! Make sure you've verified the transaction details.
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" id="broadcast-cancel">Cancel</button>
+                <button class="btn btn-success" id="broadcast-confirm">📡 Broadcast Now</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    const cancelBtn = overlay.querySelector('#broadcast-cancel');
+    const confirmBtn = overlay.querySelector('#broadcast-confirm');
+    
+    cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Broadcasting...';
+        cancelBtn.style.display = 'none';
+        
+        // Remove the warning during broadcast
+        overlay.querySelector('.broadcast-warning').style.display = 'none';
+        
+        // The actual broadcast will update the status container
+        await executeBroadcast(psbtData, overlay);
+    });
+    
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay && !confirmBtn.disabled) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    return overlay;
+}
+
+// Execute the broadcast (called after confirmation)
+async function executeBroadcast(psbtData, modal) {
+    const statusContainer = modal.querySelector('#broadcast-status');
+    const resultContainer = modal.querySelector('#broadcast-result');
+    
+    // Step 1: Finalize PSBT
+    updateBroadcastStatus(statusContainer, 'finalize', 'pending', 'Finalizing PSBT...');
+    
+    await new Promise(resolve => setTimeout(resolve, 500)); // Brief delay for UX
+    
+    const finalizeResult = finalizePsbt(psbtData.psbt_data);
+    if (!finalizeResult.success) {
+        updateBroadcastStatus(statusContainer, 'finalize', 'error', `Failed: ${finalizeResult.error}`);
+        showBroadcastResult(resultContainer, false, `Finalization failed: ${finalizeResult.error}`);
+        return;
+    }
+    
+    updateBroadcastStatus(statusContainer, 'finalize', 'success', 
+        `Finalized! TxID: ${finalizeResult.txid.substring(0, 12)}...`);
+    
+    const txHex = finalizeResult.hex;
+    const txid = finalizeResult.txid;
+    
+    // Step 2: Broadcast to all endpoints
+    addStatusStep(statusContainer, 'broadcast', 'pending', 'Broadcasting to network...');
+    
+    const broadcastPromises = BROADCAST_ENDPOINTS.map(endpoint => 
+        broadcastToEndpoint(endpoint, txHex)
+    );
+    
+    const broadcastResults = await Promise.all(broadcastPromises);
+    
+    const successfulBroadcasts = broadcastResults.filter(r => r.success);
+    const failedBroadcasts = broadcastResults.filter(r => !r.success);
+    
+    // Show individual endpoint results
+    broadcastResults.forEach(result => {
+        const icon = result.success ? '✅' : '❌';
+        const message = result.success 
+            ? 'Accepted' 
+            : `Failed: ${result.error.substring(0, 40)}...`;
+        addEndpointStatus(statusContainer, result.endpoint, result.success ? 'success' : 'error', 
+            `${icon} ${result.endpoint}: ${message}`);
+    });
+    
+    if (successfulBroadcasts.length === 0) {
+        // Check if the error indicates the transaction is already in the blockchain
+        const alreadyBroadcastErrors = ['already in block chain', 'Transaction already in block chain', 
+            'txn-already-in-mempool', 'txn-mempool-conflict', 'already exists', 'already known'];
+        
+        const isAlreadyBroadcast = failedBroadcasts.some(r => 
+            alreadyBroadcastErrors.some(errText => r.error.toLowerCase().includes(errText.toLowerCase()))
+        );
+        
+        if (isAlreadyBroadcast) {
+            updateBroadcastStatus(statusContainer, 'broadcast', 'warning', 'Transaction already broadcast!');
+            addStatusStep(statusContainer, 'verify', 'pending', 'Checking transaction status...');
+            
+            // Check if the transaction exists on chain
+            const result = await checkConfirmations(txid);
+            if (result !== null) {
+                const confs = result.confirmations;
+                let newStatus = confs === 0 ? 'broadcast' : (confs >= 6 ? 'final' : `confirmed_${confs}`);
+                
+                updateBroadcastStatus(statusContainer, 'verify', 'success', 
+                    confs === 0 ? 'Found in mempool!' : `Found on chain with ${confs} confirmation(s)!`);
+                showBroadcastResult(resultContainer, true, txid, `https://mempool.space/tx/${txid}`, false);
+                
+                // Update the database
+                await updatePsbtBroadcastStatus(psbtData.id, txid);
+                showToast('Transaction Found! 🔍', confs === 0 ? 'Transaction is in the mempool' : `Transaction has ${confs} confirmation(s)`, 'success');
+            } else {
+                updateBroadcastStatus(statusContainer, 'verify', 'warning', 'Could not verify transaction status');
+                showBroadcastResult(resultContainer, true, txid, `https://mempool.space/tx/${txid}`, true);
+                await updatePsbtBroadcastStatus(psbtData.id, txid);
+            }
+            return;
+        }
+        
+        updateBroadcastStatus(statusContainer, 'broadcast', 'error', 'All broadcasts failed!');
+        showBroadcastResult(resultContainer, false, 'Transaction rejected by all endpoints. The transaction may be invalid.');
+        return;
+    }
+    
+    updateBroadcastStatus(statusContainer, 'broadcast', 'success', 
+        `Accepted by ${successfulBroadcasts.length}/${BROADCAST_ENDPOINTS.length} endpoints`);
+    
+    // Step 3: Verify propagation
+    addStatusStep(statusContainer, 'verify', 'pending', 'Verifying network propagation (3s)...');
+    
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    
+    const broadcastedToNames = successfulBroadcasts.map(r => r.endpoint);
+    const verifyPromises = VERIFY_ENDPOINTS.map(endpoint =>
+        verifyOnEndpoint(endpoint, txid, broadcastedToNames)
+    );
+    
+    const verifyResults = await Promise.all(verifyPromises);
+    
+    const independentConfirmations = verifyResults.filter(r => 
+        r.status === 'confirmed' && r.independent
+    );
+    
+    // Show verification results
+    verifyResults.forEach(result => {
+        if (result.status === 'skipped') return;
+        
+        const icon = result.status === 'confirmed' ? '🌐' : '⏳';
+        const statusText = result.status === 'confirmed' 
+            ? 'Seen on network!' 
+            : 'Not propagated yet';
+        addEndpointStatus(statusContainer, result.endpoint, 
+            result.status === 'confirmed' ? 'success' : 'warning',
+            `${icon} ${result.endpoint}: ${statusText}`);
+    });
+    
+    // Final result
+    if (independentConfirmations.length > 0) {
+        updateBroadcastStatus(statusContainer, 'verify', 'success', 
+            `✨ Confirmed on ${independentConfirmations.length} independent service(s)!`);
+        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl);
+        
+        await updatePsbtBroadcastStatus(psbtData.id, txid);
+        showToast('Broadcast Success! 🎉', 'Transaction confirmed on the network', 'success');
+    } else {
+        updateBroadcastStatus(statusContainer, 'verify', 'warning', 
+            'Accepted but not yet seen on independent services');
+        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl, true);
+        
+        await updatePsbtBroadcastStatus(psbtData.id, txid);
+        showToast('Broadcast Sent', 'Transaction accepted, propagating...', 'info');
+    }
+}
+
+// Helper: Update a status step
+function updateBroadcastStatus(container, step, status, message) {
+    let stepEl = container.querySelector(`[data-step="${step}"]`);
+    if (!stepEl) {
+        stepEl = document.createElement('div');
+        stepEl.className = 'status-step';
+        stepEl.dataset.step = step;
+        container.appendChild(stepEl);
+    }
+    
+    const icons = {
+        pending: '⏳',
+        success: '✅',
+        error: '❌',
+        warning: '⚠️'
+    };
+    
+    stepEl.className = `status-step ${status}`;
+    stepEl.innerHTML = `
+        <span class="status-icon">${icons[status] || '•'}</span>
+        <span class="status-text">${message}</span>
+    `;
+}
+
+// Helper: Add a new status step
+function addStatusStep(container, step, status, message) {
+    const stepEl = document.createElement('div');
+    stepEl.className = `status-step ${status}`;
+    stepEl.dataset.step = step;
+    
+    const icons = {
+        pending: '⏳',
+        success: '✅',
+        error: '❌',
+        warning: '⚠️'
+    };
+    
+    stepEl.innerHTML = `
+        <span class="status-icon">${icons[status] || '•'}</span>
+        <span class="status-text">${message}</span>
+    `;
+    container.appendChild(stepEl);
+}
+
+// Helper: Add endpoint-specific status
+function addEndpointStatus(container, endpoint, status, message) {
+    const endpointEl = document.createElement('div');
+    endpointEl.className = `endpoint-status ${status}`;
+    endpointEl.innerHTML = `<span class="endpoint-message">${message}</span>`;
+    container.appendChild(endpointEl);
+}
+
+// Helper: Show final broadcast result
+function showBroadcastResult(container, success, txidOrError, explorerUrl = null, pending = false) {
+    container.style.display = 'block';
+    
+    if (success) {
+        container.className = 'broadcast-result success';
+        container.innerHTML = `
+            <div class="result-header">
+                ${pending ? '⏳' : '🎉'} ${pending ? 'Transaction Sent!' : 'Transaction Broadcast Successfully!'}
+            </div>
+            <div class="result-txid">
+                <label>Transaction ID:</label>
+                <code>${txidOrError}</code>
+                <button class="btn btn-sm btn-secondary" onclick="copyToClipboard('${txidOrError}', 'TxID')">📋</button>
+            </div>
+            ${explorerUrl ? `
+            <div class="result-explorer">
+                <a href="${explorerUrl}" target="_blank" class="btn btn-primary">
+                    🔍 View on Block Explorer
+                </a>
+            </div>
+            ` : ''}
+            ${pending ? `
+            <div class="result-note">
+                Transaction was accepted but not yet confirmed on independent services. 
+                This is normal - check the explorer in a few minutes.
+            </div>
+            ` : ''}
+            <button class="btn btn-secondary" onclick="closeBroadcastModal()" style="margin-top: 15px;">Close</button>
+        `;
+    } else {
+        container.className = 'broadcast-result error';
+        container.innerHTML = `
+            <div class="result-header">❌ Broadcast Failed</div>
+            <div class="result-error">${escapeHtml(txidOrError)}</div>
+            <button class="btn btn-secondary" onclick="closeBroadcastModal()" style="margin-top: 15px;">Close</button>
+        `;
+    }
+}
+
+// Close broadcast modal
+function closeBroadcastModal() {
+    const modal = document.getElementById('broadcast-modal');
+    if (modal) {
+        document.body.removeChild(modal);
+    }
+}
+
+// Get broadcast status badge HTML based on PSBT status
+function getBroadcastStatusBadge(psbt) {
+    const status = psbt.status;
+    const confirmations = psbt.confirmations || 0;
+    const isReady = status === 'ready';
+    
+    // Status mapping
+    if (status === 'broadcast') {
+        return `<span class="psbt-status broadcast">📡 Broadcast (Unconfirmed)</span>`;
+    } else if (status && status.startsWith('confirmed_')) {
+        const confs = parseInt(status.split('_')[1]) || confirmations;
+        return `<span class="psbt-status confirming">🟡 ${confs}/6 Confirmations</span>`;
+    } else if (status === 'final') {
+        return `<span class="psbt-status final">✅ Final (6+ confs)</span>`;
+    } else if (status === 'expired') {
+        return `<span class="psbt-status expired" title="Not fully signed before its deadline">⌛ Expired</span>`;
+    } else if (status === 'invalidated') {
+        return `<span class="psbt-status invalidated" title="An input was already spent by another transaction">🚫 Invalidated</span>`;
+    } else if (isReady) {
+        return `<span class="psbt-status ready">✅ Ready</span>`;
+    } else {
+        return `<span class="psbt-status pending">⏳ Pending</span>`;
+    }
+}
+
+// Check if PSBT is ready for broadcast (has all required signatures)
+function isPsbtReadyForBroadcast(psbtData) {
+    if (!bitcoin) return false;
+    
+    try {
+        const psbt = bitcoin.Psbt.fromBase64(psbtData);
+        const sigInfo = getSignatureInfo(psbt);
+        return sigInfo.isComplete;
+    } catch (e) {
+        return false;
+    }
+}
+
+// ============================================
+// Trash
+// ============================================
+
+// Deleted xpubs, descriptors and PSBTs wait in the session's trash until a
+// coordinator restores or purges them, or the server purges them after its
+// retention period (see server/lib/trash.js)
+const TRASH_KINDS = [
+    { type: 'psbt', recordType: 'psbts', title: '📝 PSBTs', name: (record) => record.name },
+    { type: 'xpub', recordType: 'xpubs', title: '🔑 XPubs', name: (record) => record.label },
+    { type: 'descriptor', recordType: 'descriptors', title: '📜 Descriptors', name: (record) => record.name }
+];
+
+let trashRecords = null; // { psbts, xpubs, descriptors, retention_days } while the trash is open
+
+function showTrashModal() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 560px; max-height: 80vh; overflow-y: auto;">
+            <h3>🗑️ Trash</h3>
+            <div id="trash-list" style="margin-top: 15px;">
+                <p class="loading">Loading trash...</p>
+            </div>
+            <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 15px;">
+                ${hasRole('coordinator') ? '<button class="btn btn-danger" id="trash-empty-btn">Empty Trash</button>' : ''}
+                <button class="btn btn-primary" id="trash-close">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    const close = () => {
+        trashRecords = null;
+        document.body.removeChild(overlay);
+    };
+    document.getElementById('trash-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    
+    const emptyBtn = document.getElementById('trash-empty-btn');
+    if (emptyBtn) {
+        emptyBtn.addEventListener('click', emptyTrash);
+    }
+    
+    renderTrashList();
+}
+
+// Load and render the trash inside the trash modal
+async function renderTrashList() {
+    const listDiv = document.getElementById('trash-list');
+    if (!listDiv) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/trash`, withSession());
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load trash');
+        
+        trashRecords = { retention_days: result.retention_days };
+        for (const kind of TRASH_KINDS) {
+            trashRecords[kind.recordType] = await decryptRecords(kind.recordType, result[kind.recordType]);
         }
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error-message">${escapeHtml(error.message)}</p>`;
+        return;
+    }
+    
+    const canManage = hasRole('coordinator');
+    const dayMs = 24 * 60 * 60 * 1000;
+    const sections = TRASH_KINDS.filter(kind => trashRecords[kind.recordType].length > 0).map(kind => `
+        <h4 style="margin: 12px 0 6px;">${kind.title}</h4>
+        ${trashRecords[kind.recordType].map(record => `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px; background: #f8f9fa; border-radius: 6px; margin-bottom: 6px;">
+                <span>
+                    <strong>${escapeHtml(kind.name(record) || '')}</strong>
+                    <span class="psbt-fingerprint" title="Deleted for good on ${formatTimestamp(new Date(new Date(record.deleted_at).getTime() + trashRecords.retention_days * dayMs)).exact}">
+                        deleted by ${escapeHtml(record.deleted_by || 'unknown')}, ${formatTimestamp(record.deleted_at).exact}
+                    </span>
+                </span>
+                ${canManage ? `
+                <span style="display: flex; gap: 6px;">
+                    <button class="btn btn-secondary btn-sm" onclick="restoreFromTrash('${kind.type}', '${record.id}')">Restore</button>
+                    <button class="btn btn-danger btn-sm" onclick="purgeFromTrash('${kind.type}', '${record.id}')">Delete forever</button>
+                </span>
+                ` : ''}
+            </div>
+        `).join('')}
+    `);
+    
+    listDiv.innerHTML = sections.length > 0
+        ? `${sections.join('')}<p class="info" style="margin-top: 12px;">Items are deleted for good ${trashRecords.retention_days} days after they were moved to the trash.</p>`
+        : '<p class="info">The trash is empty.</p>';
+}
+
+// Take a record out of the trash and reload its list
+async function restoreFromTrash(type, id) {
+    const kind = TRASH_KINDS.find(k => k.type === type);
+    try {
+        const response = await fetch(`${API_BASE}/api/trash/${type}/${id}/restore`, withSession({
+            method: 'POST'
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to restore');
         
-        // Fallback to mempool.space
-        const mempoolResponse = await fetch(`https://mempool.space/api/tx/${txid}`);
-        if (mempoolResponse.ok) {
-            const txData = await mempoolResponse.json();
-            if (txData.status && txData.status.confirmed) {
-                const blockHeightResponse = await fetch('https://mempool.space/api/blocks/tip/height');
-                if (blockHeightResponse.ok) {
-                    const currentHeight = await blockHeightResponse.text();
-                    const confirmations = parseInt(currentHeight) - txData.status.block_height + 1;
-                    return { confirmations: Math.max(0, confirmations), confirmed: true };
-                }
-            }
-            return { confirmations: 0, confirmed: false };
+        const record = await decryptRecord(kind.recordType, result);
+        if (type === 'psbt') {
+            await loadPsbts();
+        } else {
+            restoreKeyPin(kind.recordType, id);
+            await (type === 'xpub' ? loadXpubs() : loadDescriptors());
         }
+        await renderTrashList();
+        showToast('Restored', `"${kind.name(record)}" is back`, 'success');
+    } catch (error) {
+        showToast('Error', error.message, 'error');
+    }
+}
+
+async function purgeFromTrash(type, id) {
+    const kind = TRASH_KINDS.find(k => k.type === type);
+    const record = trashRecords && trashRecords[kind.recordType].find(r => r.id === id);
+    const name = record ? `"${kind.name(record)}"` : 'this item';
+    if (!confirm(`Delete ${name} for good? This cannot be undone.`)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/trash/${type}/${id}`, withSession({
+            method: 'DELETE'
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to delete');
         
-        return null; // Couldn't check
+        if (type !== 'psbt') forgetTrashedKeyPins(kind.recordType, id);
+        await renderTrashList();
+        showToast('Deleted', `${name} was deleted for good`, 'success');
     } catch (error) {
-        console.error('Error checking confirmations:', error);
-        return null;
+        showToast('Error', error.message, 'error');
     }
 }
 
-// Start tracking confirmations for a transaction
-function startConfirmationTracking(psbtId, txid) {
-    // Clear any existing poller for this PSBT
-    if (confirmationPollers.has(psbtId)) {
-        clearTimeout(confirmationPollers.get(psbtId));
+async function emptyTrash() {
+    if (!confirm('Delete everything in the trash for good? This cannot be undone.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/trash`, withSession({
+            method: 'DELETE'
+        }));
+        if (handleSessionExpired(response)) return;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to empty trash');
+        
+        forgetTrashedKeyPins();
+        await renderTrashList();
+        showToast('Trash Emptied', `${result.purged} item${result.purged === 1 ? ' was' : 's were'} deleted for good`, 'success');
+    } catch (error) {
+        showToast('Error', error.message, 'error');
     }
+}
+
+// ============================================
+// Activity (audit log)
+// ============================================
+
+const ACTIVITY_LIMIT = 50;
+
+const ACTIVITY_VERBS = {
+    create: 'added',
+    update: 'replaced',
+    import: 'imported',
+    update_label: 'renamed',
+    merge_signatures: 'added signatures to',
+    update_notes: 'edited notes on',
+    comment: 'commented on',
+    edit_comment: 'edited a comment on',
+    approve: 'approved',
+    object: 'objected to',
+    withdraw_approval: 'withdrew their decision on',
+    update_broadcast: 'updated broadcast status of',
+    restore_revision: 'restored an earlier revision of',
+    discard_conflict: 'discarded conflicting',
+    expire: 'expired',
+    invalidate: 'invalidated',
+    update_policy: 'changed',
+    update_payee: 'edited',
+    evaluate_policy: 're-checked the spending policy of',
+    archive: 'archived',
+    unarchive: 'unarchived',
+    trash: 'moved to the trash',
+    restore: 'restored',
+    purge: 'permanently deleted',
+    delete: 'deleted'
+};
+
+const ACTIVITY_ICONS = {
+    xpub: '🔑',
+    psbt: '📝',
+    descriptor: '📜',
+    comment: '💬',
+    approval: '👍',
+    policy: '🛡️',
+    address: '📒'
+};
+
+// Comments and approvals are logged under the PSBT they are about
+const ACTIVITY_NOUNS = {
+    comment: 'psbt',
+    approval: 'psbt',
+    policy: 'the spending policy',
+    address: 'payee'
+};
+
+let activityRefreshTimer = null;
+
+// Every list reload follows a change, so refresh the activity panel once
+// after a burst of reloads instead of once per list
+function scheduleActivityRefresh() {
+    clearTimeout(activityRefreshTimer);
+    activityRefreshTimer = setTimeout(loadActivity, 300);
+}
+
+async function loadActivity() {
+    const activityListDiv = document.getElementById('activity-list');
+    if (!activityListDiv) return;
     
-    // Start the polling
-    pollConfirmations(psbtId, txid, 0);
+    try {
+        const response = await fetch(`${API_BASE}/api/audit?limit=${ACTIVITY_LIMIT}`, withSession());
+        if (handleSessionExpired(response)) return;
+        if (!response.ok) throw new Error('Failed to load activity');
+        
+        const events = await response.json();
+        for (const event of events) {
+            event.entity_label = await decryptAuditLabel(event);
+        }
+        displayActivity(events);
+    } catch (error) {
+        activityListDiv.innerHTML = `<p class="error-message">Error loading activity: ${error.message}</p>`;
+    }
 }
 
-// Poll for confirmations
-async function pollConfirmations(psbtId, txid, currentConfirmations) {
-    const result = await checkConfirmations(txid);
+function displayActivity(events) {
+    const activityListDiv = document.getElementById('activity-list');
     
-    if (result !== null) {
-        const newConfirmations = result.confirmations;
+    if (events.length === 0) {
+        activityListDiv.innerHTML = '<p class="info">No activity in this session yet.</p>';
+        return;
+    }
+    
+    activityListDiv.innerHTML = events.map(event => {
+        const timestamp = formatTimestamp(event.created_at);
+        const verb = ACTIVITY_VERBS[event.action] || event.action;
+        const hashes = [
+            event.before_hash ? `before ${event.before_hash.substring(0, 12)}` : null,
+            event.after_hash ? `after ${event.after_hash.substring(0, 12)}` : null
+        ].filter(Boolean).join(' → ');
         
-        // Update if confirmations changed
-        if (newConfirmations !== currentConfirmations) {
-            let newStatus;
-            if (newConfirmations === 0) {
-                newStatus = 'broadcast';
-            } else if (newConfirmations >= 6) {
-                newStatus = 'final';
-            } else {
-                newStatus = `confirmed_${newConfirmations}`;
+        return `
+            <div class="activity-item">
+                <span class="activity-icon">${ACTIVITY_ICONS[event.entity_type] || '•'}</span>
+                <div class="activity-body">
+                    <div>
+                        <strong>${escapeHtml(event.actor)}</strong> ${verb} ${ACTIVITY_NOUNS[event.entity_type] || event.entity_type}
+                        ${event.entity_label ? `<em>${escapeHtml(event.entity_label)}</em>` : ''}
+                    </div>
+                    <div class="activity-meta" title="${timestamp.exact}">
+                        ${timestamp.relative}${hashes ? ` • <span class="activity-hash">${hashes}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Session history hash chain
+// ============================================
+
+// Every audit event commits to the previous one (see server/lib/chain.js).
+// The browser pins the newest event it has verified per session and checks on
+// each reload that the server's history still extends that pin.
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+function chainPinKey() {
+    return `multisig_chain_pin:${currentSessionId}`;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Must match canonicalEvent() on the server field for field
+function canonicalAuditEvent(event) {
+    return JSON.stringify([
+        event.session_id,
+        event.seq,
+        event.prev_hash,
+        event.actor,
+        event.action,
+        event.entity_type,
+        event.entity_id,
+        event.entity_label || null,
+        event.before_hash || null,
+        event.after_hash || null,
+        event.created_at
+    ]);
+}
+
+// Check the server's history against the pinned head; returns a problem
+// description, or null when the chain is consistent
+async function checkAuditChain(pin) {
+    let fromSeq = pin ? pin.seq : 1;
+    let previous = null;
+    
+    while (true) {
+        const response = await fetch(`${API_BASE}/api/audit/chain?from_seq=${fromSeq}`, withSession());
+        if (handleSessionExpired(response)) return null;
+        if (!response.ok) throw new Error('Failed to load session history');
+        const { events, has_more } = await response.json();
+        
+        for (const event of events) {
+            if (previous) {
+                if (event.seq !== previous.seq + 1 || event.prev_hash !== previous.hash) {
+                    return `History is broken between events #${previous.seq} and #${event.seq}.`;
+                }
+            } else if (pin) {
+                if (event.seq !== pin.seq || event.hash !== pin.hash) {
+                    return `Event #${pin.seq}, which this browser verified before, has been changed or removed.`;
+                }
+            } else if (event.seq !== 1 || event.prev_hash !== AUDIT_GENESIS_HASH) {
+                return 'History does not start at the first event.';
             }
             
-            // Update on server
-            try {
-                await fetch(`${API_BASE}/api/psbts/${psbtId}/broadcast`, withSession({
-                    method: 'PATCH',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        txid: txid,
-                        status: newStatus,
-                        confirmations: newConfirmations
-                    })
-                }));
-                
-                // Reload PSBTs to update UI
-                await loadPsbts();
-                
-                // Show notification on milestones
-                if (newConfirmations === 1) {
-                    showToast('First Confirmation! 🎉', `Transaction ${txid.substring(0, 8)}... has 1 confirmation`, 'success');
-                } else if (newConfirmations === 6) {
-                    showToast('Transaction Final! ✅', `Transaction ${txid.substring(0, 8)}... has 6+ confirmations`, 'success');
-                }
-            } catch (error) {
-                console.error('Error updating confirmation status:', error);
+            if (await sha256Hex(canonicalAuditEvent(event)) !== event.hash) {
+                return `Event #${event.seq} does not match its hash.`;
             }
+            previous = event;
         }
         
-        // If we've reached 6+ confirmations, stop polling
-        if (newConfirmations >= 6) {
-            confirmationPollers.delete(psbtId);
-            return;
-        }
-        
-        // Schedule next poll
-        // Unconfirmed: check every 5 seconds
-        // 1-5 confirmations: check every 20 seconds
-        const pollInterval = newConfirmations === 0 ? 5000 : 20000;
-        
-        const timerId = setTimeout(() => {
-            pollConfirmations(psbtId, txid, newConfirmations);
-        }, pollInterval);
-        
-        confirmationPollers.set(psbtId, timerId);
-    } else {
-        // If check failed, retry in 10 seconds
-        const timerId = setTimeout(() => {
-            pollConfirmations(psbtId, txid, currentConfirmations);
-        }, 10000);
-        
-        confirmationPollers.set(psbtId, timerId);
+        if (!has_more || events.length === 0) break;
+        fromSeq = previous.seq + 1;
+    }
+    
+    if (pin && !previous) {
+        return `History ends before event #${pin.seq}, which this browser verified before.`;
+    }
+    
+    if (previous) {
+        localStorage.setItem(chainPinKey(), JSON.stringify({ seq: previous.seq, hash: previous.hash }));
     }
+    return null;
 }
 
-// Initialize confirmation tracking for any broadcast PSBTs on page load
-function initializeConfirmationTracking() {
-    allPsbts.forEach(psbt => {
-        // Track any broadcast transaction that isn't final
-        if (psbt.txid && psbt.status && 
-            (psbt.status === 'broadcast' || psbt.status.startsWith('confirmed_')) && 
-            psbt.status !== 'final') {
-            startConfirmationTracking(psbt.id, psbt.txid);
-        }
-        
-        // Check if "ready" PSBTs without txid might already be on chain (broadcast externally)
-        if (psbt.status === 'ready' && !psbt.txid) {
-            checkIfAlreadyBroadcast(psbt);
+async function verifyAuditChain() {
+    if (!window.crypto || !window.crypto.subtle) {
+        console.warn('Web Crypto is unavailable (insecure context); skipping session history verification');
+        return;
+    }
+    
+    const pin = JSON.parse(localStorage.getItem(chainPinKey()) || 'null');
+    try {
+        const problem = await checkAuditChain(pin);
+        if (problem) {
+            showChainAlert(problem);
+        } else {
+            hideChainAlert();
         }
-    });
+    } catch (error) {
+        console.error('Error verifying session history:', error);
+    }
+}
+
+function showChainAlert(problem) {
+    const alertDiv = document.getElementById('chain-alert');
+    document.getElementById('chain-alert-message').textContent = problem;
+    alertDiv.style.display = 'block';
+}
+
+function hideChainAlert() {
+    document.getElementById('chain-alert').style.display = 'none';
+}
+
+// Forget the pin and accept the server's history as it is now (after the
+// group has confirmed out of band that the change was legitimate)
+async function trustCurrentHistory() {
+    if (!confirm('Only do this if your group has confirmed the history change is legitimate (for example a database restore). Accept the server\'s current history?')) {
+        return;
+    }
+    localStorage.removeItem(chainPinKey());
+    await verifyAuditChain();
+}
+
+// ============================================
+// End-to-end encryption
+// ============================================
+
+// In end-to-end encrypted sessions the browser derives an AES-GCM key from the
+// group's encryption passphrase (PBKDF2, salt stored on the server) and encrypts
+// the fields below before they are sent. The server only ever sees ciphertext.
+
+// Record fields are bound to the record's id (see e2eRecordContext)
+const E2E_PREFIX = 'e2e:v2:';
+const E2E_KDF_ITERATIONS = 600000;
+const E2E_CHECK_PLAINTEXT = 'multisig-helper-e2e-check';
+
+// Must match ENCRYPTED_FIELDS in server/lib/e2e.js
+const E2E_FIELDS = {
+    xpubs: ['label', 'xpub'],
+    psbts: ['name', 'psbt_data'],
+    descriptors: ['name', 'descriptor', 'first_address'],
+    comments: ['body'],
+    addresses: ['address', 'label', 'owner', 'notes']
+};
+
+// Which encrypted field holds the label recorded in audit events
+const E2E_AUDIT_LABELS = {
+    xpub: ['xpubs', 'label'],
+    psbt: ['psbts', 'name'],
+    descriptor: ['descriptors', 'name'],
+    comment: ['psbts', 'name'],
+    approval: ['psbts', 'name'],
+    address: ['addresses', 'label']
+};
+
+let sessionEncryption = null; // Key derivation parameters from /api/sessions/me
+let sessionKey = null;
+
+// Remembered per session so a server that stops reporting encryption can't
+// trick this browser into sending plaintext
+function e2eSessionStorageKey(sessionId = currentSessionId) {
+    return `multisig_e2e:${sessionId}`;
+}
+
+// The derived key is kept for the lifetime of the tab only
+function e2eKeyStorageKey(sessionId = currentSessionId) {
+    return `multisig_e2e_key:${sessionId}`;
+}
+
+function isEncryptedSession() {
+    return Boolean(sessionEncryption);
+}
+
+function bytesToBase64(bytes) {
+    // Built in chunks; spreading a large PSBT into one call exceeds the argument limit
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function isE2eCiphertext(value) {
+    return typeof value === 'string' && value.startsWith(E2E_PREFIX);
+}
+
+// Additional authenticated data ties each ciphertext to its session, record type
+// and field, so the server can't move ciphertext between fields or sessions
+function e2eContext(recordType, field, sessionId = currentSessionId) {
+    return new TextEncoder().encode(`${sessionId}:${recordType}:${field}`);
+}
+
+// ...and record fields to their record too, so it can't swap them between
+// records. The browser picks the id of each record it creates (see encryptRecord).
+function e2eRecordContext(recordType, recordId, field) {
+    return new TextEncoder().encode(`${currentSessionId}:${recordType}:${recordId}:${field}`);
+}
+
+async function deriveSessionKey(passphrase, params) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(params.salt), iterations: params.iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptValue(key, plaintext, context) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: context }, key, new TextEncoder().encode(plaintext)
+    );
+    return `${E2E_PREFIX}${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptValue(key, value, context) {
+    const [, , iv, ciphertext] = value.split(':');
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv), additionalData: context }, key, base64ToBytes(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+}
+
+// Generate the parameters for a new encrypted session
+async function createSessionEncryption(sessionName, passphrase) {
+    const params = {
+        kdf: 'PBKDF2-SHA256',
+        iterations: E2E_KDF_ITERATIONS,
+        salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+    const key = await deriveSessionKey(passphrase, params);
+    params.check = await encryptValue(key, E2E_CHECK_PLAINTEXT, e2eContext('session', 'check', sessionName));
+    return { encryption: params, key };
+}
+
+// A key is right for the session if it decrypts the check value
+async function isSessionKeyValid(key, params, sessionId = currentSessionId) {
+    try {
+        const check = await decryptValue(key, params.check, e2eContext('session', 'check', sessionId));
+        return check === E2E_CHECK_PLAINTEXT;
+    } catch (e) {
+        return false;
+    }
 }
 
-// Check if a "ready" PSBT was already broadcast externally
-async function checkIfAlreadyBroadcast(psbt) {
-    if (!bitcoin) {
-        console.log(`checkIfAlreadyBroadcast: Bitcoin libraries not loaded yet for "${psbt.name}"`);
+async function rememberSessionKey(sessionId, key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    sessionStorage.setItem(e2eKeyStorageKey(sessionId), bytesToBase64(raw));
+    localStorage.setItem(e2eSessionStorageKey(sessionId), '1');
+}
+
+function forgetSessionKey(sessionId) {
+    sessionStorage.removeItem(e2eKeyStorageKey(sessionId));
+}
+
+async function loadRememberedSessionKey(params) {
+    const raw = sessionStorage.getItem(e2eKeyStorageKey());
+    if (!raw) return null;
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    return (await isSessionKeyValid(key, params)) ? key : null;
+}
+
+// Set up the current session's key from the parameters in /api/sessions/me,
+// asking for the encryption passphrase if this tab doesn't hold the key yet.
+// Resolves false if the session can't be used.
+async function unlockSessionEncryption(params) {
+    sessionEncryption = null;
+    sessionKey = null;
+    
+    if (!params) {
+        if (localStorage.getItem(e2eSessionStorageKey())) {
+            showToast('Encryption Missing', 'The server no longer reports this session as end-to-end encrypted', 'error');
+            return false;
+        }
+        return true;
+    }
+    
+    if (!window.crypto || !window.crypto.subtle) {
+        showToast('Encryption Unavailable', 'End-to-end encrypted sessions need HTTPS', 'error');
         return false;
     }
     
-    try {
-        // Compute the txid by finalizing the PSBT (without actually broadcasting)
-        console.log(`checkIfAlreadyBroadcast: Attempting to finalize PSBT "${psbt.name}"...`);
-        const result = finalizePsbt(psbt.psbt_data);
-        if (!result.success) {
-            console.log(`checkIfAlreadyBroadcast: Failed to finalize "${psbt.name}": ${result.error}`);
+    let key = await loadRememberedSessionKey(params);
+    while (!key) {
+        const passphrase = await promptEncryptionPassphrase(currentSessionId, false);
+        if (!passphrase) {
+            showToast('Session Locked', 'The encryption passphrase is needed to open this session', 'warning');
             return false;
         }
-        
-        const txid = result.txid;
-        console.log(`checkIfAlreadyBroadcast: PSBT "${psbt.name}" would have txid: ${txid}`);
-        console.log(`checkIfAlreadyBroadcast: Checking blockchain APIs...`);
-        
-        // Check if this txid exists on the blockchain
-        const confirmResult = await checkConfirmations(txid);
-        
-        console.log(`checkIfAlreadyBroadcast: API result for "${psbt.name}":`, confirmResult);
-        
-        if (confirmResult !== null) {
-            // Transaction exists on chain or in mempool!
-            const confs = confirmResult.confirmations;
-            let newStatus;
-            if (confs === 0) {
-                newStatus = 'broadcast';
-            } else if (confs >= 6) {
-                newStatus = 'final';
-            } else {
-                newStatus = `confirmed_${confs}`;
-            }
-            
-            console.log(`checkIfAlreadyBroadcast: Found! "${psbt.name}" is on chain. Status: ${newStatus}, Confirmations: ${confs}`);
-            
-            // Update the database
-            const updateResponse = await fetch(`${API_BASE}/api/psbts/${psbt.id}/broadcast`, withSession({
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    txid: txid,
-                    status: newStatus,
-                    confirmations: confs
-                })
-            }));
-            
-            console.log(`checkIfAlreadyBroadcast: Database update response:`, updateResponse.status);
-            
-            if (updateResponse.ok) {
-                showToast('Transaction Found! 🔍', 
-                    `"${psbt.name}" was already broadcast (${confs} confirmations)`, 
-                    'info');
-                
-                // Reload PSBTs to update UI (don't await to avoid recursion issues)
-                setTimeout(() => loadPsbts(), 100);
-                return true; // Signal that we found and updated
-            }
-        } else {
-            console.log(`checkIfAlreadyBroadcast: "${psbt.name}" (txid: ${txid.substring(0, 12)}...) NOT found on blockchain`);
+        key = await deriveSessionKey(passphrase, params);
+        if (!(await isSessionKeyValid(key, params))) {
+            showToast('Wrong Passphrase', 'That encryption passphrase does not unlock this session', 'error');
+            key = null;
         }
-    } catch (error) {
-        console.error(`checkIfAlreadyBroadcast: Error for "${psbt.name}":`, error);
     }
-    return false;
+    
+    await rememberSessionKey(currentSessionId, key);
+    sessionEncryption = params;
+    sessionKey = key;
+    return true;
 }
 
-// Show broadcast confirmation modal
-function showBroadcastModal(psbtData) {
-    // Parse PSBT to show summary
-    let summary = { inputs: 0, outputs: 0, totalOutput: 0, fee: 0 };
-    try {
-        const psbt = bitcoin.Psbt.fromBase64(psbtData.psbt_data);
-        const details = parsePsbtDetails(psbt);
-        summary = {
-            inputs: details.inputs.length,
-            outputs: details.outputs.length,
-            totalOutput: details.totalOutput,
-            fee: details.fee
-        };
-    } catch (e) {
-        console.error('Failed to parse PSBT for summary:', e);
-    }
-    
-    const overlay = document.createElement('div');
-    overlay.className = 'modal-overlay';
-    overlay.id = 'broadcast-modal';
-    overlay.innerHTML = `
-        <div class="modal-content broadcast-modal">
-            <h3>📡 Broadcast Transaction</h3>
-            
-            <div class="broadcast-summary">
-                <h4>Transaction Summary</h4>
-                <div class="summary-grid">
-                    <div class="summary-item">
-                        <span class="summary-label">Name:</span>
-                        <span class="summary-value">${escapeHtml(psbtData.name)}</span>
-                    </div>
-                    <div class="summary-item">
-                        <span class="summary-label">Inputs:</span>
-                        <span class="summary-value">${summary.inputs}</span>
-                    </div>
-                    <div class="summary-item">
-                        <span class="summary-label">Outputs:</span>
-                        <span class="summary-value">${summary.outputs}</span>
-                    </div>
-                    <div class="summary-item">
-                        <span class="summary-label">Amount:</span>
-                        <span class="summary-value">${formatSatoshis(summary.totalOutput)}</span>
-                    </div>
-                    <div class="summary-item">
-                        <span class="summary-label">Fee:</span>
-                        <span class="summary-value">${formatSatoshis(summary.fee)}</span>
-                    </div>
+// Ask for the encryption passphrase (twice when creating a session)
+function promptEncryptionPassphrase(sessionName, confirmNew) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content" style="max-width: 420px;">
+                <h3>🔐 Encryption Passphrase</h3>
+                <p style="margin-bottom: 15px; color: #666;">
+                    ${confirmNew
+                        ? `Choose the passphrase that encrypts <strong>${escapeHtml(sessionName)}</strong>. Share it with your group in person; it can't be recovered or changed.`
+                        : `Enter the encryption passphrase for <strong>${escapeHtml(sessionName)}</strong>.`}
+                </p>
+                <div class="form-group">
+                    <input type="password" id="e2e-passphrase-input" placeholder="Encryption passphrase" autocomplete="off" style="width: 100%; margin-bottom: 8px;">
+                    ${confirmNew ? '<input type="password" id="e2e-passphrase-confirm" placeholder="Repeat passphrase" autocomplete="off" style="width: 100%;">' : ''}
                 </div>
-            </div>
-            
-            <div class="broadcast-status-container" id="broadcast-status">
-                <div class="status-step" data-step="finalize">
-                    <span class="status-icon">⏳</span>
-                    <span class="status-text">Waiting to start...</span>
+                <div class="modal-buttons" style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 15px;">
+                    <button class="btn btn-secondary" id="e2e-cancel">Cancel</button>
+                    <button class="btn btn-success" id="e2e-submit">${confirmNew ? 'Encrypt Session' : 'Unlock'}</button>
                 </div>
             </div>
-            
-            <div class="broadcast-result" id="broadcast-result" style="display: none;"></div>
-            
-            <div class="broadcast-warning">
-                ⚠️ <strong>Warning:</strong> Broadcasting is irreversible! Make sure you've verified the transaction details.
-            </div>
-            
-            <div class="modal-buttons">
-                <button class="btn btn-secondary" id="broadcast-cancel">Cancel</button>
-                <button class="btn btn-success" id="broadcast-confirm">📡 Broadcast Now</button>
-            </div>
-        </div>
-    `;
-    
-    document.body.appendChild(overlay);
-    
-    const cancelBtn = overlay.querySelector('#broadcast-cancel');
-    const confirmBtn = overlay.querySelector('#broadcast-confirm');
-    
-    cancelBtn.addEventListener('click', () => {
-        document.body.removeChild(overlay);
-    });
-    
-    confirmBtn.addEventListener('click', async () => {
-        confirmBtn.disabled = true;
-        confirmBtn.textContent = 'Broadcasting...';
-        cancelBtn.style.display = 'none';
-        
-        // Remove the warning during broadcast
-        overlay.querySelector('.broadcast-warning').style.display = 'none';
+        `;
+        document.body.appendChild(overlay);
+        document.getElementById('e2e-passphrase-input').focus();
         
-        // The actual broadcast will update the status container
-        await executeBroadcast(psbtData, overlay);
-    });
-    
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay && !confirmBtn.disabled) {
+        document.getElementById('e2e-cancel').addEventListener('click', () => {
             document.body.removeChild(overlay);
-        }
+            resolve(null);
+        });
+        document.getElementById('e2e-submit').addEventListener('click', () => {
+            const passphrase = document.getElementById('e2e-passphrase-input').value;
+            if (confirmNew) {
+                if (passphrase.length < 12) {
+                    showToast('Weak Passphrase', 'Use at least 12 characters for the encryption passphrase', 'warning');
+                    return;
+                }
+                if (passphrase !== document.getElementById('e2e-passphrase-confirm').value) {
+                    showToast('Mismatch', 'The passphrases do not match', 'warning');
+                    return;
+                }
+            }
+            if (!passphrase) return;
+            document.body.removeChild(overlay);
+            resolve(passphrase);
+        });
     });
-    
-    return overlay;
 }
 
-// Execute the broadcast (called after confirmation)
-async function executeBroadcast(psbtData, modal) {
-    const statusContainer = modal.querySelector('#broadcast-status');
-    const resultContainer = modal.querySelector('#broadcast-result');
-    
-    // Step 1: Finalize PSBT
-    updateBroadcastStatus(statusContainer, 'finalize', 'pending', 'Finalizing PSBT...');
-    
-    await new Promise(resolve => setTimeout(resolve, 500)); // Brief delay for UX
-    
-    const finalizeResult = finalizePsbt(psbtData.psbt_data);
-    if (!finalizeResult.success) {
-        updateBroadcastStatus(statusContainer, 'finalize', 'error', `Failed: ${finalizeResult.error}`);
-        showBroadcastResult(resultContainer, false, `Finalization failed: ${finalizeResult.error}`);
-        return;
+// Encrypt a record's fields before sending it (unchanged outside encrypted
+// sessions). Pass the id of the record being updated; a new record gets a
+// random id, sent along as its id.
+async function encryptRecord(recordType, record, recordId = null) {
+    if (!isEncryptedSession()) {
+        if (localStorage.getItem(e2eSessionStorageKey())) {
+            throw new Error('This session is end-to-end encrypted but locked; reload the page');
+        }
+        return record;
     }
     
-    updateBroadcastStatus(statusContainer, 'finalize', 'success', 
-        `Finalized! TxID: ${finalizeResult.txid.substring(0, 12)}...`);
-    
-    const txHex = finalizeResult.hex;
-    const txid = finalizeResult.txid;
-    
-    // Step 2: Broadcast to all endpoints
-    addStatusStep(statusContainer, 'broadcast', 'pending', 'Broadcasting to network...');
-    
-    const broadcastPromises = BROADCAST_ENDPOINTS.map(endpoint => 
-        broadcastToEndpoint(endpoint, txHex)
-    );
+    const id = recordId || crypto.randomUUID();
+    const encrypted = recordId ? { ...record } : { ...record, id };
+    for (const field of E2E_FIELDS[recordType]) {
+        if (typeof encrypted[field] === 'string' && encrypted[field] !== '') {
+            encrypted[field] = await encryptValue(sessionKey, encrypted[field], e2eRecordContext(recordType, id, field));
+        }
+    }
+    return encrypted;
+}
+
+// Decrypt a record from the server (recordId defaults to its id). Ciphertext
+// that fails to authenticate means it was altered, and so does plaintext,
+// which only the server could have put there; both are errors rather than
+// something to display.
+async function decryptRecord(recordType, record, recordId = record.id) {
+    if (!isEncryptedSession()) return record;
     
-    const broadcastResults = await Promise.all(broadcastPromises);
+    const decrypted = { ...record };
+    for (const field of E2E_FIELDS[recordType]) {
+        const value = decrypted[field];
+        if (typeof value !== 'string' || value === '') continue;
+        if (!isE2eCiphertext(value)) {
+            throw new Error(`The ${field} of a stored ${recordType.slice(0, -1)} is not encrypted; it may have been tampered with`);
+        }
+        try {
+            decrypted[field] = await decryptValue(sessionKey, value, e2eRecordContext(recordType, recordId, field));
+        } catch (e) {
+            throw new Error(`Could not decrypt the ${field} of a stored ${recordType.slice(0, -1)}; it may have been tampered with`);
+        }
+    }
+    return decrypted;
+}
+
+function decryptRecords(recordType, records) {
+    return Promise.all(records.map(record => decryptRecord(recordType, record)));
+}
+
+// Audit events keep the entity's label as it was stored, i.e. as ciphertext
+// bound to the entity. Comment and approval events are labelled with their
+// PSBT's name, so it is tried against the PSBTs this tab has loaded.
+async function decryptAuditLabel(event) {
+    const label = event.entity_label;
+    const source = E2E_AUDIT_LABELS[event.entity_type];
+    if (!isEncryptedSession() || !source || !label) return label;
+    if (isE2eCiphertext(label)) {
+        const [recordType, field] = source;
+        const ids = recordType === 'psbts' && event.entity_type !== 'psbt'
+            ? allPsbts.map(psbt => psbt.id)
+            : [event.entity_id];
+        for (const id of ids) {
+            try {
+                return await decryptValue(sessionKey, label, e2eRecordContext(recordType, id, field));
+            } catch (e) {
+                // Not this record's
+            }
+        }
+    }
+    return '🔒 (undecryptable)';
+}
+
+// ============================================
+// Live updates
+// ============================================
+
+// The server streams changes to the session's xpubs, descriptors and PSBTs
+// as Server-Sent Events (GET /api/events). EventSource can't send the bearer
+// token, so the stream is read with fetch. Changes made by this tab are
+// skipped: they carry our client id and the UI has already reloaded.
+
+const LIVE_RETRY_MS = 5000;
+
+let liveUpdates = null;
+let liveRetryTimer = null;
+
+// Which list and views each kind of record lives in
+const LIVE_COLLECTIONS = {
+    xpub: {
+        recordType: 'xpubs',
+        get: () => allXpubs,
+        set: (records) => { allXpubs = records; },
+        render: async () => {
+            await checkKeyPins('xpubs', allXpubs);
+            updateXpubSelection();
+            updateAutoLabelPlaceholder();
+            displayPsbts(); // The session's keys decide which outputs are change
+        }
+    },
+    descriptor: {
+        recordType: 'descriptors',
+        get: () => allDescriptors,
+        set: (records) => { allDescriptors = records; },
+        render: async () => {
+            await checkKeyPins('descriptors', allDescriptors);
+            displayDescriptors();
+            displayPsbts();
+        }
+    },
+    psbt: {
+        recordType: 'psbts',
+        get: () => allPsbts,
+        set: (records) => { allPsbts = records; },
+        render: async () => displayPsbts()
+    },
+    address: {
+        recordType: 'addresses',
+        get: () => addressBook,
+        set: (records) => { addressBook = records; },
+        render: async () => displayAddressBook()
+    }
+};
+
+// (Re)open the stream for the current session. After a dropped connection
+// the lists are reloaded once, since events sent in between are lost.
+function connectLiveUpdates(resync = false) {
+    disconnectLiveUpdates();
+    const controller = new AbortController();
+    liveUpdates = controller;
     
-    const successfulBroadcasts = broadcastResults.filter(r => r.success);
-    const failedBroadcasts = broadcastResults.filter(r => !r.success);
+    streamLiveUpdates(controller, resync)
+        .catch(error => {
+            if (!controller.signal.aborted) console.warn('Live updates disconnected:', error.message);
+        })
+        .finally(() => {
+            // Replaced by a newer stream or stopped on purpose
+            if (liveUpdates !== controller) return;
+            liveRetryTimer = setTimeout(() => connectLiveUpdates(true), LIVE_RETRY_MS);
+        });
+}
+
+function disconnectLiveUpdates() {
+    clearTimeout(liveRetryTimer);
+    if (liveUpdates) {
+        const controller = liveUpdates;
+        liveUpdates = null;
+        controller.abort();
+    }
+}
+
+async function streamLiveUpdates(controller, resync) {
+    const response = await fetch(`${API_BASE}/api/events`, withSession({ signal: controller.signal }));
+    if (handleSessionExpired(response)) return;
+    if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
     
-    // Show individual endpoint results
-    broadcastResults.forEach(result => {
-        const icon = result.success ? '✅' : '❌';
-        const message = result.success 
-            ? 'Accepted' 
-            : `Failed: ${result.error.substring(0, 40)}...`;
-        addEndpointStatus(statusContainer, result.endpoint, result.success ? 'success' : 'error', 
-            `${icon} ${result.endpoint}: ${message}`);
-    });
+    if (resync) {
+        await Promise.all([loadXpubs(), loadPsbts(), loadDescriptors(), loadPolicy(), loadAddressBook()]);
+    }
     
-    if (successfulBroadcasts.length === 0) {
-        // Check if the error indicates the transaction is already in the blockchain
-        const alreadyBroadcastErrors = ['already in block chain', 'Transaction already in block chain', 
-            'txn-already-in-mempool', 'txn-mempool-conflict', 'already exists', 'already known'];
-        
-        const isAlreadyBroadcast = failedBroadcasts.some(r => 
-            alreadyBroadcastErrors.some(errText => r.error.toLowerCase().includes(errText.toLowerCase()))
-        );
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
         
-        if (isAlreadyBroadcast) {
-            updateBroadcastStatus(statusContainer, 'broadcast', 'warning', 'Transaction already broadcast!');
-            addStatusStep(statusContainer, 'verify', 'pending', 'Checking transaction status...');
+        // Events are separated by a blank line; only their data lines matter here
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const data = block.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            if (!data) continue;
             
-            // Check if the transaction exists on chain
-            const result = await checkConfirmations(txid);
-            if (result !== null) {
-                const confs = result.confirmations;
-                let newStatus = confs === 0 ? 'broadcast' : (confs >= 6 ? 'final' : `confirmed_${confs}`);
-                
-                updateBroadcastStatus(statusContainer, 'verify', 'success', 
-                    confs === 0 ? 'Found in mempool!' : `Found on chain with ${confs} confirmation(s)!`);
-                showBroadcastResult(resultContainer, true, txid, `https://mempool.space/tx/${txid}`, false);
-                
-                // Update the database
-                await updatePsbtBroadcastStatus(psbtData.id, txid);
-                showToast('Transaction Found! 🔍', confs === 0 ? 'Transaction is in the mempool' : `Transaction has ${confs} confirmation(s)`, 'success');
-            } else {
-                updateBroadcastStatus(statusContainer, 'verify', 'warning', 'Could not verify transaction status');
-                showBroadcastResult(resultContainer, true, txid, `https://mempool.space/tx/${txid}`, true);
-                await updatePsbtBroadcastStatus(psbtData.id, txid);
+            try {
+                await applyLiveEvent(JSON.parse(data));
+            } catch (error) {
+                console.error('Error applying live update:', error);
             }
-            return;
         }
-        
-        updateBroadcastStatus(statusContainer, 'broadcast', 'error', 'All broadcasts failed!');
-        showBroadcastResult(resultContainer, false, 'Transaction rejected by all endpoints. The transaction may be invalid.');
-        return;
     }
+}
+
+// Apply one change event ({ type, actor, origin, data }) to the in-memory lists
+async function applyLiveEvent(event) {
+    if (event.origin === CLIENT_ID) return;
     
-    updateBroadcastStatus(statusContainer, 'broadcast', 'success', 
-        `Accepted by ${successfulBroadcasts.length}/${BROADCAST_ENDPOINTS.length} endpoints`);
+    if (event.type === 'session.imported') {
+        await Promise.all([loadXpubs(), loadPsbts(), loadDescriptors()]);
+        showToast('Session Updated', `${event.actor} imported a bundle into this session`, 'info');
+        return;
+    }
     
-    // Step 3: Verify propagation
-    addStatusStep(statusContainer, 'verify', 'pending', 'Verifying network propagation (3s)...');
+    if (event.type === 'policy.updated') {
+        spendingPolicy = event.data;
+        displayPolicy();
+        showToast('Policy Changed', `${event.actor} changed the spending policy`, 'info');
+        scheduleActivityRefresh();
+        return;
+    }
     
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    const [kind, action] = event.type.split('.');
     
-    const broadcastedToNames = successfulBroadcasts.map(r => r.endpoint);
-    const verifyPromises = VERIFY_ENDPOINTS.map(endpoint =>
-        verifyOnEndpoint(endpoint, txid, broadcastedToNames)
-    );
+    // Keep an open trash list current
+    if (trashRecords && (kind === 'trash' || action === 'deleted' || action === 'restored')) {
+        renderTrashList();
+    }
+    if (kind === 'trash') {
+        scheduleActivityRefresh();
+        return;
+    }
     
-    const verifyResults = await Promise.all(verifyPromises);
+    // A PSBT's discussion changed: refresh its card (and the discussion, if open)
+    if (kind === 'comment' || kind === 'approval') {
+        await refreshPsbtDiscussion(event.data.psbt_id);
+        const psbt = allPsbts.find(p => p.id === event.data.psbt_id);
+        if (psbt && event.type === 'comment.created') {
+            showToast('New Comment', `${event.actor} commented on "${psbt.name}"`, 'info');
+        }
+        if (psbt && event.type === 'approval.updated' && event.data.decision === 'object') {
+            showToast('Objection', `${event.actor} objected to "${psbt.name}"`, 'warning');
+        }
+        scheduleActivityRefresh();
+        return;
+    }
     
-    const independentConfirmations = verifyResults.filter(r => 
-        r.status === 'confirmed' && r.independent
-    );
+    const collection = LIVE_COLLECTIONS[kind];
+    if (!collection) return;
     
-    // Show verification results
-    verifyResults.forEach(result => {
-        if (result.status === 'skipped') return;
-        
-        const icon = result.status === 'confirmed' ? '🌐' : '⏳';
-        const statusText = result.status === 'confirmed' 
-            ? 'Seen on network!' 
-            : 'Not propagated yet';
-        addEndpointStatus(statusContainer, result.endpoint, 
-            result.status === 'confirmed' ? 'success' : 'warning',
-            `${icon} ${result.endpoint}: ${statusText}`);
-    });
+    const records = collection.get();
+    const previous = records.find(record => record.id === event.data.id);
     
-    // Final result
-    if (independentConfirmations.length > 0) {
-        updateBroadcastStatus(statusContainer, 'verify', 'success', 
-            `✨ Confirmed on ${independentConfirmations.length} independent service(s)!`);
-        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl);
-        
-        await updatePsbtBroadcastStatus(psbtData.id, txid);
-        showToast('Broadcast Success! 🎉', 'Transaction confirmed on the network', 'success');
+    if (action === 'deleted') {
+        collection.set(records.filter(record => record.id !== event.data.id));
+        if (kind === 'xpub') selectedXpubIds.delete(event.data.id);
     } else {
-        updateBroadcastStatus(statusContainer, 'verify', 'warning', 
-            'Accepted but not yet seen on independent services');
-        showBroadcastResult(resultContainer, true, txid, successfulBroadcasts[0].explorerUrl, true);
+        const record = await decryptRecord(collection.recordType, event.data);
+        collection.set(previous
+            ? records.map(existing => (existing.id === record.id ? record : existing))
+            : [record, ...records]);
         
-        await updatePsbtBroadcastStatus(psbtData.id, txid);
-        showToast('Broadcast Sent', 'Transaction accepted, propagating...', 'info');
+        if (kind === 'psbt' && action === 'signed' && (!previous || record.signatures_count > previous.signatures_count)) {
+            showToast(
+                'New Signature',
+                `${event.actor} signed "${record.name}" (${record.signatures_count}/${record.m_required})`,
+                'info'
+            );
+        }
+        if (kind === 'psbt' && (action === 'expired' || action === 'invalidated')) {
+            showToast(
+                action === 'expired' ? 'PSBT Expired' : 'PSBT Invalidated',
+                action === 'expired'
+                    ? `"${record.name}" wasn't fully signed before its deadline`
+                    : `An input of "${record.name}" was spent by another transaction`,
+                'warning'
+            );
+        }
+        if (kind === 'psbt' && action === 'broadcast' && record.txid && record.status !== 'final') {
+            startConfirmationTracking(record.id, record.txid);
+        }
     }
+    
+    await collection.render();
+    scheduleActivityRefresh();
 }
 
-// Helper: Update a status step
-function updateBroadcastStatus(container, step, status, message) {
-    let stepEl = container.querySelector(`[data-step="${step}"]`);
-    if (!stepEl) {
-        stepEl = document.createElement('div');
-        stepEl.className = 'status-step';
-        stepEl.dataset.step = step;
-        container.appendChild(stepEl);
+// ============================================
+// Key pinning
+// ============================================
+
+// The browser remembers a fingerprint of every xpub and descriptor it has seen
+// per session (trusting the first load). If the server later returns a known
+// entry with different key material, drops one, or adds one this browser didn't
+// add itself, address generation and receive addresses are blocked until the
+// user reviews the change.
+
+let keyPinChanges = { xpubs: [], descriptors: [] };
+
+function keyPinStorageKey() {
+    return `multisig_key_pins:${currentSessionId}`;
+}
+
+function loadKeyPins() {
+    return JSON.parse(localStorage.getItem(keyPinStorageKey()) || '{}');
+}
+
+function saveKeyPins(pins) {
+    localStorage.setItem(keyPinStorageKey(), JSON.stringify(pins));
+}
+
+// Fingerprint the key material of an entry (labels and names may change freely)
+async function keyFingerprint(kind, entry) {
+    const material = kind === 'xpubs'
+        ? entry.xpub
+        : `${entry.descriptor}\n${entry.first_address || ''}`;
+    return (await sha256Hex(material)).substring(0, 16);
+}
+
+function keyEntryLabel(kind, entry) {
+    return kind === 'xpubs' ? entry.label : entry.name;
+}
+
+async function checkKeyPins(kind, entries) {
+    if (!window.crypto || !window.crypto.subtle) {
+        console.warn('Web Crypto is unavailable (insecure context); skipping key pinning');
+        return;
     }
     
-    const icons = {
-        pending: '⏳',
-        success: '✅',
-        error: '❌',
-        warning: '⚠️'
-    };
+    const current = {};
+    for (const entry of entries) {
+        current[entry.id] = { fingerprint: await keyFingerprint(kind, entry), label: keyEntryLabel(kind, entry) };
+    }
     
-    stepEl.className = `status-step ${status}`;
-    stepEl.innerHTML = `
-        <span class="status-icon">${icons[status] || '•'}</span>
-        <span class="status-text">${message}</span>
-    `;
-}
-
-// Helper: Add a new status step
-function addStatusStep(container, step, status, message) {
-    const stepEl = document.createElement('div');
-    stepEl.className = `status-step ${status}`;
-    stepEl.dataset.step = step;
+    const pins = loadKeyPins();
+    const pinned = pins[kind];
+    const changes = [];
     
-    const icons = {
-        pending: '⏳',
-        success: '✅',
-        error: '❌',
-        warning: '⚠️'
-    };
+    if (pinned) {
+        Object.entries(current).forEach(([id, entry]) => {
+            if (!pinned[id]) {
+                changes.push({ type: 'added', label: entry.label });
+            } else if (pinned[id].fingerprint !== entry.fingerprint) {
+                changes.push({ type: 'changed', label: pinned[id].label });
+            } else {
+                // Same key material; just follow renames
+                pinned[id].label = entry.label;
+            }
+        });
+        Object.entries(pinned).forEach(([id, entry]) => {
+            if (!current[id]) {
+                changes.push({ type: 'removed', label: entry.label });
+            }
+        });
+    }
     
-    stepEl.innerHTML = `
-        <span class="status-icon">${icons[status] || '•'}</span>
-        <span class="status-text">${message}</span>
-    `;
-    container.appendChild(stepEl);
+    if (!pinned || changes.length === 0) {
+        pins[kind] = current;
+        saveKeyPins(pins);
+    }
+    
+    keyPinChanges[kind] = changes;
+    updateKeyPinAlert();
 }
 
-// Helper: Add endpoint-specific status
-function addEndpointStatus(container, endpoint, status, message) {
-    const endpointEl = document.createElement('div');
-    endpointEl.className = `endpoint-status ${status}`;
-    endpointEl.innerHTML = `<span class="endpoint-message">${message}</span>`;
-    container.appendChild(endpointEl);
+// Record an entry this browser created itself
+async function pinKeyEntry(kind, entry) {
+    const pins = loadKeyPins();
+    if (!pins[kind] || !window.crypto || !window.crypto.subtle) return;
+    pins[kind][entry.id] = { fingerprint: await keyFingerprint(kind, entry), label: keyEntryLabel(kind, entry) };
+    saveKeyPins(pins);
 }
 
-// Helper: Show final broadcast result
-function showBroadcastResult(container, success, txidOrError, explorerUrl = null, pending = false) {
-    container.style.display = 'block';
-    
-    if (success) {
-        container.className = 'broadcast-result success';
-        container.innerHTML = `
-            <div class="result-header">
-                ${pending ? '⏳' : '🎉'} ${pending ? 'Transaction Sent!' : 'Transaction Broadcast Successfully!'}
-            </div>
-            <div class="result-txid">
-                <label>Transaction ID:</label>
-                <code>${txidOrError}</code>
-                <button class="btn btn-sm btn-secondary" onclick="copyToClipboard('${txidOrError}', 'TxID')">📋</button>
-            </div>
-            ${explorerUrl ? `
-            <div class="result-explorer">
-                <a href="${explorerUrl}" target="_blank" class="btn btn-primary">
-                    🔍 View on Block Explorer
-                </a>
-            </div>
-            ` : ''}
-            ${pending ? `
-            <div class="result-note">
-                Transaction was accepted but not yet confirmed on independent services. 
-                This is normal - check the explorer in a few minutes.
-            </div>
-            ` : ''}
-            <button class="btn btn-secondary" onclick="closeBroadcastModal()" style="margin-top: 15px;">Close</button>
-        `;
-    } else {
-        container.className = 'broadcast-result error';
-        container.innerHTML = `
-            <div class="result-header">❌ Broadcast Failed</div>
-            <div class="result-error">${escapeHtml(txidOrError)}</div>
-            <button class="btn btn-secondary" onclick="closeBroadcastModal()" style="margin-top: 15px;">Close</button>
-        `;
-    }
+// Set aside the pin of an entry this browser moved to the trash itself, so
+// the key material it comes back with can be checked when it is restored
+function trashKeyPin(kind, id) {
+    const pins = loadKeyPins();
+    if (!pins[kind] || !pins[kind][id]) return;
+    pins.trashed = pins.trashed || {};
+    pins.trashed[kind] = { ...pins.trashed[kind], [id]: pins[kind][id] };
+    delete pins[kind][id];
+    saveKeyPins(pins);
 }
 
-// Close broadcast modal
-function closeBroadcastModal() {
-    const modal = document.getElementById('broadcast-modal');
-    if (modal) {
-        document.body.removeChild(modal);
+// Put the pin set aside for a restored entry back. The server's restore
+// response isn't trusted: if the entry comes back with other key material
+// (or this browser never pinned it), checkKeyPins reports it as a change.
+function restoreKeyPin(kind, id) {
+    const pins = loadKeyPins();
+    const pin = pins.trashed && pins.trashed[kind] && pins.trashed[kind][id];
+    if (!pins[kind] || !pin) return;
+    pins[kind][id] = pin;
+    delete pins.trashed[kind][id];
+    saveKeyPins(pins);
+}
+
+// Forget the pins set aside for entries deleted for good (all when id is omitted)
+function forgetTrashedKeyPins(kind = null, id = null) {
+    const pins = loadKeyPins();
+    if (!pins.trashed) return;
+    if (kind && pins.trashed[kind]) {
+        delete pins.trashed[kind][id];
+    } else if (!kind) {
+        delete pins.trashed;
     }
+    saveKeyPins(pins);
 }
 
-// Get broadcast status badge HTML based on PSBT status
-function getBroadcastStatusBadge(psbt) {
-    const status = psbt.status;
-    const confirmations = psbt.confirmations || 0;
-    const isReady = status === 'ready';
-    
-    // Status mapping
-    if (status === 'broadcast') {
-        return `<span class="psbt-status broadcast">📡 Broadcast (Unconfirmed)</span>`;
-    } else if (status && status.startsWith('confirmed_')) {
-        const confs = parseInt(status.split('_')[1]) || confirmations;
-        return `<span class="psbt-status confirming">🟡 ${confs}/6 Confirmations</span>`;
-    } else if (status === 'final') {
-        return `<span class="psbt-status final">✅ Final (6+ confs)</span>`;
-    } else if (isReady) {
-        return `<span class="psbt-status ready">✅ Ready</span>`;
+function hasKeyPinChanges() {
+    return keyPinChanges.xpubs.length > 0 || keyPinChanges.descriptors.length > 0;
+}
+
+const KEY_CHANGE_DESCRIPTIONS = {
+    added: 'appeared',
+    changed: 'has different key material',
+    removed: 'disappeared'
+};
+
+function describeKeyChanges() {
+    const describe = (kind, noun) => keyPinChanges[kind].map(change =>
+        `${noun} "${change.label}" ${KEY_CHANGE_DESCRIPTIONS[change.type]}`
+    );
+    return [...describe('xpubs', 'XPub'), ...describe('descriptors', 'Descriptor')];
+}
+
+function updateKeyPinAlert() {
+    const alertDiv = document.getElementById('key-pin-alert');
+    if (hasKeyPinChanges()) {
+        document.getElementById('key-pin-alert-list').innerHTML = describeKeyChanges()
+            .map(text => `<li>${escapeHtml(text)}</li>`).join('');
+        alertDiv.style.display = 'block';
     } else {
-        return `<span class="psbt-status pending">⏳ Pending</span>`;
+        alertDiv.style.display = 'none';
     }
+    displayDescriptors();
 }
 
-// Check if PSBT is ready for broadcast (has all required signatures)
-function isPsbtReadyForBroadcast(psbtData) {
-    if (!bitcoin) return false;
+// Accept the server's current keys as the new pins
+async function acceptKeyChanges() {
+    const pins = loadKeyPins();
+    for (const [kind, entries] of [['xpubs', allXpubs], ['descriptors', allDescriptors]]) {
+        pins[kind] = {};
+        for (const entry of entries) {
+            pins[kind][entry.id] = { fingerprint: await keyFingerprint(kind, entry), label: keyEntryLabel(kind, entry) };
+        }
+    }
+    saveKeyPins(pins);
+    keyPinChanges = { xpubs: [], descriptors: [] };
+    updateKeyPinAlert();
+}
+
+// Resolve to true when no keys changed, otherwise block with a warning until
+// the user confirms they verified the changes (or cancels)
+function confirmKeysTrusted() {
+    if (!hasKeyPinChanges()) return Promise.resolve(true);
     
-    try {
-        const psbt = bitcoin.Psbt.fromBase64(psbtData);
-        const sigInfo = getSignatureInfo(psbt);
-        return sigInfo.isComplete;
-    } catch (e) {
-        return false;
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-content" style="max-width: 520px;">
+                <h3>⚠️ Keys changed on the server</h3>
+                <p style="margin: 10px 0; color: #721c24;">
+                    Since this browser last checked, the server's keys for this session changed:
+                </p>
+                <ul style="margin: 0 0 10px 20px; color: #721c24;">
+                    ${describeKeyChanges().map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+                </ul>
+                <p style="margin-bottom: 15px; color: #666; font-size: 14px;">
+                    A compromised server could swap a key to redirect deposits. Confirm each change with the
+                    key's owner (compare the xpub on their hardware wallet) before generating or using addresses.
+                </p>
+                <div class="modal-buttons" style="display: flex; gap: 10px; justify-content: flex-end;">
+                    <button class="btn btn-secondary" id="key-pin-cancel">Cancel</button>
+                    <button class="btn btn-danger" id="key-pin-accept">I've verified these changes</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        document.getElementById('key-pin-cancel').addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            resolve(false);
+        });
+        document.getElementById('key-pin-accept').addEventListener('click', async () => {
+            document.body.removeChild(overlay);
+            await acceptKeyChanges();
+            resolve(true);
+        });
+    });
+}
+
+async function reviewKeyChanges() {
+    if (await confirmKeysTrusted()) {
+        showToast('Keys Trusted', 'The current keys are now pinned for this session', 'success');
     }
 }
 
@@ -3131,9 +6474,16 @@ window.toggleXpubCard = toggleXpubCard;
 window.downloadPsbt = downloadPsbt;
 window.togglePsbtQR = togglePsbtQR;
 window.togglePsbtCard = togglePsbtCard;
+window.showMorePsbts = showMorePsbts;
 window.updatePsbtSignatures = updatePsbtSignatures;
 window.viewPsbtDetails = viewPsbtDetails;
+window.showPsbtHistory = showPsbtHistory;
+window.showPsbtDiscussion = showPsbtDiscussion;
+window.showPsbtCompareModal = showPsbtCompareModal;
 window.deletePsbt = deletePsbt;
+window.setPsbtArchived = setPsbtArchived;
+window.restoreFromTrash = restoreFromTrash;
+window.purgeFromTrash = purgeFromTrash;
 window.copyDescriptor = copyDescriptor;
 window.toggleDescriptorQR = toggleDescriptorQR;
 window.downloadDescriptor = downloadDescriptor;
@@ -3145,3 +6495,15 @@ window.downloadDescriptorById = downloadDescriptorById;
 window.deleteDescriptor = deleteDescriptor;
 window.broadcastTransaction = broadcastTransaction;
 window.closeBroadcastModal = closeBroadcastModal;
+window.changeMemberRole = changeMemberRole;
+window.removeSessionMember = removeSessionMember;
+window.revokeSessionInvite = revokeSessionInvite;
+window.trustCurrentHistory = trustCurrentHistory;
+window.reviewKeyChanges = reviewKeyChanges;
+window.compareConflictingPsbts = compareConflictingPsbts;
+window.keepConflictingPsbt = keepConflictingPsbt;
+window.savePolicy = savePolicy;
+window.saveAddressBookEntry = saveAddressBookEntry;
+window.editAddressBookEntry = editAddressBookEntry;
+window.cancelAddressBookEdit = cancelAddressBookEdit;
+window.deleteAddressBookEntry = deleteAddressBookEntry;
@@ -4,19 +4,60 @@ const path = require('path');
 const xpubsRouter = require('./routes/xpubs');
 const psbtsRouter = require('./routes/psbts');
 const descriptorsRouter = require('./routes/descriptors');
+const sessionsRouter = require('./routes/sessions');
+const auditRouter = require('./routes/audit');
+const eventsRouter = require('./routes/events');
+const webhooksRouter = require('./routes/webhooks');
+const discussionRouter = require('./routes/discussion');
+const policyRouter = require('./routes/policy');
+const addressesRouter = require('./routes/addresses');
+const trashRouter = require('./routes/trash');
+const { authenticateSession } = require('./middleware/session');
+const { ready } = require('./database');
+const { MAX_BUNDLE_SIZE } = require('./lib/bundle');
+const { resumeWebhookDeliveries } = require('./lib/webhooks');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { startPsbtExpiryJob } = require('./lib/expiry');
+const { startTrashPurgeJob } = require('./lib/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// The PSBT list returns its paging details in headers (see routes/psbts.js)
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Next-Cursor'] }));
+// Session bundles can be much larger than the default 100kb body limit
+app.use('/api/sessions/import', express.json({ limit: MAX_BUNDLE_SIZE }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// API routes
-app.use('/api/xpubs', xpubsRouter);
-app.use('/api/psbts', psbtsRouter);
-app.use('/api/descriptors', descriptorsRouter);
+// API routes (data routes require the caller's session to be authenticated);
+// the OpenAPI document describes the same list
+const apiRoutes = [
+  { path: '/api/sessions', router: sessionsRouter, tag: 'Sessions' },
+  { path: '/api/xpubs', router: xpubsRouter, tag: 'XPubs', authenticated: true },
+  { path: '/api/psbts', router: psbtsRouter, tag: 'PSBTs', authenticated: true },
+  { path: '/api/psbts/:id', router: discussionRouter, tag: 'Discussion', authenticated: true },
+  { path: '/api/descriptors', router: descriptorsRouter, tag: 'Descriptors', authenticated: true },
+  { path: '/api/audit', router: auditRouter, tag: 'Audit', authenticated: true },
+  { path: '/api/events', router: eventsRouter, tag: 'Live updates', authenticated: true },
+  { path: '/api/webhooks', router: webhooksRouter, tag: 'Webhooks', authenticated: true },
+  { path: '/api/policy', router: policyRouter, tag: 'Spending policy', authenticated: true },
+  { path: '/api/addresses', router: addressesRouter, tag: 'Address book', authenticated: true },
+  { path: '/api/trash', router: trashRouter, tag: 'Trash', authenticated: true }
+];
+apiRoutes.forEach(({ path: mountPath, router, authenticated }) => {
+  if (authenticated) {
+    app.use(mountPath, authenticateSession, router);
+  } else {
+    app.use(mountPath, router);
+  }
+});
+
+const openApiDocument = buildOpenApiDocument(apiRoutes);
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
 // Serve Bitcoin libraries from node_modules (must be before wildcard route)
 app.get('/lib/bitcoinjs-lib.min.js', (req, res) => {
@@ -37,8 +78,23 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`MultisigHelper server running on port ${PORT}`);
-  console.log(`http://localhost:${PORT}`);
-});
+// Start server once the database schema is up to date; tests require the
+// app without starting it
+if (require.main === module) {
+  ready.then(() => {
+    app.listen(PORT, () => {
+      console.log(`MultisigHelper server running on port ${PORT}`);
+      console.log(`http://localhost:${PORT}`);
+    });
+    resumeWebhookDeliveries().catch((error) => {
+      console.error('Error resuming webhook deliveries:', error);
+    });
+    startPsbtExpiryJob();
+    startTrashPurgeJob();
+  }).catch((error) => {
+    console.error('Database migration failed; not starting:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,13 @@
+const bitcoin = require('bitcoinjs-lib');
+
+// Check that an address is a valid mainnet address of any standard type
+function isValidAddress(address) {
+  try {
+    bitcoin.address.toOutputScript(address, bitcoin.networks.bitcoin);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { isValidAddress };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = (parseInt(process.env.SESSION_TOKEN_TTL_HOURS) || 24) * 60 * 60;
+
+// Secret used to sign access tokens. Without SESSION_SECRET a random one is
+// generated, which means issued tokens stop working when the server restarts.
+const TOKEN_SECRET = process.env.SESSION_SECRET || (() => {
+  console.warn('SESSION_SECRET is not set; session tokens will be invalidated on restart');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// Hash a passphrase with a random salt (stored as "scrypt$salt$hash")
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(passphrase, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Check a passphrase against a stored hash in constant time
+async function verifyPassphrase(passphrase, storedHash) {
+  const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(passphrase, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+// Issue a signed bearer token for a member of a session
+function issueToken(sessionName, memberId) {
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ sid: sessionName, mid: memberId, exp: expiresAt })).toString('base64url');
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+// Verify a bearer token, returning its payload or null if invalid/expired
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sid || !claims.mid || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Generate a random invite token; only its hash is stored
+function generateInviteToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hashPassphrase,
+  verifyPassphrase,
+  issueToken,
+  verifyToken,
+  generateInviteToken,
+  hashInviteToken
+};
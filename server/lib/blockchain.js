@@ -0,0 +1,35 @@
+// Chain backend the server queries: any Esplora-compatible REST API
+// (mempool.space by default). Point CHAIN_API_URL at your own mempool or
+// Esplora instance, or set it to an empty value to turn on-chain checks off.
+const CHAIN_API_URL = (process.env.CHAIN_API_URL === undefined
+  ? 'https://mempool.space/api'
+  : process.env.CHAIN_API_URL).replace(/\/+$/, '');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const isChainBackendEnabled = () => CHAIN_API_URL !== '';
+
+async function getJson(path) {
+  const response = await fetch(`${CHAIN_API_URL}${path}`, {
+    headers: { 'User-Agent': 'MultisigHelper' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`Chain backend responded with HTTP ${response.status} for ${path}`);
+  }
+  return response.json();
+}
+
+// Whether an outpoint has been spent, and by which transaction:
+// { spent: false } or { spent: true, txid }
+async function getOutspend(txid, vout) {
+  const outspend = await getJson(`/tx/${txid}/outspend/${vout}`);
+  return outspend.spent ? { spent: true, txid: outspend.txid } : { spent: false };
+}
+
+module.exports = {
+  CHAIN_API_URL,
+  isChainBackendEnabled,
+  getOutspend
+};
@@ -0,0 +1,348 @@
+const { decodePsbt, analyzePsbt, isTxid, BROADCAST_STATUSES, CLOSED_STATUSES } = require('./psbt');
+const { isValidXpub } = require('./xpub');
+const { checkDescriptorRecord } = require('./descriptor');
+const { ENCRYPTED_FIELDS, isCiphertext, isRecordId, findPlaintextField } = require('./e2e');
+
+// Portable session bundles: a versioned JSON document with a session's xpubs,
+// descriptors and PSBTs (including comments and broadcast status). Members,
+// invites, approvals, comment edit histories and the audit log are not part
+// of a bundle, and neither are row ids except in end-to-end encrypted
+// sessions, whose ciphertext is bound to them (see lib/e2e.js).
+const BUNDLE_FORMAT = 'multisighelper-session';
+const BUNDLE_VERSION = 1;
+
+// Largest request body accepted by POST /api/sessions/import
+const MAX_BUNDLE_SIZE = '10mb';
+
+// How an imported xpub that is already in the session is handled:
+// keep the existing label, take the bundle's label, or reject the import
+const CONFLICT_MODES = ['skip', 'overwrite', 'fail'];
+
+const PSBT_STATUSES = ['pending', 'ready', ...BROADCAST_STATUSES, ...CLOSED_STATUSES];
+
+// Timestamps of imported rows, in the format the databases write
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Build the bundle for a session from its current rows; comments maps each
+// PSBT id to its comments, oldest first
+function buildBundle(sessionId, encryption, { xpubs, descriptors, psbts, comments }) {
+  const idOf = (row) => (encryption ? { id: row.id } : {});
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    session: sessionId,
+    encryption: encryption || null,
+    xpubs: xpubs.map(row => ({
+      ...idOf(row),
+      label: row.label,
+      xpub: row.xpub,
+      created_at: row.created_at
+    })),
+    descriptors: descriptors.map(row => ({
+      ...idOf(row),
+      name: row.name,
+      descriptor: row.descriptor,
+      m_required: row.m_required,
+      n_total: row.n_total,
+      first_address: row.first_address,
+      created_at: row.created_at
+    })),
+    psbts: psbts.map(row => ({
+      ...idOf(row),
+      name: row.name,
+      psbt_data: row.psbt_data,
+      m_required: row.m_required,
+      n_total: row.n_total,
+      signatures_count: row.signatures_count,
+      status: row.status,
+      txid: row.txid,
+      confirmations: row.confirmations,
+      deadline: row.deadline || null,
+      comments: (comments[row.id] || []).map(comment => ({
+        ...idOf(comment),
+        author: comment.author,
+        body: comment.body,
+        created_at: comment.created_at
+      })),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    }))
+  };
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Ciphertext is bound to its session name and key, so an encrypted bundle can
+// only go back into the session it came from (or one created with the same
+// name and encryption parameters)
+function checkEncryption(bundle, sessionId, encryption) {
+  if (!encryption) {
+    return bundle.encryption ? 'This bundle is end-to-end encrypted; import it into its encrypted session' : null;
+  }
+  if (!bundle.encryption) {
+    return 'Plaintext bundles cannot be imported into an end-to-end encrypted session';
+  }
+  const sameKey = ['kdf', 'iterations', 'salt', 'check'].every(field => bundle.encryption[field] === encryption[field]);
+  if (!sameKey || bundle.session !== sessionId) {
+    return 'This bundle was encrypted for a different session';
+  }
+  return null;
+}
+
+// Encrypted records keep their id, which their ciphertext is bound to
+// (bundles written before that carry none and get new ids)
+function parseRecordId(entry, encrypted) {
+  if (!encrypted || entry.id === undefined || entry.id === null) return {};
+  if (!isRecordId(entry.id)) {
+    throw new Error('id must be a lowercase UUID');
+  }
+  return { id: entry.id };
+}
+
+function parseXpub(entry, { encrypted }) {
+  if (!isNonEmptyString(entry.label) || !isNonEmptyString(entry.xpub)) {
+    throw new Error('label and xpub are required');
+  }
+  if (!encrypted && !isValidXpub(entry.xpub.trim())) {
+    throw new Error('Invalid xpub format');
+  }
+  return { ...parseRecordId(entry, encrypted), label: entry.label.trim(), xpub: entry.xpub.trim() };
+}
+
+// Plaintext descriptors get the same checks as POST /api/descriptors
+function parseDescriptor(entry, { encrypted }) {
+  if (!isNonEmptyString(entry.name) || !isNonEmptyString(entry.descriptor)) {
+    throw new Error('name and descriptor are required');
+  }
+  if (!isPositiveInteger(entry.m_required) || !isPositiveInteger(entry.n_total) || entry.m_required > entry.n_total) {
+    throw new Error('m_required and n_total must be whole numbers with M no greater than N');
+  }
+  if (!isOptionalString(entry.first_address)) {
+    throw new Error('first_address must be a string');
+  }
+  if (!encrypted) {
+    checkDescriptorRecord(entry);
+  }
+  return {
+    ...parseRecordId(entry, encrypted),
+    name: entry.name,
+    descriptor: entry.descriptor,
+    m_required: entry.m_required,
+    n_total: entry.n_total,
+    first_address: entry.first_address || null
+  };
+}
+
+// A PSBT's comments, keeping their order and times. The bundle's author
+// names can't be verified, so the member importing them becomes their
+// author. Bundles exported before comments existed carry a single notes
+// field instead; it becomes the first comment.
+function parseComments(entry, { encrypted, actor }) {
+  if (!isOptionalString(entry.notes)) {
+    throw new Error('notes must be a string');
+  }
+  const entries = entry.comments === undefined || entry.comments === null ? [] : entry.comments;
+  if (!Array.isArray(entries)) {
+    throw new Error('comments must be an array');
+  }
+
+  const comments = entries.map((comment, index) => {
+    if (!comment || !isNonEmptyString(comment.author) || !isNonEmptyString(comment.body)) {
+      throw new Error(`comments[${index}]: author and body are required`);
+    }
+    if (encrypted && !isCiphertext(comment.body)) {
+      throw new Error(`comments[${index}]: body must be encrypted in this session`);
+    }
+    if (encrypted && comment.id !== undefined && comment.id !== null && !isRecordId(comment.id)) {
+      throw new Error(`comments[${index}]: id must be a lowercase UUID`);
+    }
+    const createdAt = comment.created_at ? new Date(comment.created_at) : new Date();
+    if (Number.isNaN(createdAt.getTime())) {
+      throw new Error(`comments[${index}]: created_at must be a date`);
+    }
+    return {
+      ...parseRecordId(comment, encrypted),
+      author: actor,
+      body: comment.body,
+      created_at: toTimestamp(createdAt)
+    };
+  });
+
+  if (isNonEmptyString(entry.notes)) {
+    if (encrypted && !isCiphertext(entry.notes)) {
+      throw new Error('notes must be encrypted in this session');
+    }
+    const writtenAt = new Date(entry.updated_at || entry.created_at || Date.now());
+    comments.unshift({
+      author: actor,
+      body: entry.notes,
+      created_at: toTimestamp(Number.isNaN(writtenAt.getTime()) ? new Date() : writtenAt)
+    });
+  }
+  return comments;
+}
+
+// PSBTs are checked like uploads: in plaintext sessions M-of-N and the
+// signature count come from the PSBT itself, not from the bundle
+function parsePsbt(entry, options) {
+  const { encrypted } = options;
+  if (!isNonEmptyString(entry.name) || !isNonEmptyString(entry.psbt_data)) {
+    throw new Error('name and psbt_data are required');
+  }
+  if (!isOptionalString(entry.txid) || (entry.txid && !isTxid(entry.txid))) {
+    throw new Error('txid must be a 64-character hex transaction ID');
+  }
+  const comments = parseComments(entry, options);
+
+  const status = entry.status || 'pending';
+  if (!PSBT_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}"`);
+  }
+  const broadcast = BROADCAST_STATUSES.includes(status);
+  if (broadcast && !entry.txid) {
+    throw new Error('Broadcast PSBTs need a txid');
+  }
+  if (!isOptionalString(entry.deadline) || (entry.deadline && Number.isNaN(new Date(entry.deadline).getTime()))) {
+    throw new Error('deadline must be an ISO 8601 date');
+  }
+  const confirmations = entry.confirmations === undefined || entry.confirmations === null ? 0 : entry.confirmations;
+  if (!Number.isInteger(confirmations) || confirmations < 0) {
+    throw new Error('confirmations must be a whole number');
+  }
+
+  let psbtData = entry.psbt_data;
+  let mRequired = entry.m_required;
+  let nTotal = entry.n_total;
+  let signaturesCount = entry.signatures_count;
+  let signers = null;
+
+  if (!encrypted) {
+    const psbt = decodePsbt(psbtData);
+    const analysis = analyzePsbt(psbt);
+    psbtData = psbt.toBase64();
+    signaturesCount = analysis.signaturesCount;
+    signers = analysis.signers;
+    if (analysis.mRequired) {
+      if ((mRequired && mRequired !== analysis.mRequired) || (nTotal && nTotal !== analysis.nTotal)) {
+        throw new Error(`M-of-N does not match the PSBT witness script (${analysis.mRequired}-of-${analysis.nTotal})`);
+      }
+      mRequired = analysis.mRequired;
+      nTotal = analysis.nTotal;
+    }
+  }
+
+  if (!isPositiveInteger(mRequired) || !isPositiveInteger(nTotal) || mRequired > nTotal) {
+    throw new Error('m_required and n_total must be whole numbers with M no greater than N');
+  }
+  if (!Number.isInteger(signaturesCount) || signaturesCount < 0) {
+    throw new Error('signatures_count must be a whole number');
+  }
+
+  return {
+    ...parseRecordId(entry, encrypted),
+    name: entry.name,
+    psbt_data: psbtData,
+    m_required: mRequired,
+    n_total: nTotal,
+    signatures_count: signaturesCount,
+    // Signing progress is recomputed; broadcast progress and closed PSBTs are kept
+    status: broadcast || CLOSED_STATUSES.includes(status) ? status : (signaturesCount >= mRequired ? 'ready' : 'pending'),
+    txid: entry.txid || null,
+    confirmations,
+    deadline: entry.deadline ? new Date(entry.deadline).toISOString() : null,
+    // Recorded with the PSBT's first revision, not stored on the PSBT
+    signers,
+    // Stored as the PSBT's comment thread
+    comments
+  };
+}
+
+const PARSERS = {
+  xpubs: parseXpub,
+  descriptors: parseDescriptor,
+  psbts: parsePsbt
+};
+
+// Validate a bundle for import into the given session by actor and return
+// the records to insert (or { error })
+function parseBundle(bundle, sessionId, encryption, actor) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { error: `Not a ${BUNDLE_FORMAT} bundle` };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    return { error: 'Bundle version is missing' };
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    return { error: `Bundle version ${bundle.version} is newer than this server supports (${BUNDLE_VERSION})` };
+  }
+
+  const encryptionError = checkEncryption(bundle, sessionId, encryption);
+  if (encryptionError) {
+    return { error: encryptionError };
+  }
+
+  const records = {};
+  for (const [recordType, parse] of Object.entries(PARSERS)) {
+    const entries = bundle[recordType] === undefined ? [] : bundle[recordType];
+    if (!Array.isArray(entries)) {
+      return { error: `${recordType} must be an array` };
+    }
+
+    try {
+      records[recordType] = entries.map((entry, index) => {
+        try {
+          if (!entry || typeof entry !== 'object') {
+            throw new Error('must be an object');
+          }
+          if (encryption) {
+            const field = findPlaintextField(entry, ENCRYPTED_FIELDS[recordType]);
+            if (field) {
+              throw new Error(`${field} must be encrypted in this session`);
+            }
+          }
+          return parse(entry, { encrypted: Boolean(encryption), actor });
+        } catch (error) {
+          throw new Error(`${recordType}[${index}]: ${error.message}`);
+        }
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // The same xpub twice would trip UNIQUE(xpub, session_id)
+  const seen = new Set();
+  for (const [index, entry] of records.xpubs.entries()) {
+    if (seen.has(entry.xpub)) {
+      return { error: `xpubs[${index}]: the bundle contains this xpub more than once` };
+    }
+    seen.add(entry.xpub);
+  }
+
+  // Nor can two records share an id
+  const ids = new Set();
+  for (const [recordType, entries] of Object.entries(records)) {
+    for (const [index, entry] of entries.entries()) {
+      for (const id of [entry.id, ...(entry.comments || []).map(comment => comment.id)].filter(Boolean)) {
+        if (ids.has(id)) {
+          return { error: `${recordType}[${index}]: the bundle contains a record id more than once` };
+        }
+        ids.add(id);
+      }
+    }
+  }
+
+  return { records };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MAX_BUNDLE_SIZE,
+  CONFLICT_MODES,
+  buildBundle,
+  parseBundle
+};
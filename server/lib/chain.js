@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// prev_hash of the first event in every session's history
+const GENESIS_HASH = '0'.repeat(64);
+
+// Canonical form of an audit event. The browser recomputes this (see
+// verifyAuditChain in public/app.js), so the field order must never change.
+function canonicalEvent(event) {
+  return JSON.stringify([
+    event.session_id,
+    event.seq,
+    event.prev_hash,
+    event.actor,
+    event.action,
+    event.entity_type,
+    event.entity_id,
+    event.entity_label || null,
+    event.before_hash || null,
+    event.after_hash || null,
+    event.created_at
+  ]);
+}
+
+function hashEvent(event) {
+  return crypto.createHash('sha256').update(canonicalEvent(event)).digest('hex');
+}
+
+// Link a new event to the previous one in its session (undefined for the first)
+function chainEvent(previous, fields) {
+  const event = {
+    ...fields,
+    seq: previous ? previous.seq + 1 : 1,
+    prev_hash: previous ? previous.hash : GENESIS_HASH,
+    created_at: fields.created_at || new Date().toISOString()
+  };
+  return { ...event, hash: hashEvent(event) };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  hashEvent,
+  chainEvent
+};
@@ -0,0 +1,111 @@
+// Output descriptors of multisig wallets, as the app generates them:
+// wsh(sortedmulti(M,KEY,...)), optionally wrapped in sh(...) or using multi,
+// with an optional BIP-380 checksum (#xxxxxxxx). KEY is an extended public
+// key or a hex pubkey with optional key origin and derivation steps.
+
+const { isValidAddress } = require('./address');
+
+// Most keys a multisig descriptor can hold (sortedmulti inside wsh)
+const MAX_KEYS = 20;
+
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATORS = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+const WRAPPERS = [
+  { prefix: 'sh(wsh(', suffix: '))', scriptType: 'sh-wsh' },
+  { prefix: 'wsh(', suffix: ')', scriptType: 'wsh' },
+  { prefix: 'sh(', suffix: ')', scriptType: 'sh' }
+];
+
+const KEY_PATTERN = new RegExp(
+  '^(\\[[0-9a-fA-F]{8}(/[0-9]+[hH\']?)*\\])?' +
+  '([xyzXYZtuvUV]pub[1-9A-HJ-NP-Za-km-z]{70,120}|0[23][0-9a-fA-F]{64})' +
+  '(/([0-9]+[hH\']?|\\*))*$'
+);
+
+function polymod(c, value) {
+  const top = c >> 35n;
+  let result = ((c & 0x7ffffffffn) << 5n) ^ BigInt(value);
+  GENERATORS.forEach((generator, i) => {
+    if ((top >> BigInt(i)) & 1n) result ^= generator;
+  });
+  return result;
+}
+
+// BIP-380 checksum of a descriptor without its #checksum (null if it holds
+// characters a descriptor can't contain)
+function descriptorChecksum(descriptor) {
+  let c = 1n;
+  let groupClass = 0;
+  let groupCount = 0;
+  for (const ch of descriptor) {
+    const position = INPUT_CHARSET.indexOf(ch);
+    if (position === -1) return null;
+    c = polymod(c, position & 31);
+    groupClass = groupClass * 3 + (position >> 5);
+    if (++groupCount === 3) {
+      c = polymod(c, groupClass);
+      groupClass = 0;
+      groupCount = 0;
+    }
+  }
+  if (groupCount > 0) c = polymod(c, groupClass);
+  for (let i = 0; i < 8; i++) c = polymod(c, 0);
+  c ^= 1n;
+
+  let checksum = '';
+  for (let i = 0; i < 8; i++) {
+    checksum += CHECKSUM_CHARSET[Number((c >> BigInt(5 * (7 - i))) & 31n)];
+  }
+  return checksum;
+}
+
+// Parse a multisig descriptor into { scriptType, sorted, m, n, keys }; throws
+// when it isn't one or its checksum doesn't match
+function parseDescriptor(descriptor) {
+  if (typeof descriptor !== 'string') {
+    throw new Error('Descriptor must be a string');
+  }
+  const [body, checksum, ...rest] = descriptor.trim().split('#');
+  if (rest.length > 0 || (checksum !== undefined && checksum !== descriptorChecksum(body))) {
+    throw new Error('Descriptor checksum does not match');
+  }
+
+  const wrapper = WRAPPERS.find(w => body.startsWith(w.prefix) && body.endsWith(w.suffix));
+  const inner = wrapper ? body.slice(wrapper.prefix.length, body.length - wrapper.suffix.length) : '';
+  const match = inner.match(/^(sortedmulti|multi)\((\d+),([^()]+)\)$/);
+  if (!match) {
+    throw new Error('Descriptor must be a multi or sortedmulti descriptor inside wsh() or sh()');
+  }
+
+  const keys = match[3].split(',');
+  const m = Number(match[2]);
+  if (!keys.every(key => KEY_PATTERN.test(key))) {
+    throw new Error('Descriptor contains an invalid key');
+  }
+  if (keys.length > MAX_KEYS) {
+    throw new Error(`Descriptor can have at most ${MAX_KEYS} keys`);
+  }
+  if (m < 1 || m > keys.length) {
+    throw new Error(`Descriptor must require between 1 and ${keys.length} signatures`);
+  }
+
+  return { scriptType: wrapper.scriptType, sorted: match[1] === 'sortedmulti', m, n: keys.length, keys };
+}
+
+// Check a plaintext descriptor record before it is stored, by
+// POST /api/descriptors and bundle imports alike: the descriptor must parse,
+// its M-of-N must be the record's and first_address must be an address.
+// Throws with the reason.
+function checkDescriptorRecord({ descriptor, m_required, n_total, first_address }) {
+  const { m, n } = parseDescriptor(descriptor);
+  if (m !== m_required || n !== n_total) {
+    throw new Error(`M-of-N does not match the descriptor (${m}-of-${n})`);
+  }
+  if (first_address !== undefined && first_address !== null && !isValidAddress(first_address.trim())) {
+    throw new Error('first_address must be a valid Bitcoin address');
+  }
+}
+
+module.exports = { MAX_KEYS, descriptorChecksum, parseDescriptor, checkDescriptorRecord };
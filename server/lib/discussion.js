@@ -0,0 +1,48 @@
+const { decodePsbt, transactionId } = require('./psbt');
+
+// Comments and approvals on PSBTs (see routes/discussion.js). An approval is a
+// member saying "I approve this payment" (or objecting to it) before anyone
+// signs; it is tied to the transaction it was given for, so replacing the
+// PSBT with a different transaction makes earlier decisions stale.
+
+const DECISIONS = ['approve', 'object'];
+
+// Limit on the stored text, which is ciphertext in encrypted sessions; the
+// browser caps comments at 4000 characters so they fit once encrypted
+const MAX_COMMENT_LENGTH = 20000;
+
+// Id of the transaction in a PSBT row, or null where the server can't
+// decode it (end-to-end encrypted sessions)
+function currentTxid(psbt) {
+  try {
+    return transactionId(decodePsbt(psbt.psbt_data));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Flag the approvals given for another transaction than txid
+function markStale(approvals, txid) {
+  return approvals.map(approval => ({
+    ...approval,
+    stale: Boolean(approval.txid && txid && approval.txid !== txid)
+  }));
+}
+
+// Summary shown with each PSBT; stale decisions aren't counted
+function summarizeDiscussion(commentCount, approvals) {
+  const current = approvals.filter(approval => !approval.stale);
+  return {
+    comments: commentCount || 0,
+    approvals: current.filter(approval => approval.decision === 'approve').length,
+    objections: current.filter(approval => approval.decision === 'object').length
+  };
+}
+
+module.exports = {
+  DECISIONS,
+  MAX_COMMENT_LENGTH,
+  currentTxid,
+  markStale,
+  summarizeDiscussion
+};
@@ -0,0 +1,80 @@
+// End-to-end encrypted sessions. The browser derives an AES-GCM key from the
+// group's encryption passphrase and encrypts record fields before sending them;
+// the server only stores the key derivation parameters and opaque ciphertext.
+
+// Every encrypted value has the form "e2e:<version>:<base64 iv>:<base64 ciphertext>"
+// (see encryptValue in public/app.js)
+const CIPHERTEXT_PATTERN = /^e2e:v2:[A-Za-z0-9+/]+={0,2}:[A-Za-z0-9+/]+={0,2}$/;
+
+// Record fields are bound to the record's id, so the server can't swap values
+// between records. The browser therefore chooses the id of each record it
+// creates in an encrypted session.
+const RECORD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const KDF = 'PBKDF2-SHA256';
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 10000000;
+
+// Fields the browser encrypts, per record type
+const ENCRYPTED_FIELDS = {
+  xpubs: ['label', 'xpub'],
+  psbts: ['name', 'psbt_data'],
+  descriptors: ['name', 'descriptor', 'first_address'],
+  comments: ['body'],
+  addresses: ['address', 'label', 'owner', 'notes']
+};
+
+function isRecordId(value) {
+  return typeof value === 'string' && RECORD_ID_PATTERN.test(value);
+}
+
+// Whether a storage error is a create reusing a record id (SQLite and the
+// memory storage name the column, PostgreSQL the index)
+function isRecordIdConflict(error) {
+  return Boolean(error && (
+    (error.message && error.message.includes('UNIQUE constraint failed') && error.message.includes('.public_id')) ||
+    (error.code === '23505' && error.constraint && error.constraint.endsWith('_public_id_key'))
+  ));
+}
+
+function isCiphertext(value) {
+  return typeof value === 'string' && CIPHERTEXT_PATTERN.test(value);
+}
+
+// Return the first of the given fields that is present in body but not encrypted
+function findPlaintextField(body, fields) {
+  return fields.find(field => {
+    const value = body[field];
+    return value !== undefined && value !== null && value !== '' && !isCiphertext(value);
+  }) || null;
+}
+
+// Key derivation parameters sent when an encrypted session is created (see
+// lib/validation.js)
+const ENCRYPTION_PARAMS_SCHEMA = {
+  type: 'object',
+  required: ['kdf', 'iterations', 'salt', 'check'],
+  properties: {
+    kdf: { type: 'string', enum: [KDF] },
+    iterations: { type: 'integer', minimum: MIN_KDF_ITERATIONS, maximum: MAX_KDF_ITERATIONS },
+    salt: { type: 'string', format: 'base64', minLength: 22, maxLength: 1024, description: 'At least 16 random bytes' },
+    check: { type: 'string', format: 'ciphertext', maxLength: 1024, description: 'A known value encrypted with the key' }
+  }
+};
+
+// The id field of the create requests of encrypted record types
+const RECORD_ID_SCHEMA = {
+  type: 'string',
+  format: 'uuid',
+  description: 'Required in end-to-end encrypted sessions, where the browser chooses the record id; ignored elsewhere'
+};
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  RECORD_ID_SCHEMA,
+  isRecordId,
+  isRecordIdConflict,
+  isCiphertext,
+  findPlaintextField,
+  ENCRYPTION_PARAMS_SCHEMA
+};
@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+const { getSessionId, getActor } = require('../middleware/session');
+const { SYSTEM_ACTOR } = require('../storage/common');
+
+// In-process pub/sub for live updates (GET /api/events). Each session is its
+// own channel, so subscribers only ever see changes to their own session.
+// Events don't reach clients connected to other server instances.
+const channels = new EventEmitter();
+channels.setMaxListeners(0);
+
+// Browsers tag their requests with a random per-tab id so they can ignore
+// the events caused by their own changes
+const CLIENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+function getClientId(req) {
+  const clientId = req.headers['x-client-id'];
+  return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId) ? clientId : null;
+}
+
+// Call listener(event) for every change to the session; returns a function
+// that stops the subscription
+function subscribe(sessionId, listener) {
+  channels.on(sessionId, listener);
+  return () => channels.off(sessionId, listener);
+}
+
+// Announce a change made by a request, e.g. publishChange(req, 'psbt.signed', psbt).
+// data is the record as the API returns it, or { id } once it has been deleted.
+function publishChange(req, type, data) {
+  channels.emit(getSessionId(req), {
+    type,
+    actor: getActor(req),
+    origin: getClientId(req),
+    data,
+    at: new Date().toISOString()
+  });
+}
+
+// Announce a change the server made on its own (e.g. an expired PSBT)
+function publishSystemChange(sessionId, type, data) {
+  channels.emit(sessionId, {
+    type,
+    actor: SYSTEM_ACTOR,
+    origin: null,
+    data,
+    at: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  subscribe,
+  publishChange,
+  publishSystemChange
+};
@@ -0,0 +1,106 @@
+const { psbtOperations } = require('../database');
+const { SYSTEM_ACTOR } = require('../storage/common');
+const { decodePsbt, spentOutpoints, transactionId } = require('./psbt');
+const { isChainBackendEnabled, getOutspend } = require('./blockchain');
+const { publishSystemChange } = require('./events');
+const { notifySystemPsbtChange } = require('./webhooks');
+const { reevaluatePsbts, toPsbtResponse } = require('./policy');
+
+// Background job closing PSBTs that can no longer be used: open PSBTs past
+// their deadline become 'expired', and ones with an input already spent by
+// another transaction become 'invalidated'. Spent inputs are looked up on
+// the chain backend (see lib/blockchain.js); PSBTs of end-to-end encrypted
+// sessions can't be decoded here, so only their deadlines are enforced.
+
+const DEADLINE_CHECK_MS = 60 * 1000;
+const SPENT_CHECK_MS = 10 * 60 * 1000;
+
+// Close a PSBT and announce it like any other change. It no longer counts
+// towards the daily spending limit, which may let later PSBTs become ready.
+async function closePsbt(psbt, status) {
+  const closed = await psbtOperations.close(psbt.id, status, psbt.session_id, SYSTEM_ACTOR);
+  if (!closed) return null;
+  publishSystemChange(psbt.session_id, `psbt.${status}`, toPsbtResponse(closed));
+  notifySystemPsbtChange(psbt.session_id, psbt, closed);
+
+  const changes = await reevaluatePsbts(psbt.session_id, SYSTEM_ACTOR);
+  changes.forEach(({ before, after }) => {
+    publishSystemChange(psbt.session_id, 'psbt.evaluated', toPsbtResponse(after));
+    notifySystemPsbtChange(psbt.session_id, before, after);
+  });
+  return closed;
+}
+
+// Mark open PSBTs whose deadline has passed as expired
+async function expireOverduePsbts(now = new Date()) {
+  const open = await psbtOperations.getOpen();
+  let expired = 0;
+  for (const psbt of open.filter(row => row.deadline && new Date(row.deadline) <= now)) {
+    if (await closePsbt(psbt, 'expired')) expired++;
+  }
+  return expired;
+}
+
+// The outpoint of a PSBT already spent by a different transaction, or null.
+// Spent by the PSBT's own transaction means it was broadcast from elsewhere;
+// the browser picks that up (see checkIfAlreadyBroadcast in public/app.js).
+async function findSpentInput(psbt) {
+  const ownTxid = transactionId(psbt);
+  for (const outpoint of spentOutpoints(psbt)) {
+    const [txid, vout] = outpoint.split(':');
+    const outspend = await getOutspend(txid, vout);
+    if (outspend.spent && outspend.txid !== ownTxid) {
+      return { outpoint, spentBy: outspend.txid };
+    }
+  }
+  return null;
+}
+
+// Mark open PSBTs spending an input that is already spent as invalidated
+async function invalidateSpentPsbts() {
+  if (!isChainBackendEnabled()) return 0;
+
+  const open = await psbtOperations.getOpen();
+  let invalidated = 0;
+  for (const row of open) {
+    let psbt;
+    try {
+      psbt = decodePsbt(row.psbt_data);
+    } catch (e) {
+      // Encrypted sessions store ciphertext
+      continue;
+    }
+
+    try {
+      const spent = await findSpentInput(psbt);
+      if (spent && await closePsbt(row, 'invalidated')) {
+        console.log(`PSBT ${row.id} invalidated: input ${spent.outpoint} was spent by ${spent.spentBy}`);
+        invalidated++;
+      }
+    } catch (error) {
+      console.error(`Error checking inputs of PSBT ${row.id}:`, error.message);
+    }
+  }
+  return invalidated;
+}
+
+// Run both checks now and then periodically; the timers don't keep the
+// process alive
+function startPsbtExpiryJob() {
+  const run = (check, label) => {
+    check().catch(error => {
+      console.error(`Error ${label}:`, error);
+    });
+  };
+
+  run(expireOverduePsbts, 'expiring overdue PSBTs');
+  run(invalidateSpentPsbts, 'checking PSBT inputs');
+  setInterval(() => run(expireOverduePsbts, 'expiring overdue PSBTs'), DEADLINE_CHECK_MS).unref();
+  setInterval(() => run(invalidateSpentPsbts, 'checking PSBT inputs'), SPENT_CHECK_MS).unref();
+}
+
+module.exports = {
+  expireOverduePsbts,
+  invalidateSpentPsbts,
+  startPsbtExpiryJob
+};
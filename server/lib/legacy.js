@@ -0,0 +1,103 @@
+const { chainEvent } = require('./chain');
+
+// Before private sessions had passphrases, anyone could store data under any
+// session name. Migration 014 moved the data of names that didn't belong to
+// a session into quarantine, under LEGACY_PREFIX + name, so it doesn't go to
+// whoever creates that session first. An operator hands it over explicitly:
+// create the session, then restart the server with its name listed in
+// CLAIM_LEGACY_SESSIONS (comma separated) to move the data into it.
+
+const LEGACY_PREFIX = 'legacy:';
+
+// Tables whose rows can belong to a session from before passphrases
+// (revisions and comments were backfilled for its PSBTs)
+const LEGACY_TABLES = [
+  'xpubs',
+  'descriptors',
+  'psbts',
+  'psbt_revisions',
+  'psbt_comments',
+  'psbt_comment_edits',
+  'psbt_approvals'
+];
+
+const isLegacySessionName = (name) => name.startsWith(LEGACY_PREFIX);
+
+// Link a session's audit events (seq order) into a chain under sessionId,
+// following head (undefined to start a new chain)
+async function rechainAudit(db, events, sessionId, head) {
+  let previous = head;
+  for (const row of events) {
+    const event = chainEvent(previous, {
+      session_id: sessionId,
+      actor: row.actor,
+      action: row.action,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      entity_label: row.entity_label,
+      before_hash: row.before_hash,
+      after_hash: row.after_hash,
+      created_at: row.created_at
+    });
+    await db.run(
+      'UPDATE audit_events SET session_id = $1, seq = $2, prev_hash = $3, hash = $4 WHERE id = $5',
+      [sessionId, event.seq, event.prev_hash, event.hash, row.id]
+    );
+    previous = event;
+  }
+}
+
+// Move every row of session from into session to; the audit events of from
+// are appended to the chain of to
+async function moveSession(db, from, to) {
+  const events = await db.all('SELECT * FROM audit_events WHERE session_id = $1 ORDER BY seq ASC', [from]);
+  const head = await db.get(
+    'SELECT seq, hash FROM audit_events WHERE session_id = $1 ORDER BY seq DESC LIMIT 1',
+    [to]
+  );
+  await rechainAudit(db, events, to, head);
+
+  for (const table of LEGACY_TABLES) {
+    await db.run(`UPDATE ${table} SET session_id = $1 WHERE session_id = $2`, [to, from]);
+  }
+}
+
+// Whether any table holds rows of a session
+async function hasRows(db, sessionId) {
+  for (const table of [...LEGACY_TABLES, 'audit_events']) {
+    if (await db.get(`SELECT 1 FROM ${table} WHERE session_id = $1 LIMIT 1`, [sessionId])) return true;
+  }
+  return false;
+}
+
+// Hand the quarantined data of the sessions named in CLAIM_LEGACY_SESSIONS
+// to them; run on startup once migrations are done. Names without
+// quarantined data are skipped. The data is plaintext, so it can't go into
+// an end-to-end encrypted session.
+async function claimLegacySessions(db, names = process.env.CLAIM_LEGACY_SESSIONS) {
+  const sessions = (names || '').split(',').map(name => name.trim()).filter(Boolean);
+  for (const name of sessions) {
+    try {
+      await db.transaction(async (tx) => {
+        const legacyName = `${LEGACY_PREFIX}${name}`;
+        if (!(await hasRows(tx, legacyName))) return;
+
+        const session = await tx.get('SELECT name, encryption FROM sessions WHERE name = $1', [name]);
+        if (!session || session.encryption) {
+          console.warn(`CLAIM_LEGACY_SESSIONS: "${name}" must be an existing session without end-to-end encryption`);
+          return;
+        }
+        await moveSession(tx, legacyName, name);
+        console.log(`Moved the legacy data of session "${name}" into it`);
+      });
+    } catch (error) {
+      console.error(`Error claiming the legacy data of session "${name}":`, error);
+    }
+  }
+}
+
+module.exports = {
+  LEGACY_PREFIX,
+  isLegacySessionName,
+  claimLegacySessions
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Migration files are named "<version>_<name>.js" and export up(db), where db
+// is the adapter built by the SQL storage backends (see storage/sqlite.js):
+//   dialect              'postgres' or 'sqlite'
+//   types                column types that differ between the backends
+//   run/get/all          execute SQL with $n placeholders
+//   hasColumn/addColumn  inspect and extend tables (addColumn skips existing columns)
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      return {
+        version: parseInt(version, 10),
+        name,
+        label: path.basename(file, '.js'),
+        up: require(path.join(MIGRATIONS_DIR, file)).up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.label} does not export up()`);
+    }
+  });
+
+  return migrations;
+}
+
+// Apply every migration that hasn't run yet, each in its own transaction
+// together with its schema_migrations row. Throws on the first failure so
+// the server doesn't start on a half-migrated schema.
+async function migrate(adapter) {
+  await adapter.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  for (const migration of loadMigrations()) {
+    let applied = false;
+    try {
+      await adapter.transaction(async (db) => {
+        // Checked inside the transaction in case another instance got here first
+        if (await db.get('SELECT version FROM schema_migrations WHERE version = $1', [migration.version])) {
+          return;
+        }
+        await migration.up(db);
+        await db.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        applied = true;
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.label} failed: ${error.message}`, { cause: error });
+    }
+    if (applied) {
+      console.log(`Applied migration ${migration.label}`);
+    }
+  }
+}
+
+module.exports = { migrate };
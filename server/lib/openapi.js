@@ -0,0 +1,427 @@
+const { authenticateSession, ROLES } = require('../middleware/session');
+const { DECISIONS } = require('./discussion');
+const { POLICY_RULES_SCHEMA } = require('./policy');
+const { version } = require('../../package.json');
+
+// OpenAPI description of the REST API, served at /api/openapi.json. It is
+// generated from the mounted routers: each route's validate() spec (see
+// lib/validation.js) supplies its summary, parameters, request body and
+// responses, and the session middleware in front of it tells who may call it.
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'The request is invalid',
+  401: 'The session token is missing, invalid or expired',
+  403: "The caller's role doesn't allow this",
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  410: 'No longer available',
+  500: 'Unexpected server error'
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const timestamp = { type: 'string', description: 'Creation or update time' };
+const nullableString = { type: 'string', nullable: true };
+const encrypted = (schema) => ({ ...schema, 'x-encrypted': true });
+
+// Set on records in the trash (see routes/trash.js)
+const TRASH_FIELDS = {
+  deleted_at: { type: 'string', nullable: true, description: 'When the record was moved to the trash' },
+  deleted_by: nullableString
+};
+
+// Records the API returns. Fields marked x-encrypted are ciphertext in end-to-end
+// encrypted sessions.
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        description: 'Every problem found by request validation',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: { message: { type: 'string' } }
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' } }
+  },
+  Member: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', nullable: true },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      created_at: timestamp
+    }
+  },
+  SessionToken: {
+    type: 'object',
+    properties: {
+      session: { type: 'string' },
+      member: ref('Member'),
+      token: { type: 'string', description: 'Bearer token for the Authorization header' },
+      expires_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Invite: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      expires_at: { type: 'string', format: 'date-time' },
+      max_uses: { type: 'integer', nullable: true },
+      use_count: { type: 'integer' },
+      created_by: nullableString,
+      created_at: timestamp,
+      token: { type: 'string', description: 'Only returned when the invite is created' }
+    }
+  },
+  Xpub: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      label: encrypted({ type: 'string' }),
+      xpub: encrypted({ type: 'string' }),
+      session_id: { type: 'string' },
+      created_at: timestamp,
+      ...TRASH_FIELDS
+    }
+  },
+  Descriptor: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: encrypted({ type: 'string' }),
+      descriptor: encrypted({ type: 'string' }),
+      m_required: { type: 'integer' },
+      n_total: { type: 'integer' },
+      first_address: encrypted(nullableString),
+      session_id: { type: 'string' },
+      created_at: timestamp,
+      ...TRASH_FIELDS
+    }
+  },
+  Psbt: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: encrypted({ type: 'string' }),
+      psbt_data: encrypted({ type: 'string', description: 'Base64 PSBT' }),
+      m_required: { type: 'integer' },
+      n_total: { type: 'integer' },
+      signatures_count: { type: 'integer' },
+      status: { type: 'string', description: 'pending, ready, broadcast, confirmed_1 to confirmed_6, final, expired or invalidated' },
+      txid: nullableString,
+      confirmations: { type: 'integer' },
+      deadline: { type: 'string', format: 'date-time', nullable: true },
+      policy_verdict: {
+        type: 'object',
+        nullable: true,
+        description: 'Result of the last spending policy check',
+        properties: {
+          passed: { type: 'boolean' },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                rule: { type: 'string' },
+                passed: { type: 'boolean' },
+                limit: { nullable: true },
+                value: { nullable: true },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      conflicts: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Ids of PSBTs spending some of the same inputs (not computed in encrypted sessions)'
+      },
+      discussion: {
+        type: 'object',
+        properties: {
+          comments: { type: 'integer' },
+          approvals: { type: 'integer' },
+          objections: { type: 'integer' }
+        }
+      },
+      archived_at: { type: 'string', nullable: true, description: 'When the final PSBT was archived' },
+      created_at: timestamp,
+      updated_at: timestamp,
+      ...TRASH_FIELDS
+    }
+  },
+  Trash: {
+    type: 'object',
+    properties: {
+      retention_days: { type: 'integer', description: 'Days a record stays in the trash before it is deleted for good' },
+      xpubs: { type: 'array', items: ref('Xpub') },
+      descriptors: { type: 'array', items: ref('Descriptor') },
+      psbts: { type: 'array', items: ref('Psbt'), description: 'Without psbt_data' }
+    }
+  },
+  Revision: {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer' },
+      action: { type: 'string' },
+      signatures_count: { type: 'integer' },
+      signers: { type: 'array', items: { type: 'string' }, nullable: true },
+      new_signers: { type: 'array', items: { type: 'string' }, nullable: true },
+      restored_from: { type: 'integer', nullable: true },
+      created_by: nullableString,
+      created_at: timestamp,
+      psbt_data: encrypted({ type: 'string', description: 'Only included for a single revision' })
+    }
+  },
+  ResolvedConflict: {
+    type: 'object',
+    properties: {
+      psbt: ref('Psbt'),
+      discarded: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      psbt_id: { type: 'string' },
+      author: { type: 'string' },
+      body: encrypted({ type: 'string' }),
+      created_at: timestamp,
+      updated_at: timestamp,
+      edits: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { body: encrypted({ type: 'string' }), edited_at: timestamp }
+        }
+      }
+    }
+  },
+  Approval: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      psbt_id: { type: 'string' },
+      member: { type: 'string' },
+      decision: { type: 'string', enum: DECISIONS },
+      stale: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  Policy: {
+    type: 'object',
+    properties: {
+      rules: { type: 'object', properties: POLICY_RULES_SCHEMA.properties },
+      updated_by: nullableString,
+      updated_at: { ...timestamp, nullable: true }
+    }
+  },
+  AddressEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      address: encrypted({ type: 'string' }),
+      label: encrypted({ type: 'string' }),
+      owner: encrypted(nullableString),
+      notes: encrypted(nullableString),
+      created_by: nullableString,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  AuditEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      seq: { type: 'integer' },
+      actor: { type: 'string' },
+      action: { type: 'string' },
+      entity_type: { type: 'string' },
+      entity_id: { type: 'string' },
+      entity_label: encrypted(nullableString),
+      before_hash: nullableString,
+      after_hash: nullableString,
+      prev_hash: nullableString,
+      hash: { type: 'string' },
+      created_at: timestamp
+    }
+  },
+  AuditChain: {
+    type: 'object',
+    properties: {
+      events: { type: 'array', items: ref('AuditEvent') },
+      has_more: { type: 'boolean' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: { type: 'string' } },
+      description: nullableString,
+      created_by: nullableString,
+      created_at: timestamp,
+      secret: { type: 'string', description: 'Signing secret; only returned when the webhook is created' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      webhook_id: { type: 'string' },
+      event: { type: 'string' },
+      status: { type: 'string' },
+      attempts: { type: 'integer' },
+      response_status: { type: 'integer', nullable: true },
+      error: nullableString,
+      next_attempt_at: nullableString,
+      payload: { type: 'object' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  }
+};
+
+// Route specs list responses as a schema name, [name] for a list of them,
+// { schema, headers } with schema given either way, or a complete OpenAPI
+// response object
+function toResponse(status, value) {
+  const shorthand = (schema) => typeof schema === 'string' || Array.isArray(schema);
+  if (!shorthand(value) && !shorthand(value.schema)) return value;
+  const { schema: name, headers } = shorthand(value) ? { schema: value } : value;
+  const schema = Array.isArray(name) ? { type: 'array', items: ref(name[0]) } : ref(name);
+  return {
+    description: STATUS_DESCRIPTIONS[status],
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema } }
+  };
+}
+
+// Express path to OpenAPI path: /psbts/:id -> /psbts/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function toParameters(path, spec) {
+  const pathNames = (path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+  const pathProperties = (spec.params && spec.params.properties) || {};
+  const describe = (name, location, property = { type: 'string' }, required = true) => {
+    const { description, ...schema } = property;
+    return { name, in: location, required, ...(description ? { description } : {}), schema };
+  };
+
+  const query = spec.query || {};
+  return [
+    ...pathNames.map(name => describe(name, 'path', pathProperties[name])),
+    ...Object.entries(query.properties || {}).map(([name, property]) =>
+      describe(name, 'query', property, (query.required || []).includes(name)))
+  ];
+}
+
+function describeOperation(mount, path, handlers) {
+  const spec = (handlers.find(handler => handler.apiSpec) || {}).apiSpec || {};
+  const authenticated = mount.authenticated || handlers.includes(authenticateSession);
+  const roleHandler = handlers.find(handler => handler.requiredRole);
+  const privateOnly = handlers.some(handler => handler.privateOnly);
+  const parameters = toParameters(path, spec);
+
+  const notes = [
+    spec.description,
+    roleHandler ? `Requires the ${roleHandler.requiredRole} role.` : null,
+    privateOnly ? 'Only available in private sessions.' : null
+  ].filter(Boolean);
+
+  const responses = {};
+  Object.entries(spec.responses || {}).forEach(([status, value]) => {
+    responses[status] = toResponse(status, value);
+  });
+  const errors = [
+    [400, parameters.length > 0 || spec.body || privateOnly],
+    [401, authenticated],
+    [403, roleHandler],
+    [404, path.includes(':')],
+    [500, true]
+  ];
+  errors.forEach(([status, applies]) => {
+    if (applies && !responses[status]) responses[status] = toResponse(status, 'Error');
+  });
+
+  return {
+    tags: [mount.tag],
+    summary: spec.summary,
+    ...(notes.length ? { description: notes.join(' ') } : {}),
+    // Callers without a token use the public session
+    security: authenticated ? [{ sessionToken: [] }, {}] : [],
+    ...(parameters.length ? { parameters } : {}),
+    ...(spec.body ? {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { type: 'object', ...spec.body } } }
+      }
+    } : {}),
+    responses
+  };
+}
+
+// Build the document for the mounted routers: [{ path, router, tag, authenticated }]
+function buildOpenApiDocument(mounts) {
+  const paths = {};
+  mounts.forEach((mount) => {
+    const routerMiddleware = mount.router.stack.filter(layer => !layer.route).map(layer => layer.handle);
+    mount.router.stack.filter(layer => layer.route).forEach(({ route }) => {
+      const path = mount.path + (route.path === '/' ? '' : route.path);
+      const handlers = [...routerMiddleware, ...route.stack.map(layer => layer.handle)];
+      const operations = paths[toOpenApiPath(path)] || {};
+      Object.keys(route.methods).forEach((method) => {
+        operations[method] = describeOperation(mount, path, handlers);
+      });
+      paths[toOpenApiPath(path)] = operations;
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'MultisigHelper API',
+      version,
+      description: 'Coordinate xpubs, descriptors and PSBTs of Bitcoin multisig wallets. ' +
+        'Requests without a session token use the shared public session.'
+    },
+    tags: [...new Set(mounts.map(mount => mount.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        sessionToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Token returned by POST /api/sessions, /api/sessions/login or /api/sessions/join/{token}'
+        }
+      },
+      schemas: SCHEMAS
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,29 @@
+// Cursor pagination of lists shown newest first. A cursor names the position
+// of the last item of a page, its (created_at, id) sort key, rather than an
+// offset, so the next page neither repeats nor skips items when some are
+// added or removed in between, the cursor's own item included.
+
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 200;
+
+// Cursor following a row; created_at is kept as storage returned it, so it
+// compares exactly against the stored values
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.id, row.created_at])).toString('base64url');
+
+// The position a cursor names, as { id, createdAt } (throws on a cursor this
+// module didn't produce)
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    position = null;
+  }
+  if (!Array.isArray(position) || typeof position[0] !== 'string' || typeof position[1] !== 'string' ||
+      Number.isNaN(Date.parse(position[1]))) {
+    throw new Error('cursor is invalid');
+  }
+  return { id: position[0], createdAt: position[1] };
+}
+
+module.exports = { MAX_PAGE_SIZE, encodeCursor, decodeCursor };
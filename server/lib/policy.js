@@ -0,0 +1,324 @@
+const bitcoin = require('bitcoinjs-lib');
+const { psbtOperations, policyOperations, xpubOperations, descriptorOperations } = require('../database');
+const { OPEN_STATUSES, verdictColumn } = require('../storage/common');
+const { decodePsbt, extractMultisigInfo, CLOSED_STATUSES } = require('./psbt');
+const { getSessionId, getActor } = require('../middleware/session');
+const { publishChange } = require('./events');
+const { notifyPsbtChange } = require('./webhooks');
+const { buildWallet, isChangeOutput } = require('./wallet');
+
+// Spending policy of a session: rules a PSBT must pass before it can become
+// 'ready' to broadcast. Every rule is optional:
+//   max_amount_sats    most a single PSBT may send
+//   daily_limit_sats   most the session's PSBTs may send within 24 hours
+//   allowed_addresses  the only addresses PSBTs may pay (empty: any address)
+//   max_fee_rate       highest estimated fee rate, in sat/vB
+// A PSBT sends what its outputs pay, except change: outputs whose script is
+// built from the session's own keys (see lib/wallet.js). Each PSBT stores
+// its verdict; PSBTs of end-to-end encrypted sessions can't be read here, so
+// no policy applies to them.
+
+const EMPTY_RULES = {
+  max_amount_sats: null,
+  daily_limit_sats: null,
+  allowed_addresses: [],
+  max_fee_rate: null
+};
+
+const MAX_ALLOWED_ADDRESSES = 500;
+const DAILY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Push opcode, DER signature and sighash type
+const SIGNATURE_BYTES = 73;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Shape of a policy update (see lib/validation.js)
+const POLICY_RULES_SCHEMA = {
+  properties: {
+    max_amount_sats: { type: 'integer', minimum: 1, maximum: Number.MAX_SAFE_INTEGER, nullable: true },
+    daily_limit_sats: { type: 'integer', minimum: 1, maximum: Number.MAX_SAFE_INTEGER, nullable: true },
+    allowed_addresses: {
+      type: 'array',
+      maxItems: MAX_ALLOWED_ADDRESSES,
+      items: { type: 'string', format: 'bitcoin-address' }
+    },
+    max_fee_rate: { type: 'number', minimum: 0.1, nullable: true, description: 'sat/vB' }
+  }
+};
+
+// Rules of a validated policy update; the ones left out are not enforced
+function parseRules(body) {
+  const rules = { ...EMPTY_RULES };
+
+  ['max_amount_sats', 'daily_limit_sats', 'max_fee_rate'].forEach(field => {
+    if (!isBlank(body[field])) rules[field] = body[field];
+  });
+  if (!isBlank(body.allowed_addresses)) {
+    rules.allowed_addresses = [...new Set(body.allowed_addresses.map(address => address.trim()))];
+  }
+
+  return rules;
+}
+
+const hasRules = (rules) => rules.max_amount_sats !== null || rules.daily_limit_sats !== null ||
+  rules.max_fee_rate !== null || rules.allowed_addresses.length > 0;
+
+// Rules of a stored policy (undefined when the session never had one)
+const policyRules = (policy) => (policy ? { ...EMPTY_RULES, ...JSON.parse(policy.rules) } : { ...EMPTY_RULES });
+
+function outputAddress(script, index) {
+  try {
+    return bitcoin.address.fromOutputScript(script, bitcoin.networks.bitcoin);
+  } catch (e) {
+    return `output #${index} (no address)`;
+  }
+}
+
+// Amount of an input, or null when the PSBT doesn't include its previous output
+function inputValue(psbt, input, index) {
+  if (input.witnessUtxo) return input.witnessUtxo.value;
+  if (input.nonWitnessUtxo) {
+    const previous = bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo);
+    const output = previous.outs[psbt.txInputs[index].index];
+    return output ? output.value : null;
+  }
+  return null;
+}
+
+const pushBytes = (length) => (length < 76 ? 1 : 2) + length;
+
+// Bytes an input adds once signed: its scriptSig and its witness. Multisig
+// inputs need M signatures and their script; other inputs are taken to be
+// single-key segwit.
+function signedInputSize(input) {
+  if (input.finalScriptSig || input.finalScriptWitness) {
+    return {
+      scriptSig: input.finalScriptSig ? input.finalScriptSig.length : 0,
+      witness: input.finalScriptWitness ? input.finalScriptWitness.length : 0
+    };
+  }
+  const script = input.witnessScript || input.redeemScript;
+  if (!script) {
+    return { scriptSig: 0, witness: 1 + SIGNATURE_BYTES + pushBytes(33) };
+  }
+  const info = extractMultisigInfo(script);
+  // An empty element for OP_CHECKMULTISIG, the signatures and the script
+  const unlocking = 1 + (info ? info.m : 1) * SIGNATURE_BYTES + pushBytes(script.length);
+  if (input.witnessScript) {
+    return { scriptSig: input.redeemScript ? pushBytes(input.redeemScript.length) : 0, witness: 1 + unlocking };
+  }
+  return { scriptSig: unlocking, witness: 0 };
+}
+
+// Estimated size in virtual bytes of the fully signed transaction
+function estimateVsize(psbt) {
+  const sizes = psbt.data.inputs.map(signedInputSize);
+  const base = psbt.data.globalMap.unsignedTx.toBuffer().length +
+    sizes.reduce((sum, size) => sum + size.scriptSig + (size.scriptSig > 252 ? 2 : 0), 0);
+  let witness = sizes.reduce((sum, size) => sum + size.witness, 0);
+  if (witness > 0) {
+    // Segwit marker and flag, and an empty witness for every other input
+    witness += 2 + sizes.filter(size => size.witness === 0).length;
+  }
+  return Math.ceil((base * 4 + witness) / 4);
+}
+
+// What a decoded PSBT sends, where to, and its estimated fee rate (null when
+// an input amount is missing); outputs paying the wallet back are left out
+function describePayment(psbt, wallet) {
+  let amount = 0;
+  const destinations = [];
+  psbt.txOutputs.forEach((output, index) => {
+    if (isChangeOutput(wallet, psbt, index)) return;
+    amount += output.value;
+    destinations.push(outputAddress(output.script, index));
+  });
+
+  const inputValues = psbt.data.inputs.map((input, index) => inputValue(psbt, input, index));
+  let feeRate = null;
+  if (inputValues.every(value => value !== null)) {
+    const fee = inputValues.reduce((sum, value) => sum + value, 0) -
+      psbt.txOutputs.reduce((sum, output) => sum + output.value, 0);
+    feeRate = Math.round((fee / estimateVsize(psbt)) * 10) / 10;
+  }
+
+  return { amount, destinations, feeRate };
+}
+
+const formatSats = (sats) => `${sats.toLocaleString('en-US')} sats`;
+
+// Check a payment against the rules; recentAmount is what the session's other
+// PSBTs of the previous 24 hours send. Only the rules in force are listed.
+function evaluatePayment(rules, payment, recentAmount) {
+  const results = [];
+
+  if (rules.max_amount_sats !== null) {
+    results.push({
+      rule: 'max_amount_sats',
+      passed: payment.amount <= rules.max_amount_sats,
+      limit: rules.max_amount_sats,
+      value: payment.amount,
+      message: `Sends ${formatSats(payment.amount)}; the limit per transaction is ${formatSats(rules.max_amount_sats)}`
+    });
+  }
+
+  if (rules.daily_limit_sats !== null) {
+    const total = payment.amount + recentAmount;
+    results.push({
+      rule: 'daily_limit_sats',
+      passed: total <= rules.daily_limit_sats,
+      limit: rules.daily_limit_sats,
+      value: total,
+      message: `Sends ${formatSats(payment.amount)} on top of ${formatSats(recentAmount)} in the previous 24 hours; ` +
+        `the daily limit is ${formatSats(rules.daily_limit_sats)}`
+    });
+  }
+
+  if (rules.allowed_addresses.length > 0) {
+    const disallowed = [...new Set(payment.destinations.filter(address => !rules.allowed_addresses.includes(address)))];
+    results.push({
+      rule: 'allowed_addresses',
+      passed: disallowed.length === 0,
+      limit: null,
+      value: disallowed,
+      message: disallowed.length === 0
+        ? 'Only pays allowlisted addresses'
+        : `Pays addresses that aren't allowlisted: ${disallowed.join(', ')}`
+    });
+  }
+
+  if (rules.max_fee_rate !== null) {
+    results.push({
+      rule: 'max_fee_rate',
+      passed: payment.feeRate !== null && payment.feeRate <= rules.max_fee_rate,
+      limit: rules.max_fee_rate,
+      value: payment.feeRate,
+      message: payment.feeRate === null
+        ? "The fee rate can't be estimated: the PSBT is missing an input amount"
+        : `Estimated fee rate is ${payment.feeRate} sat/vB; the limit is ${rules.max_fee_rate} sat/vB`
+    });
+  }
+
+  return { passed: results.every(result => result.passed), rules: results };
+}
+
+// created_at is "YYYY-MM-DD HH:MM:SS" in UTC (SQLite, memory) or a Date (PostgreSQL)
+function parseTimestamp(value) {
+  if (value instanceof Date) return value;
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+// What the verdicts of a session's PSBTs depend on: the rules, the wallet
+// (see lib/wallet.js), and when and how much each PSBT that can still move
+// funds sends. Null without rules.
+function buildPolicyContext(rules, wallet, psbts) {
+  if (!hasRules(rules)) return null;
+
+  const spends = [];
+  psbts.filter(row => !CLOSED_STATUSES.includes(row.status)).forEach(row => {
+    try {
+      spends.push({
+        id: row.id,
+        createdAt: parseTimestamp(row.created_at),
+        amount: describePayment(decodePsbt(row.psbt_data), wallet).amount
+      });
+    } catch (e) {
+      // Not a PSBT the server can read
+    }
+  });
+  return { rules, wallet, spends };
+}
+
+// Wallet of a session's xpubs and descriptors
+async function loadWallet(sessionId) {
+  const [xpubs, descriptors] = await Promise.all([
+    xpubOperations.getAll(sessionId),
+    descriptorOperations.getAll(sessionId)
+  ]);
+  return buildWallet(xpubs, descriptors);
+}
+
+// Policy context of a session, or null when it has no rules
+async function loadPolicyContext(sessionId) {
+  const rules = policyRules(await policyOperations.get(sessionId));
+  if (!hasRules(rules)) return null;
+  const [wallet, psbts] = await Promise.all([loadWallet(sessionId), psbtOperations.getAll(sessionId)]);
+  return buildPolicyContext(rules, wallet, psbts);
+}
+
+// Verdict of a decoded PSBT, or null without a policy. row is the stored
+// PSBT it is the data of (null for a new one, evaluated as created now); the
+// daily limit counts the session's other PSBTs created in the 24 hours before it.
+function evaluatePsbt(context, psbt, row = null) {
+  if (!context) return null;
+  const id = row ? row.id : null;
+  const createdAt = row ? parseTimestamp(row.created_at) : new Date();
+  const windowStart = createdAt.getTime() - DAILY_WINDOW_MS;
+  const recentAmount = context.spends
+    .filter(spend => spend.id !== id && spend.createdAt <= createdAt && spend.createdAt.getTime() > windowStart)
+    .reduce((sum, spend) => sum + spend.amount, 0);
+  return evaluatePayment(context.rules, describePayment(psbt, context.wallet), recentAmount);
+}
+
+// Evaluate the session's open PSBTs again and store the verdicts that
+// changed (PSBTs the server can't read are skipped); resolves to the
+// [{ before, after }] of those PSBTs
+async function reevaluatePsbts(sessionId, actor) {
+  const [policy, wallet, psbts] = await Promise.all([
+    policyOperations.get(sessionId),
+    loadWallet(sessionId),
+    psbtOperations.getAll(sessionId)
+  ]);
+  const context = buildPolicyContext(policyRules(policy), wallet, psbts);
+
+  const changes = [];
+  for (const row of psbts.filter(psbt => OPEN_STATUSES.includes(psbt.status))) {
+    let verdict = null;
+    if (context) {
+      try {
+        verdict = evaluatePsbt(context, decodePsbt(row.psbt_data), row);
+      } catch (e) {
+        continue;
+      }
+    }
+    if (verdictColumn(verdict) === row.policy_verdict) continue;
+    const after = await psbtOperations.setPolicyVerdict(row.id, verdict, sessionId, actor);
+    if (after) changes.push({ before: row, after });
+  }
+  return changes;
+}
+
+// PSBT as the API returns it, with its stored verdict parsed and without
+// its session and trash columns (the trash list adds those back)
+const toPsbtResponse = ({ session_id, deleted_at, deleted_by, ...psbt }) => ({
+  ...psbt,
+  policy_verdict: psbt.policy_verdict ? JSON.parse(psbt.policy_verdict) : null
+});
+
+// Re-evaluate after a request changed what the session's verdicts depend on
+// (its policy, or a PSBT other PSBTs count towards the daily limit) and
+// announce the PSBTs whose verdict changed
+async function reevaluateAfterChange(req) {
+  const changes = await reevaluatePsbts(getSessionId(req), getActor(req));
+  changes.forEach(({ before, after }) => {
+    publishChange(req, 'psbt.evaluated', toPsbtResponse(after));
+    notifyPsbtChange(req, before, after);
+  });
+  return changes;
+}
+
+module.exports = {
+  EMPTY_RULES,
+  POLICY_RULES_SCHEMA,
+  parseRules,
+  hasRules,
+  policyRules,
+  describePayment,
+  evaluatePayment,
+  loadPolicyContext,
+  evaluatePsbt,
+  reevaluatePsbts,
+  reevaluateAfterChange,
+  toPsbtResponse
+};
@@ -0,0 +1,210 @@
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+
+// Decode a PSBT string (base64 or hex)
+function decodePsbt(psbtString) {
+  if (typeof psbtString !== 'string' || !psbtString.trim()) {
+    throw new Error('PSBT data is required');
+  }
+  const trimmed = psbtString.trim();
+  try {
+    return bitcoin.Psbt.fromBase64(trimmed);
+  } catch (e) {
+    try {
+      return bitcoin.Psbt.fromHex(trimmed);
+    } catch (e2) {
+      throw new Error('Invalid PSBT format. Use base64 or hex encoding.');
+    }
+  }
+}
+
+// Decode a script number element (raw opcode OP_0..OP_16 or minimally encoded buffer)
+function decodeScriptNumber(element) {
+  if (typeof element === 'number') {
+    if (element === bitcoin.opcodes.OP_0) return 0;
+    if (element >= bitcoin.opcodes.OP_1 && element <= bitcoin.opcodes.OP_16) {
+      return element - (bitcoin.opcodes.OP_1 - 1);
+    }
+    return null;
+  }
+  if (Buffer.isBuffer(element)) {
+    try {
+      return bitcoin.script.number.decode(element);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Extract M, N and pubkeys from an OP_CHECKMULTISIG witness script
+function extractMultisigInfo(witnessScript) {
+  let decompiled;
+  try {
+    decompiled = bitcoin.script.decompile(witnessScript);
+  } catch (e) {
+    return null;
+  }
+  if (!decompiled || decompiled.length < 4) return null;
+  if (decompiled[decompiled.length - 1] !== bitcoin.opcodes.OP_CHECKMULTISIG) return null;
+
+  const m = decodeScriptNumber(decompiled[0]);
+  const n = decodeScriptNumber(decompiled[decompiled.length - 2]);
+  const pubkeys = decompiled.slice(1, -2);
+
+  if (!m || !n || m > n || pubkeys.length !== n) return null;
+  if (!pubkeys.every(pk => Buffer.isBuffer(pk) && (pk.length === 33 || pk.length === 65))) return null;
+
+  return { m, n, pubkeys: pubkeys.map(pk => pk.toString('hex')) };
+}
+
+// Check a single partial signature against the input's sighash
+function isValidPartialSig(psbt, inputIndex, pubkey) {
+  try {
+    return psbt.validateSignaturesOfInput(
+      inputIndex,
+      (pk, msghash, signature) => ecc.verify(msghash, pk, signature),
+      pubkey
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Analyze a decoded PSBT: derive M-of-N from the witness scripts and count
+// the partial signatures that actually verify against a key in the script.
+// signaturesCount is the number of valid signatures on the least-signed
+// input, since every input needs M signatures before the PSBT can be finalized.
+function analyzePsbt(psbt) {
+  let multisig = null;
+
+  const inputs = psbt.data.inputs.map((input, inputIndex) => {
+    let info = null;
+    if (input.witnessScript) {
+      info = extractMultisigInfo(input.witnessScript);
+      if (!info) {
+        throw new Error(`Input #${inputIndex} witness script is not a standard multisig script`);
+      }
+      if (multisig && (multisig.m !== info.m || multisig.n !== info.n)) {
+        throw new Error('Inputs use different M-of-N multisig configurations');
+      }
+      multisig = multisig || info;
+    }
+
+    const validSigners = [];
+    let invalidSignatures = 0;
+
+    (input.partialSig || []).forEach(sig => {
+      const pubkeyHex = sig.pubkey.toString('hex');
+      const inScript = !info || info.pubkeys.includes(pubkeyHex);
+      if (inScript && !validSigners.includes(pubkeyHex) && isValidPartialSig(psbt, inputIndex, sig.pubkey)) {
+        validSigners.push(pubkeyHex);
+      } else {
+        invalidSignatures++;
+      }
+    });
+
+    // Finalized inputs no longer carry partial signatures; treat them as fully signed
+    const finalized = !!(input.finalScriptWitness || input.finalScriptSig);
+
+    return { validSigners, invalidSignatures, finalized };
+  });
+
+  const required = multisig ? multisig.m : null;
+  const counts = inputs.map(input =>
+    input.finalized && required ? required : input.validSigners.length
+  );
+
+  // Pubkeys with a valid signature on any input (inputs may use different keys)
+  const signers = [...new Set(inputs.flatMap(input => input.validSigners))];
+
+  return {
+    mRequired: multisig ? multisig.m : null,
+    nTotal: multisig ? multisig.n : null,
+    pubkeys: multisig ? multisig.pubkeys : [],
+    signers,
+    signaturesCount: counts.length > 0 ? Math.min(...counts) : 0,
+    invalidSignatures: inputs.reduce((sum, input) => sum + input.invalidSignatures, 0),
+    inputs
+  };
+}
+
+// Outpoints ("txid:vout") spent by a decoded PSBT
+function spentOutpoints(psbt) {
+  return psbt.txInputs.map(input => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`);
+}
+
+// Two PSBTs conflict when they spend at least one common outpoint but are
+// not the same unsigned transaction (different outputs, amounts, fee, ...):
+// at most one of them can ever confirm
+function psbtsConflict(a, b) {
+  const outpoints = spentOutpoints(b);
+  if (!spentOutpoints(a).some(outpoint => outpoints.includes(outpoint))) return false;
+  return !a.data.globalMap.unsignedTx.toBuffer().equals(b.data.globalMap.unsignedTx.toBuffer());
+}
+
+// Outpoints spent by stored PSBT data, each once; none for data the server
+// can't decode (ciphertext in encrypted sessions)
+function storedOutpoints(psbtData) {
+  try {
+    return [...new Set(spentOutpoints(decodePsbt(psbtData)))];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Map the id of each of rows (stored PSBTs) to the ids of the PSBTs among
+// candidates it conflicts with; candidates are the rows themselves unless
+// given. Rows that can't be decoded (encrypted sessions) are left out.
+function findConflicts(rows, candidates = rows) {
+  const decodeAll = (list) => {
+    const decoded = [];
+    list.forEach(row => {
+      try {
+        decoded.push({ id: row.id, psbt: decodePsbt(row.psbt_data) });
+      } catch (e) {
+        // Not a PSBT the server can read
+      }
+    });
+    return decoded;
+  };
+
+  const others = decodeAll(candidates);
+  return new Map(decodeAll(rows).map(({ id, psbt }) => [
+    id,
+    others.filter(other => other.id !== id && psbtsConflict(psbt, other.psbt)).map(other => other.id)
+  ]));
+}
+
+// Id of the transaction a PSBT builds. Signatures don't change it for
+// segwit inputs, so it is also the id of the broadcast transaction.
+function transactionId(psbt) {
+  return psbt.data.globalMap.unsignedTx.tx.getId();
+}
+
+// Whether a value is a transaction id (64 hex characters)
+const isTxid = (value) => typeof value === 'string' && /^[0-9a-fA-F]{64}$/.test(value);
+
+// Statuses a PSBT moves through once it has been broadcast
+const BROADCAST_STATUSES = [
+  'broadcast', 'confirmed_1', 'confirmed_2', 'confirmed_3',
+  'confirmed_4', 'confirmed_5', 'confirmed_6', 'final'
+];
+
+// Statuses of a PSBT that can no longer be signed: its deadline passed, or
+// one of its inputs was spent by another transaction (see lib/expiry.js)
+const CLOSED_STATUSES = ['expired', 'invalidated'];
+
+module.exports = {
+  BROADCAST_STATUSES,
+  CLOSED_STATUSES,
+  decodePsbt,
+  extractMultisigInfo,
+  analyzePsbt,
+  spentOutpoints,
+  storedOutpoints,
+  psbtsConflict,
+  findConflicts,
+  transactionId,
+  isTxid
+};
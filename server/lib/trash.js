@@ -0,0 +1,48 @@
+const { trashOperations } = require('../database');
+const { SYSTEM_ACTOR, TRASH_TABLES } = require('../storage/common');
+const { publishSystemChange } = require('./events');
+
+// Deleted xpubs, descriptors and PSBTs stay in their session's trash (see
+// routes/trash.js) for TRASH_RETENTION_DAYS, and a background job then
+// deletes them for good, a PSBT along with its revisions and discussion.
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Kinds of records the trash holds
+const TRASH_TYPES = Object.keys(TRASH_TABLES);
+
+const PURGE_CHECK_MS = 60 * 60 * 1000;
+
+// Delete the records that have been in the trash longer than the retention
+// period; resolves to how many were purged
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await trashOperations.getDeletedBefore(cutoff);
+  let purged = 0;
+  for (const { type, id, session_id: sessionId } of expired) {
+    if (await trashOperations.purge(type, id, sessionId, SYSTEM_ACTOR)) {
+      publishSystemChange(sessionId, 'trash.purged', { type, id });
+      purged++;
+    }
+  }
+  return purged;
+}
+
+// Purge now and then every hour; the timer doesn't keep the process alive
+function startTrashPurgeJob() {
+  const run = () => {
+    purgeExpiredTrash().catch(error => {
+      console.error('Error purging the trash:', error);
+    });
+  };
+
+  run();
+  setInterval(run, PURGE_CHECK_MS).unref();
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  purgeExpiredTrash,
+  startTrashPurgeJob
+};
@@ -0,0 +1,223 @@
+const { isCiphertext, isRecordId } = require('./e2e');
+const { decodePsbt, isTxid } = require('./psbt');
+const { parseDescriptor } = require('./descriptor');
+const { isValidAddress } = require('./address');
+const { isValidXpub } = require('./xpub');
+
+// Request validation. Every route declares its path parameters, query string
+// and JSON body as object schemas ({ properties, required }) written in a
+// subset of JSON Schema: type, nullable, enum, default, minLength, maxLength,
+// pattern, minimum, maximum, items, minItems, maxItems, properties, required
+// and format (one of FORMATS). lib/openapi.js publishes the same schemas, so
+// the checks and the API description can't drift apart.
+//
+// A field that is null, or a string that is empty or only whitespace, counts
+// as missing; missing fields with a default are given it. Fields marked
+// 'x-encrypted' hold ciphertext in end-to-end encrypted sessions
+// (requireCiphertext enforces that), so only their type and length are
+// checked there.
+
+const LOCATIONS = [
+  { key: 'params', name: 'path' },
+  { key: 'query', name: 'query' },
+  { key: 'body', name: 'body' }
+];
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: Array.isArray,
+  object: isObject
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Checks of each string format; they return an error message or null
+const FORMATS = {
+  psbt: (value, field) => {
+    try {
+      decodePsbt(value);
+      return null;
+    } catch (e) {
+      return `${field} must be a base64 or hex encoded PSBT`;
+    }
+  },
+  descriptor: (value) => {
+    try {
+      parseDescriptor(value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  },
+  xpub: (value, field) => (isValidXpub(value.trim()) ? null : `${field} must be an extended public key (xpub, ypub or zpub)`),
+  'bitcoin-address': (value, field) => (isValidAddress(value.trim()) ? null : `${field} must be a valid Bitcoin address`),
+  txid: (value, field) => (isTxid(value) ? null : `${field} must be a 64-character hex transaction ID`),
+  'date-time': (value, field) => (
+    /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)) ? null : `${field} must be an ISO 8601 date and time`
+  ),
+  uri: (value, field) => (isHttpUrl(value) ? null : `${field} must be an http or https URL`),
+  base64: (value, field) => (/^[A-Za-z0-9+/]+={0,2}$/.test(value) ? null : `${field} must be base64`),
+  ciphertext: (value, field) => (isCiphertext(value) ? null : `${field} must be ciphertext`),
+  uuid: (value, field) => (isRecordId(value) ? null : `${field} must be a lowercase UUID`)
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const rangeMessage = (field, min, max, unit = '') => {
+  if (min !== undefined && max !== undefined) return `${field} must be between ${min} and ${max}${unit}`;
+  if (min !== undefined) return `${field} must be at least ${min}${unit}`;
+  return `${field} must be at most ${max}${unit}`;
+};
+
+const itemsMessage = (field, min, max) => {
+  if (max === undefined) return min === 1 ? `${field} must not be empty` : `${field} must have at least ${min} items`;
+  if (min === undefined) return `${field} must have at most ${max} items`;
+  return `${field} must have between ${min} and ${max} items`;
+};
+
+// Query strings and path parameters are always strings; convert the ones
+// declared as numbers or booleans
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// Check a present value against its schema; returns a list of { field, message }
+function checkValue(schema, value, field, encrypted) {
+  const fail = (message) => [{ field, message }];
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return fail(`${field} must be ${TYPE_NAMES[schema.type]}`);
+  }
+  const sealed = encrypted && schema['x-encrypted'] && isCiphertext(value);
+  if (schema.enum && !sealed && !schema.enum.includes(value)) {
+    return fail(`${field} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if ((schema.minLength !== undefined && value.length < schema.minLength) ||
+        (schema.maxLength !== undefined && value.length > schema.maxLength)) {
+      return fail(rangeMessage(field, schema.minLength, schema.maxLength, ' characters long'));
+    }
+    if (sealed) {
+      return [];
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`${field} is not in the expected format`);
+    }
+    if (schema.format) {
+      const message = FORMATS[schema.format](value, field);
+      return message ? fail(message) : [];
+    }
+  }
+
+  if (typeof value === 'number' &&
+      ((schema.minimum !== undefined && value < schema.minimum) ||
+       (schema.maximum !== undefined && value > schema.maximum))) {
+    return fail(rangeMessage(field, schema.minimum, schema.maximum));
+  }
+
+  if (Array.isArray(value)) {
+    if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+        (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+      return fail(itemsMessage(field, schema.minItems, schema.maxItems));
+    }
+    if (schema.items) {
+      return value.flatMap((item, i) => checkValue(schema.items, item, `${field}[${i}]`, encrypted));
+    }
+  }
+
+  if (isObject(value) && schema.properties) {
+    return checkObject(schema, value, `${field}.`, encrypted);
+  }
+
+  return [];
+}
+
+function checkObject(schema, object, prefix, encrypted) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).flatMap(([name, property]) => {
+    const value = object[name];
+    if (isMissing(value)) {
+      return required.includes(name) ? [{ field: `${prefix}${name}`, message: `${prefix}${name} is required` }] : [];
+    }
+    return checkValue(property, value, `${prefix}${name}`, encrypted);
+  });
+}
+
+// Middleware validating a request against a route's spec: { summary,
+// description, params, query, body, responses }. The summary, description and
+// responses only describe the route in the OpenAPI document. Rejects invalid
+// requests with 400 { error, details: [{ in, field, message }] }.
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    const encrypted = Boolean(req.encryption);
+    const details = [];
+
+    for (const { key, name } of LOCATIONS) {
+      const schema = spec[key];
+      if (!schema) continue;
+
+      if (key === 'body' && !isObject(req.body)) {
+        details.push({ in: name, field: '', message: 'Request body must be a JSON object' });
+        continue;
+      }
+      const values = req[key];
+      for (const [field, property] of Object.entries(schema.properties || {})) {
+        if (isMissing(values[field]) && property.default !== undefined) {
+          values[field] = property.default;
+        } else if (values[field] !== undefined && key !== 'body') {
+          values[field] = coerce(property, values[field]);
+        }
+      }
+      checkObject(schema, values, '', encrypted).forEach(({ field, message }) => {
+        details.push({ in: name, field, message });
+      });
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: details[0].message, details });
+    }
+    next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+}
+
+// Limit on names, labels and other short text, which leaves room for their
+// ciphertext in encrypted sessions
+const MAX_TEXT_LENGTH = 10000;
+
+// Path parameters of routes addressing one record by its id
+const ID_PARAMS = {
+  properties: { id: { type: 'string', maxLength: 64, description: 'Record id' } },
+  required: ['id']
+};
+
+module.exports = { validate, MAX_TEXT_LENGTH, ID_PARAMS };
@@ -0,0 +1,125 @@
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+const { parseDescriptor } = require('./descriptor');
+const { extractMultisigInfo } = require('./psbt');
+
+// The keys of a session's wallet, and the outputs that pay back into it.
+// Whoever uploads a PSBT chooses the key derivations and scripts it carries,
+// so an output only counts as change when its script is rebuilt from keys
+// derived from the session's own xpubs and descriptors, with the same
+// M-of-N as the inputs it spends.
+
+const bip32 = BIP32Factory(ecc);
+
+// Version bytes of the extended public key prefixes the app accepts
+const XPUB_VERSIONS = {
+  xpub: 0x0488b21e,
+  ypub: 0x049d7cb2,
+  zpub: 0x04b24746,
+  Ypub: 0x0295b43f,
+  Zpub: 0x02aa7ed3
+};
+
+const XPUB_PATTERN = /[xyzYZ]pub[1-9A-HJ-NP-Za-km-z]{70,120}/;
+
+// Most unhardened steps derived below a session key (change/index below an
+// account key needs two), which bounds the work a PSBT can ask for
+const MAX_DERIVATION_STEPS = 4;
+
+// BIP32 node of an extended public key, or null if it isn't a mainnet one
+function parseExtendedKey(xpub) {
+  const version = XPUB_VERSIONS[xpub.slice(0, 4)];
+  if (!version) return null;
+  try {
+    return bip32.fromBase58(xpub, { ...bitcoin.networks.bitcoin, bip32: { public: version, private: 0 } });
+  } catch (e) {
+    return null;
+  }
+}
+
+// The wallet of a session's xpub and descriptor rows: the BIP32 nodes of its
+// keys. Values the server can't read (encrypted sessions) are skipped.
+function buildWallet(xpubs, descriptors) {
+  const keys = xpubs.map(row => row.xpub.trim());
+  descriptors.forEach(row => {
+    try {
+      parseDescriptor(row.descriptor).keys.forEach(key => {
+        const match = key.match(XPUB_PATTERN);
+        if (match) keys.push(match[0]);
+      });
+    } catch (e) {
+      // Not a descriptor the server can read
+    }
+  });
+
+  const nodes = [...new Set(keys)].map(parseExtendedKey).filter(Boolean);
+  return { nodes };
+}
+
+// Steps of a derivation path ("m/48'/0'/0'/2'/1/5"), or null if malformed
+function parsePath(path) {
+  const steps = path.split('/').slice(1).map(step => {
+    const match = step.match(/^(\d+)(['hH]?)$/);
+    return match ? { index: Number(match[1]), hardened: match[2] !== '' } : null;
+  });
+  return steps.every(Boolean) ? steps : null;
+}
+
+// Whether a PSBT key derivation names a key of the wallet: deriving the rest
+// of its path below one of the wallet's nodes must give its pubkey
+function isWalletKey(wallet, derivation) {
+  const steps = parsePath(derivation.path);
+  if (!steps) return false;
+  return wallet.nodes.some(node => {
+    const rest = steps.slice(node.depth);
+    if (steps.length < node.depth || rest.length > MAX_DERIVATION_STEPS || rest.some(step => step.hardened)) {
+      return false;
+    }
+    try {
+      const child = rest.reduce((parent, step) => parent.derive(step.index), node);
+      return Buffer.from(child.publicKey).equals(derivation.pubkey);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// M-of-N of the multisig script an input or output carries (null without one)
+const multisigOf = (data) => {
+  const script = data.witnessScript || data.redeemScript;
+  return script ? extractMultisigInfo(script) : null;
+};
+
+// Output scripts a multisig of these keys can have: P2WSH, P2SH-P2WSH or P2SH
+function multisigScripts(m, pubkeys) {
+  const redeem = bitcoin.payments.p2ms({ m, pubkeys, network: bitcoin.networks.bitcoin });
+  const witness = bitcoin.payments.p2wsh({ redeem, network: bitcoin.networks.bitcoin });
+  return [
+    witness.output,
+    bitcoin.payments.p2sh({ redeem: witness, network: bitcoin.networks.bitcoin }).output,
+    bitcoin.payments.p2sh({ redeem, network: bitcoin.networks.bitcoin }).output
+  ];
+}
+
+// Whether output index of a decoded PSBT pays the wallet back: its script is
+// a multisig with the inputs' M-of-N whose every key is a wallet key
+function isChangeOutput(wallet, psbt, index) {
+  if (!wallet || wallet.nodes.length === 0) return false;
+  const output = psbt.data.outputs[index];
+  const info = multisigOf(output);
+  const spent = psbt.data.inputs.length > 0 ? multisigOf(psbt.data.inputs[0]) : null;
+  if (!info || !spent || info.m !== spent.m || info.n !== spent.n) return false;
+
+  const derivations = output.bip32Derivation || [];
+  const ownKeys = info.pubkeys.every(pubkey => derivations.some(derivation =>
+    derivation.pubkey.toString('hex') === pubkey && isWalletKey(wallet, derivation)
+  ));
+  if (!ownKeys) return false;
+
+  const pubkeys = info.pubkeys.map(pubkey => Buffer.from(pubkey, 'hex'));
+  const script = psbt.txOutputs[index].script;
+  return multisigScripts(info.m, pubkeys).some(candidate => candidate.equals(script));
+}
+
+module.exports = { buildWallet, isChangeOutput };
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { webhookOperations, deliveryOperations } = require('../database');
+const { getSessionId, getActor } = require('../middleware/session');
+const { SYSTEM_ACTOR } = require('../storage/common');
+
+// Outbound webhooks on PSBT lifecycle events. Every delivery is logged;
+// failed attempts are retried with exponential backoff and pending
+// retries survive a restart (see resumeWebhookDeliveries).
+
+const WEBHOOK_EVENTS = [
+  'psbt.created',    // a new PSBT needs signatures
+  'psbt.signed',     // a PSBT gained signatures
+  'psbt.ready',      // a PSBT has all M signatures
+  'psbt.broadcast',  // its transaction was broadcast
+  'psbt.confirmed',  // its transaction got its first confirmation
+  'psbt.final',      // its transaction is final (6+ confirmations)
+  'psbt.expired',    // its signing deadline passed
+  'psbt.invalidated' // one of its inputs was spent by another transaction
+];
+
+// Sent by POST /api/webhooks/:id/ping only; webhooks can't subscribe to it
+const PING_EVENT = 'ping';
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 10 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// Wait before retrying after the given number of failed attempts:
+// 10s, 30s, 90s, 4.5min, 13.5min
+const retryDelay = (attempts) => RETRY_BASE_MS * 3 ** (attempts - 1);
+
+// Random secret the receiver uses to check the signature; stored as-is
+// because the server needs it to sign every delivery
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-MultisigHelper-Signature: sha256=<hex>
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const parseEvents = (webhook) => JSON.parse(webhook.events);
+
+// Addresses webhooks are never sent to, so they can't reach the server itself
+// or the network it runs in: unspecified, loopback, private, carrier-grade
+// NAT, link-local, multicast, documentation and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// URL host without the brackets of an IPv6 address
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Hosts exempt from the address check, for receivers on the server's own
+// machine or network (WEBHOOK_ALLOWED_HOSTS, comma separated host names or IP
+// addresses)
+const allowedHosts = () => new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',')
+    .map(host => host.trim().replace(/^\[|\]$/g, '').toLowerCase())
+    .filter(Boolean)
+);
+
+const blockedError = (host, address) => new Error(
+  `Webhooks can't be sent to ${host === address ? host : `${host} (${address})`}, ` +
+  'a private, loopback or reserved address; list the host in WEBHOOK_ALLOWED_HOSTS to allow it'
+);
+
+// Check that a webhook URL's host resolves to public addresses only, unless
+// the host is allowed; throws with the reason
+async function checkWebhookUrl(value) {
+  const host = hostOf(new URL(value));
+  if (allowedHosts().has(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    throw new Error(`Webhook host ${host} could not be resolved`);
+  }
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) throw blockedError(host, blocked.address);
+}
+
+// dns.lookup for webhook requests that fails on blocked addresses, so the
+// address actually connected to is checked even if the host's DNS records
+// changed since checkWebhookUrl
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+// POST body to url without following redirects; resolves with the response
+// status
+function post(value, headers, body) {
+  const url = new URL(value);
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowedHosts().has(hostOf(url)) ? undefined : lookupPublic,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, (response) => {
+      // The response body isn't used
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// The part of a PSBT sent to webhooks; the PSBT data itself stays on the server.
+// In end-to-end encrypted sessions the name is ciphertext.
+const toPsbtSummary = (psbt) => ({
+  id: psbt.id,
+  name: psbt.name,
+  m_required: psbt.m_required,
+  n_total: psbt.n_total,
+  signatures_count: psbt.signatures_count,
+  status: psbt.status,
+  txid: psbt.txid || null,
+  confirmations: psbt.confirmations || 0
+});
+
+const isConfirmed = (status) => status.startsWith('confirmed_') || status === 'final';
+
+// Lifecycle events implied by a PSBT changing from before (null when it was
+// just created) to after
+function psbtTransitions(before, after) {
+  const events = [];
+  const previous = before || { signatures_count: 0, status: '' };
+
+  if (!before) events.push('psbt.created');
+  if (before && after.signatures_count > previous.signatures_count) events.push('psbt.signed');
+  if (after.status === 'ready' && previous.status !== 'ready') events.push('psbt.ready');
+  if (after.status === 'broadcast' && previous.status !== 'broadcast' && !isConfirmed(previous.status)) {
+    events.push('psbt.broadcast');
+  }
+  if (isConfirmed(after.status) && !isConfirmed(previous.status)) events.push('psbt.confirmed');
+  if (after.status === 'final' && previous.status !== 'final') events.push('psbt.final');
+  if (after.status === 'expired' && previous.status !== 'expired') events.push('psbt.expired');
+  if (after.status === 'invalidated' && previous.status !== 'invalidated') events.push('psbt.invalidated');
+
+  return events;
+}
+
+const timers = new Map();
+
+// Run the next attempt of a delivery after delayMs
+function schedule(delivery, delayMs) {
+  clearTimeout(timers.get(delivery.id));
+  const timer = setTimeout(() => {
+    timers.delete(delivery.id);
+    attemptDelivery(delivery).catch(error => {
+      console.error(`Error delivering webhook ${delivery.id}:`, error);
+    });
+  }, Math.max(0, delayMs));
+  // Pending retries must not keep the process alive
+  timer.unref();
+  timers.set(delivery.id, timer);
+}
+
+// POST the delivery's payload once and log the outcome; non-2xx responses,
+// timeouts, network errors and blocked addresses are retried until
+// MAX_ATTEMPTS
+async function attemptDelivery(delivery) {
+  const webhook = await webhookOperations.getById(delivery.webhook_id, delivery.session_id);
+  if (!webhook) return;
+
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Checked again on every attempt: the host's addresses and
+    // WEBHOOK_ALLOWED_HOSTS may have changed since it was registered
+    await checkWebhookUrl(webhook.url);
+    responseStatus = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MultisigHelper-Webhooks',
+      'X-MultisigHelper-Event': delivery.event,
+      'X-MultisigHelper-Delivery': delivery.id,
+      'X-MultisigHelper-Timestamp': String(timestamp),
+      'X-MultisigHelper-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+    }, delivery.payload);
+    if (responseStatus < 200 || responseStatus > 299) {
+      error = `Receiver responded with HTTP ${responseStatus}`;
+    }
+  } catch (e) {
+    error = e.message;
+  }
+
+  const retry = error !== null && attempts < MAX_ATTEMPTS;
+  const updated = await deliveryOperations.update(delivery.id, {
+    status: error === null ? 'delivered' : (retry ? 'pending' : 'failed'),
+    attempts,
+    response_status: responseStatus,
+    error: error && error.slice(0, MAX_ERROR_LENGTH),
+    next_attempt_at: retry ? new Date(Date.now() + retryDelay(attempts)).toISOString() : null
+  });
+
+  if (retry) {
+    schedule(updated, retryDelay(attempts));
+  }
+}
+
+// Log a delivery of event to one webhook and send it right away
+async function deliver(webhook, event, payload) {
+  const delivery = await deliveryOperations.create(webhook.id, webhook.session_id, event, JSON.stringify(payload));
+  schedule(delivery, 0);
+  return delivery;
+}
+
+// Send the PSBT lifecycle events implied by a change to every webhook of the
+// session that subscribed to them. Runs in the background; failures are
+// logged and never affect the change.
+function queuePsbtEvents(sessionId, actor, before, after) {
+  const events = psbtTransitions(before, after);
+  if (events.length === 0) return;
+
+  (async () => {
+    const webhooks = await webhookOperations.getAll(sessionId);
+    for (const event of events) {
+      const payload = {
+        event,
+        session: sessionId,
+        actor,
+        occurred_at: new Date().toISOString(),
+        psbt: toPsbtSummary(after)
+      };
+      for (const webhook of webhooks.filter(hook => parseEvents(hook).includes(event))) {
+        await deliver(webhook, event, payload);
+      }
+    }
+  })().catch(error => {
+    console.error('Error queueing webhook deliveries:', error);
+  });
+}
+
+// Webhook events for a change made by a request
+function notifyPsbtChange(req, before, after) {
+  queuePsbtEvents(getSessionId(req), getActor(req), before, after);
+}
+
+// Webhook events for a change the server made on its own
+function notifySystemPsbtChange(sessionId, before, after) {
+  queuePsbtEvents(sessionId, SYSTEM_ACTOR, before, after);
+}
+
+// Send a test event to one webhook
+function pingWebhook(req, webhook) {
+  return deliver(webhook, PING_EVENT, {
+    event: PING_EVENT,
+    session: getSessionId(req),
+    actor: getActor(req),
+    occurred_at: new Date().toISOString()
+  });
+}
+
+// Pick up deliveries that were still waiting for a retry when the server stopped
+async function resumeWebhookDeliveries() {
+  const pending = await deliveryOperations.getPending();
+  pending.forEach(delivery => {
+    const dueAt = delivery.next_attempt_at ? new Date(delivery.next_attempt_at).getTime() : Date.now();
+    schedule(delivery, dueAt - Date.now());
+  });
+  return pending.length;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  checkWebhookUrl,
+  notifyPsbtChange,
+  notifySystemPsbtChange,
+  pingWebhook,
+  resumeWebhookDeliveries
+};
@@ -0,0 +1,140 @@
+const { verifyToken } = require('../lib/auth');
+const { memberOperations, sessionOperations } = require('../database');
+const { ENCRYPTED_FIELDS, findPlaintextField, isRecordId } = require('../lib/e2e');
+
+const PUBLIC_SESSION = '0';
+
+// Member roles, from least to most privileged
+const ROLES = ['viewer', 'signer', 'coordinator'];
+
+// Anyone using the public session has full access, as before roles existed
+const PUBLIC_MEMBER = { id: null, name: 'anonymous', role: 'coordinator' };
+
+// Resolve the caller's session and member. Private sessions require a bearer
+// token issued by /api/sessions; requests without one fall back to the public session.
+async function authenticateSession(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+
+  if (authHeader.startsWith('Bearer ')) {
+    const claims = verifyToken(authHeader.slice('Bearer '.length).trim());
+    if (!claims) {
+      return res.status(401).json({ error: 'Invalid or expired session token' });
+    }
+
+    try {
+      // Look the member up on every request so role changes and removals apply immediately
+      const member = await memberOperations.getById(claims.mid, claims.sid);
+      if (!member) {
+        return res.status(401).json({ error: 'Invalid or expired session token' });
+      }
+      const session = await sessionOperations.getByName(claims.sid);
+      req.sessionId = claims.sid;
+      req.member = { id: member.id, name: member.name, role: member.role };
+      req.encryption = session && session.encryption ? JSON.parse(session.encryption) : null;
+      return next();
+    } catch (error) {
+      console.error('Error loading session member:', error);
+      return res.status(500).json({ error: 'Failed to authenticate session' });
+    }
+  }
+
+  // Naming a private session without a token is no longer enough to access it
+  const requestedSession = req.headers['x-session-id'] || req.query.session;
+  if (requestedSession && requestedSession !== PUBLIC_SESSION) {
+    return res.status(401).json({ error: 'Authentication required for private sessions' });
+  }
+
+  req.sessionId = PUBLIC_SESSION;
+  req.member = PUBLIC_MEMBER;
+  req.encryption = null;
+  next();
+}
+
+// Check whether a role is at least as privileged as the required one
+function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+// Reject requests from members below the given role (requiredRole is listed
+// in the OpenAPI document)
+function requireRole(minRole) {
+  const middleware = (req, res, next) => {
+    const role = req.member ? req.member.role : null;
+    if (!hasRole(role, minRole)) {
+      return res.status(403).json({ error: `This action requires the ${minRole} role` });
+    }
+    next();
+  };
+  middleware.requiredRole = minRole;
+  return middleware;
+}
+
+// Reject requests in the public session, which has no members to restrict
+// access to (message explains what isn't available there)
+function requirePrivate(message) {
+  const middleware = (req, res, next) => {
+    if (getSessionId(req) === PUBLIC_SESSION) {
+      return res.status(400).json({ error: message });
+    }
+    next();
+  };
+  middleware.privateOnly = true;
+  return middleware;
+}
+
+// In end-to-end encrypted sessions, reject writes that carry any of the
+// record type's encrypted fields in plaintext
+function requireCiphertext(recordType) {
+  return (req, res, next) => {
+    if (!isEncryptedSession(req)) return next();
+    const field = findPlaintextField(req.body || {}, ENCRYPTED_FIELDS[recordType]);
+    if (field) {
+      return res.status(400).json({ error: `${field} must be encrypted in this session` });
+    }
+    next();
+  };
+}
+
+// In end-to-end encrypted sessions the browser chooses the id of a record it
+// creates, because the record's ciphertext is bound to it (see lib/e2e.js)
+function requireRecordId(req, res, next) {
+  const id = (req.body || {}).id;
+  if (!isEncryptedSession(req) || isRecordId(id)) return next();
+  res.status(400).json({ error: id ? 'id must be a lowercase UUID' : 'id is required in this session' });
+}
+
+// Helper to get the id a new record is created with: the browser's choice in
+// encrypted sessions, otherwise undefined so the storage picks one
+function getRecordId(req) {
+  return isEncryptedSession(req) ? req.body.id : undefined;
+}
+
+// Helper to check whether the caller's session is end-to-end encrypted
+function isEncryptedSession(req) {
+  return Boolean(req.encryption);
+}
+
+// Helper to get the authenticated session ID from a request
+function getSessionId(req) {
+  return req.sessionId || PUBLIC_SESSION;
+}
+
+// Helper to get the name recorded as the actor of a mutation
+function getActor(req) {
+  return req.member ? req.member.name : PUBLIC_MEMBER.name;
+}
+
+module.exports = {
+  PUBLIC_SESSION,
+  ROLES,
+  authenticateSession,
+  requireRole,
+  requirePrivate,
+  requireCiphertext,
+  requireRecordId,
+  hasRole,
+  isEncryptedSession,
+  getSessionId,
+  getActor,
+  getRecordId
+};
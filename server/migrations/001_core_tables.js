@@ -0,0 +1,65 @@
+// XPubs, PSBTs and descriptors, scoped to a session
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS xpubs (
+      id ${id},
+      label TEXT NOT NULL,
+      xpub TEXT NOT NULL,
+      session_id TEXT DEFAULT '0',
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(xpub, session_id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbts (
+      id ${id},
+      name TEXT NOT NULL,
+      psbt_data TEXT NOT NULL,
+      m_required INTEGER NOT NULL,
+      n_total INTEGER NOT NULL,
+      signatures_count INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      txid TEXT,
+      confirmations INTEGER DEFAULT 0,
+      notes TEXT,
+      session_id TEXT DEFAULT '0',
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS descriptors (
+      id ${id},
+      name TEXT NOT NULL,
+      descriptor TEXT NOT NULL,
+      m_required INTEGER NOT NULL,
+      n_total INTEGER NOT NULL,
+      first_address TEXT,
+      session_id TEXT DEFAULT '0',
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Databases created before sessions and broadcast tracking existed
+  await db.addColumn('xpubs', 'session_id', "TEXT DEFAULT '0'");
+  await db.addColumn('psbts', 'session_id', "TEXT DEFAULT '0'");
+  await db.addColumn('psbts', 'txid', 'TEXT');
+  await db.addColumn('psbts', 'confirmations', 'INTEGER DEFAULT 0');
+  await db.addColumn('descriptors', 'session_id', "TEXT DEFAULT '0'");
+
+  // An xpub used to be unique across all sessions; now it is unique per session.
+  // (SQLite can't drop constraints; its old tables keep the global one.)
+  if (db.dialect === 'postgres') {
+    await db.run('ALTER TABLE xpubs DROP CONSTRAINT IF EXISTS xpubs_xpub_key');
+    const constraint = await db.get(
+      "SELECT 1 FROM pg_constraint WHERE conname = 'xpubs_xpub_session_id_key'"
+    );
+    if (!constraint) {
+      await db.run('ALTER TABLE xpubs ADD CONSTRAINT xpubs_xpub_session_id_key UNIQUE (xpub, session_id)');
+    }
+  }
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Rows are addressed through a random public identifier instead of their sequential id
+const TABLES = ['xpubs', 'psbts', 'descriptors'];
+
+exports.up = async (db) => {
+  for (const table of TABLES) {
+    // SQLite can't add a UNIQUE column, so uniqueness comes from the index below
+    await db.addColumn(table, 'public_id', 'TEXT');
+    const missing = await db.all(`SELECT id FROM ${table} WHERE public_id IS NULL`);
+    for (const row of missing) {
+      await db.run(`UPDATE ${table} SET public_id = $1 WHERE id = $2`, [crypto.randomUUID(), row.id]);
+    }
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_public_id_key ON ${table} (public_id)`);
+  }
+};
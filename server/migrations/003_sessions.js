@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Member created alongside a private session (OWNER_MEMBER in database.js)
+const OWNER_MEMBER = 'owner';
+
+// Passphrase-protected sessions and their members
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id ${id},
+      name TEXT NOT NULL UNIQUE,
+      passphrase_hash TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS session_members (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      passphrase_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, name)
+    )
+  `);
+
+  // Sessions created before roles existed get their owner as coordinator
+  const ownerless = await db.all(`
+    SELECT name, passphrase_hash FROM sessions s
+    WHERE NOT EXISTS (SELECT 1 FROM session_members m WHERE m.session_id = s.name)
+  `);
+  for (const session of ownerless) {
+    await db.run(
+      'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES ($1, $2, $3, $4, $5)',
+      [crypto.randomUUID(), session.name, OWNER_MEMBER, session.passphrase_hash, 'coordinator']
+    );
+  }
+};
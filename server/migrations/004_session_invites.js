@@ -0,0 +1,19 @@
+// Invite links for joining a session; only the token's hash is stored
+exports.up = async (db) => {
+  const { id, timestamp, timestamptz } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS session_invites (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL,
+      created_by TEXT,
+      expires_at ${timestamptz} NOT NULL,
+      max_uses INTEGER,
+      use_count INTEGER DEFAULT 0,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// The hash chain as lib/chain.js built it when this migration was written,
+// copied so later changes to the app can't change what the migration does
+
+// prev_hash of the first event in every session's history
+const GENESIS_HASH = '0'.repeat(64);
+
+const hashEvent = (event) => crypto.createHash('sha256').update(JSON.stringify([
+  event.session_id,
+  event.seq,
+  event.prev_hash,
+  event.actor,
+  event.action,
+  event.entity_type,
+  event.entity_id,
+  event.entity_label || null,
+  event.before_hash || null,
+  event.after_hash || null,
+  event.created_at
+])).digest('hex');
+
+// Link an event to the previous one in its session (undefined for the first)
+function chainEvent(previous, fields) {
+  const event = {
+    ...fields,
+    seq: previous ? previous.seq + 1 : 1,
+    prev_hash: previous ? previous.hash : GENESIS_HASH
+  };
+  return { ...event, hash: hashEvent(event) };
+}
+
+// Columns of an audit event that are covered by its hash (besides the chain fields)
+const auditFields = (row) => ({
+  session_id: row.session_id,
+  actor: row.actor,
+  action: row.action,
+  entity_type: row.entity_type,
+  entity_id: row.entity_id,
+  entity_label: row.entity_label,
+  before_hash: row.before_hash,
+  after_hash: row.after_hash
+});
+
+// Audit timestamps are hashed as ISO strings; older rows hold the database's
+// "YYYY-MM-DD HH:MM:SS" (UTC) format or a Date
+const toIsoTimestamp = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && !value.includes('T')) {
+    return new Date(value.replace(' ', 'T') + 'Z').toISOString();
+  }
+  return value;
+};
+
+// Append-only audit log of session mutations, linked into a hash chain per session
+exports.up = async (db) => {
+  const { id } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      entity_label TEXT,
+      before_hash TEXT,
+      after_hash TEXT,
+      seq INTEGER,
+      prev_hash TEXT,
+      hash TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS audit_events_session_idx ON audit_events (session_id, id)');
+
+  // Logs written before the hash chain existed
+  await db.addColumn('audit_events', 'seq', 'INTEGER');
+  await db.addColumn('audit_events', 'prev_hash', 'TEXT');
+  await db.addColumn('audit_events', 'hash', 'TEXT');
+
+  // created_at used to be a PostgreSQL TIMESTAMP; it is now the ISO string that is hashed
+  if (db.dialect === 'postgres') {
+    const createdAt = await db.get(`
+      SELECT data_type FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'audit_events' AND column_name = 'created_at'
+    `);
+    if (createdAt.data_type !== 'text') {
+      await db.run('ALTER TABLE audit_events ALTER COLUMN created_at DROP DEFAULT');
+      await db.run(`
+        ALTER TABLE audit_events ALTER COLUMN created_at TYPE TEXT
+        USING to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+      `);
+    }
+  }
+
+  // Link unchained events, oldest first
+  const unchained = await db.all('SELECT * FROM audit_events WHERE hash IS NULL ORDER BY id ASC');
+  const heads = {};
+  for (const row of unchained) {
+    if (!(row.session_id in heads)) {
+      heads[row.session_id] = await db.get(
+        'SELECT seq, hash FROM audit_events WHERE session_id = $1 AND hash IS NOT NULL ORDER BY seq DESC LIMIT 1',
+        [row.session_id]
+      );
+    }
+    const event = chainEvent(heads[row.session_id], {
+      ...auditFields(row),
+      created_at: toIsoTimestamp(row.created_at)
+    });
+    await db.run(
+      'UPDATE audit_events SET seq = $1, prev_hash = $2, hash = $3, created_at = $4 WHERE id = $5',
+      [event.seq, event.prev_hash, event.hash, event.created_at, row.id]
+    );
+    heads[row.session_id] = event;
+  }
+
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS audit_events_session_seq_key ON audit_events (session_id, seq)');
+};
@@ -0,0 +1,4 @@
+// Key derivation parameters of end-to-end encrypted sessions (see lib/e2e.js)
+exports.up = async (db) => {
+  await db.addColumn('sessions', 'encryption', 'TEXT');
+};
@@ -0,0 +1,39 @@
+// Outbound webhooks per session and the log of their deliveries (see lib/webhooks.js)
+exports.up = async (db) => {
+  const { id, timestamp, timestamptz } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      created_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      webhook_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      next_attempt_at ${timestamptz},
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_session_idx ON webhook_deliveries (session_id, id)');
+  await db.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_status_idx ON webhook_deliveries (status)');
+};
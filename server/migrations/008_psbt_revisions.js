@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Every stored version of a PSBT, with who uploaded it and which keys it added
+// signatures for (see psbtOperations.getRevisions)
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbt_revisions (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      psbt_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      psbt_data TEXT NOT NULL,
+      signatures_count INTEGER NOT NULL,
+      signers TEXT,
+      new_signers TEXT,
+      restored_from INTEGER,
+      created_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (psbt_id, revision)
+    )
+  `);
+
+  // Existing PSBTs start with their current version; who signed it is unknown
+  const missing = await db.all(`
+    SELECT * FROM psbts
+    WHERE NOT EXISTS (SELECT 1 FROM psbt_revisions WHERE psbt_revisions.psbt_id = psbts.public_id)
+    ORDER BY id ASC
+  `);
+  for (const psbt of missing) {
+    await db.run(
+      `INSERT INTO psbt_revisions (public_id, psbt_id, session_id, revision, action, psbt_data, signatures_count, created_at)
+       VALUES ($1, $2, $3, 1, 'baseline', $4, $5, $6)`,
+      [crypto.randomUUID(), psbt.public_id, psbt.session_id, psbt.psbt_data, psbt.signatures_count,
+        psbt.updated_at || psbt.created_at]
+    );
+  }
+};
@@ -0,0 +1,7 @@
+// Optional signing deadline of a PSBT; lib/expiry.js marks open PSBTs past
+// it as expired
+exports.up = async (db) => {
+  const { timestamptz } = db.types;
+
+  await db.addColumn('psbts', 'deadline', timestamptz);
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// A comment thread and approvals per PSBT (see routes/discussion.js). They
+// replace the single notes field: existing notes become the first comment.
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbt_comments (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      psbt_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      author TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Earlier versions of edited comments; body is the text that was replaced
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbt_comment_edits (
+      id ${id},
+      comment_id TEXT NOT NULL,
+      psbt_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      body TEXT NOT NULL,
+      edited_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // One decision ('approve' or 'object') per member and PSBT. txid is the
+  // transaction it was given for, or null where the server can't decode it.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbt_approvals (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      psbt_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      member TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      txid TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (psbt_id, member)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS psbt_comments_psbt_idx ON psbt_comments (psbt_id)');
+
+  if (!(await db.hasColumn('psbts', 'notes'))) return;
+
+  // The last member who wrote the notes is their author, as far as the audit log knows
+  const withNotes = await db.all("SELECT * FROM psbts WHERE notes IS NOT NULL AND notes != '' ORDER BY id ASC");
+  for (const psbt of withNotes) {
+    const writer = await db.get(
+      `SELECT actor FROM audit_events
+       WHERE session_id = $1 AND entity_id = $2 AND action IN ('create', 'update_notes')
+       ORDER BY seq DESC LIMIT 1`,
+      [psbt.session_id, psbt.public_id]
+    );
+    const writtenAt = psbt.updated_at || psbt.created_at;
+    await db.run(
+      `INSERT INTO psbt_comments (public_id, psbt_id, session_id, author, body, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [crypto.randomUUID(), psbt.public_id, psbt.session_id, writer ? writer.actor : 'system', psbt.notes, writtenAt, writtenAt]
+    );
+  }
+
+  await db.run('ALTER TABLE psbts DROP COLUMN notes');
+};
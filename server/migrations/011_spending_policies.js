@@ -0,0 +1,20 @@
+// Spending policy per session and the verdict of each PSBT against it (see
+// lib/policy.js). rules and policy_verdict are JSON; a PSBT whose verdict
+// fails stays 'pending' however many signatures it has.
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS spending_policies (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT UNIQUE NOT NULL,
+      rules TEXT NOT NULL,
+      updated_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.addColumn('psbts', 'policy_verdict', 'TEXT');
+};
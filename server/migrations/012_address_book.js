@@ -0,0 +1,22 @@
+// Address book of known payees per session (see routes/addresses.js), used to
+// label PSBT outputs. In end-to-end encrypted sessions every field but the
+// ids is ciphertext, so the server can't enforce unique addresses there.
+exports.up = async (db) => {
+  const { id, timestamp } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS address_book (
+      id ${id},
+      public_id TEXT UNIQUE NOT NULL,
+      session_id TEXT NOT NULL,
+      address TEXT NOT NULL,
+      label TEXT NOT NULL,
+      owner TEXT,
+      notes TEXT,
+      created_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(address, session_id)
+    )
+  `);
+};
@@ -0,0 +1,12 @@
+// Deleting an xpub, descriptor or PSBT moves it to the session's trash, from
+// which it can be restored until lib/trash.js purges it; final PSBTs can be
+// archived to leave the default PSBT list.
+exports.up = async (db) => {
+  const { timestamptz } = db.types;
+
+  for (const table of ['xpubs', 'descriptors', 'psbts']) {
+    await db.addColumn(table, 'deleted_at', timestamptz);
+    await db.addColumn(table, 'deleted_by', 'TEXT');
+  }
+  await db.addColumn('psbts', 'archived_at', timestamptz);
+};
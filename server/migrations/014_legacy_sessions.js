@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Data stored under a private session name before passphrases existed is
+// quarantined until an operator claims it for a session (see lib/legacy.js):
+// the rows of session names that have no session move to 'legacy:' + name,
+// and their audit events are appended to that name's hash chain. The chain
+// and the tables are those of lib/chain.js and lib/legacy.js when this
+// migration was written, copied so later changes to the app can't change
+// what the migration does.
+
+const LEGACY_PREFIX = 'legacy:';
+
+// Tables whose rows can belong to a session from before passphrases
+const LEGACY_TABLES = [
+  'xpubs',
+  'descriptors',
+  'psbts',
+  'psbt_revisions',
+  'psbt_comments',
+  'psbt_comment_edits',
+  'psbt_approvals'
+];
+
+// prev_hash of the first event in every session's history
+const GENESIS_HASH = '0'.repeat(64);
+
+const hashEvent = (event) => crypto.createHash('sha256').update(JSON.stringify([
+  event.session_id,
+  event.seq,
+  event.prev_hash,
+  event.actor,
+  event.action,
+  event.entity_type,
+  event.entity_id,
+  event.entity_label || null,
+  event.before_hash || null,
+  event.after_hash || null,
+  event.created_at
+])).digest('hex');
+
+// Move every row of session from into session to, appending the audit
+// events of from (seq order) to the chain of to
+async function moveSession(db, from, to) {
+  const events = await db.all('SELECT * FROM audit_events WHERE session_id = $1 ORDER BY seq ASC', [from]);
+  let previous = await db.get(
+    'SELECT seq, hash FROM audit_events WHERE session_id = $1 ORDER BY seq DESC LIMIT 1',
+    [to]
+  );
+  for (const row of events) {
+    const event = {
+      session_id: to,
+      seq: previous ? previous.seq + 1 : 1,
+      prev_hash: previous ? previous.hash : GENESIS_HASH,
+      actor: row.actor,
+      action: row.action,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      entity_label: row.entity_label,
+      before_hash: row.before_hash,
+      after_hash: row.after_hash,
+      created_at: row.created_at
+    };
+    event.hash = hashEvent(event);
+    await db.run(
+      'UPDATE audit_events SET session_id = $1, seq = $2, prev_hash = $3, hash = $4 WHERE id = $5',
+      [to, event.seq, event.prev_hash, event.hash, row.id]
+    );
+    previous = event;
+  }
+
+  for (const table of LEGACY_TABLES) {
+    await db.run(`UPDATE ${table} SET session_id = $1 WHERE session_id = $2`, [to, from]);
+  }
+}
+
+exports.up = async (db) => {
+  const names = new Set();
+  for (const table of [...LEGACY_TABLES, 'audit_events']) {
+    const rows = await db.all(
+      `SELECT DISTINCT session_id FROM ${table}
+       WHERE session_id <> '0' AND session_id NOT IN (SELECT name FROM sessions)`
+    );
+    rows.forEach(row => {
+      if (!row.session_id.startsWith(LEGACY_PREFIX)) names.add(row.session_id);
+    });
+  }
+
+  for (const name of names) {
+    await moveSession(db, name, `${LEGACY_PREFIX}${name}`);
+  }
+  if (names.size > 0) {
+    console.log(`Quarantined the data of ${names.size} session name(s) from before passphrases`);
+  }
+};
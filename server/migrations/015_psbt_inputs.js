@@ -0,0 +1,49 @@
+const bitcoin = require('bitcoinjs-lib');
+
+// Outpoints ("txid:vout") spent by stored PSBT data, each once; none for data
+// that can't be decoded (ciphertext in encrypted sessions). As
+// storedOutpoints in lib/psbt.js computed them when this migration was
+// written, copied so later changes to the app can't change its backfill.
+function storedOutpoints(psbtData) {
+  let psbt;
+  try {
+    psbt = bitcoin.Psbt.fromBase64(psbtData.trim());
+  } catch (e) {
+    try {
+      psbt = bitcoin.Psbt.fromHex(psbtData.trim());
+    } catch (e2) {
+      return [];
+    }
+  }
+  return [...new Set(psbt.txInputs.map(input => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`))];
+}
+
+// The outpoints each PSBT spends, so the PSBTs that may conflict with one are
+// found without decoding the whole session, and an index for paging through
+// a session's PSBTs (see psbtOperations.list). Input rows follow their PSBT's
+// data; encrypted PSBTs have none.
+exports.up = async (db) => {
+  const { id } = db.types;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS psbt_inputs (
+      id ${id},
+      psbt_id TEXT NOT NULL,
+      outpoint TEXT NOT NULL
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS psbt_inputs_outpoint_idx ON psbt_inputs (outpoint)');
+  await db.run('CREATE INDEX IF NOT EXISTS psbt_inputs_psbt_idx ON psbt_inputs (psbt_id)');
+
+  await db.run('CREATE INDEX IF NOT EXISTS psbts_session_created_idx ON psbts (session_id, created_at)');
+
+  const psbts = await db.all(`
+    SELECT public_id, psbt_data FROM psbts
+    WHERE NOT EXISTS (SELECT 1 FROM psbt_inputs WHERE psbt_inputs.psbt_id = psbts.public_id)
+  `);
+  for (const psbt of psbts) {
+    for (const outpoint of storedOutpoints(psbt.psbt_data)) {
+      await db.run('INSERT INTO psbt_inputs (psbt_id, outpoint) VALUES ($1, $2)', [psbt.public_id, outpoint]);
+    }
+  }
+};
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { addressOperations } = require('../database');
+const {
+  getSessionId,
+  getActor,
+  getRecordId,
+  requireRole,
+  requirePrivate,
+  requireCiphertext,
+  requireRecordId
+} = require('../middleware/session');
+const { publishChange } = require('../lib/events');
+const { validate, MAX_TEXT_LENGTH, ID_PARAMS } = require('../lib/validation');
+const { RECORD_ID_SCHEMA, isRecordIdConflict } = require('../lib/e2e');
+
+// Address book of the session's known payees: the app labels PSBT outputs
+// paying one of them and flags every other destination. All fields are
+// ciphertext in end-to-end encrypted sessions. Anyone could vouch for an
+// address in the public session, so the address book only exists in private
+// sessions.
+
+router.use(requirePrivate('The address book is only available in private sessions'));
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const optional = (value) => (isBlank(value) ? null : value.trim());
+
+const text = { type: 'string', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true };
+const DETAILS = {
+  label: text,
+  owner: { ...text, nullable: true },
+  notes: { ...text, nullable: true }
+};
+
+// GET /api/addresses - List the session's address book
+router.get('/', validate({
+  summary: "List the session's address book",
+  responses: { 200: ['AddressEntry'] }
+}), async (req, res) => {
+  try {
+    res.json(await addressOperations.getAll(getSessionId(req)));
+  } catch (error) {
+    console.error('Error fetching address book:', error);
+    res.status(500).json({ error: 'Failed to fetch address book' });
+  }
+});
+
+// GET /api/addresses/:id - Get one entry
+router.get('/:id', validate({
+  summary: 'Get an address book entry',
+  params: ID_PARAMS,
+  responses: { 200: 'AddressEntry' }
+}), async (req, res) => {
+  try {
+    const entry = await addressOperations.getById(req.params.id, getSessionId(req));
+    if (!entry) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching address:', error);
+    res.status(500).json({ error: 'Failed to fetch address' });
+  }
+});
+
+// POST /api/addresses - Add a payee { address, label, owner, notes }
+// (encrypted addresses can only be checked in the browser)
+router.post('/', requireRole('coordinator'), requireCiphertext('addresses'), requireRecordId, validate({
+  summary: 'Add a payee to the address book',
+  body: {
+    required: ['address', 'label'],
+    properties: {
+      id: RECORD_ID_SCHEMA,
+      address: { type: 'string', format: 'bitcoin-address', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true },
+      ...DETAILS
+    }
+  },
+  responses: { 201: 'AddressEntry', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const { address, label, owner, notes } = req.body;
+
+    const entry = await addressOperations.create(
+      address.trim(),
+      label.trim(),
+      optional(owner),
+      optional(notes),
+      getSessionId(req),
+      getActor(req),
+      getRecordId(req)
+    );
+    publishChange(req, 'address.created', entry);
+    res.status(201).json(entry);
+  } catch (error) {
+    if (isRecordIdConflict(error)) {
+      return res.status(409).json({ error: 'A record with this id already exists' });
+    }
+    if (error.code === '23505' || (error.message && error.message.includes('UNIQUE constraint failed'))) {
+      return res.status(409).json({ error: 'This address is already in the address book' });
+    }
+    console.error('Error creating address:', error);
+    res.status(500).json({ error: 'Failed to create address' });
+  }
+});
+
+// PUT /api/addresses/:id - Change an entry's label, owner and notes
+router.put('/:id', requireRole('coordinator'), requireCiphertext('addresses'), validate({
+  summary: "Change an entry's label, owner and notes",
+  description: "An entry's address can't be changed; add a new entry instead.",
+  params: ID_PARAMS,
+  body: { required: ['label'], properties: DETAILS },
+  responses: { 200: 'AddressEntry' }
+}), async (req, res) => {
+  try {
+    const { label, owner, notes } = req.body;
+
+    // A different address is a different payee, so it gets its own entry
+    if (!isBlank(req.body.address)) {
+      return res.status(400).json({ error: "An entry's address can't be changed; add a new entry instead" });
+    }
+
+    const entry = await addressOperations.update(
+      req.params.id,
+      { label: label.trim(), owner: optional(owner), notes: optional(notes) },
+      getSessionId(req),
+      getActor(req)
+    );
+    if (!entry) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    publishChange(req, 'address.updated', entry);
+    res.json(entry);
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+// DELETE /api/addresses/:id - Remove an entry
+router.delete('/:id', requireRole('coordinator'), validate({
+  summary: 'Remove an address book entry',
+  params: ID_PARAMS,
+  responses: { 200: 'Success' }
+}), async (req, res) => {
+  try {
+    const deleted = await addressOperations.delete(req.params.id, getSessionId(req), getActor(req));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    publishChange(req, 'address.deleted', { id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+module.exports = router;
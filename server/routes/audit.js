@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { auditOperations } = require('../database');
+const { getSessionId } = require('../middleware/session');
+const { validate } = require('../lib/validation');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_CHAIN_PAGE = 1000;
+
+// GET /api/audit - List the session's audit events, newest first
+router.get('/', validate({
+  summary: "List the session's audit events, newest first",
+  query: {
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+    }
+  },
+  responses: { 200: ['AuditEvent'] }
+}), async (req, res) => {
+  try {
+    const events = await auditOperations.getAll(getSessionId(req), req.query.limit);
+    res.json(events);
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
+// GET /api/audit/chain - Events from from_seq onwards in chain order, so a
+// client can verify the hash chain from a head it has pinned
+router.get('/chain', validate({
+  summary: 'List audit events in hash chain order',
+  description: `Returns at most ${MAX_CHAIN_PAGE} events; has_more tells whether there are later ones.`,
+  query: {
+    properties: {
+      from_seq: { type: 'integer', minimum: 1, default: 1, description: 'First sequence number to return' }
+    }
+  },
+  responses: { 200: 'AuditChain' }
+}), async (req, res) => {
+  try {
+    const events = await auditOperations.getChain(getSessionId(req), req.query.from_seq, MAX_CHAIN_PAGE + 1);
+    res.json({
+      events: events.slice(0, MAX_CHAIN_PAGE),
+      has_more: events.length > MAX_CHAIN_PAGE
+    });
+  } catch (error) {
+    console.error('Error fetching audit chain:', error);
+    res.status(500).json({ error: 'Failed to fetch audit chain' });
+  }
+});
+
+module.exports = router;
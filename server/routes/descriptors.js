@@ -1,14 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const { descriptorOperations } = require('../database');
-
-// Helper to get session ID from request (header or query param, default to '0')
-function getSessionId(req) {
-  return req.headers['x-session-id'] || req.query.session || '0';
-}
+const {
+  getSessionId,
+  getActor,
+  getRecordId,
+  requireRole,
+  requireCiphertext,
+  requireRecordId,
+  isEncryptedSession
+} = require('../middleware/session');
+const { publishChange } = require('../lib/events');
+const { reevaluateAfterChange } = require('../lib/policy');
+const { MAX_KEYS, checkDescriptorRecord } = require('../lib/descriptor');
+const { validate, MAX_TEXT_LENGTH, ID_PARAMS } = require('../lib/validation');
+const { RECORD_ID_SCHEMA, isRecordIdConflict } = require('../lib/e2e');
 
 // Get all descriptors for a session
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  summary: "List the session's descriptors",
+  responses: { 200: ['Descriptor'] }
+}), async (req, res) => {
   try {
     const sessionId = getSessionId(req);
     const descriptors = await descriptorOperations.getAll(sessionId);
@@ -20,9 +32,13 @@ router.get('/', async (req, res) => {
 });
 
 // Get descriptor by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get a descriptor',
+  params: ID_PARAMS,
+  responses: { 200: 'Descriptor' }
+}), async (req, res) => {
   try {
-    const descriptor = await descriptorOperations.getById(req.params.id);
+    const descriptor = await descriptorOperations.getById(req.params.id, getSessionId(req));
     if (!descriptor) {
       return res.status(404).json({ error: 'Descriptor not found' });
     }
@@ -33,39 +49,81 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new descriptor
-router.post('/', async (req, res) => {
+// Create new descriptor. Its M-of-N must match the descriptor's, which only
+// the browser can check in encrypted sessions.
+router.post('/', requireRole('coordinator'), requireCiphertext('descriptors'), requireRecordId, validate({
+  summary: 'Save a wallet descriptor',
+  body: {
+    required: ['name', 'descriptor', 'm_required', 'n_total'],
+    properties: {
+      id: RECORD_ID_SCHEMA,
+      name: { type: 'string', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true },
+      descriptor: { type: 'string', format: 'descriptor', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true },
+      m_required: { type: 'integer', minimum: 1, maximum: MAX_KEYS },
+      n_total: { type: 'integer', minimum: 1, maximum: MAX_KEYS },
+      first_address: {
+        type: 'string',
+        format: 'bitcoin-address',
+        maxLength: MAX_TEXT_LENGTH,
+        nullable: true,
+        'x-encrypted': true
+      }
+    }
+  },
+  responses: { 201: 'Descriptor', 409: 'Error' }
+}), async (req, res) => {
   try {
     const { name, descriptor, m_required, n_total, first_address } = req.body;
     const sessionId = getSessionId(req);
-    
-    if (!name || !descriptor || !m_required || !n_total) {
-      return res.status(400).json({ error: 'Missing required fields: name, descriptor, m_required, n_total' });
+
+    if (m_required > n_total) {
+      return res.status(400).json({ error: 'M cannot be greater than N' });
     }
-    
+    if (!isEncryptedSession(req)) {
+      try {
+        checkDescriptorRecord(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const newDescriptor = await descriptorOperations.create(
       name,
       descriptor,
       m_required,
       n_total,
       first_address || null,
-      sessionId
+      sessionId,
+      getActor(req),
+      getRecordId(req)
     );
     
+    publishChange(req, 'descriptor.created', newDescriptor);
+    // The session's keys decide which PSBT outputs are change
+    await reevaluateAfterChange(req);
     res.status(201).json(newDescriptor);
   } catch (error) {
+    if (isRecordIdConflict(error)) {
+      return res.status(409).json({ error: 'A record with this id already exists' });
+    }
     console.error('Error creating descriptor:', error);
     res.status(500).json({ error: 'Failed to create descriptor' });
   }
 });
 
-// Delete descriptor
-router.delete('/:id', async (req, res) => {
+// Delete descriptor (it goes to the trash, see routes/trash.js)
+router.delete('/:id', requireRole('coordinator'), validate({
+  summary: 'Move a descriptor to the trash',
+  params: ID_PARAMS,
+  responses: { 200: 'Success' }
+}), async (req, res) => {
   try {
-    const deleted = await descriptorOperations.delete(req.params.id);
+    const deleted = await descriptorOperations.delete(req.params.id, getSessionId(req), getActor(req));
     if (!deleted) {
       return res.status(404).json({ error: 'Descriptor not found' });
     }
+    publishChange(req, 'descriptor.deleted', { id: req.params.id });
+    await reevaluateAfterChange(req);
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting descriptor:', error);
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { psbtOperations, commentOperations, approvalOperations } = require('../database');
+const {
+  getSessionId,
+  getActor,
+  getRecordId,
+  requireRole,
+  requireCiphertext,
+  requireRecordId,
+  isEncryptedSession
+} = require('../middleware/session');
+const { BROADCAST_STATUSES, CLOSED_STATUSES } = require('../lib/psbt');
+const { DECISIONS, MAX_COMMENT_LENGTH, currentTxid, markStale } = require('../lib/discussion');
+const { publishChange } = require('../lib/events');
+const { validate, ID_PARAMS } = require('../lib/validation');
+const { RECORD_ID_SCHEMA, isRecordIdConflict } = require('../lib/e2e');
+
+// Discussion of a PSBT, mounted at /api/psbts/:id: a comment thread and each
+// member's approval of (or objection to) the payment. Comment bodies are
+// ciphertext in end-to-end encrypted sessions.
+
+const toCommentResponse = (comment, edits = []) => ({
+  id: comment.id,
+  psbt_id: comment.psbt_id,
+  author: comment.author,
+  body: comment.body,
+  created_at: comment.created_at,
+  updated_at: comment.updated_at,
+  edits: edits
+    .filter(edit => edit.comment_id === comment.id)
+    .map(edit => ({ body: edit.body, edited_at: edit.edited_at }))
+});
+
+const toApprovalResponse = (approval) => ({
+  id: approval.id,
+  psbt_id: approval.psbt_id,
+  member: approval.member,
+  decision: approval.decision,
+  stale: approval.stale,
+  created_at: approval.created_at,
+  updated_at: approval.updated_at
+});
+
+const COMMENT_BODY = {
+  required: ['body'],
+  properties: { body: { type: 'string', maxLength: MAX_COMMENT_LENGTH, 'x-encrypted': true } }
+};
+
+// Load the PSBT of the request's :id, or answer 404
+const loadPsbt = async (req, res) => {
+  const psbt = await psbtOperations.getById(req.params.id, getSessionId(req));
+  if (!psbt) {
+    res.status(404).json({ error: 'PSBT not found' });
+  }
+  return psbt;
+};
+
+// GET /api/psbts/:id/comments - The PSBT's comments, oldest first, each with
+// the texts it had before being edited
+router.get('/comments', validate({
+  summary: "List a PSBT's comments, oldest first",
+  params: ID_PARAMS,
+  responses: { 200: ['Comment'] }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    if (!(await loadPsbt(req, res))) return;
+
+    const [comments, edits] = await Promise.all([
+      commentOperations.getAll(req.params.id, sessionId),
+      commentOperations.getEdits(req.params.id, sessionId)
+    ]);
+    res.json(comments.map(comment => toCommentResponse(comment, edits)));
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// POST /api/psbts/:id/comments - Add a comment
+router.post('/comments', requireRole('signer'), requireCiphertext('comments'), requireRecordId, validate({
+  summary: 'Comment on a PSBT',
+  params: ID_PARAMS,
+  body: { ...COMMENT_BODY, properties: { id: RECORD_ID_SCHEMA, ...COMMENT_BODY.properties } },
+  responses: { 201: 'Comment', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const comment = await commentOperations.create(
+      req.params.id, req.body.body, getSessionId(req), getActor(req), getRecordId(req)
+    );
+    if (!comment) {
+      return res.status(404).json({ error: 'PSBT not found' });
+    }
+    const response = toCommentResponse(comment);
+    publishChange(req, 'comment.created', response);
+    res.status(201).json(response);
+  } catch (error) {
+    if (isRecordIdConflict(error)) {
+      return res.status(409).json({ error: 'A record with this id already exists' });
+    }
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// PATCH /api/psbts/:id/comments/:commentId - Edit one of your own comments;
+// the previous text is kept in its edit history
+router.patch('/comments/:commentId', requireRole('signer'), requireCiphertext('comments'), validate({
+  summary: 'Edit one of your own comments',
+  params: {
+    properties: { ...ID_PARAMS.properties, commentId: { type: 'string', maxLength: 64, description: 'Comment id' } },
+    required: ['id', 'commentId']
+  },
+  body: COMMENT_BODY,
+  responses: { 200: 'Comment' }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const existing = await commentOperations.getById(req.params.commentId, sessionId);
+    if (!existing || existing.psbt_id !== req.params.id) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.author !== getActor(req)) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    let comment = existing;
+    if (req.body.body !== existing.body) {
+      comment = await commentOperations.update(existing.id, req.body.body, sessionId, getActor(req));
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+    }
+    const edits = await commentOperations.getEdits(req.params.id, sessionId);
+    const response = toCommentResponse(comment, edits);
+    if (comment !== existing) {
+      publishChange(req, 'comment.updated', response);
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// GET /api/psbts/:id/approvals - Each member's decision on the PSBT. A
+// decision is stale once the PSBT holds a different transaction than the one
+// it was given for (never flagged in encrypted sessions).
+router.get('/approvals', validate({
+  summary: "List each member's decision on a PSBT",
+  params: ID_PARAMS,
+  responses: { 200: ['Approval'] }
+}), async (req, res) => {
+  try {
+    const psbt = await loadPsbt(req, res);
+    if (!psbt) return;
+
+    const approvals = await approvalOperations.getAll(getSessionId(req), psbt.id);
+    res.json(markStale(approvals, currentTxid(psbt)).map(toApprovalResponse));
+  } catch (error) {
+    console.error('Error fetching approvals:', error);
+    res.status(500).json({ error: 'Failed to fetch approvals' });
+  }
+});
+
+// PUT /api/psbts/:id/approvals - Record your decision ({ decision: 'approve'
+// or 'object' }), replacing an earlier one. Separate from signing: it tells
+// the group whether you agree with the payment before anyone signs.
+router.put('/approvals', requireRole('signer'), validate({
+  summary: 'Approve of or object to a PSBT',
+  params: ID_PARAMS,
+  body: { required: ['decision'], properties: { decision: { type: 'string', enum: DECISIONS } } },
+  responses: { 200: 'Approval', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const psbt = await loadPsbt(req, res);
+    if (!psbt) return;
+    if (BROADCAST_STATUSES.includes(psbt.status) || CLOSED_STATUSES.includes(psbt.status)) {
+      return res.status(409).json({ error: 'Only PSBTs still collecting signatures can be approved or objected to' });
+    }
+
+    const txid = isEncryptedSession(req) ? null : currentTxid(psbt);
+    const approval = await approvalOperations.set(psbt.id, getActor(req), decision, txid, getSessionId(req));
+    if (!approval) {
+      return res.status(404).json({ error: 'PSBT not found' });
+    }
+    const response = toApprovalResponse({ ...approval, stale: false });
+    publishChange(req, 'approval.updated', response);
+    res.json(response);
+  } catch (error) {
+    console.error('Error recording approval:', error);
+    res.status(500).json({ error: 'Failed to record approval' });
+  }
+});
+
+// DELETE /api/psbts/:id/approvals - Withdraw your decision
+router.delete('/approvals', requireRole('signer'), validate({
+  summary: 'Withdraw your decision on a PSBT',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
+  try {
+    const deleted = await approvalOperations.delete(req.params.id, getActor(req), getSessionId(req));
+    if (!deleted) {
+      return res.status(404).json({ error: 'You have not approved or objected to this PSBT' });
+    }
+    publishChange(req, 'approval.deleted', { psbt_id: req.params.id, member: getActor(req) });
+    res.json({ message: 'Decision withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing approval:', error);
+    res.status(500).json({ error: 'Failed to withdraw approval' });
+  }
+});
+
+module.exports = router;
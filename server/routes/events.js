@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { memberOperations } = require('../database');
+const { verifyToken } = require('../lib/auth');
+const { subscribe } = require('../lib/events');
+const { getSessionId } = require('../middleware/session');
+const { validate } = require('../lib/validation');
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+// A stream outlives the request that authenticated it, so private-session
+// streams are closed once the token expires or the member is removed
+async function isStillAuthorized(req) {
+  if (!req.member.id) return true;
+  const authHeader = req.headers.authorization || '';
+  if (!verifyToken(authHeader.slice('Bearer '.length).trim())) return false;
+  return Boolean(await memberOperations.getById(req.member.id, getSessionId(req)));
+}
+
+// GET /api/events - Server-Sent Events stream of changes to the session's
+// xpubs, descriptors and PSBTs (see publishChange in lib/events.js)
+router.get('/', validate({
+  summary: "Stream changes to the session's records",
+  responses: {
+    200: {
+      description: 'Server-Sent Events named after their type (e.g. psbt.signed); each carries { type, actor, origin, data, at } as JSON',
+      content: { 'text/event-stream': { schema: { type: 'string' } } }
+    }
+  }
+}), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(getSessionId(req), (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isStillAuthorized(req))) {
+        return res.end();
+      }
+      res.write(': keepalive\n\n');
+    } catch (error) {
+      console.error('Error checking event stream access:', error);
+    }
+  }, HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
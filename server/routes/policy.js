@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { policyOperations } = require('../database');
+const {
+  getSessionId,
+  getActor,
+  requireRole,
+  requirePrivate,
+  isEncryptedSession
+} = require('../middleware/session');
+const { POLICY_RULES_SCHEMA, parseRules, policyRules, reevaluateAfterChange } = require('../lib/policy');
+const { publishChange } = require('../lib/events');
+const { validate } = require('../lib/validation');
+
+// The session's spending policy (see lib/policy.js). Anyone may change the
+// public session's, so it only exists in private sessions.
+router.use(requirePrivate('Spending policies are only available in private sessions'));
+
+const toPolicyResponse = (policy) => ({
+  rules: policyRules(policy),
+  updated_by: policy ? policy.updated_by : null,
+  updated_at: policy ? policy.updated_at : null
+});
+
+// GET /api/policy - The session's rules (none are enforced until a
+// coordinator sets some)
+router.get('/', validate({
+  summary: "Get the session's spending policy",
+  responses: { 200: 'Policy' }
+}), async (req, res) => {
+  try {
+    res.json(toPolicyResponse(await policyOperations.get(getSessionId(req))));
+  } catch (error) {
+    console.error('Error fetching spending policy:', error);
+    res.status(500).json({ error: 'Failed to fetch spending policy' });
+  }
+});
+
+// PUT /api/policy - Replace the rules ({ max_amount_sats, daily_limit_sats,
+// allowed_addresses, max_fee_rate }; leave one out to stop enforcing it) and
+// evaluate the open PSBTs against them
+router.put('/', requireRole('coordinator'), validate({
+  summary: 'Replace the spending policy and re-evaluate the open PSBTs',
+  body: POLICY_RULES_SCHEMA,
+  responses: { 200: 'Policy' }
+}), async (req, res) => {
+  try {
+    if (isEncryptedSession(req)) {
+      return res.status(400).json({
+        error: "Spending policies can't be enforced in end-to-end encrypted sessions: the server can't read their PSBTs"
+      });
+    }
+
+    const policy = await policyOperations.set(getSessionId(req), parseRules(req.body), getActor(req));
+    const response = toPolicyResponse(policy);
+    publishChange(req, 'policy.updated', response);
+    await reevaluateAfterChange(req);
+    res.json(response);
+  } catch (error) {
+    console.error('Error updating spending policy:', error);
+    res.status(500).json({ error: 'Failed to update spending policy' });
+  }
+});
+
+module.exports = router;
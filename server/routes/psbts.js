@@ -1,18 +1,262 @@
 const express = require('express');
 const router = express.Router();
-const { psbtOperations } = require('../database');
+const { psbtOperations, commentOperations, approvalOperations } = require('../database');
+const {
+  getSessionId,
+  getActor,
+  getRecordId,
+  requireRole,
+  requireCiphertext,
+  requireRecordId,
+  isEncryptedSession
+} = require('../middleware/session');
+const {
+  decodePsbt,
+  analyzePsbt,
+  storedOutpoints,
+  psbtsConflict,
+  findConflicts,
+  BROADCAST_STATUSES,
+  CLOSED_STATUSES
+} = require('../lib/psbt');
+const { currentTxid, markStale, summarizeDiscussion } = require('../lib/discussion');
+const { loadPolicyContext, evaluatePsbt, reevaluateAfterChange, toPsbtResponse } = require('../lib/policy');
+const { publishChange } = require('../lib/events');
+const { notifyPsbtChange } = require('../lib/webhooks');
+const { validate, MAX_TEXT_LENGTH, ID_PARAMS } = require('../lib/validation');
+const { RECORD_ID_SCHEMA, isRecordIdConflict } = require('../lib/e2e');
+const { MAX_PAGE_SIZE, encodeCursor, decodeCursor } = require('../lib/pagination');
 
-// Helper to get session ID from request (header or query param, default to '0')
-function getSessionId(req) {
-  return req.headers['x-session-id'] || req.query.session || '0';
+// Parse PSBT data and compute authoritative signature info (throws on invalid PSBT)
+function inspectPsbt(psbtData) {
+  const psbt = decodePsbt(psbtData);
+  return { psbt, psbtData: psbt.toBase64(), analysis: analyzePsbt(psbt) };
 }
 
-// GET /api/psbts - List all PSBTs for a session
-router.get('/', async (req, res) => {
+// Encrypted PSBTs can't be decoded here, so the browser reports the counts
+// it computed after decrypting (throws when they're missing)
+function parseClientCounts({ m_required, n_total, signatures_count }) {
+  if (!Number.isInteger(m_required) || !Number.isInteger(n_total)) {
+    throw new Error('m_required and n_total are required for encrypted PSBTs');
+  }
+  if (!Number.isInteger(signatures_count)) {
+    throw new Error('signatures_count is required for encrypted PSBTs');
+  }
+  return { mRequired: m_required, nTotal: n_total, signaturesCount: signatures_count };
+}
+
+// Optional signing deadline of a new PSBT, which must be in the future
+// (throws otherwise); returned as an ISO timestamp, or null without one
+function parseDeadline(deadline) {
+  if (deadline === undefined || deadline === null || deadline === '') return null;
+  const date = new Date(deadline);
+  if (date <= new Date()) {
+    throw new Error('deadline must be in the future');
+  }
+  return date.toISOString();
+}
+
+const CLOSED_ERROR = 'This PSBT has expired or was invalidated and can no longer be signed';
+
+// Revisions list which pubkeys signed; they are null where the server can't
+// decode the PSBT. psbt_data is only included for a single revision.
+const toRevisionResponse = (revision, includeData = false) => ({
+  revision: revision.revision,
+  action: revision.action,
+  signatures_count: revision.signatures_count,
+  signers: revision.signers ? JSON.parse(revision.signers) : null,
+  new_signers: revision.new_signers ? JSON.parse(revision.new_signers) : null,
+  restored_from: revision.restored_from,
+  created_by: revision.created_by,
+  created_at: revision.created_at,
+  ...(includeData ? { psbt_data: revision.psbt_data } : {})
+});
+
+// PSBT data is ciphertext in end-to-end encrypted sessions
+const PSBT_DATA = { type: 'string', format: 'psbt', 'x-encrypted': true };
+const SIGNATURES_COUNT = {
+  type: 'integer',
+  minimum: 0,
+  description: 'Signatures the browser counted; only used in encrypted sessions'
+};
+
+const REVISION_PARAMS = {
+  properties: {
+    ...ID_PARAMS.properties,
+    revision: { type: 'integer', minimum: 1, description: 'Revision number' }
+  },
+  required: ['id', 'revision']
+};
+
+// Statuses each value of the list's status filter stands for
+const STATUS_FILTERS = {
+  pending: ['pending'],
+  ready: ['ready'],
+  broadcast: BROADCAST_STATUSES.filter(status => status !== 'final'),
+  final: ['final'],
+  closed: CLOSED_STATUSES
+};
+
+// Whether the list leaves archived PSBTs out, lists them alone or includes them
+const ARCHIVED_FILTERS = ['exclude', 'only', 'include'];
+
+// Outpoints ("txid:vout", comma separated) of the list's spends filter
+const OUTPOINTS_PATTERN = '^[0-9a-f]{64}:\\d+(,[0-9a-f]{64}:\\d+)*$';
+
+// Throw if a PSBT can't be rolled back to the revision
+const assertRestorable = (psbt, revision) => {
+  if (!psbt) {
+    throw new Error('PSBT not found');
+  }
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+  if (BROADCAST_STATUSES.includes(psbt.status)) {
+    throw new Error('A broadcast PSBT cannot be restored');
+  }
+  if (CLOSED_STATUSES.includes(psbt.status)) {
+    throw new Error(CLOSED_ERROR);
+  }
+  if (revision.psbt_data === psbt.psbt_data) {
+    throw new Error('This revision is already the current version');
+  }
+};
+
+const RESTORE_ERROR_STATUS = {
+  'PSBT not found': 404,
+  'Revision not found': 404,
+  'A broadcast PSBT cannot be restored': 409,
+  [CLOSED_ERROR]: 409,
+  'This revision is already the current version': 409
+};
+
+// Add to each PSBT the ids of the session's PSBTs that spend some of the same
+// inputs in a different transaction. Only the PSBTs spending one of their
+// inputs are loaded to compare them with. Encrypted PSBTs can't be compared
+// here; the browser finds their conflicts after decrypting them.
+const withConflicts = async (req, psbts) => {
+  if (isEncryptedSession(req)) return psbts;
+  const outpoints = [...new Set(psbts.flatMap(psbt => storedOutpoints(psbt.psbt_data)))];
+  const candidates = outpoints.length > 0
+    ? (await psbtOperations.list(getSessionId(req), { spends: outpoints })).psbts
+    : [];
+  const conflicts = findConflicts(psbts, candidates);
+  return psbts.map(psbt => ({ ...psbt, conflicts: conflicts.get(psbt.id) || [] }));
+};
+
+// Add to each PSBT a summary of its discussion (see routes/discussion.js)
+const withDiscussion = async (req, psbts) => {
+  const sessionId = getSessionId(req);
+  const [commentCounts, approvals] = await Promise.all([
+    commentOperations.countByPsbt(sessionId),
+    approvalOperations.getAll(sessionId)
+  ]);
+  return psbts.map(psbt => {
+    const own = approvals.filter(approval => approval.psbt_id === psbt.id);
+    const discussion = summarizeDiscussion(commentCounts[psbt.id], markStale(own, own.length ? currentTxid(psbt) : null));
+    return { ...psbt, discussion };
+  });
+};
+
+// Throw if psbt can't be kept in favour of the discarded PSBTs
+const assertConflictResolvable = (psbt, discarded, encrypted) => {
+  if (!psbt) {
+    throw new Error('PSBT not found');
+  }
+  if (discarded.some(row => !row)) {
+    throw new Error('Conflicting PSBT not found');
+  }
+  if (discarded.some(row => BROADCAST_STATUSES.includes(row.status))) {
+    throw new Error('A broadcast PSBT cannot be discarded');
+  }
+  if (!encrypted) {
+    const kept = decodePsbt(psbt.psbt_data);
+    if (discarded.some(row => !psbtsConflict(kept, decodePsbt(row.psbt_data)))) {
+      throw new Error('Only PSBTs that conflict with this one can be discarded');
+    }
+  }
+};
+
+const CONFLICT_ERROR_STATUS = {
+  'PSBT not found': 404,
+  'Conflicting PSBT not found': 404,
+  'A broadcast PSBT cannot be discarded': 409,
+  'Only PSBTs that conflict with this one can be discarded': 409
+};
+
+// GET /api/psbts?status=&archived=&q=&spends=&view=&limit=&cursor= - List
+// the session's PSBTs, newest first. Storage filters and pages the list;
+// conflicts are only looked up for the PSBTs of the page.
+router.get('/', validate({
+  summary: "List the session's PSBTs",
+  description: 'Without a limit every matching PSBT is returned. Searching is not available in end-to-end encrypted sessions, where names and comments are ciphertext.',
+  query: {
+    properties: {
+      status: {
+        type: 'string',
+        enum: Object.keys(STATUS_FILTERS),
+        description: 'Only PSBTs with this status (broadcast includes confirmed_1 to confirmed_6, closed is expired or invalidated)'
+      },
+      archived: {
+        type: 'string',
+        enum: ARCHIVED_FILTERS,
+        default: 'exclude',
+        description: 'Whether archived PSBTs are left out, listed alone or included'
+      },
+      q: { type: 'string', maxLength: 200, description: 'Only PSBTs whose name or comments contain this text, ignoring case' },
+      spends: {
+        type: 'string',
+        maxLength: 8000,
+        pattern: OUTPOINTS_PATTERN,
+        description: 'Only PSBTs spending one of these outpoints (txid:vout, comma separated; 8000 characters fit 100 of them); not available in end-to-end encrypted sessions'
+      },
+      view: { type: 'string', enum: ['full', 'summary'], default: 'full', description: 'summary leaves out psbt_data' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: 'Page size' },
+      cursor: { type: 'string', maxLength: 200, description: 'X-Next-Cursor of the previous page' }
+    }
+  },
+  responses: {
+    200: {
+      schema: ['Psbt'],
+      headers: {
+        'X-Total-Count': { description: 'Number of PSBTs matching the filters', schema: { type: 'integer' } },
+        'X-Next-Cursor': { description: 'Cursor of the next page; absent on the last page', schema: { type: 'string' } }
+      }
+    }
+  }
+}), async (req, res) => {
   try {
-    const sessionId = getSessionId(req);
-    const psbts = await psbtOperations.getAll(sessionId);
-    res.json(psbts);
+    const { status, archived, spends, view, limit, cursor } = req.query;
+    const q = req.query.q && req.query.q.trim();
+    if ((q || spends) && isEncryptedSession(req)) {
+      return res.status(400).json({ error: "This session's PSBTs are encrypted, so they can only be searched in the browser" });
+    }
+
+    let after;
+    try {
+      after = cursor ? decodeCursor(cursor) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // One row more than the page tells whether another page follows
+    const { psbts, total } = await psbtOperations.list(getSessionId(req), {
+      statuses: status ? STATUS_FILTERS[status] : undefined,
+      archived,
+      search: q || undefined,
+      spends: spends ? spends.split(',') : undefined,
+      after,
+      limit: limit ? limit + 1 : undefined
+    });
+    const page = limit ? psbts.slice(0, limit) : psbts;
+
+    res.set('X-Total-Count', String(total));
+    if (page.length < psbts.length) {
+      res.set('X-Next-Cursor', encodeCursor(page[page.length - 1]));
+    }
+    const items = await withConflicts(req, page.map(toPsbtResponse));
+    const shown = view === 'summary' ? items.map(({ psbt_data, ...summary }) => summary) : items;
+    res.json(await withDiscussion(req, shown));
   } catch (error) {
     console.error('Error fetching PSBTs:', error);
     res.status(500).json({ error: 'Failed to fetch PSBTs' });
@@ -20,13 +264,18 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/psbts/:id - Get single PSBT
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get a PSBT',
+  params: ID_PARAMS,
+  responses: { 200: 'Psbt' }
+}), async (req, res) => {
   try {
-    const psbt = await psbtOperations.getById(req.params.id);
+    const psbt = await psbtOperations.getById(req.params.id, getSessionId(req));
     if (!psbt) {
       return res.status(404).json({ error: 'PSBT not found' });
     }
-    res.json(psbt);
+    const [withSummary] = await withDiscussion(req, await withConflicts(req, [toPsbtResponse(psbt)]));
+    res.json(withSummary);
   } catch (error) {
     console.error('Error fetching PSBT:', error);
     res.status(500).json({ error: 'Failed to fetch PSBT' });
@@ -34,47 +283,230 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/psbts - Create new PSBT
-router.post('/', async (req, res) => {
+router.post('/', requireRole('signer'), requireCiphertext('psbts'), requireRecordId, validate({
+  summary: 'Upload a PSBT',
+  description: 'M-of-N is read from the witness script when the PSBT has one; m_required and n_total must agree with it.',
+  body: {
+    required: ['name', 'psbt_data'],
+    properties: {
+      id: RECORD_ID_SCHEMA,
+      name: { type: 'string', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true },
+      psbt_data: PSBT_DATA,
+      m_required: { type: 'integer', minimum: 1 },
+      n_total: { type: 'integer', minimum: 1 },
+      signatures_count: SIGNATURES_COUNT,
+      deadline: { type: 'string', format: 'date-time', nullable: true, description: 'Signing deadline' }
+    }
+  },
+  responses: { 201: 'Psbt', 409: 'Error' }
+}), async (req, res) => {
   try {
-    const { name, psbt_data, m_required, n_total, signatures_count, notes } = req.body;
+    const { name, psbt_data, m_required, n_total } = req.body;
     const sessionId = getSessionId(req);
 
-    // Validate input
-    if (!name || !psbt_data || !m_required || !n_total || signatures_count === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    let deadline;
+    try {
+      deadline = parseDeadline(req.body.deadline);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (isEncryptedSession(req)) {
+      let counts;
+      try {
+        counts = parseClientCounts(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (counts.mRequired > counts.nTotal) {
+        return res.status(400).json({ error: 'M cannot be greater than N' });
+      }
+
+      const newPsbt = await psbtOperations.create(
+        name,
+        psbt_data,
+        counts.mRequired,
+        counts.nTotal,
+        counts.signaturesCount,
+        sessionId,
+        getActor(req),
+        null,
+        deadline,
+        null,
+        getRecordId(req)
+      );
+      publishChange(req, 'psbt.created', toPsbtResponse(newPsbt));
+      notifyPsbtChange(req, null, newPsbt);
+      return res.status(201).json(toPsbtResponse(newPsbt));
+    }
+
+    let inspected;
+    try {
+      inspected = inspectPsbt(psbt_data);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
+    const { analysis } = inspected;
 
-    if (m_required > n_total) {
+    // M-of-N comes from the witness script when present; client values must agree with it
+    let mRequired = analysis.mRequired;
+    let nTotal = analysis.nTotal;
+    if (mRequired) {
+      if ((m_required && m_required !== mRequired) || (n_total && n_total !== nTotal)) {
+        return res.status(400).json({
+          error: `M-of-N does not match the PSBT witness script (${mRequired}-of-${nTotal})`
+        });
+      }
+    } else {
+      mRequired = m_required;
+      nTotal = n_total;
+      if (!mRequired || !nTotal) {
+        return res.status(400).json({ error: 'PSBT has no witness script; m_required and n_total are required' });
+      }
+    }
+
+    if (mRequired > nTotal) {
       return res.status(400).json({ error: 'M cannot be greater than N' });
     }
 
+    // A PSBT breaking the spending policy is stored but can't become ready
+    const policyVerdict = evaluatePsbt(await loadPolicyContext(sessionId), inspected.psbt);
+
     const newPsbt = await psbtOperations.create(
       name,
-      psbt_data,
-      m_required,
-      n_total,
-      signatures_count,
-      notes,
-      sessionId
+      inspected.psbtData,
+      mRequired,
+      nTotal,
+      analysis.signaturesCount,
+      sessionId,
+      getActor(req),
+      analysis.signers,
+      deadline,
+      policyVerdict
     );
-    res.status(201).json(newPsbt);
+    publishChange(req, 'psbt.created', toPsbtResponse(newPsbt));
+    notifyPsbtChange(req, null, newPsbt);
+    res.status(201).json(toPsbtResponse(newPsbt));
   } catch (error) {
+    if (isRecordIdConflict(error)) {
+      return res.status(409).json({ error: 'A record with this id already exists' });
+    }
     console.error('Error creating PSBT:', error);
     res.status(500).json({ error: 'Failed to create PSBT' });
   }
 });
 
+// Merge a signed copy into the stored PSBT :id and respond with the result.
+// It is combined in a transaction, so concurrent uploads don't lose
+// signatures, and must be for the stored unsigned transaction.
+async function mergeSignedCopy(req, res, psbtData) {
+  try {
+    let incoming;
+    try {
+      incoming = decodePsbt(psbtData);
+      const { invalidSignatures } = analyzePsbt(incoming);
+      if (invalidSignatures > 0) {
+        return res.status(400).json({ error: `PSBT contains ${invalidSignatures} invalid signature(s)` });
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Tells which lifecycle events the merge triggers; signatures don't
+    // change the transaction, so the verdict is worked out up front
+    const before = await psbtOperations.getById(req.params.id, getSessionId(req));
+    const policyContext = before ? await loadPolicyContext(getSessionId(req)) : null;
+
+    const mergedPsbt = await psbtOperations.mergeSignatures(req.params.id, (row) => {
+      if (CLOSED_STATUSES.includes(row.status)) {
+        throw new Error(CLOSED_ERROR);
+      }
+      const stored = decodePsbt(row.psbt_data);
+      const storedTx = stored.data.globalMap.unsignedTx.toBuffer();
+      const incomingTx = incoming.data.globalMap.unsignedTx.toBuffer();
+      if (!storedTx.equals(incomingTx)) {
+        throw new Error('PSBT is for a different transaction');
+      }
+
+      stored.combine(incoming);
+      const analysis = analyzePsbt(stored);
+      return {
+        psbtData: stored.toBase64(),
+        signaturesCount: analysis.signaturesCount,
+        signers: analysis.signers,
+        policyVerdict: evaluatePsbt(policyContext, stored, before)
+      };
+    }, getSessionId(req), getActor(req));
+
+    publishChange(req, 'psbt.signed', toPsbtResponse(mergedPsbt));
+    if (before) notifyPsbtChange(req, before, mergedPsbt);
+    res.json(toPsbtResponse(mergedPsbt));
+  } catch (error) {
+    console.error('Error merging PSBT signatures:', error);
+    if (error.message === 'PSBT not found') {
+      return res.status(404).json({ error: 'PSBT not found' });
+    }
+    if (error.message === 'PSBT is for a different transaction') {
+      return res.status(409).json({ error: 'Uploaded PSBT does not match the stored unsigned transaction' });
+    }
+    if (error.message === CLOSED_ERROR) {
+      return res.status(409).json({ error: CLOSED_ERROR });
+    }
+    res.status(500).json({ error: 'Failed to merge PSBT signatures' });
+  }
+}
+
 // PUT /api/psbts/:id - Update PSBT with new signatures
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('signer'), requireCiphertext('psbts'), validate({
+  summary: "Replace a PSBT's data with a more signed copy",
+  description: 'Outside end-to-end encrypted sessions the copy is merged into the stored PSBT, as with ' +
+    'POST /api/psbts/{id}/signatures, and must be for the same unsigned transaction.',
+  params: ID_PARAMS,
+  body: {
+    required: ['psbt_data'],
+    properties: { psbt_data: PSBT_DATA, signatures_count: SIGNATURES_COUNT }
+  },
+  responses: { 200: 'Psbt', 409: 'Error' }
+}), async (req, res) => {
   try {
-    const { psbt_data, signatures_count } = req.body;
+    const { psbt_data } = req.body;
+    const sessionId = getSessionId(req);
 
-    if (!psbt_data || signatures_count === undefined) {
-      return res.status(400).json({ error: 'PSBT data and signatures count are required' });
+    const existing = await psbtOperations.getById(req.params.id, sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'PSBT not found' });
+    }
+    if (CLOSED_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: CLOSED_ERROR });
     }
 
-    const updatedPsbt = await psbtOperations.update(req.params.id, psbt_data, signatures_count);
-    res.json(updatedPsbt);
+    if (isEncryptedSession(req)) {
+      const signaturesCount = req.body.signatures_count;
+      if (!Number.isInteger(signaturesCount)) {
+        return res.status(400).json({ error: 'signatures_count is required for encrypted PSBTs' });
+      }
+      const updatedPsbt = await psbtOperations.update(req.params.id, psbt_data, signaturesCount, sessionId, getActor(req));
+      publishChange(req, 'psbt.signed', toPsbtResponse(updatedPsbt));
+      notifyPsbtChange(req, existing, updatedPsbt);
+      return res.json(toPsbtResponse(updatedPsbt));
+    }
+
+    let analysis;
+    try {
+      analysis = inspectPsbt(psbt_data).analysis;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (analysis.mRequired && (analysis.mRequired !== existing.m_required || analysis.nTotal !== existing.n_total)) {
+      return res.status(400).json({
+        error: `M-of-N does not match the stored PSBT (${existing.m_required}-of-${existing.n_total})`
+      });
+    }
+
+    // The server can read the PSBT, so the copy is merged into the stored one
+    // rather than replacing it: it can't swap in a different transaction or
+    // drop signatures stored since it was fetched
+    await mergeSignedCopy(req, res, psbt_data);
   } catch (error) {
     console.error('Error updating PSBT:', error);
     if (error.message === 'PSBT not found') {
@@ -84,65 +516,212 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/psbts/:id/notes - Update PSBT notes
-router.patch('/:id/notes', async (req, res) => {
-  try {
-    const { notes } = req.body;
+// POST /api/psbts/:id/signatures - Merge a signed copy into the stored PSBT
+// (combined server-side in a transaction so concurrent uploads don't lose signatures)
+router.post('/:id/signatures', requireRole('signer'), validate({
+  summary: 'Merge the signatures of a signed copy into a PSBT',
+  description: 'Not available in end-to-end encrypted sessions, where the browser merges signatures and uses PUT.',
+  params: ID_PARAMS,
+  body: { required: ['psbt_data'], properties: { psbt_data: PSBT_DATA } },
+  responses: { 200: 'Psbt', 409: 'Error' }
+}), async (req, res) => {
+  // The server can't combine ciphertext; encrypted sessions merge in the browser and PUT the result
+  if (isEncryptedSession(req)) {
+    return res.status(400).json({ error: 'Signatures are merged in the browser in end-to-end encrypted sessions' });
+  }
+  await mergeSignedCopy(req, res, req.body.psbt_data);
+});
 
-    const updatedPsbt = await psbtOperations.updateNotes(req.params.id, notes);
-    if (!updatedPsbt) {
+// GET /api/psbts/:id/revisions - Every stored version of the PSBT, newest first
+router.get('/:id/revisions', validate({
+  summary: 'List the stored versions of a PSBT, newest first',
+  params: ID_PARAMS,
+  responses: { 200: ['Revision'] }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const psbt = await psbtOperations.getById(req.params.id, sessionId);
+    if (!psbt) {
       return res.status(404).json({ error: 'PSBT not found' });
     }
-    res.json(updatedPsbt);
+
+    const revisions = await psbtOperations.getRevisions(req.params.id, sessionId);
+    res.json(revisions.map(revision => toRevisionResponse(revision)));
   } catch (error) {
-    console.error('Error updating PSBT notes:', error);
-    res.status(500).json({ error: 'Failed to update PSBT notes' });
+    console.error('Error fetching PSBT revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch PSBT revisions' });
   }
 });
 
-// PATCH /api/psbts/:id/broadcast - Update PSBT broadcast status
-router.patch('/:id/broadcast', async (req, res) => {
+// GET /api/psbts/:id/revisions/:revision - One revision including its PSBT data
+router.get('/:id/revisions/:revision', validate({
+  summary: 'Get one revision of a PSBT including its data',
+  params: REVISION_PARAMS,
+  responses: { 200: 'Revision' }
+}), async (req, res) => {
   try {
-    const { txid, status, confirmations } = req.body;
+    const revision = await psbtOperations.getRevision(req.params.id, req.params.revision, getSessionId(req));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(toRevisionResponse(revision, true));
+  } catch (error) {
+    console.error('Error fetching PSBT revision:', error);
+    res.status(500).json({ error: 'Failed to fetch PSBT revision' });
+  }
+});
+
+// POST /api/psbts/:id/revisions/:revision/restore - Roll the PSBT back to an
+// earlier revision; the restore is recorded as a new revision
+router.post('/:id/revisions/:revision/restore', requireRole('coordinator'), validate({
+  summary: 'Roll a PSBT back to an earlier revision',
+  params: REVISION_PARAMS,
+  responses: { 200: 'Psbt', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    let before;
+    const policyContext = await loadPolicyContext(getSessionId(req));
+    const restoredPsbt = await psbtOperations.restoreRevision(req.params.id, req.params.revision, (psbt, revision) => {
+      assertRestorable(psbt, revision);
+      before = psbt;
+      return policyContext ? evaluatePsbt(policyContext, decodePsbt(revision.psbt_data), psbt) : null;
+    }, getSessionId(req), getActor(req));
+
+    publishChange(req, 'psbt.restored', toPsbtResponse(restoredPsbt));
+    notifyPsbtChange(req, before, restoredPsbt);
+    await reevaluateAfterChange(req);
+    res.json(toPsbtResponse(restoredPsbt));
+  } catch (error) {
+    if (RESTORE_ERROR_STATUS[error.message]) {
+      return res.status(RESTORE_ERROR_STATUS[error.message]).json({ error: error.message });
+    }
+    console.error('Error restoring PSBT revision:', error);
+    res.status(500).json({ error: 'Failed to restore PSBT revision' });
+  }
+});
 
-    if (!txid) {
-      return res.status(400).json({ error: 'Transaction ID is required' });
+// POST /api/psbts/:id/resolve-conflict - Keep this PSBT and move the
+// conflicting ones listed in discard to the trash
+router.post('/:id/resolve-conflict', requireRole('coordinator'), validate({
+  summary: 'Keep a PSBT and move the ones conflicting with it to the trash',
+  params: ID_PARAMS,
+  body: {
+    required: ['discard'],
+    properties: {
+      discard: { type: 'array', minItems: 1, items: { type: 'string', maxLength: 64 }, description: 'Ids of the PSBTs to discard' }
+    }
+  },
+  responses: { 200: 'ResolvedConflict', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const { discard } = req.body;
+    const discardIds = [...new Set(discard)];
+    if (discardIds.includes(req.params.id)) {
+      return res.status(400).json({ error: 'The PSBT to keep cannot also be discarded' });
     }
 
-    // Status should be one of: 'broadcast', 'confirmed_1' through 'confirmed_6', 'final'
-    const validStatuses = ['broadcast', 'confirmed_1', 'confirmed_2', 'confirmed_3', 
-                          'confirmed_4', 'confirmed_5', 'confirmed_6', 'final'];
-    const newStatus = status || 'broadcast';
-    
-    if (!validStatuses.includes(newStatus)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const encrypted = isEncryptedSession(req);
+    const kept = await psbtOperations.resolveConflict(req.params.id, discardIds, (psbt, discarded) => {
+      assertConflictResolvable(psbt, discarded, encrypted);
+    }, getSessionId(req), getActor(req));
+
+    discardIds.forEach(id => publishChange(req, 'psbt.deleted', { id }));
+    await reevaluateAfterChange(req);
+    res.json({ psbt: toPsbtResponse(kept), discarded: discardIds });
+  } catch (error) {
+    if (CONFLICT_ERROR_STATUS[error.message]) {
+      return res.status(CONFLICT_ERROR_STATUS[error.message]).json({ error: error.message });
     }
+    console.error('Error resolving PSBT conflict:', error);
+    res.status(500).json({ error: 'Failed to resolve PSBT conflict' });
+  }
+});
 
+// PATCH /api/psbts/:id/broadcast - Update PSBT broadcast status
+router.patch('/:id/broadcast', requireRole('signer'), validate({
+  summary: "Record a PSBT's broadcast and confirmations",
+  params: ID_PARAMS,
+  body: {
+    required: ['txid'],
+    properties: {
+      txid: { type: 'string', format: 'txid' },
+      status: { type: 'string', enum: BROADCAST_STATUSES, default: 'broadcast' },
+      confirmations: { type: 'integer', minimum: 0, default: 0 }
+    }
+  },
+  responses: { 200: 'Psbt' }
+}), async (req, res) => {
+  try {
+    const { txid, status, confirmations } = req.body;
+    const before = await psbtOperations.getById(req.params.id, getSessionId(req));
     const updatedPsbt = await psbtOperations.updateBroadcastStatus(
       req.params.id, 
       txid, 
-      newStatus, 
-      confirmations || 0
+      status,
+      confirmations,
+      getSessionId(req),
+      getActor(req)
     );
     
     if (!updatedPsbt) {
       return res.status(404).json({ error: 'PSBT not found' });
     }
-    res.json(updatedPsbt);
+    publishChange(req, 'psbt.broadcast', toPsbtResponse(updatedPsbt));
+    notifyPsbtChange(req, before, updatedPsbt);
+    res.json(toPsbtResponse(updatedPsbt));
   } catch (error) {
     console.error('Error updating PSBT broadcast status:', error);
     res.status(500).json({ error: 'Failed to update PSBT broadcast status' });
   }
 });
 
-// DELETE /api/psbts/:id - Delete PSBT
-router.delete('/:id', async (req, res) => {
+// POST /api/psbts/:id/archive and /unarchive - Move a final PSBT out of the
+// default list, or back into it
+const setArchived = (archived) => async (req, res) => {
+  try {
+    const psbt = await psbtOperations.setArchived(req.params.id, archived, getSessionId(req), getActor(req));
+    if (!psbt) {
+      const existing = await psbtOperations.getById(req.params.id, getSessionId(req));
+      return existing
+        ? res.status(409).json({ error: 'Only final PSBTs can be archived' })
+        : res.status(404).json({ error: 'PSBT not found' });
+    }
+    publishChange(req, archived ? 'psbt.archived' : 'psbt.unarchived', toPsbtResponse(psbt));
+    res.json(toPsbtResponse(psbt));
+  } catch (error) {
+    console.error(`Error ${archived ? 'archiving' : 'unarchiving'} PSBT:`, error);
+    res.status(500).json({ error: `Failed to ${archived ? 'archive' : 'unarchive'} PSBT` });
+  }
+};
+
+router.post('/:id/archive', requireRole('coordinator'), validate({
+  summary: 'Archive a final PSBT',
+  description: 'Archived PSBTs are left out of the PSBT list unless archived=only or archived=include is given.',
+  params: ID_PARAMS,
+  responses: { 200: 'Psbt', 409: 'Error' }
+}), setArchived(true));
+
+router.post('/:id/unarchive', requireRole('coordinator'), validate({
+  summary: 'Return an archived PSBT to the PSBT list',
+  params: ID_PARAMS,
+  responses: { 200: 'Psbt', 409: 'Error' }
+}), setArchived(false));
+
+// DELETE /api/psbts/:id - Move a PSBT to the trash (see routes/trash.js)
+router.delete('/:id', requireRole('coordinator'), validate({
+  summary: 'Move a PSBT to the trash',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
   try {
-    const deleted = await psbtOperations.delete(req.params.id);
+    const deleted = await psbtOperations.delete(req.params.id, getSessionId(req), getActor(req));
     if (!deleted) {
       return res.status(404).json({ error: 'PSBT not found' });
     }
-    res.json({ message: 'PSBT deleted successfully' });
+    publishChange(req, 'psbt.deleted', { id: req.params.id });
+    // Its amount no longer counts towards the daily limit of later PSBTs
+    await reevaluateAfterChange(req);
+    res.json({ message: 'PSBT moved to the trash' });
   } catch (error) {
     console.error('Error deleting PSBT:', error);
     res.status(500).json({ error: 'Failed to delete PSBT' });
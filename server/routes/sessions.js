@@ -0,0 +1,515 @@
+const express = require('express');
+const router = express.Router();
+const {
+  sessionOperations,
+  memberOperations,
+  inviteOperations,
+  xpubOperations,
+  descriptorOperations,
+  psbtOperations,
+  commentOperations,
+  OWNER_MEMBER
+} = require('../database');
+const {
+  hashPassphrase,
+  verifyPassphrase,
+  issueToken,
+  generateInviteToken,
+  hashInviteToken
+} = require('../lib/auth');
+const { ENCRYPTION_PARAMS_SCHEMA } = require('../lib/e2e');
+const { CONFLICT_MODES, buildBundle, parseBundle } = require('../lib/bundle');
+const { publishChange } = require('../lib/events');
+const { isLegacySessionName } = require('../lib/legacy');
+const { reevaluateAfterChange } = require('../lib/policy');
+const {
+  PUBLIC_SESSION,
+  ROLES,
+  authenticateSession,
+  requireRole,
+  requirePrivate,
+  getSessionId,
+  getActor
+} = require('../middleware/session');
+const { validate, ID_PARAMS } = require('../lib/validation');
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_PASSPHRASE_LENGTH = 1024;
+const MAX_NAME_LENGTH = 100;
+const DEFAULT_INVITE_HOURS = 72;
+const MAX_INVITE_HOURS = 30 * 24;
+
+const NAME = { type: 'string', maxLength: MAX_NAME_LENGTH };
+const MEMBER_NAME = { ...NAME, description: `Defaults to ${OWNER_MEMBER}` };
+const NEW_PASSPHRASE = { type: 'string', minLength: MIN_PASSPHRASE_LENGTH, maxLength: MAX_PASSPHRASE_LENGTH };
+const ROLE = { type: 'string', enum: ROLES };
+const INVITE_PARAMS = {
+  properties: { token: { type: 'string', maxLength: 256, description: 'Invite token' } },
+  required: ['token']
+};
+
+// Strip the passphrase hash before a member is sent to the client
+const toMemberResponse = (member) => ({
+  id: member.id,
+  name: member.name,
+  role: member.role,
+  created_at: member.created_at
+});
+
+// POST /api/sessions - Create a private session protected by an owner passphrase
+// (optionally end-to-end encrypted with the client's key derivation parameters)
+router.post('/', validate({
+  summary: 'Create a private session',
+  description: 'The caller becomes its first coordinator.',
+  body: {
+    required: ['name', 'passphrase'],
+    properties: {
+      name: NAME,
+      passphrase: NEW_PASSPHRASE,
+      member: MEMBER_NAME,
+      encryption: { ...ENCRYPTION_PARAMS_SCHEMA, nullable: true, description: 'Makes the session end-to-end encrypted' }
+    }
+  },
+  responses: { 201: 'SessionToken', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const { name, passphrase, member, encryption } = req.body;
+    const sessionName = name.trim();
+    const ownerName = member ? member.trim() : OWNER_MEMBER;
+
+    // Quarantined data from before passphrases lives under legacy names (see lib/legacy.js)
+    if (sessionName === PUBLIC_SESSION || isLegacySessionName(sessionName)) {
+      return res.status(400).json({ error: 'This session name is reserved' });
+    }
+
+    const encryptionParams = encryption
+      ? { kdf: encryption.kdf, iterations: encryption.iterations, salt: encryption.salt, check: encryption.check }
+      : null;
+
+    const existing = await sessionOperations.getByName(sessionName);
+    if (existing) {
+      return res.status(409).json({ error: 'A session with this name already exists' });
+    }
+
+    const passphraseHash = await hashPassphrase(passphrase);
+    const { owner } = await sessionOperations.create(sessionName, passphraseHash, ownerName, encryptionParams);
+
+    const { token, expiresAt } = issueToken(sessionName, owner.id);
+    res.status(201).json({ session: sessionName, member: toMemberResponse(owner), token, expires_at: expiresAt });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+// POST /api/sessions/login - Exchange a member passphrase for an access token
+router.post('/login', validate({
+  summary: 'Log in to a private session',
+  body: {
+    required: ['name', 'passphrase'],
+    properties: {
+      name: NAME,
+      passphrase: { type: 'string', maxLength: MAX_PASSPHRASE_LENGTH },
+      member: MEMBER_NAME
+    }
+  },
+  responses: { 200: 'SessionToken' }
+}), async (req, res) => {
+  try {
+    const { name, passphrase, member } = req.body;
+    const sessionName = name.trim();
+    const memberName = member ? member.trim() : OWNER_MEMBER;
+
+    // Same response for unknown sessions, unknown members and wrong passphrases
+    const sessionMember = await memberOperations.getByName(sessionName, memberName);
+    if (!sessionMember || !(await verifyPassphrase(passphrase, sessionMember.passphrase_hash))) {
+      return res.status(401).json({ error: 'Invalid session name, member or passphrase' });
+    }
+
+    const { token, expiresAt } = issueToken(sessionName, sessionMember.id);
+    res.json({ session: sessionName, member: toMemberResponse(sessionMember), token, expires_at: expiresAt });
+  } catch (error) {
+    console.error('Error logging in to session:', error);
+    res.status(500).json({ error: 'Failed to log in to session' });
+  }
+});
+
+// GET /api/sessions/me - Describe the session and member the caller is authenticated as,
+// including the key derivation parameters if the session is end-to-end encrypted
+router.get('/me', authenticateSession, validate({
+  summary: 'Describe the session and member the caller is authenticated as',
+  responses: {
+    200: {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              session: { type: 'string' },
+              member: { $ref: '#/components/schemas/Member' },
+              encryption: { ...ENCRYPTION_PARAMS_SCHEMA, nullable: true }
+            }
+          }
+        }
+      }
+    }
+  }
+}), (req, res) => {
+  res.json({ session: getSessionId(req), member: req.member, encryption: req.encryption });
+});
+
+// GET /api/sessions/export - Download the current session's xpubs, descriptors
+// and PSBTs (with their comments) as a portable bundle (ciphertext stays encrypted)
+router.get('/export', authenticateSession, validate({
+  summary: "Download the session's records as a bundle",
+  responses: {
+    200: { description: 'Session bundle', content: { 'application/json': { schema: { type: 'object' } } } }
+  }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const [xpubs, descriptors, psbts] = await Promise.all([
+      xpubOperations.getAll(sessionId),
+      descriptorOperations.getAll(sessionId),
+      psbtOperations.getAll(sessionId)
+    ]);
+    const comments = {};
+    for (const psbt of psbts) {
+      comments[psbt.id] = await commentOperations.getAll(psbt.id, sessionId);
+    }
+    res.json(buildBundle(sessionId, req.encryption, { xpubs, descriptors, psbts, comments }));
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+// POST /api/sessions/import?on_conflict=skip - Restore a bundle into the current
+// session. Xpubs already in the session are skipped, relabelled (overwrite) or
+// reject the whole import (fail); nothing is imported if any record is invalid.
+router.post('/import', authenticateSession, requireRole('coordinator'), validate({
+  summary: 'Restore a bundle into the session',
+  query: {
+    properties: {
+      on_conflict: { type: 'string', enum: CONFLICT_MODES, default: 'skip', description: 'What to do with xpubs already in the session' }
+    }
+  },
+  body: { description: 'Bundle from GET /api/sessions/export' },
+  responses: {
+    200: {
+      description: 'Number of records imported, per type',
+      content: { 'application/json': { schema: { type: 'object', properties: { imported: { type: 'object' } } } } }
+    },
+    409: 'Error'
+  }
+}), async (req, res) => {
+  try {
+    const onConflict = req.query.on_conflict;
+    const sessionId = getSessionId(req);
+    const { records, error } = parseBundle(req.body, sessionId, req.encryption, getActor(req));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const imported = await sessionOperations.importRecords(sessionId, records, onConflict, getActor(req));
+    // Imported PSBTs are held to the session's spending policy
+    await reevaluateAfterChange(req);
+    publishChange(req, 'session.imported', imported);
+    res.json({ imported });
+  } catch (error) {
+    if (error.message === 'Xpub already exists in this session') {
+      return res.status(409).json({ error: 'The bundle contains xpubs that already exist in this session' });
+    }
+    console.error('Error importing session:', error);
+    res.status(500).json({ error: 'Failed to import session' });
+  }
+});
+
+// Member management only applies to private sessions
+const requirePrivateSession = requirePrivate('The public session has no members');
+
+// GET /api/sessions/members - List the members of the current session
+router.get('/members', authenticateSession, requirePrivateSession, validate({
+  summary: "List the session's members",
+  responses: { 200: ['Member'] }
+}), async (req, res) => {
+  try {
+    const members = await memberOperations.getAll(getSessionId(req));
+    res.json(members.map(toMemberResponse));
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// POST /api/sessions/members - Add a member with their own passphrase and role
+router.post('/members', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: 'Add a member',
+  body: {
+    required: ['name', 'passphrase', 'role'],
+    properties: { name: NAME, passphrase: NEW_PASSPHRASE, role: ROLE }
+  },
+  responses: { 201: 'Member', 409: 'Error' }
+}), async (req, res) => {
+  try {
+    const { passphrase, role } = req.body;
+    const memberName = req.body.name.trim();
+    const sessionId = getSessionId(req);
+    const existing = await memberOperations.getByName(sessionId, memberName);
+    if (existing) {
+      return res.status(409).json({ error: 'A member with this name already exists' });
+    }
+
+    const passphraseHash = await hashPassphrase(passphrase);
+    const member = await memberOperations.create(sessionId, memberName, passphraseHash, role);
+    res.status(201).json(toMemberResponse(member));
+  } catch (error) {
+    console.error('Error adding member:', error);
+    res.status(500).json({ error: 'Failed to add member' });
+  }
+});
+
+// Make sure a change leaves at least one coordinator who can manage the session
+const leavesCoordinator = async (sessionId, memberId, newRole) => {
+  const members = await memberOperations.getAll(sessionId);
+  return members.some(member =>
+    (member.id === memberId ? newRole : member.role) === 'coordinator'
+  );
+};
+
+// PATCH /api/sessions/members/:id - Change a member's role
+router.patch('/members/:id', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: "Change a member's role",
+  params: ID_PARAMS,
+  body: { required: ['role'], properties: { role: ROLE } },
+  responses: { 200: 'Member' }
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const sessionId = getSessionId(req);
+    const existing = await memberOperations.getById(req.params.id, sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!(await leavesCoordinator(sessionId, existing.id, role))) {
+      return res.status(400).json({ error: 'A session needs at least one coordinator' });
+    }
+
+    const member = await memberOperations.updateRole(existing.id, role, sessionId);
+    res.json(toMemberResponse(member));
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// DELETE /api/sessions/members/:id - Remove a member; their tokens stop working
+router.delete('/members/:id', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: 'Remove a member',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const existing = await memberOperations.getById(req.params.id, sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!(await leavesCoordinator(sessionId, existing.id, null))) {
+      return res.status(400).json({ error: 'A session needs at least one coordinator' });
+    }
+
+    await memberOperations.delete(existing.id, sessionId);
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Throw if an invite can't be redeemed (any more)
+const assertInviteUsable = (invite) => {
+  if (!invite) {
+    throw new Error('Invite not found');
+  }
+  if (new Date(invite.expires_at) <= new Date()) {
+    throw new Error('Invite has expired');
+  }
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+    throw new Error('Invite has already been used');
+  }
+};
+
+const INVITE_ERROR_STATUS = {
+  'Invite not found': 404,
+  'Invite has expired': 410,
+  'Invite has already been used': 410,
+  'A member with this name already exists': 409
+};
+
+const toInviteResponse = (invite) => ({
+  id: invite.id,
+  role: invite.role,
+  expires_at: new Date(invite.expires_at).toISOString(),
+  max_uses: invite.max_uses,
+  use_count: invite.use_count,
+  created_by: invite.created_by,
+  created_at: invite.created_at
+});
+
+// POST /api/sessions/invites - Create an invite link that adds a member with a preset role
+router.post('/invites', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: 'Create an invite link',
+  description: 'The response includes the invite token; it is not shown again.',
+  body: {
+    required: ['role'],
+    properties: {
+      role: ROLE,
+      expires_in_hours: { type: 'integer', minimum: 1, maximum: MAX_INVITE_HOURS, default: DEFAULT_INVITE_HOURS },
+      single_use: { type: 'boolean', default: true }
+    }
+  },
+  responses: { 201: 'Invite' }
+}), async (req, res) => {
+  try {
+    const { role, expires_in_hours: hours, single_use } = req.body;
+
+    // The token itself is only returned here; the server keeps its hash
+    const token = generateInviteToken();
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    const invite = await inviteOperations.create(
+      getSessionId(req),
+      hashInviteToken(token),
+      role,
+      expiresAt,
+      single_use ? 1 : null,
+      req.member.name
+    );
+
+    res.status(201).json({ ...toInviteResponse(invite), token });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// GET /api/sessions/invites - List the session's invites that can still be redeemed
+router.get('/invites', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: "List the session's usable invites",
+  responses: { 200: ['Invite'] }
+}), async (req, res) => {
+  try {
+    const invites = await inviteOperations.getAll(getSessionId(req));
+    const usable = invites.filter(invite => {
+      try {
+        assertInviteUsable(invite);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+    res.json(usable.map(toInviteResponse));
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// DELETE /api/sessions/invites/:id - Revoke an invite
+router.delete('/invites/:id', authenticateSession, requirePrivateSession, requireRole('coordinator'), validate({
+  summary: 'Revoke an invite',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
+  try {
+    const deleted = await inviteOperations.delete(req.params.id, getSessionId(req));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// GET /api/sessions/join/:token - Show what an invite grants before redeeming it
+router.get('/join/:token', validate({
+  summary: 'Show what an invite grants',
+  params: INVITE_PARAMS,
+  responses: {
+    200: {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              session: { type: 'string' },
+              role: ROLE,
+              encrypted: { type: 'boolean' },
+              expires_at: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    },
+    410: 'Error'
+  }
+}), async (req, res) => {
+  try {
+    const invite = await inviteOperations.getByTokenHash(hashInviteToken(req.params.token));
+    assertInviteUsable(invite);
+    const session = await sessionOperations.getByName(invite.session_id);
+    res.json({
+      session: invite.session_id,
+      role: invite.role,
+      encrypted: Boolean(session && session.encryption),
+      expires_at: new Date(invite.expires_at).toISOString()
+    });
+  } catch (error) {
+    if (INVITE_ERROR_STATUS[error.message]) {
+      return res.status(INVITE_ERROR_STATUS[error.message]).json({ error: error.message });
+    }
+    console.error('Error fetching invite:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// POST /api/sessions/join/:token - Redeem an invite as a new member with their own passphrase
+router.post('/join/:token', validate({
+  summary: 'Join a session with an invite',
+  params: INVITE_PARAMS,
+  body: {
+    required: ['member', 'passphrase'],
+    properties: { member: NAME, passphrase: NEW_PASSPHRASE }
+  },
+  responses: { 201: 'SessionToken', 409: 'Error', 410: 'Error' }
+}), async (req, res) => {
+  try {
+    const { passphrase } = req.body;
+    const memberName = req.body.member.trim();
+
+    const passphraseHash = await hashPassphrase(passphrase);
+    const newMember = await inviteOperations.redeem(
+      hashInviteToken(req.params.token),
+      memberName,
+      passphraseHash,
+      assertInviteUsable
+    );
+
+    const { token, expiresAt } = issueToken(newMember.session_id, newMember.id);
+    res.status(201).json({ session: newMember.session_id, member: toMemberResponse(newMember), token, expires_at: expiresAt });
+  } catch (error) {
+    if (INVITE_ERROR_STATUS[error.message]) {
+      return res.status(INVITE_ERROR_STATUS[error.message]).json({ error: error.message });
+    }
+    console.error('Error redeeming invite:', error);
+    res.status(500).json({ error: 'Failed to join session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { trashOperations } = require('../database');
+const { getSessionId, getActor, requireRole } = require('../middleware/session');
+const { publishChange } = require('../lib/events');
+const { reevaluateAfterChange, toPsbtResponse } = require('../lib/policy');
+const { TRASH_RETENTION_DAYS, TRASH_TYPES } = require('../lib/trash');
+const { validate, ID_PARAMS } = require('../lib/validation');
+
+// The session's trash: deleted xpubs, descriptors and PSBTs can be restored
+// from here until they are purged, by a coordinator or after
+// TRASH_RETENTION_DAYS (see lib/trash.js).
+
+const TRASH_PARAMS = {
+  properties: {
+    type: { type: 'string', enum: TRASH_TYPES, description: 'Kind of record' },
+    ...ID_PARAMS.properties
+  },
+  required: ['type', 'id']
+};
+
+const NOT_FOUND = {
+  xpub: 'XPub not found in the trash',
+  descriptor: 'Descriptor not found in the trash',
+  psbt: 'PSBT not found in the trash'
+};
+
+// GET /api/trash - List the session's trashed records, most recently deleted first
+router.get('/', validate({
+  summary: "List the session's trash",
+  description: 'Trashed PSBTs are listed without their data.',
+  responses: { 200: 'Trash' }
+}), async (req, res) => {
+  try {
+    const trash = await trashOperations.getAll(getSessionId(req));
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      xpubs: trash.xpubs,
+      descriptors: trash.descriptors,
+      psbts: trash.psbts.map(psbt => {
+        const { psbt_data, ...summary } = toPsbtResponse(psbt);
+        return { ...summary, deleted_at: psbt.deleted_at, deleted_by: psbt.deleted_by };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// POST /api/trash/:type/:id/restore - Take a record out of the trash
+router.post('/:type/:id/restore', requireRole('coordinator'), validate({
+  summary: 'Restore a record from the trash',
+  params: TRASH_PARAMS,
+  responses: {
+    200: {
+      description: 'The restored xpub, descriptor or PSBT',
+      content: { 'application/json': { schema: { type: 'object' } } }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const restored = await trashOperations.restore(type, id, getSessionId(req), getActor(req));
+    if (!restored) {
+      return res.status(404).json({ error: NOT_FOUND[type] });
+    }
+
+    const record = type === 'psbt' ? toPsbtResponse(restored) : restored;
+    publishChange(req, `${type}.restored`, record);
+    // A PSBT counts towards the daily spending limit, and the session's keys
+    // decide which outputs are change, only while out of the trash
+    await reevaluateAfterChange(req);
+    res.json(record);
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore from trash' });
+  }
+});
+
+// DELETE /api/trash/:type/:id - Delete a trashed record for good
+router.delete('/:type/:id', requireRole('coordinator'), validate({
+  summary: 'Delete a record in the trash for good',
+  description: 'A PSBT is deleted along with its revisions, comments and approvals.',
+  params: TRASH_PARAMS,
+  responses: { 200: 'Success' }
+}), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const purged = await trashOperations.purge(type, id, getSessionId(req), getActor(req));
+    if (!purged) {
+      return res.status(404).json({ error: NOT_FOUND[type] });
+    }
+    publishChange(req, 'trash.purged', { type, id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({ error: 'Failed to purge from trash' });
+  }
+});
+
+// DELETE /api/trash - Empty the trash
+router.delete('/', requireRole('coordinator'), validate({
+  summary: 'Empty the trash',
+  responses: {
+    200: {
+      description: 'Number of records deleted',
+      content: { 'application/json': { schema: { type: 'object', properties: { purged: { type: 'integer' } } } } }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const trash = await trashOperations.getAll(sessionId);
+    const entries = TRASH_TYPES.flatMap(type => trash[`${type}s`].map(record => ({ type, id: record.id })));
+
+    let purged = 0;
+    for (const { type, id } of entries) {
+      if (await trashOperations.purge(type, id, sessionId, getActor(req))) {
+        publishChange(req, 'trash.purged', { type, id });
+        purged++;
+      }
+    }
+    res.json({ purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
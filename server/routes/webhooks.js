@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { webhookOperations, deliveryOperations } = require('../database');
+const { WEBHOOK_EVENTS, generateWebhookSecret, checkWebhookUrl, pingWebhook } = require('../lib/webhooks');
+const { getSessionId, getActor, requireRole, requirePrivate } = require('../middleware/session');
+const { validate, ID_PARAMS } = require('../lib/validation');
+
+const MAX_WEBHOOKS_PER_SESSION = 10;
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Webhooks send requests to arbitrary URLs, so only members of a private
+// session can manage them
+router.use(requirePrivate('Webhooks are only available in private sessions'), requireRole('coordinator'));
+
+// The secret is only returned when the webhook is created
+const toWebhookResponse = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: JSON.parse(webhook.events),
+  description: webhook.description,
+  created_by: webhook.created_by,
+  created_at: webhook.created_at
+});
+
+const toDeliveryResponse = (delivery) => ({
+  id: delivery.id,
+  webhook_id: delivery.webhook_id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  response_status: delivery.response_status,
+  error: delivery.error,
+  next_attempt_at: delivery.next_attempt_at,
+  payload: JSON.parse(delivery.payload),
+  created_at: delivery.created_at,
+  updated_at: delivery.updated_at
+});
+
+// GET /api/webhooks - List the session's webhooks
+router.get('/', validate({
+  summary: "List the session's webhooks",
+  responses: { 200: ['Webhook'] }
+}), async (req, res) => {
+  try {
+    const webhooks = await webhookOperations.getAll(getSessionId(req));
+    res.json(webhooks.map(toWebhookResponse));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// POST /api/webhooks - Register a URL for some or all PSBT lifecycle events
+router.post('/', validate({
+  summary: 'Register a webhook',
+  description: 'The response includes the secret deliveries are signed with; it is not shown again. ' +
+    'The URL must not resolve to a private, loopback or reserved address unless its host is listed in WEBHOOK_ALLOWED_HOSTS.',
+  body: {
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: MAX_URL_LENGTH },
+      events: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: WEBHOOK_EVENTS },
+        default: WEBHOOK_EVENTS
+      },
+      description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH, nullable: true }
+    }
+  },
+  responses: { 201: 'Webhook' }
+}), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    try {
+      await checkWebhookUrl(url);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const sessionId = getSessionId(req);
+    const existing = await webhookOperations.getAll(sessionId);
+    if (existing.length >= MAX_WEBHOOKS_PER_SESSION) {
+      return res.status(400).json({ error: `A session can have at most ${MAX_WEBHOOKS_PER_SESSION} webhooks` });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await webhookOperations.create(
+      sessionId,
+      url,
+      secret,
+      [...new Set(events)],
+      description || null,
+      getActor(req)
+    );
+
+    res.status(201).json({ ...toWebhookResponse(webhook), secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// GET /api/webhooks/deliveries?webhook_id=&limit=50 - Delivery log, newest first
+router.get('/deliveries', validate({
+  summary: 'List webhook deliveries, newest first',
+  query: {
+    properties: {
+      webhook_id: { type: 'string', maxLength: 64, description: 'Only list deliveries to this webhook' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_DELIVERY_LIMIT, default: DEFAULT_DELIVERY_LIMIT }
+    }
+  },
+  responses: { 200: ['WebhookDelivery'] }
+}), async (req, res) => {
+  try {
+    const deliveries = await deliveryOperations.getAll(getSessionId(req), req.query.webhook_id || null, req.query.limit);
+    res.json(deliveries.map(toDeliveryResponse));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// POST /api/webhooks/:id/ping - Send a test event to a webhook
+router.post('/:id/ping', validate({
+  summary: 'Send a test event to a webhook',
+  params: ID_PARAMS,
+  responses: { 202: 'WebhookDelivery' }
+}), async (req, res) => {
+  try {
+    const webhook = await webhookOperations.getById(req.params.id, getSessionId(req));
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await pingWebhook(req, webhook);
+    res.status(202).json(toDeliveryResponse(delivery));
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+router.delete('/:id', validate({
+  summary: 'Delete a webhook and its delivery log',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
+  try {
+    const deleted = await webhookOperations.delete(req.params.id, getSessionId(req));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { xpubOperations } = require('../database');
+const { getSessionId, getActor, getRecordId, requireRole, requireCiphertext, requireRecordId } = require('../middleware/session');
+const { publishChange } = require('../lib/events');
+const { reevaluateAfterChange } = require('../lib/policy');
+const { validate, MAX_TEXT_LENGTH, ID_PARAMS } = require('../lib/validation');
+const { RECORD_ID_SCHEMA, isRecordIdConflict } = require('../lib/e2e');
 
-// Validate xpub format (basic check)
-function isValidXpub(xpub) {
-  // Check if it starts with xpub, ypub, or zpub and has reasonable length
-  // More permissive to accept various formats from different wallets
-  const xpubRegex = /^(xpub|ypub|zpub|Xpub|Ypub|Zpub)[1-9A-HJ-NP-Za-km-z]{70,120}$/;
-  return xpubRegex.test(xpub);
-}
-
-// Helper to get session ID from request (header or query param, default to '0')
-function getSessionId(req) {
-  return req.headers['x-session-id'] || req.query.session || '0';
-}
+const LABEL = { type: 'string', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true };
 
 // GET /api/xpubs - List all xpubs for a session
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  summary: "List the session's xpubs",
+  responses: { 200: ['Xpub'] }
+}), async (req, res) => {
   try {
     const sessionId = getSessionId(req);
     const xpubs = await xpubOperations.getAll(sessionId);
@@ -28,9 +25,13 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/xpubs/:id - Get single xpub
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'Get an xpub',
+  params: ID_PARAMS,
+  responses: { 200: 'Xpub' }
+}), async (req, res) => {
   try {
-    const xpub = await xpubOperations.getById(req.params.id);
+    const xpub = await xpubOperations.getById(req.params.id, getSessionId(req));
     if (!xpub) {
       return res.status(404).json({ error: 'XPub not found' });
     }
@@ -41,46 +42,56 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/xpubs - Add new xpub
-router.post('/', async (req, res) => {
+// POST /api/xpubs - Add new xpub (encrypted xpubs can only be checked in the browser)
+router.post('/', requireRole('coordinator'), requireCiphertext('xpubs'), requireRecordId, validate({
+  summary: 'Add an xpub',
+  body: {
+    required: ['label', 'xpub'],
+    properties: {
+      id: RECORD_ID_SCHEMA,
+      label: LABEL,
+      xpub: { type: 'string', format: 'xpub', maxLength: MAX_TEXT_LENGTH, 'x-encrypted': true }
+    }
+  },
+  responses: { 201: 'Xpub', 409: 'Error' }
+}), async (req, res) => {
   try {
     const { label, xpub } = req.body;
     const sessionId = getSessionId(req);
 
-    // Validate input
-    if (!label || !xpub) {
-      return res.status(400).json({ error: 'Label and xpub are required' });
-    }
-
-    if (!isValidXpub(xpub)) {
-      return res.status(400).json({ error: 'Invalid xpub format' });
-    }
-
-    const newXpub = await xpubOperations.create(label.trim(), xpub.trim(), sessionId);
+    const newXpub = await xpubOperations.create(label.trim(), xpub.trim(), sessionId, getActor(req), getRecordId(req));
+    publishChange(req, 'xpub.created', newXpub);
+    // The session's keys decide which PSBT outputs are change
+    await reevaluateAfterChange(req);
     res.status(201).json(newXpub);
   } catch (error) {
-    console.error('Error creating xpub:', error);
-    if (error.message && error.message.includes('UNIQUE constraint failed')) {
-      return res.status(409).json({ error: 'This xpub already exists in this session' });
+    if (isRecordIdConflict(error)) {
+      return res.status(409).json({ error: 'A record with this id already exists' });
+    }
+    if (error.code === '23505' || (error.message && error.message.includes('UNIQUE constraint failed'))) {
+      return res.status(409).json({ error: 'This xpub already exists in this session or its trash' });
     }
+    console.error('Error creating xpub:', error);
     res.status(500).json({ error: 'Failed to create xpub' });
   }
 });
 
 // PUT /api/xpubs/:id - Update xpub label
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('coordinator'), requireCiphertext('xpubs'), validate({
+  summary: "Change an xpub's label",
+  params: ID_PARAMS,
+  body: { required: ['label'], properties: { label: LABEL } },
+  responses: { 200: 'Xpub' }
+}), async (req, res) => {
   try {
     const { label } = req.body;
 
-    if (!label) {
-      return res.status(400).json({ error: 'Label is required' });
-    }
-
-    const updatedXpub = await xpubOperations.updateLabel(req.params.id, label.trim());
+    const updatedXpub = await xpubOperations.updateLabel(req.params.id, label.trim(), getSessionId(req), getActor(req));
     if (!updatedXpub) {
       return res.status(404).json({ error: 'XPub not found' });
     }
 
+    publishChange(req, 'xpub.updated', updatedXpub);
     res.json(updatedXpub);
   } catch (error) {
     console.error('Error updating xpub:', error);
@@ -88,14 +99,20 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/xpubs/:id - Delete xpub
-router.delete('/:id', async (req, res) => {
+// DELETE /api/xpubs/:id - Move xpub to the trash (see routes/trash.js)
+router.delete('/:id', requireRole('coordinator'), validate({
+  summary: 'Move an xpub to the trash',
+  params: ID_PARAMS,
+  responses: { 200: 'Message' }
+}), async (req, res) => {
   try {
-    const deleted = await xpubOperations.delete(req.params.id);
+    const deleted = await xpubOperations.delete(req.params.id, getSessionId(req), getActor(req));
     if (!deleted) {
       return res.status(404).json({ error: 'XPub not found' });
     }
-    res.json({ message: 'XPub deleted successfully' });
+    publishChange(req, 'xpub.deleted', { id: req.params.id });
+    await reevaluateAfterChange(req);
+    res.json({ message: 'XPub moved to the trash' });
   } catch (error) {
     console.error('Error deleting xpub:', error);
     res.status(500).json({ error: 'Failed to delete xpub' });
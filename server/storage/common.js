@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// Helpers shared by the storage adapters
+
+// Member created alongside a private session; logins without a member name use it
+const OWNER_MEMBER = 'owner';
+
+// Actor recorded when a mutation doesn't come from a session member
+const SYSTEM_ACTOR = 'system';
+
+// PSBTs still collecting signatures; lib/expiry.js closes them
+const OPEN_STATUSES = ['pending', 'ready'];
+
+// Audit action recorded when a PSBT is closed with each status
+const CLOSE_ACTIONS = { expired: 'expire', invalidated: 'invalidate' };
+
+// Status of an open PSBT: 'ready' once it has its M signatures and doesn't
+// break the session's spending policy (policyVerdict is null where no policy
+// applies, see lib/policy.js)
+const psbtStatus = (signaturesCount, mRequired, policyVerdict = null) => {
+  const allowed = !policyVerdict || policyVerdict.passed;
+  return signaturesCount >= mRequired && allowed ? 'ready' : 'pending';
+};
+
+// Stored form of a policy verdict
+const verdictColumn = (policyVerdict) => (policyVerdict ? JSON.stringify(policyVerdict) : null);
+
+// LIKE pattern matching values that contain text (with \ as the escape character)
+const containsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Tables of the records that deleting moves to the trash, by entity type
+// (see lib/trash.js). Trashed rows have a deleted_at; every other operation
+// acts as if they were gone.
+const TRASH_TABLES = { xpub: 'xpubs', descriptor: 'descriptors', psbt: 'psbts' };
+
+const isTrashable = (table) => Object.values(TRASH_TABLES).includes(table);
+
+// Generate a non-guessable identifier for a new row
+const newPublicId = () => crypto.randomUUID();
+
+// Expose the public identifier as `id` and keep the internal row id private
+const toPublicRow = (row) => {
+  if (!row) return row;
+  const { id, public_id, ...rest } = row;
+  return { id: public_id, ...rest };
+};
+
+// Fingerprint a row for the audit log (sha256 of its public fields in key order)
+const hashRow = (row) => {
+  if (!row) return null;
+  const publicRow = toPublicRow(row);
+  const canonical = JSON.stringify(publicRow, Object.keys(publicRow).sort());
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+};
+
+// Human-readable name of an audited row (xpub label, PSBT or descriptor name)
+const auditLabel = (row) => row.label || row.name || null;
+
+// Values of the revision recorded when a PSBT (as returned by the adapters)
+// gets new data. signers are the pubkeys with a valid signature, or null when
+// the server can't tell (end-to-end encrypted sessions, versions stored before
+// revisions existed); the ones the previous revision lacks are its new_signers.
+const buildRevision = (psbt, previous, action, actor, signers = null, restoredFrom = null) => {
+  const previousSigners = previous && previous.signers ? JSON.parse(previous.signers) : null;
+  let newSigners = null;
+  if (signers && !previous) {
+    newSigners = signers;
+  } else if (signers && previousSigners) {
+    newSigners = signers.filter(pubkey => !previousSigners.includes(pubkey));
+  }
+
+  return {
+    public_id: newPublicId(),
+    psbt_id: psbt.id,
+    session_id: psbt.session_id,
+    revision: previous ? previous.revision + 1 : 1,
+    action,
+    psbt_data: psbt.psbt_data,
+    signatures_count: psbt.signatures_count,
+    signers: signers ? JSON.stringify(signers) : null,
+    new_signers: newSigners ? JSON.stringify(newSigners) : null,
+    restored_from: restoredFrom,
+    created_by: actor
+  };
+};
+
+// Work out what importing a bundle's records into a session does, given the
+// session's current rows. Xpubs already in the session are handled per
+// onConflict (see CONFLICT_MODES in lib/bundle.js), and ones in its trash
+// (existing.xpubs includes them) come back with the bundle's label;
+// descriptors and PSBTs identical to an existing one are skipped, so
+// importing twice is harmless. Records of encrypted bundles keep their ids
+// (lib/bundle.js); one whose id the session already uses (existing.ids,
+// trashed rows and comments included) is the same record, so it is skipped.
+const planImport = (existing, records, onConflict) => {
+  const isTaken = (entry) => Boolean(entry.id) && existing.ids.has(entry.id);
+  const plan = {
+    xpubs: { insert: [], update: [], restore: [], skipped: 0 },
+    descriptors: { insert: [], skipped: 0 },
+    psbts: { insert: [], skipped: 0 }
+  };
+
+  records.xpubs.forEach(entry => {
+    const row = existing.xpubs.find(xpub => xpub.xpub === entry.xpub);
+    if (!row && isTaken(entry)) {
+      plan.xpubs.skipped++;
+    } else if (!row) {
+      plan.xpubs.insert.push(entry);
+    } else if (row.deleted_at) {
+      plan.xpubs.restore.push({ row, label: entry.label });
+    } else if (onConflict === 'fail') {
+      throw new Error('Xpub already exists in this session');
+    } else if (onConflict === 'overwrite' && row.label !== entry.label) {
+      plan.xpubs.update.push({ row, label: entry.label });
+    } else {
+      plan.xpubs.skipped++;
+    }
+  });
+
+  records.descriptors.forEach(entry => {
+    if (isTaken(entry) || existing.descriptors.some(row => row.descriptor === entry.descriptor)) {
+      plan.descriptors.skipped++;
+    } else {
+      plan.descriptors.insert.push(entry);
+    }
+  });
+
+  records.psbts.forEach(entry => {
+    if (isTaken(entry) || existing.psbts.some(row => row.psbt_data === entry.psbt_data)) {
+      plan.psbts.skipped++;
+    } else {
+      plan.psbts.insert.push({ ...entry, comments: entry.comments.filter(comment => !isTaken(comment)) });
+    }
+  });
+
+  return plan;
+};
+
+// Counts reported back to the client after an import (restored xpubs count as created)
+const importSummary = (plan) => ({
+  xpubs: { created: plan.xpubs.insert.length + plan.xpubs.restore.length, updated: plan.xpubs.update.length, skipped: plan.xpubs.skipped },
+  descriptors: { created: plan.descriptors.insert.length, skipped: plan.descriptors.skipped },
+  psbts: { created: plan.psbts.insert.length, skipped: plan.psbts.skipped }
+});
+
+module.exports = {
+  OWNER_MEMBER,
+  SYSTEM_ACTOR,
+  OPEN_STATUSES,
+  CLOSE_ACTIONS,
+  TRASH_TABLES,
+  isTrashable,
+  psbtStatus,
+  verdictColumn,
+  containsPattern,
+  newPublicId,
+  toPublicRow,
+  hashRow,
+  auditLabel,
+  buildRevision,
+  planImport,
+  importSummary
+};
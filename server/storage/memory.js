@@ -0,0 +1,976 @@
+const { chainEvent } = require('../lib/chain');
+const { storedOutpoints } = require('../lib/psbt');
+const {
+  OWNER_MEMBER,
+  SYSTEM_ACTOR,
+  OPEN_STATUSES,
+  CLOSE_ACTIONS,
+  TRASH_TABLES,
+  isTrashable,
+  psbtStatus,
+  verdictColumn,
+  newPublicId,
+  toPublicRow,
+  hashRow,
+  auditLabel,
+  buildRevision,
+  planImport,
+  importSummary
+} = require('./common');
+
+// In-memory storage for tests and throwaway instances; nothing survives a restart.
+// Rows have the same columns as the SQL tables. No operation awaits between
+// reading and writing, so each one is atomic like a transaction in the SQL adapters.
+function createMemoryStorage() {
+  console.log('Using in-memory storage (data is lost on restart)');
+
+  const tables = {
+    xpubs: [],
+    psbts: [],
+    psbt_revisions: [],
+    descriptors: [],
+    sessions: [],
+    session_members: [],
+    session_invites: [],
+    audit_events: [],
+    webhooks: [],
+    webhook_deliveries: [],
+    psbt_comments: [],
+    psbt_comment_edits: [],
+    psbt_approvals: [],
+    psbt_inputs: [],
+    spending_policies: [],
+    address_book: []
+  };
+  let nextId = 1;
+
+  // Same format as SQLite's CURRENT_TIMESTAMP
+  const now = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+  // Callers get copies so they can't change stored rows
+  const copy = (row) => (row ? { ...row } : undefined);
+  const toPublicCopy = (row) => toPublicRow(copy(row));
+
+  // Public ids are unique per table, as in the databases
+  const insert = (table, values) => {
+    if (values.public_id) assertUnique(table, ['public_id'], values);
+    const row = { id: nextId++, ...values };
+    tables[table].push(row);
+    return row;
+  };
+
+  const remove = (table, row) => {
+    tables[table].splice(tables[table].indexOf(row), 1);
+  };
+
+  // A row of the caller's session (undefined if missing or in the trash)
+  const selectRow = (table, id, sessionId) => {
+    return tables[table].find(row => row.public_id === id && row.session_id === sessionId && !row.deleted_at);
+  };
+
+  const selectTrashedRow = (table, id, sessionId) => {
+    return tables[table].find(row => row.public_id === id && row.session_id === sessionId && row.deleted_at);
+  };
+
+  // The session's rows that aren't in the trash
+  const liveRows = (table, sessionId) => {
+    return tables[table].filter(row => row.session_id === sessionId && !row.deleted_at);
+  };
+
+  const newestFirst = (rows) => {
+    return [...rows].sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+  };
+
+  const oldestFirst = (rows) => newestFirst(rows).reverse();
+
+  // Mirror the SQL unique constraints (message matches SQLite's, which the routes check for)
+  const assertUnique = (table, columns, values) => {
+    const clash = tables[table].some(row => columns.every(column => row[column] === values[column]));
+    if (clash) {
+      throw new Error(`UNIQUE constraint failed: ${columns.map(column => `${table}.${column}`).join(', ')}`);
+    }
+  };
+
+  // Append an audit event to the session's hash chain; label defaults to the
+  // row's own (see auditLabel)
+  const recordAudit = (sessionId, actor, action, entityType, before, after, label = auditLabel(after || before)) => {
+    const row = after || before;
+    const events = tables.audit_events.filter(event => event.session_id === sessionId);
+    const event = chainEvent(events[events.length - 1], {
+      session_id: sessionId,
+      actor,
+      action,
+      entity_type: entityType,
+      entity_id: row.public_id,
+      entity_label: label,
+      before_hash: hashRow(before),
+      after_hash: hashRow(after)
+    });
+    insert('audit_events', {
+      public_id: newPublicId(),
+      session_id: event.session_id,
+      actor: event.actor,
+      action: event.action,
+      entity_type: event.entity_type,
+      entity_id: event.entity_id,
+      entity_label: event.entity_label,
+      before_hash: event.before_hash,
+      after_hash: event.after_hash,
+      seq: event.seq,
+      prev_hash: event.prev_hash,
+      hash: event.hash,
+      created_at: event.created_at
+    });
+  };
+
+  // Update a row and audit the change; resolves to the updated row, or
+  // undefined when the row doesn't exist. Nothing changes if buildUpdate throws.
+  const updateAudited = (table, entityType, action, id, sessionId, actor, buildUpdate) => {
+    const row = selectRow(table, id, sessionId);
+    if (!row) return undefined;
+    const before = copy(row);
+    Object.assign(row, buildUpdate(before));
+    recordAudit(sessionId, actor, action, entityType, before, row);
+    return toPublicCopy(row);
+  };
+
+  // Insert a row and audit its creation (action defaults to 'create')
+  const insertAudited = (table, entityType, sessionId, actor, values, action = 'create') => {
+    const trash = isTrashable(table) ? { deleted_at: null, deleted_by: null } : {};
+    const row = insert(table, { public_id: newPublicId(), ...values, ...trash, session_id: sessionId, created_at: now() });
+    recordAudit(sessionId, actor, action, entityType, null, row);
+    return toPublicCopy(row);
+  };
+
+  // Delete a row and audit its removal
+  const deleteAudited = (table, entityType, id, sessionId, actor) => {
+    const row = selectRow(table, id, sessionId);
+    if (!row) return false;
+    remove(table, row);
+    recordAudit(sessionId, actor, 'delete', entityType, row, null);
+    return true;
+  };
+
+  // Move a row to the trash and audit it
+  const trashRow = (entityType, action, row, actor) => {
+    const before = copy(row);
+    Object.assign(row, { deleted_at: new Date().toISOString(), deleted_by: actor });
+    recordAudit(row.session_id, actor, action, entityType, before, row);
+  };
+
+  // Move a row to the trash; false when it doesn't exist or is already there
+  const trashAudited = (table, entityType, id, sessionId, actor) => {
+    const row = selectRow(table, id, sessionId);
+    if (!row) return false;
+    trashRow(entityType, 'trash', row, actor);
+    return true;
+  };
+
+  // Remove the rows that belong to a deleted PSBT: its revisions, comments
+  // (with their edits), approvals and inputs
+  const deletePsbtRecords = (psbtId) => {
+    ['psbt_revisions', 'psbt_comment_edits', 'psbt_comments', 'psbt_approvals', 'psbt_inputs'].forEach(table => {
+      tables[table] = tables[table].filter(row => row.psbt_id !== psbtId);
+    });
+  };
+
+  // Name of a PSBT for audit labels (null once it's gone)
+  const psbtName = (psbtId, sessionId) => {
+    const psbt = selectRow('psbts', psbtId, sessionId);
+    return psbt ? psbt.name : null;
+  };
+
+  // Index the outpoints a PSBT's current data spends (see psbtOperations.list)
+  const indexInputs = (psbt) => {
+    tables.psbt_inputs = tables.psbt_inputs.filter(row => row.psbt_id !== psbt.id);
+    storedOutpoints(psbt.psbt_data).forEach(outpoint => insert('psbt_inputs', { psbt_id: psbt.id, outpoint }));
+  };
+
+  // Record a new revision of a PSBT (see buildRevision) and index its inputs
+  const recordRevision = (psbt, action, actor, signers = null, restoredFrom = null) => {
+    const revisions = tables.psbt_revisions.filter(row => row.psbt_id === psbt.id);
+    insert('psbt_revisions', {
+      ...buildRevision(psbt, revisions[revisions.length - 1], action, actor, signers, restoredFrom),
+      created_at: now()
+    });
+    indexInputs(psbt);
+  };
+
+  // Record a revision if an update changed the PSBT's data
+  const recordRevisionIfChanged = (before, after, action, actor, signers) => {
+    if (after && after.psbt_data !== before.psbt_data) {
+      recordRevision(after, action, actor, signers);
+    }
+  };
+
+  // XPub operations for the in-memory store
+  const xpubOperations = {
+    getAll: async (sessionId = '0') => {
+      return newestFirst(liveRows('xpubs', sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicCopy(selectRow('xpubs', id, sessionId));
+    },
+
+    create: async (label, xpub, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      assertUnique('xpubs', ['xpub', 'session_id'], { xpub, session_id: sessionId });
+      return insertAudited('xpubs', 'xpub', sessionId, actor, { public_id: publicId, label, xpub });
+    },
+
+    updateLabel: async (id, label, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('xpubs', 'xpub', 'update_label', id, sessionId, actor, () => ({ label }));
+    },
+
+    // Moves the xpub to the trash
+    delete: async (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('xpubs', 'xpub', id, sessionId, actor);
+    }
+  };
+
+  // PSBT operations for the in-memory store
+  const psbtOperations = {
+    getAll: async (sessionId = '0') => {
+      return newestFirst(liveRows('psbts', sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicCopy(selectRow('psbts', id, sessionId));
+    },
+
+    // A page of the session's PSBTs, newest first (ties in the order of their
+    // ids), as { psbts, total }; total counts every match, ignoring after and
+    // limit. Filters: statuses, archived ('exclude', 'only' or 'include'),
+    // search (name or a comment contains it, ignoring case), spends (some of
+    // these outpoints), after ({ id, createdAt } of the row the page follows,
+    // which needn't exist any more) and limit.
+    list: async (sessionId = '0', { statuses, archived = 'include', search, spends, after, limit } = {}) => {
+      const needle = search && search.toLowerCase();
+      const commented = new Set(needle ? tables.psbt_comments
+        .filter(row => row.session_id === sessionId && row.body.toLowerCase().includes(needle))
+        .map(row => row.psbt_id) : []);
+      const spending = new Set(spends ? tables.psbt_inputs
+        .filter(row => spends.includes(row.outpoint))
+        .map(row => row.psbt_id) : []);
+
+      const matching = liveRows('psbts', sessionId).filter(row => {
+        if (statuses && !statuses.includes(row.status)) return false;
+        if (archived !== 'include' && Boolean(row.archived_at) !== (archived === 'only')) return false;
+        if (needle && !row.name.toLowerCase().includes(needle) && !commented.has(row.public_id)) return false;
+        return !spends || spending.has(row.public_id);
+      }).sort((a, b) => b.created_at.localeCompare(a.created_at) || (a.public_id < b.public_id ? 1 : -1));
+
+      const rest = after
+        ? matching.filter(row => row.created_at < after.createdAt ||
+          (row.created_at === after.createdAt && row.public_id < after.id))
+        : matching;
+      return { psbts: (limit ? rest.slice(0, limit) : rest).map(toPublicCopy), total: matching.length };
+    },
+
+    // policyVerdict is the PSBT's verdict against the session's spending
+    // policy, or null where none applies (see lib/policy.js)
+    create: async (name, psbtData, mRequired, nTotal, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, deadline = null, policyVerdict = null, publicId = newPublicId()) => {
+      const psbt = insertAudited('psbts', 'psbt', sessionId, actor, {
+        public_id: publicId,
+        name,
+        psbt_data: psbtData,
+        m_required: mRequired,
+        n_total: nTotal,
+        signatures_count: signaturesCount,
+        status: psbtStatus(signaturesCount, mRequired, policyVerdict),
+        txid: null,
+        confirmations: 0,
+        deadline,
+        policy_verdict: verdictColumn(policyVerdict),
+        archived_at: null,
+        updated_at: now()
+      });
+      recordRevision(psbt, 'create', actor, signers);
+      return psbt;
+    },
+
+    update: async (id, psbtData, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, policyVerdict = null) => {
+      const before = toPublicCopy(selectRow('psbts', id, sessionId));
+      const updated = updateAudited('psbts', 'psbt', 'update', id, sessionId, actor, (row) => ({
+        psbt_data: psbtData,
+        signatures_count: signaturesCount,
+        status: psbtStatus(signaturesCount, row.m_required, policyVerdict),
+        policy_verdict: verdictColumn(policyVerdict),
+        updated_at: now()
+      }));
+      if (!updated) {
+        throw new Error('PSBT not found');
+      }
+      recordRevisionIfChanged(before, updated, 'update', actor, signers);
+      return updated;
+    },
+
+    // merge(row) returns the new { psbtData, signaturesCount, signers, policyVerdict }
+    mergeSignatures: async (id, merge, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const before = toPublicCopy(selectRow('psbts', id, sessionId));
+      let signers = null;
+      const merged = updateAudited('psbts', 'psbt', 'merge_signatures', id, sessionId, actor, (row) => {
+        const result = merge(row);
+        const { psbtData, signaturesCount } = result;
+        const policyVerdict = result.policyVerdict || null;
+        signers = result.signers || null;
+        return {
+          psbt_data: psbtData,
+          signatures_count: signaturesCount,
+          status: OPEN_STATUSES.includes(row.status)
+            ? psbtStatus(signaturesCount, row.m_required, policyVerdict)
+            : row.status,
+          policy_verdict: verdictColumn(policyVerdict),
+          updated_at: now()
+        };
+      });
+      if (!merged) {
+        throw new Error('PSBT not found');
+      }
+      recordRevisionIfChanged(before, merged, 'merge_signatures', actor, signers);
+      return merged;
+    },
+
+    // Moves the PSBT to the trash; its revisions and discussion stay until it is purged
+    delete: async (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('psbts', 'psbt', id, sessionId, actor);
+    },
+
+    // Keep one of a set of conflicting PSBTs and move the others to the trash.
+    // check(psbt, discarded) throws if they can't be discarded; psbt and
+    // entries of discarded may be undefined.
+    resolveConflict: async (id, discardIds, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const kept = selectRow('psbts', id, sessionId);
+      const discarded = discardIds.map(discardId => selectRow('psbts', discardId, sessionId));
+      check(toPublicCopy(kept), discarded.map(toPublicCopy));
+
+      discarded.forEach(row => trashRow('psbt', 'discard_conflict', row, actor));
+      return toPublicCopy(kept);
+    },
+
+    // Stored versions of a PSBT, newest first
+    getRevisions: async (id, sessionId = '0') => {
+      return tables.psbt_revisions
+        .filter(row => row.psbt_id === id && row.session_id === sessionId)
+        .sort((a, b) => b.revision - a.revision)
+        .map(toPublicCopy);
+    },
+
+    getRevision: async (id, revision, sessionId = '0') => {
+      return toPublicCopy(tables.psbt_revisions.find(row =>
+        row.psbt_id === id && row.revision === revision && row.session_id === sessionId
+      ));
+    },
+
+    // Make an earlier revision's data current again, as a new revision.
+    // check(psbt, revision) throws if it can't be restored (either may be
+    // undefined) and returns the policy verdict of the revision's data.
+    restoreRevision: async (id, revision, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const psbt = selectRow('psbts', id, sessionId);
+      const target = psbt && tables.psbt_revisions.find(row => row.psbt_id === id && row.revision === revision);
+      const policyVerdict = check(toPublicCopy(psbt), toPublicCopy(target)) || null;
+
+      const restored = updateAudited('psbts', 'psbt', 'restore_revision', id, sessionId, actor, (row) => ({
+        psbt_data: target.psbt_data,
+        signatures_count: target.signatures_count,
+        status: psbtStatus(target.signatures_count, row.m_required, policyVerdict),
+        policy_verdict: verdictColumn(policyVerdict),
+        updated_at: now()
+      }));
+      recordRevision(restored, 'restore', actor, target.signers ? JSON.parse(target.signers) : null, target.revision);
+      return restored;
+    },
+
+    // Close an open PSBT with status 'expired' or 'invalidated'; resolves to
+    // undefined when it doesn't exist or is no longer open
+    close: async (id, status, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const row = selectRow('psbts', id, sessionId);
+      if (!row || !OPEN_STATUSES.includes(row.status)) return undefined;
+      return updateAudited('psbts', 'psbt', CLOSE_ACTIONS[status], id, sessionId, actor, () => ({
+        status,
+        updated_at: now()
+      }));
+    },
+
+    // Store a new policy verdict for an open PSBT (after the session's policy
+    // or its other PSBTs changed), which may move it between 'pending' and
+    // 'ready'; resolves to undefined when it doesn't exist or is no longer open
+    setPolicyVerdict: async (id, policyVerdict, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const row = selectRow('psbts', id, sessionId);
+      if (!row || !OPEN_STATUSES.includes(row.status)) return undefined;
+      return updateAudited('psbts', 'psbt', 'evaluate_policy', id, sessionId, actor, (before) => ({
+        status: psbtStatus(before.signatures_count, before.m_required, policyVerdict),
+        policy_verdict: verdictColumn(policyVerdict),
+        updated_at: now()
+      }));
+    },
+
+    // Archive a final PSBT, or bring it back to the active list; resolves to
+    // undefined when it doesn't exist or isn't final
+    setArchived: async (id, archived, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const row = selectRow('psbts', id, sessionId);
+      if (!row || row.status !== 'final') return undefined;
+      if (Boolean(row.archived_at) === archived) return toPublicCopy(row);
+      return updateAudited('psbts', 'psbt', archived ? 'archive' : 'unarchive', id, sessionId, actor, () => ({
+        archived_at: archived ? new Date().toISOString() : null
+      }));
+    },
+
+    updateBroadcastStatus: async (id, txid, status, confirmations, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('psbts', 'psbt', 'update_broadcast', id, sessionId, actor, () => ({
+        txid,
+        status,
+        confirmations,
+        updated_at: now()
+      }));
+    },
+
+    // PSBTs of every session that are still collecting signatures
+    getOpen: async () => {
+      return tables.psbts.filter(row => OPEN_STATUSES.includes(row.status) && !row.deleted_at).map(toPublicCopy);
+    },
+
+    // Get PSBTs that need confirmation checking (broadcast but not final)
+    getPendingConfirmations: async () => {
+      return tables.psbts
+        .filter(row => row.status.startsWith('broadcast') && row.status !== 'final' && row.txid !== null && !row.deleted_at)
+        .map(toPublicCopy);
+    }
+  };
+
+  // Descriptor operations for the in-memory store
+  const descriptorOperations = {
+    getAll: async (sessionId = '0') => {
+      return newestFirst(liveRows('descriptors', sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicCopy(selectRow('descriptors', id, sessionId));
+    },
+
+    create: async (name, descriptor, mRequired, nTotal, firstAddress, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return insertAudited('descriptors', 'descriptor', sessionId, actor, {
+        public_id: publicId,
+        name,
+        descriptor,
+        m_required: mRequired,
+        n_total: nTotal,
+        first_address: firstAddress
+      });
+    },
+
+    // Moves the descriptor to the trash
+    delete: async (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('descriptors', 'descriptor', id, sessionId, actor);
+    }
+  };
+
+  // Audit log operations for the in-memory store (append-only)
+  const auditOperations = {
+    getAll: async (sessionId = '0', limit = 100) => {
+      return tables.audit_events
+        .filter(event => event.session_id === sessionId)
+        .sort((a, b) => b.seq - a.seq)
+        .slice(0, limit)
+        .map(toPublicCopy);
+    },
+
+    // Events from fromSeq onwards in chain order, for verifying the hash chain
+    getChain: async (sessionId = '0', fromSeq = 1, limit = 1000) => {
+      return tables.audit_events
+        .filter(event => event.session_id === sessionId && event.seq >= fromSeq)
+        .sort((a, b) => a.seq - b.seq)
+        .slice(0, limit)
+        .map(toPublicCopy);
+    }
+  };
+
+  // Session operations for the in-memory store
+  const sessionOperations = {
+    getByName: async (name) => {
+      return copy(tables.sessions.find(row => row.name === name));
+    },
+
+    // Create the session and its owner, who starts out as the coordinator
+    create: async (name, passphraseHash, ownerName = OWNER_MEMBER, encryption = null) => {
+      assertUnique('sessions', ['name'], { name });
+      const session = insert('sessions', {
+        name,
+        passphrase_hash: passphraseHash,
+        encryption: encryption ? JSON.stringify(encryption) : null,
+        created_at: now()
+      });
+      const owner = insert('session_members', {
+        public_id: newPublicId(),
+        session_id: name,
+        name: ownerName,
+        passphrase_hash: passphraseHash,
+        role: 'coordinator',
+        created_at: now()
+      });
+      return { session: copy(session), owner: toPublicCopy(owner) };
+    },
+
+    // Import a bundle's records (see lib/bundle.js); planImport throws before
+    // anything changes, so a rejected import leaves the session untouched
+    importRecords: async (sessionId, records, onConflict = 'skip', actor = SYSTEM_ACTOR) => {
+      const plan = planImport({
+        xpubs: tables.xpubs.filter(row => row.session_id === sessionId),
+        descriptors: liveRows('descriptors', sessionId),
+        psbts: liveRows('psbts', sessionId),
+        ids: new Set(['xpubs', 'descriptors', 'psbts', 'psbt_comments'].flatMap(table =>
+          tables[table].filter(row => row.session_id === sessionId).map(row => row.public_id)
+        ))
+      }, records, onConflict);
+
+      plan.xpubs.update.forEach(({ row, label }) => {
+        updateAudited('xpubs', 'xpub', 'update_label', row.public_id, sessionId, actor, () => ({ label }));
+      });
+      plan.xpubs.restore.forEach(({ row, label }) => {
+        const before = copy(row);
+        Object.assign(row, { label, deleted_at: null, deleted_by: null });
+        recordAudit(sessionId, actor, 'restore', 'xpub', before, row);
+      });
+      plan.xpubs.insert.forEach(({ id, ...entry }) => {
+        insertAudited('xpubs', 'xpub', sessionId, actor, { public_id: id || newPublicId(), ...entry }, 'import');
+      });
+      plan.descriptors.insert.forEach(({ id, ...entry }) => {
+        insertAudited('descriptors', 'descriptor', sessionId, actor, { public_id: id || newPublicId(), ...entry }, 'import');
+      });
+      plan.psbts.insert.forEach(({ id, signers, comments, ...entry }) => {
+        const psbt = insertAudited('psbts', 'psbt', sessionId, actor, {
+          public_id: id || newPublicId(),
+          ...entry,
+          policy_verdict: null,
+          archived_at: null,
+          updated_at: now()
+        }, 'import');
+        recordRevision(psbt, 'import', actor, signers);
+        comments.forEach(comment => insert('psbt_comments', {
+          public_id: comment.id || newPublicId(),
+          psbt_id: psbt.id,
+          session_id: sessionId,
+          author: comment.author,
+          body: comment.body,
+          created_at: comment.created_at,
+          updated_at: comment.created_at
+        }));
+      });
+
+      return importSummary(plan);
+    }
+  };
+
+  const insertMember = (sessionId, name, passphraseHash, role) => {
+    assertUnique('session_members', ['session_id', 'name'], { session_id: sessionId, name });
+    return insert('session_members', {
+      public_id: newPublicId(),
+      session_id: sessionId,
+      name,
+      passphrase_hash: passphraseHash,
+      role,
+      created_at: now()
+    });
+  };
+
+  // Session member operations for the in-memory store
+  const memberOperations = {
+    getAll: async (sessionId) => {
+      return oldestFirst(tables.session_members.filter(row => row.session_id === sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId) => {
+      return toPublicCopy(selectRow('session_members', id, sessionId));
+    },
+
+    getByName: async (sessionId, name) => {
+      return toPublicCopy(tables.session_members.find(row => row.session_id === sessionId && row.name === name));
+    },
+
+    create: async (sessionId, name, passphraseHash, role) => {
+      return toPublicCopy(insertMember(sessionId, name, passphraseHash, role));
+    },
+
+    updateRole: async (id, role, sessionId) => {
+      const row = selectRow('session_members', id, sessionId);
+      if (!row) return undefined;
+      row.role = role;
+      return toPublicCopy(row);
+    },
+
+    delete: async (id, sessionId) => {
+      const row = selectRow('session_members', id, sessionId);
+      if (!row) return false;
+      remove('session_members', row);
+      return true;
+    }
+  };
+
+  // Session invite operations for the in-memory store
+  // Only a hash of the invite token is stored
+  const inviteOperations = {
+    getAll: async (sessionId) => {
+      return newestFirst(tables.session_invites.filter(row => row.session_id === sessionId)).map(toPublicCopy);
+    },
+
+    getByTokenHash: async (tokenHash) => {
+      return toPublicCopy(tables.session_invites.find(row => row.token_hash === tokenHash));
+    },
+
+    create: async (sessionId, tokenHash, role, expiresAt, maxUses, createdBy) => {
+      assertUnique('session_invites', ['token_hash'], { token_hash: tokenHash });
+      return toPublicCopy(insert('session_invites', {
+        public_id: newPublicId(),
+        session_id: sessionId,
+        token_hash: tokenHash,
+        role,
+        created_by: createdBy,
+        expires_at: expiresAt,
+        max_uses: maxUses,
+        use_count: 0,
+        created_at: now()
+      }));
+    },
+
+    // Redeem an invite by adding a member; `check` throws if the invite can no longer be used
+    redeem: async (tokenHash, memberName, passphraseHash, check) => {
+      const invite = tables.session_invites.find(row => row.token_hash === tokenHash);
+      check(toPublicCopy(invite));
+
+      if (tables.session_members.some(row => row.session_id === invite.session_id && row.name === memberName)) {
+        throw new Error('A member with this name already exists');
+      }
+
+      const member = insertMember(invite.session_id, memberName, passphraseHash, invite.role);
+      invite.use_count += 1;
+      return toPublicCopy(member);
+    },
+
+    delete: async (id, sessionId) => {
+      const row = selectRow('session_invites', id, sessionId);
+      if (!row) return false;
+      remove('session_invites', row);
+      return true;
+    }
+  };
+
+  // Webhook operations for the in-memory store
+  // events is stored as a JSON array of event names, as in the SQL adapters
+  const webhookOperations = {
+    getAll: async (sessionId) => {
+      return newestFirst(tables.webhooks.filter(row => row.session_id === sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId) => {
+      return toPublicCopy(selectRow('webhooks', id, sessionId));
+    },
+
+    create: async (sessionId, url, secret, events, description, createdBy) => {
+      return toPublicCopy(insert('webhooks', {
+        public_id: newPublicId(),
+        session_id: sessionId,
+        url,
+        secret,
+        events: JSON.stringify(events),
+        description,
+        created_by: createdBy,
+        created_at: now()
+      }));
+    },
+
+    // Deleting a webhook also drops its delivery log
+    delete: async (id, sessionId) => {
+      const row = selectRow('webhooks', id, sessionId);
+      if (!row) return false;
+      remove('webhooks', row);
+      tables.webhook_deliveries = tables.webhook_deliveries.filter(delivery => delivery.webhook_id !== id);
+      return true;
+    }
+  };
+
+  // Webhook delivery log operations for the in-memory store
+  const deliveryOperations = {
+    create: async (webhookId, sessionId, event, payload) => {
+      return toPublicCopy(insert('webhook_deliveries', {
+        public_id: newPublicId(),
+        webhook_id: webhookId,
+        session_id: sessionId,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        response_status: null,
+        error: null,
+        next_attempt_at: null,
+        created_at: now(),
+        updated_at: now()
+      }));
+    },
+
+    // Record the outcome of an attempt ({ status, attempts, response_status, error, next_attempt_at })
+    update: async (id, fields) => {
+      const row = tables.webhook_deliveries.find(delivery => delivery.public_id === id);
+      if (!row) return undefined;
+      Object.assign(row, {
+        status: fields.status,
+        attempts: fields.attempts,
+        response_status: fields.response_status,
+        error: fields.error,
+        next_attempt_at: fields.next_attempt_at,
+        updated_at: now()
+      });
+      return toPublicCopy(row);
+    },
+
+    getAll: async (sessionId, webhookId = null, limit = 100) => {
+      return tables.webhook_deliveries
+        .filter(row => row.session_id === sessionId && (!webhookId || row.webhook_id === webhookId))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(toPublicCopy);
+    },
+
+    // Deliveries still waiting for a (re)try, across all sessions
+    getPending: async () => {
+      return tables.webhook_deliveries.filter(row => row.status === 'pending').map(toPublicCopy);
+    }
+  };
+
+  // Comment operations for the in-memory store
+  // Comments are audited under the PSBT's name so the activity feed can say
+  // which payment they're about
+  const commentOperations = {
+    // A PSBT's comments, oldest first
+    getAll: async (psbtId, sessionId = '0') => {
+      return oldestFirst(tables.psbt_comments.filter(row => row.psbt_id === psbtId && row.session_id === sessionId))
+        .map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicCopy(selectRow('psbt_comments', id, sessionId));
+    },
+
+    // Earlier versions of a PSBT's edited comments, oldest first
+    getEdits: async (psbtId, sessionId = '0') => {
+      return tables.psbt_comment_edits
+        .filter(row => row.psbt_id === psbtId && row.session_id === sessionId)
+        .map(row => ({ comment_id: row.comment_id, body: row.body, edited_at: row.edited_at }));
+    },
+
+    // Number of comments per PSBT of the session, as { psbtId: count }
+    countByPsbt: async (sessionId = '0') => {
+      const counts = {};
+      tables.psbt_comments.filter(row => row.session_id === sessionId).forEach(row => {
+        counts[row.psbt_id] = (counts[row.psbt_id] || 0) + 1;
+      });
+      return counts;
+    },
+
+    // Resolves to undefined when the PSBT doesn't exist
+    create: async (psbtId, body, sessionId = '0', author = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      const psbt = selectRow('psbts', psbtId, sessionId);
+      if (!psbt) return undefined;
+      const row = insert('psbt_comments', {
+        public_id: publicId,
+        psbt_id: psbtId,
+        session_id: sessionId,
+        author,
+        body,
+        created_at: now(),
+        updated_at: now()
+      });
+      recordAudit(sessionId, author, 'comment', 'comment', null, row, psbt.name);
+      return toPublicCopy(row);
+    },
+
+    // Replace a comment's text, keeping the previous text as an edit;
+    // resolves to undefined when the comment doesn't exist
+    update: async (id, body, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const row = selectRow('psbt_comments', id, sessionId);
+      if (!row) return undefined;
+      const before = copy(row);
+      insert('psbt_comment_edits', {
+        comment_id: row.public_id,
+        psbt_id: row.psbt_id,
+        session_id: sessionId,
+        body: row.body,
+        edited_at: now()
+      });
+      Object.assign(row, { body, updated_at: now() });
+      recordAudit(sessionId, actor, 'edit_comment', 'comment', before, row, psbtName(row.psbt_id, sessionId));
+      return toPublicCopy(row);
+    }
+  };
+
+  // Approval operations for the in-memory store
+  // One decision per member and PSBT, audited under the PSBT's name
+  const approvalOperations = {
+    // Decisions of the session, or of one PSBT, oldest first
+    getAll: async (sessionId = '0', psbtId = null) => {
+      return oldestFirst(tables.psbt_approvals.filter(row =>
+        row.session_id === sessionId && (!psbtId || row.psbt_id === psbtId)
+      )).map(toPublicCopy);
+    },
+
+    // Record a member's decision ('approve' or 'object') on a PSBT, replacing
+    // an earlier one; resolves to undefined when the PSBT doesn't exist
+    set: async (psbtId, member, decision, txid, sessionId = '0') => {
+      const psbt = selectRow('psbts', psbtId, sessionId);
+      if (!psbt) return undefined;
+      let row = tables.psbt_approvals.find(approval =>
+        approval.psbt_id === psbtId && approval.member === member && approval.session_id === sessionId
+      );
+      const before = copy(row);
+      if (row) {
+        Object.assign(row, { decision, txid, updated_at: now() });
+      } else {
+        row = insert('psbt_approvals', {
+          public_id: newPublicId(),
+          psbt_id: psbtId,
+          session_id: sessionId,
+          member,
+          decision,
+          txid,
+          created_at: now(),
+          updated_at: now()
+        });
+      }
+      recordAudit(sessionId, member, decision, 'approval', before || null, row, psbt.name);
+      return toPublicCopy(row);
+    },
+
+    // Withdraw a member's decision; resolves to false when there was none
+    delete: async (psbtId, member, sessionId = '0') => {
+      const row = tables.psbt_approvals.find(approval =>
+        approval.psbt_id === psbtId && approval.member === member && approval.session_id === sessionId
+      );
+      if (!row) return false;
+      remove('psbt_approvals', row);
+      recordAudit(sessionId, member, 'withdraw_approval', 'approval', row, null, psbtName(psbtId, sessionId));
+      return true;
+    }
+  };
+
+  // One spending policy per session (see lib/policy.js); rules is stored as JSON
+  const policyOperations = {
+    // The session's policy, or undefined when it never had one
+    get: async (sessionId = '0') => {
+      return toPublicCopy(tables.spending_policies.find(row => row.session_id === sessionId));
+    },
+
+    // Replace the session's rules, creating its policy on first use
+    set: async (sessionId, rules, actor = SYSTEM_ACTOR) => {
+      const row = tables.spending_policies.find(policy => policy.session_id === sessionId);
+      const values = { rules: JSON.stringify(rules), updated_by: actor, updated_at: now() };
+      if (row) {
+        return updateAudited('spending_policies', 'policy', 'update_policy', row.public_id, sessionId, actor, () => values);
+      }
+      return insertAudited('spending_policies', 'policy', sessionId, actor, values, 'update_policy');
+    }
+  };
+
+  // Address book operations for the in-memory store; an entry's address
+  // can't be changed, only its label, owner and notes
+  const addressOperations = {
+    getAll: async (sessionId = '0') => {
+      return newestFirst(tables.address_book.filter(row => row.session_id === sessionId)).map(toPublicCopy);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicCopy(selectRow('address_book', id, sessionId));
+    },
+
+    create: async (address, label, owner, notes, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      assertUnique('address_book', ['address', 'session_id'], { address, session_id: sessionId });
+      return insertAudited('address_book', 'address', sessionId, actor, {
+        public_id: publicId,
+        address,
+        label,
+        owner,
+        notes,
+        created_by: actor,
+        updated_at: now()
+      });
+    },
+
+    update: async (id, { label, owner, notes }, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('address_book', 'address', 'update_payee', id, sessionId, actor, () => ({
+        label,
+        owner,
+        notes,
+        updated_at: now()
+      }));
+    },
+
+    delete: async (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return deleteAudited('address_book', 'address', id, sessionId, actor);
+    }
+  };
+
+  // Trash operations for the in-memory store; type is one of the entity types of TRASH_TABLES
+  const trashOperations = {
+    // The session's trashed records as { xpubs, descriptors, psbts }, most
+    // recently deleted first
+    getAll: async (sessionId = '0') => {
+      const trash = {};
+      Object.values(TRASH_TABLES).forEach(table => {
+        trash[table] = tables[table]
+          .filter(row => row.session_id === sessionId && row.deleted_at)
+          .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id)
+          .map(toPublicCopy);
+      });
+      return trash;
+    },
+
+    // Take a record out of the trash; resolves to it, or undefined when it
+    // isn't in the trash
+    restore: async (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const row = selectTrashedRow(TRASH_TABLES[type], id, sessionId);
+      if (!row) return undefined;
+      const before = copy(row);
+      Object.assign(row, { deleted_at: null, deleted_by: null });
+      recordAudit(sessionId, actor, 'restore', type, before, row);
+      return toPublicCopy(row);
+    },
+
+    // Delete a trashed record for good, a PSBT with its revisions and
+    // discussion; resolves to false when it isn't in the trash
+    purge: async (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const table = TRASH_TABLES[type];
+      const row = selectTrashedRow(table, id, sessionId);
+      if (!row) return false;
+      remove(table, row);
+      recordAudit(sessionId, actor, 'purge', type, row, null);
+      if (type === 'psbt') deletePsbtRecords(row.public_id);
+      return true;
+    },
+
+    // Records of every session trashed before cutoff (a Date), as { type, id, session_id }
+    getDeletedBefore: async (cutoff) => {
+      return Object.entries(TRASH_TABLES).flatMap(([type, table]) => tables[table]
+        .filter(row => row.deleted_at && new Date(row.deleted_at) < cutoff)
+        .map(row => ({ type, id: row.public_id, session_id: row.session_id })));
+    }
+  };
+
+  return {
+    db: undefined,
+    ready: Promise.resolve(),
+    xpubOperations,
+    psbtOperations,
+    descriptorOperations,
+    sessionOperations,
+    memberOperations,
+    inviteOperations,
+    auditOperations,
+    webhookOperations,
+    deliveryOperations,
+    commentOperations,
+    approvalOperations,
+    policyOperations,
+    addressOperations,
+    trashOperations
+  };
+}
+
+module.exports = { createMemoryStorage };
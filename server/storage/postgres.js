@@ -0,0 +1,1148 @@
+const { chainEvent } = require('../lib/chain');
+const { migrate } = require('../lib/migrate');
+const { claimLegacySessions } = require('../lib/legacy');
+const { storedOutpoints } = require('../lib/psbt');
+const {
+  OWNER_MEMBER,
+  SYSTEM_ACTOR,
+  OPEN_STATUSES,
+  CLOSE_ACTIONS,
+  TRASH_TABLES,
+  isTrashable,
+  psbtStatus,
+  verdictColumn,
+  newPublicId,
+  toPublicRow,
+  hashRow,
+  auditLabel,
+  buildRevision,
+  planImport,
+  importSummary,
+  containsPattern
+} = require('./common');
+
+// PostgreSQL storage for production (Railway), configured by DATABASE_URL
+function createPostgresStorage() {
+  const { Pool } = require('pg');
+  
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL.includes('localhost') ? false : { rejectUnauthorized: false }
+  });
+
+  console.log('Using PostgreSQL database');
+
+  // Adapter the migrations run against (see lib/migrate.js)
+  const pgAdapter = (client) => ({
+    dialect: 'postgres',
+    types: { id: 'SERIAL PRIMARY KEY', timestamp: 'TIMESTAMP', timestamptz: 'TIMESTAMPTZ' },
+    run: (sql, params = []) => client.query(sql, params),
+    get: async (sql, params = []) => (await client.query(sql, params)).rows[0],
+    all: async (sql, params = []) => (await client.query(sql, params)).rows,
+    hasColumn: async (table, column) => {
+      const result = await client.query(
+        `SELECT 1 FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+        [table, column]
+      );
+      return result.rows.length > 0;
+    },
+    addColumn: async (table, column, definition) => {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    },
+    // Concurrent instances wait for each other's migrations
+    transaction: (work) => withClient(async (txClient) => {
+      await txClient.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['schema_migrations']);
+      return work(pgAdapter(txClient));
+    })
+  });
+
+  // Run work(client) inside a transaction on a dedicated connection
+  const withClient = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const ready = migrate(pgAdapter(pool)).then(() => claimLegacySessions(pgAdapter(pool)));
+
+  // Append an audit event to the session's hash chain; called inside the
+  // mutation's transaction. The advisory lock serializes appends per session.
+  // label defaults to the row's own (see auditLabel).
+  const recordAudit = async (client, sessionId, actor, action, entityType, before, after, label = auditLabel(after || before)) => {
+    const row = after || before;
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit:${sessionId}`]);
+    const head = await client.query(
+      'SELECT seq, hash FROM audit_events WHERE session_id = $1 ORDER BY seq DESC LIMIT 1',
+      [sessionId]
+    );
+    const event = chainEvent(head.rows[0], {
+      session_id: sessionId,
+      actor,
+      action,
+      entity_type: entityType,
+      entity_id: row.public_id,
+      entity_label: label,
+      before_hash: hashRow(before),
+      after_hash: hashRow(after)
+    });
+    await client.query(
+      `INSERT INTO audit_events (public_id, session_id, actor, action, entity_type, entity_id, entity_label, before_hash, after_hash, seq, prev_hash, hash, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [newPublicId(), event.session_id, event.actor, event.action, event.entity_type, event.entity_id, event.entity_label,
+        event.before_hash, event.after_hash, event.seq, event.prev_hash, event.hash, event.created_at]
+    );
+  };
+
+  // Lock and return a row of the caller's session (undefined if missing or
+  // in the trash)
+  const lockRow = async (client, table, id, sessionId) => {
+    const live = isTrashable(table) ? ' AND deleted_at IS NULL' : '';
+    const result = await client.query(
+      `SELECT * FROM ${table} WHERE public_id = $1 AND session_id = $2${live} FOR UPDATE`,
+      [id, sessionId]
+    );
+    return result.rows[0];
+  };
+
+  const lockTrashedRow = async (client, table, id, sessionId) => {
+    const result = await client.query(
+      `SELECT * FROM ${table} WHERE public_id = $1 AND session_id = $2 AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id, sessionId]
+    );
+    return result.rows[0];
+  };
+
+  // Move a locked row to the trash and audit it; called inside a transaction
+  const trashRow = async (client, table, entityType, action, row, actor) => {
+    const result = await client.query(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2 RETURNING *`,
+      [actor, row.id]
+    );
+    await recordAudit(client, row.session_id, actor, action, entityType, row, result.rows[0]);
+  };
+
+  // Move a row to the trash; resolves to false when it doesn't exist or is
+  // already there
+  const trashAudited = (table, entityType, id, sessionId, actor) => {
+    return withClient(async (client) => {
+      const before = await lockRow(client, table, id, sessionId);
+      if (!before) return false;
+      await trashRow(client, table, entityType, 'trash', before, actor);
+      return true;
+    });
+  };
+
+  // Remove the rows that belong to a deleted PSBT: its revisions, comments
+  // (with their edits), approvals and inputs; called inside the deletion's transaction
+  const deletePsbtRecords = async (client, psbtId) => {
+    await client.query('DELETE FROM psbt_revisions WHERE psbt_id = $1', [psbtId]);
+    await client.query('DELETE FROM psbt_inputs WHERE psbt_id = $1', [psbtId]);
+    await client.query('DELETE FROM psbt_comment_edits WHERE psbt_id = $1', [psbtId]);
+    await client.query('DELETE FROM psbt_comments WHERE psbt_id = $1', [psbtId]);
+    await client.query('DELETE FROM psbt_approvals WHERE psbt_id = $1', [psbtId]);
+  };
+
+  // Index the outpoints a PSBT's current data spends (see psbtOperations.list);
+  // called inside the mutation's transaction
+  const indexInputs = async (client, psbt) => {
+    await client.query('DELETE FROM psbt_inputs WHERE psbt_id = $1', [psbt.id]);
+    for (const outpoint of storedOutpoints(psbt.psbt_data)) {
+      await client.query('INSERT INTO psbt_inputs (psbt_id, outpoint) VALUES ($1, $2)', [psbt.id, outpoint]);
+    }
+  };
+
+  // Record a new revision of a PSBT (see buildRevision) and index its inputs;
+  // called inside the mutation's transaction, which holds the PSBT's row lock
+  const recordRevision = async (client, psbt, action, actor, signers = null, restoredFrom = null) => {
+    const previous = await client.query(
+      'SELECT * FROM psbt_revisions WHERE psbt_id = $1 ORDER BY revision DESC LIMIT 1',
+      [psbt.id]
+    );
+    const revision = buildRevision(psbt, previous.rows[0], action, actor, signers, restoredFrom);
+    await client.query(
+      `INSERT INTO psbt_revisions (public_id, psbt_id, session_id, revision, action, psbt_data, signatures_count, signers, new_signers, restored_from, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [revision.public_id, revision.psbt_id, revision.session_id, revision.revision, revision.action, revision.psbt_data,
+        revision.signatures_count, revision.signers, revision.new_signers, revision.restored_from, revision.created_by]
+    );
+    await indexInputs(client, psbt);
+  };
+
+  // Record a revision if an update changed the PSBT's data
+  const recordRevisionIfChanged = async (client, before, after, action, actor, signers) => {
+    if (after.psbt_data !== before.psbt_data) {
+      await recordRevision(client, toPublicRow(after), action, actor, signers);
+    }
+  };
+
+  // XPub operations for PostgreSQL
+  // Rows are looked up by public id and always scoped to the caller's session;
+  // every mutation appends an audit event in the same transaction
+  const xpubOperations = {
+    getAll: async (sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM xpubs WHERE session_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM xpubs WHERE public_id = $1 AND session_id = $2 AND deleted_at IS NULL',
+        [id, sessionId]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    create: (label, xpub, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'INSERT INTO xpubs (public_id, label, xpub, session_id) VALUES ($1, $2, $3, $4) RETURNING *',
+          [publicId, label, xpub, sessionId]
+        );
+        await recordAudit(client, sessionId, actor, 'create', 'xpub', null, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    updateLabel: (id, label, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'xpubs', id, sessionId);
+        if (!before) return undefined;
+        const result = await client.query(
+          'UPDATE xpubs SET label = $1 WHERE id = $2 RETURNING *',
+          [label, before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'update_label', 'xpub', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Moves the xpub to the trash
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('xpubs', 'xpub', id, sessionId, actor);
+    }
+  };
+
+  // PSBT operations for PostgreSQL
+  const psbtOperations = {
+    getAll: async (sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbts WHERE session_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC, id DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbts WHERE public_id = $1 AND session_id = $2 AND deleted_at IS NULL',
+        [id, sessionId]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    // A page of the session's PSBTs, newest first (ties in the order of their
+    // ids), as { psbts, total }; total counts every match, ignoring after and
+    // limit. Filters: statuses, archived ('exclude', 'only' or 'include'),
+    // search (name or a comment contains it, ignoring case), spends (some of
+    // these outpoints), after ({ id, createdAt } of the row the page follows,
+    // which needn't exist any more) and limit. Times are compared to the
+    // millisecond, as precise as createdAt gets once it's been a Date.
+    list: async (sessionId = '0', { statuses, archived = 'include', search, spends, after, limit } = {}) => {
+      const conditions = ['session_id = $1', 'deleted_at IS NULL'];
+      const params = [sessionId];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      if (statuses) {
+        conditions.push(`status = ANY(${param(statuses)})`);
+      }
+      if (archived !== 'include') {
+        conditions.push(archived === 'only' ? 'archived_at IS NOT NULL' : 'archived_at IS NULL');
+      }
+      if (search) {
+        const pattern = param(containsPattern(search));
+        conditions.push(`(name ILIKE ${pattern} ESCAPE '\\' OR public_id IN (
+          SELECT psbt_id FROM psbt_comments WHERE session_id = $1 AND body ILIKE ${pattern} ESCAPE '\\'
+        ))`);
+      }
+      if (spends) {
+        conditions.push(`public_id IN (SELECT psbt_id FROM psbt_inputs WHERE outpoint = ANY(${param(spends)}))`);
+      }
+      const count = await pool.query(`SELECT COUNT(*)::int AS total FROM psbts WHERE ${conditions.join(' AND ')}`, params);
+
+      const createdAt = "date_trunc('milliseconds', created_at)";
+      if (after) {
+        conditions.push(`(${createdAt}, public_id) < (${param(new Date(after.createdAt))}, ${param(after.id)})`);
+      }
+      const result = await pool.query(
+        `SELECT * FROM psbts WHERE ${conditions.join(' AND ')}
+         ORDER BY ${createdAt} DESC, public_id DESC${limit ? ` LIMIT ${param(limit)}` : ''}`,
+        params
+      );
+      return { psbts: result.rows.map(toPublicRow), total: count.rows[0].total };
+    },
+
+    // policyVerdict is the PSBT's verdict against the session's spending
+    // policy, or null where none applies (see lib/policy.js)
+    create: (name, psbtData, mRequired, nTotal, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, deadline = null, policyVerdict = null, publicId = newPublicId()) => {
+      const status = psbtStatus(signaturesCount, mRequired, policyVerdict);
+      return withClient(async (client) => {
+        const result = await client.query(
+          'INSERT INTO psbts (public_id, name, psbt_data, m_required, n_total, signatures_count, status, deadline, policy_verdict, session_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+          [publicId, name, psbtData, mRequired, nTotal, signaturesCount, status, deadline, verdictColumn(policyVerdict), sessionId]
+        );
+        await recordAudit(client, sessionId, actor, 'create', 'psbt', null, result.rows[0]);
+        const psbt = toPublicRow(result.rows[0]);
+        await recordRevision(client, psbt, 'create', actor, signers);
+        return psbt;
+      });
+    },
+
+    update: (id, psbtData, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, policyVerdict = null) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        if (!before) {
+          throw new Error('PSBT not found');
+        }
+        const status = psbtStatus(signaturesCount, before.m_required, policyVerdict);
+
+        const result = await client.query(
+          'UPDATE psbts SET psbt_data = $1, signatures_count = $2, status = $3, policy_verdict = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+          [psbtData, signaturesCount, status, verdictColumn(policyVerdict), before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'update', 'psbt', before, result.rows[0]);
+        await recordRevisionIfChanged(client, before, result.rows[0], 'update', actor, signers);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Read-modify-write a PSBT inside a transaction. The row is locked with
+    // FOR UPDATE so concurrent signature uploads are applied one after another.
+    // merge(row) returns the new { psbtData, signaturesCount, signers, policyVerdict }.
+    mergeSignatures: (id, merge, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const row = await lockRow(client, 'psbts', id, sessionId);
+        if (!row) {
+          throw new Error('PSBT not found');
+        }
+        const { psbtData, signaturesCount, signers = null, policyVerdict = null } = merge(row);
+        const status = OPEN_STATUSES.includes(row.status)
+          ? psbtStatus(signaturesCount, row.m_required, policyVerdict)
+          : row.status;
+
+        const result = await client.query(
+          'UPDATE psbts SET psbt_data = $1, signatures_count = $2, status = $3, policy_verdict = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+          [psbtData, signaturesCount, status, verdictColumn(policyVerdict), row.id]
+        );
+        await recordAudit(client, sessionId, actor, 'merge_signatures', 'psbt', row, result.rows[0]);
+        await recordRevisionIfChanged(client, row, result.rows[0], 'merge_signatures', actor, signers);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Moves the PSBT to the trash; its revisions and discussion stay until it is purged
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('psbts', 'psbt', id, sessionId, actor);
+    },
+
+    // Keep one of a set of conflicting PSBTs and move the others to the trash.
+    // check(psbt, discarded) throws if they can't be discarded; psbt and
+    // entries of discarded may be undefined.
+    resolveConflict: (id, discardIds, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const kept = await lockRow(client, 'psbts', id, sessionId);
+        const discarded = [];
+        for (const discardId of discardIds) {
+          discarded.push(await lockRow(client, 'psbts', discardId, sessionId));
+        }
+        check(toPublicRow(kept), discarded.map(toPublicRow));
+
+        for (const row of discarded) {
+          await trashRow(client, 'psbts', 'psbt', 'discard_conflict', row, actor);
+        }
+        return toPublicRow(kept);
+      });
+    },
+
+    // Stored versions of a PSBT, newest first
+    getRevisions: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbt_revisions WHERE psbt_id = $1 AND session_id = $2 ORDER BY revision DESC',
+        [id, sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getRevision: async (id, revision, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbt_revisions WHERE psbt_id = $1 AND revision = $2 AND session_id = $3',
+        [id, revision, sessionId]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    // Make an earlier revision's data current again, as a new revision.
+    // check(psbt, revision) throws if it can't be restored (either may be
+    // undefined) and returns the policy verdict of the revision's data.
+    restoreRevision: (id, revision, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        const target = before && (await client.query(
+          'SELECT * FROM psbt_revisions WHERE psbt_id = $1 AND revision = $2',
+          [id, revision]
+        )).rows[0];
+        const policyVerdict = check(toPublicRow(before), toPublicRow(target)) || null;
+
+        const result = await client.query(
+          'UPDATE psbts SET psbt_data = $1, signatures_count = $2, status = $3, policy_verdict = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+          [target.psbt_data, target.signatures_count, psbtStatus(target.signatures_count, before.m_required, policyVerdict),
+            verdictColumn(policyVerdict), before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'restore_revision', 'psbt', before, result.rows[0]);
+        const restored = toPublicRow(result.rows[0]);
+        await recordRevision(client, restored, 'restore', actor, target.signers ? JSON.parse(target.signers) : null, target.revision);
+        return restored;
+      });
+    },
+
+    // Close an open PSBT with status 'expired' or 'invalidated'; resolves to
+    // undefined when it doesn't exist or is no longer open
+    close: (id, status, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        if (!before || !OPEN_STATUSES.includes(before.status)) return undefined;
+        const result = await client.query(
+          'UPDATE psbts SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+          [status, before.id]
+        );
+        await recordAudit(client, sessionId, actor, CLOSE_ACTIONS[status], 'psbt', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Store a new policy verdict for an open PSBT (after the session's policy
+    // or its other PSBTs changed), which may move it between 'pending' and
+    // 'ready'; resolves to undefined when it doesn't exist or is no longer open
+    setPolicyVerdict: (id, policyVerdict, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        if (!before || !OPEN_STATUSES.includes(before.status)) return undefined;
+        const result = await client.query(
+          'UPDATE psbts SET status = $1, policy_verdict = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+          [psbtStatus(before.signatures_count, before.m_required, policyVerdict), verdictColumn(policyVerdict), before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'evaluate_policy', 'psbt', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Archive a final PSBT, or bring it back to the active list; resolves to
+    // undefined when it doesn't exist or isn't final
+    setArchived: (id, archived, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        if (!before || before.status !== 'final') return undefined;
+        if (Boolean(before.archived_at) === archived) return toPublicRow(before);
+        const result = await client.query(
+          `UPDATE psbts SET archived_at = ${archived ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = $1 RETURNING *`,
+          [before.id]
+        );
+        await recordAudit(client, sessionId, actor, archived ? 'archive' : 'unarchive', 'psbt', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    updateBroadcastStatus: (id, txid, status, confirmations, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbts', id, sessionId);
+        if (!before) return undefined;
+        const result = await client.query(
+          'UPDATE psbts SET txid = $1, status = $2, confirmations = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+          [txid, status, confirmations, before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'update_broadcast', 'psbt', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // PSBTs of every session that are still collecting signatures
+    getOpen: async () => {
+      const result = await pool.query('SELECT * FROM psbts WHERE status = ANY($1) AND deleted_at IS NULL', [OPEN_STATUSES]);
+      return result.rows.map(toPublicRow);
+    },
+
+    // Get PSBTs that need confirmation checking (broadcast but not final)
+    getPendingConfirmations: async () => {
+      const result = await pool.query(
+        "SELECT * FROM psbts WHERE status LIKE 'broadcast%' AND status != 'final' AND txid IS NOT NULL AND deleted_at IS NULL"
+      );
+      return result.rows.map(toPublicRow);
+    }
+  };
+
+  // Descriptor operations for PostgreSQL
+  const descriptorOperations = {
+    getAll: async (sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM descriptors WHERE session_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM descriptors WHERE public_id = $1 AND session_id = $2 AND deleted_at IS NULL',
+        [id, sessionId]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    create: (name, descriptor, mRequired, nTotal, firstAddress, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'INSERT INTO descriptors (public_id, name, descriptor, m_required, n_total, first_address, session_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+          [publicId, name, descriptor, mRequired, nTotal, firstAddress, sessionId]
+        );
+        await recordAudit(client, sessionId, actor, 'create', 'descriptor', null, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Moves the descriptor to the trash
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('descriptors', 'descriptor', id, sessionId, actor);
+    }
+  };
+
+  // Audit log operations for PostgreSQL (append-only; events are written by the mutations above)
+  const auditOperations = {
+    getAll: async (sessionId = '0', limit = 100) => {
+      const result = await pool.query(
+        'SELECT * FROM audit_events WHERE session_id = $1 ORDER BY seq DESC LIMIT $2',
+        [sessionId, limit]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    // Events from fromSeq onwards in chain order, for verifying the hash chain
+    getChain: async (sessionId = '0', fromSeq = 1, limit = 1000) => {
+      const result = await pool.query(
+        'SELECT * FROM audit_events WHERE session_id = $1 AND seq >= $2 ORDER BY seq ASC LIMIT $3',
+        [sessionId, fromSeq, limit]
+      );
+      return result.rows.map(toPublicRow);
+    }
+  };
+
+  // Session operations for PostgreSQL
+  const sessionOperations = {
+    getByName: async (name) => {
+      const result = await pool.query('SELECT * FROM sessions WHERE name = $1', [name]);
+      return result.rows[0];
+    },
+
+    // Create the session and its owner, who starts out as the coordinator.
+    // encryption holds the client's key derivation parameters for end-to-end encrypted sessions.
+    create: (name, passphraseHash, ownerName = OWNER_MEMBER, encryption = null) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'INSERT INTO sessions (name, passphrase_hash, encryption) VALUES ($1, $2, $3) RETURNING *',
+          [name, passphraseHash, encryption ? JSON.stringify(encryption) : null]
+        );
+        const owner = await client.query(
+          'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+          [newPublicId(), name, ownerName, passphraseHash, 'coordinator']
+        );
+        return { session: result.rows[0], owner: toPublicRow(owner.rows[0]) };
+      });
+    },
+
+    // Import a bundle's records (see lib/bundle.js) in one transaction, so a
+    // failed import leaves the session untouched; resolves to the counts.
+    // The session's xpubs are locked so a concurrent add can't slip in between.
+    importRecords: (sessionId, records, onConflict = 'skip', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const select = async (sql) => (await client.query(sql, [sessionId])).rows;
+        const plan = planImport({
+          xpubs: await select('SELECT * FROM xpubs WHERE session_id = $1 FOR UPDATE'),
+          descriptors: await select('SELECT * FROM descriptors WHERE session_id = $1 AND deleted_at IS NULL'),
+          psbts: await select('SELECT * FROM psbts WHERE session_id = $1 AND deleted_at IS NULL'),
+          ids: new Set((await select(
+            `SELECT public_id FROM xpubs WHERE session_id = $1
+             UNION ALL SELECT public_id FROM descriptors WHERE session_id = $1
+             UNION ALL SELECT public_id FROM psbts WHERE session_id = $1
+             UNION ALL SELECT public_id FROM psbt_comments WHERE session_id = $1`
+          )).map(row => row.public_id))
+        }, records, onConflict);
+
+        const insert = async (entityType, sql, params) => {
+          const result = await client.query(sql, params);
+          await recordAudit(client, sessionId, actor, 'import', entityType, null, result.rows[0]);
+          return toPublicRow(result.rows[0]);
+        };
+
+        for (const { row, label } of plan.xpubs.update) {
+          const result = await client.query('UPDATE xpubs SET label = $1 WHERE id = $2 RETURNING *', [label, row.id]);
+          await recordAudit(client, sessionId, actor, 'update_label', 'xpub', row, result.rows[0]);
+        }
+        for (const { row, label } of plan.xpubs.restore) {
+          const result = await client.query(
+            'UPDATE xpubs SET label = $1, deleted_at = NULL, deleted_by = NULL WHERE id = $2 RETURNING *',
+            [label, row.id]
+          );
+          await recordAudit(client, sessionId, actor, 'restore', 'xpub', row, result.rows[0]);
+        }
+        for (const entry of plan.xpubs.insert) {
+          await insert(
+            'xpub',
+            'INSERT INTO xpubs (public_id, label, xpub, session_id) VALUES ($1, $2, $3, $4) RETURNING *',
+            [entry.id || newPublicId(), entry.label, entry.xpub, sessionId]
+          );
+        }
+        for (const entry of plan.descriptors.insert) {
+          await insert(
+            'descriptor',
+            'INSERT INTO descriptors (public_id, name, descriptor, m_required, n_total, first_address, session_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+            [entry.id || newPublicId(), entry.name, entry.descriptor, entry.m_required, entry.n_total, entry.first_address, sessionId]
+          );
+        }
+        for (const entry of plan.psbts.insert) {
+          const psbt = await insert(
+            'psbt',
+            `INSERT INTO psbts (public_id, name, psbt_data, m_required, n_total, signatures_count, status, txid, confirmations, deadline, session_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+            [entry.id || newPublicId(), entry.name, entry.psbt_data, entry.m_required, entry.n_total, entry.signatures_count,
+              entry.status, entry.txid, entry.confirmations, entry.deadline, sessionId]
+          );
+          await recordRevision(client, psbt, 'import', actor, entry.signers);
+          for (const comment of entry.comments) {
+            await client.query(
+              `INSERT INTO psbt_comments (public_id, psbt_id, session_id, author, body, created_at, updated_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $6)`,
+              [comment.id || newPublicId(), psbt.id, sessionId, comment.author, comment.body, comment.created_at]
+            );
+          }
+        }
+
+        return importSummary(plan);
+      });
+    }
+  };
+
+  // Session member operations for PostgreSQL
+  const memberOperations = {
+    getAll: async (sessionId) => {
+      const result = await pool.query(
+        'SELECT * FROM session_members WHERE session_id = $1 ORDER BY created_at ASC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId) => {
+      const result = await pool.query(
+        'SELECT * FROM session_members WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    getByName: async (sessionId, name) => {
+      const result = await pool.query(
+        'SELECT * FROM session_members WHERE session_id = $1 AND name = $2',
+        [sessionId, name]
+      );
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    create: async (sessionId, name, passphraseHash, role) => {
+      const result = await pool.query(
+        'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [newPublicId(), sessionId, name, passphraseHash, role]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    updateRole: async (id, role, sessionId) => {
+      const result = await pool.query(
+        'UPDATE session_members SET role = $1 WHERE public_id = $2 AND session_id = $3 RETURNING *',
+        [role, id, sessionId]
+      );
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    delete: async (id, sessionId) => {
+      const result = await pool.query(
+        'DELETE FROM session_members WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return result.rowCount > 0;
+    }
+  };
+
+  // Session invite operations for PostgreSQL
+  // Only a hash of the invite token is stored
+  const inviteOperations = {
+    getAll: async (sessionId) => {
+      const result = await pool.query(
+        'SELECT * FROM session_invites WHERE session_id = $1 ORDER BY created_at DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getByTokenHash: async (tokenHash) => {
+      const result = await pool.query('SELECT * FROM session_invites WHERE token_hash = $1', [tokenHash]);
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    create: async (sessionId, tokenHash, role, expiresAt, maxUses, createdBy) => {
+      const result = await pool.query(
+        `INSERT INTO session_invites (public_id, session_id, token_hash, role, expires_at, max_uses, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [newPublicId(), sessionId, tokenHash, role, expiresAt, maxUses, createdBy]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    // Redeem an invite by adding a member in one transaction; `check` throws if
+    // the (locked) invite can no longer be used, so a single-use invite can't be redeemed twice
+    redeem: (tokenHash, memberName, passphraseHash, check) => {
+      return withClient(async (client) => {
+        const existing = await client.query(
+          'SELECT * FROM session_invites WHERE token_hash = $1 FOR UPDATE',
+          [tokenHash]
+        );
+        const invite = existing.rows[0] ? toPublicRow(existing.rows[0]) : undefined;
+        check(invite);
+
+        const taken = await client.query(
+          'SELECT 1 FROM session_members WHERE session_id = $1 AND name = $2',
+          [invite.session_id, memberName]
+        );
+        if (taken.rows.length > 0) {
+          throw new Error('A member with this name already exists');
+        }
+
+        const member = await client.query(
+          'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+          [newPublicId(), invite.session_id, memberName, passphraseHash, invite.role]
+        );
+        await client.query(
+          'UPDATE session_invites SET use_count = use_count + 1 WHERE token_hash = $1',
+          [tokenHash]
+        );
+        return toPublicRow(member.rows[0]);
+      });
+    },
+
+    delete: async (id, sessionId) => {
+      const result = await pool.query(
+        'DELETE FROM session_invites WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return result.rowCount > 0;
+    }
+  };
+
+  // Webhook operations for PostgreSQL
+  // events is stored as a JSON array of event names
+  const webhookOperations = {
+    getAll: async (sessionId) => {
+      const result = await pool.query(
+        'SELECT * FROM webhooks WHERE session_id = $1 ORDER BY created_at DESC, id DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId) => {
+      const result = await pool.query(
+        'SELECT * FROM webhooks WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    create: async (sessionId, url, secret, events, description, createdBy) => {
+      const result = await pool.query(
+        `INSERT INTO webhooks (public_id, session_id, url, secret, events, description, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [newPublicId(), sessionId, url, secret, JSON.stringify(events), description, createdBy]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    // Deleting a webhook also drops its delivery log
+    delete: (id, sessionId) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'DELETE FROM webhooks WHERE public_id = $1 AND session_id = $2',
+          [id, sessionId]
+        );
+        if (result.rowCount === 0) return false;
+        await client.query('DELETE FROM webhook_deliveries WHERE webhook_id = $1', [id]);
+        return true;
+      });
+    }
+  };
+
+  // Webhook delivery log operations for PostgreSQL
+  const deliveryOperations = {
+    create: async (webhookId, sessionId, event, payload) => {
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries (public_id, webhook_id, session_id, event, payload)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [newPublicId(), webhookId, sessionId, event, payload]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    // Record the outcome of an attempt ({ status, attempts, response_status, error, next_attempt_at })
+    update: async (id, fields) => {
+      const result = await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, attempts = $2, response_status = $3, error = $4, next_attempt_at = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE public_id = $6 RETURNING *`,
+        [fields.status, fields.attempts, fields.response_status, fields.error, fields.next_attempt_at, id]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    getAll: async (sessionId, webhookId = null, limit = 100) => {
+      const result = webhookId
+        ? await pool.query(
+          'SELECT * FROM webhook_deliveries WHERE session_id = $1 AND webhook_id = $2 ORDER BY id DESC LIMIT $3',
+          [sessionId, webhookId, limit]
+        )
+        : await pool.query(
+          'SELECT * FROM webhook_deliveries WHERE session_id = $1 ORDER BY id DESC LIMIT $2',
+          [sessionId, limit]
+        );
+      return result.rows.map(toPublicRow);
+    },
+
+    // Deliveries still waiting for a (re)try, across all sessions
+    getPending: async () => {
+      const result = await pool.query("SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY id ASC");
+      return result.rows.map(toPublicRow);
+    }
+  };
+
+  // Comment operations for PostgreSQL
+  // Comments are audited under the PSBT's name so the activity feed can say
+  // which payment they're about
+  const commentOperations = {
+    // A PSBT's comments, oldest first
+    getAll: async (psbtId, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbt_comments WHERE psbt_id = $1 AND session_id = $2 ORDER BY created_at ASC, id ASC',
+        [psbtId, sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM psbt_comments WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return result.rows[0] ? toPublicRow(result.rows[0]) : undefined;
+    },
+
+    // Earlier versions of a PSBT's edited comments, oldest first
+    getEdits: async (psbtId, sessionId = '0') => {
+      const result = await pool.query(
+        `SELECT comment_id, body, edited_at FROM psbt_comment_edits
+         WHERE psbt_id = $1 AND session_id = $2 ORDER BY edited_at ASC, id ASC`,
+        [psbtId, sessionId]
+      );
+      return result.rows;
+    },
+
+    // Number of comments per PSBT of the session, as { psbtId: count }
+    countByPsbt: async (sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT psbt_id, COUNT(*)::int AS count FROM psbt_comments WHERE session_id = $1 GROUP BY psbt_id',
+        [sessionId]
+      );
+      return Object.fromEntries(result.rows.map(row => [row.psbt_id, row.count]));
+    },
+
+    // Resolves to undefined when the PSBT doesn't exist
+    create: (psbtId, body, sessionId = '0', author = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return withClient(async (client) => {
+        const psbt = await lockRow(client, 'psbts', psbtId, sessionId);
+        if (!psbt) return undefined;
+        const result = await client.query(
+          'INSERT INTO psbt_comments (public_id, psbt_id, session_id, author, body) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+          [publicId, psbtId, sessionId, author, body]
+        );
+        await recordAudit(client, sessionId, author, 'comment', 'comment', null, result.rows[0], psbt.name);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Replace a comment's text, keeping the previous text as an edit;
+    // resolves to undefined when the comment doesn't exist
+    update: (id, body, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'psbt_comments', id, sessionId);
+        if (!before) return undefined;
+        await client.query(
+          'INSERT INTO psbt_comment_edits (comment_id, psbt_id, session_id, body) VALUES ($1, $2, $3, $4)',
+          [before.public_id, before.psbt_id, sessionId, before.body]
+        );
+        const result = await client.query(
+          'UPDATE psbt_comments SET body = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+          [body, before.id]
+        );
+        const psbt = await client.query('SELECT name FROM psbts WHERE public_id = $1', [before.psbt_id]);
+        await recordAudit(client, sessionId, actor, 'edit_comment', 'comment', before, result.rows[0],
+          psbt.rows[0] ? psbt.rows[0].name : null);
+        return toPublicRow(result.rows[0]);
+      });
+    }
+  };
+
+  // Approval operations for PostgreSQL
+  // One decision per member and PSBT, audited under the PSBT's name. The
+  // PSBT's row lock serializes decisions on it.
+  const approvalOperations = {
+    // Decisions of the session, or of one PSBT, oldest first
+    getAll: async (sessionId = '0', psbtId = null) => {
+      const result = psbtId
+        ? await pool.query(
+          'SELECT * FROM psbt_approvals WHERE session_id = $1 AND psbt_id = $2 ORDER BY created_at ASC, id ASC',
+          [sessionId, psbtId]
+        )
+        : await pool.query(
+          'SELECT * FROM psbt_approvals WHERE session_id = $1 ORDER BY created_at ASC, id ASC',
+          [sessionId]
+        );
+      return result.rows.map(toPublicRow);
+    },
+
+    // Record a member's decision ('approve' or 'object') on a PSBT, replacing
+    // an earlier one; resolves to undefined when the PSBT doesn't exist
+    set: (psbtId, member, decision, txid, sessionId = '0') => {
+      return withClient(async (client) => {
+        const psbt = await lockRow(client, 'psbts', psbtId, sessionId);
+        if (!psbt) return undefined;
+        const existing = await client.query(
+          'SELECT * FROM psbt_approvals WHERE psbt_id = $1 AND member = $2 AND session_id = $3',
+          [psbtId, member, sessionId]
+        );
+        const before = existing.rows[0];
+        const result = before
+          ? await client.query(
+            'UPDATE psbt_approvals SET decision = $1, txid = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+            [decision, txid, before.id]
+          )
+          : await client.query(
+            'INSERT INTO psbt_approvals (public_id, psbt_id, session_id, member, decision, txid) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [newPublicId(), psbtId, sessionId, member, decision, txid]
+          );
+        await recordAudit(client, sessionId, member, decision, 'approval', before, result.rows[0], psbt.name);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Withdraw a member's decision; resolves to false when there was none
+    delete: (psbtId, member, sessionId = '0') => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'DELETE FROM psbt_approvals WHERE psbt_id = $1 AND member = $2 AND session_id = $3 RETURNING *',
+          [psbtId, member, sessionId]
+        );
+        if (result.rows.length === 0) return false;
+        const psbt = await client.query('SELECT name FROM psbts WHERE public_id = $1', [psbtId]);
+        await recordAudit(client, sessionId, member, 'withdraw_approval', 'approval', result.rows[0], null,
+          psbt.rows[0] ? psbt.rows[0].name : null);
+        return true;
+      });
+    }
+  };
+
+  // Address book operations for PostgreSQL
+  // An entry's address can't be changed, only its label, owner and notes
+  const addressOperations = {
+    getAll: async (sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM address_book WHERE session_id = $1 ORDER BY created_at DESC',
+        [sessionId]
+      );
+      return result.rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const result = await pool.query(
+        'SELECT * FROM address_book WHERE public_id = $1 AND session_id = $2',
+        [id, sessionId]
+      );
+      return toPublicRow(result.rows[0]);
+    },
+
+    create: (address, label, owner, notes, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          `INSERT INTO address_book (public_id, session_id, address, label, owner, notes, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [publicId, sessionId, address, label, owner, notes, actor]
+        );
+        await recordAudit(client, sessionId, actor, 'create', 'address', null, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    update: (id, { label, owner, notes }, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const before = await lockRow(client, 'address_book', id, sessionId);
+        if (!before) return undefined;
+        const result = await client.query(
+          'UPDATE address_book SET label = $1, owner = $2, notes = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+          [label, owner, notes, before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'update_payee', 'address', before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const result = await client.query(
+          'DELETE FROM address_book WHERE public_id = $1 AND session_id = $2 RETURNING *',
+          [id, sessionId]
+        );
+        if (result.rows.length === 0) return false;
+        await recordAudit(client, sessionId, actor, 'delete', 'address', result.rows[0], null);
+        return true;
+      });
+    }
+  };
+
+  // Spending policy operations for PostgreSQL
+  // One policy per session (see lib/policy.js); rules is stored as JSON
+  const policyOperations = {
+    // The session's policy, or undefined when it never had one
+    get: async (sessionId = '0') => {
+      const result = await pool.query('SELECT * FROM spending_policies WHERE session_id = $1', [sessionId]);
+      return toPublicRow(result.rows[0]);
+    },
+
+    // Replace the session's rules, creating its policy on first use
+    set: (sessionId, rules, actor = SYSTEM_ACTOR) => {
+      return withClient(async (client) => {
+        const existing = await client.query(
+          'SELECT * FROM spending_policies WHERE session_id = $1 FOR UPDATE',
+          [sessionId]
+        );
+        const result = await client.query(
+          `INSERT INTO spending_policies (public_id, session_id, rules, updated_by) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (session_id) DO UPDATE
+           SET rules = EXCLUDED.rules, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [newPublicId(), sessionId, JSON.stringify(rules), actor]
+        );
+        await recordAudit(client, sessionId, actor, 'update_policy', 'policy', existing.rows[0] || null, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    }
+  };
+
+  // Trash operations for PostgreSQL; type is one of the entity types of TRASH_TABLES
+  const trashOperations = {
+    // The session's trashed records as { xpubs, descriptors, psbts }, most
+    // recently deleted first
+    getAll: async (sessionId = '0') => {
+      const trash = {};
+      for (const table of Object.values(TRASH_TABLES)) {
+        const result = await pool.query(
+          `SELECT * FROM ${table} WHERE session_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC`,
+          [sessionId]
+        );
+        trash[table] = result.rows.map(toPublicRow);
+      }
+      return trash;
+    },
+
+    // Take a record out of the trash; resolves to it, or undefined when it
+    // isn't in the trash
+    restore: (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const table = TRASH_TABLES[type];
+      return withClient(async (client) => {
+        const before = await lockTrashedRow(client, table, id, sessionId);
+        if (!before) return undefined;
+        const result = await client.query(
+          `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *`,
+          [before.id]
+        );
+        await recordAudit(client, sessionId, actor, 'restore', type, before, result.rows[0]);
+        return toPublicRow(result.rows[0]);
+      });
+    },
+
+    // Delete a trashed record for good, a PSBT with its revisions and
+    // discussion; resolves to false when it isn't in the trash
+    purge: (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const table = TRASH_TABLES[type];
+      return withClient(async (client) => {
+        const before = await lockTrashedRow(client, table, id, sessionId);
+        if (!before) return false;
+        await client.query(`DELETE FROM ${table} WHERE id = $1`, [before.id]);
+        await recordAudit(client, sessionId, actor, 'purge', type, before, null);
+        if (type === 'psbt') await deletePsbtRecords(client, before.public_id);
+        return true;
+      });
+    },
+
+    // Records of every session trashed before cutoff (a Date), as { type, id, session_id }
+    getDeletedBefore: async (cutoff) => {
+      const expired = [];
+      for (const [type, table] of Object.entries(TRASH_TABLES)) {
+        const result = await pool.query(
+          `SELECT public_id, session_id FROM ${table} WHERE deleted_at < $1`,
+          [cutoff]
+        );
+        result.rows.forEach(row => expired.push({ type, id: row.public_id, session_id: row.session_id }));
+      }
+      return expired;
+    }
+  };
+
+  return {
+    db: pool,
+    ready,
+    xpubOperations,
+    psbtOperations,
+    descriptorOperations,
+    sessionOperations,
+    memberOperations,
+    inviteOperations,
+    auditOperations,
+    webhookOperations,
+    deliveryOperations,
+    commentOperations,
+    approvalOperations,
+    policyOperations,
+    addressOperations,
+    trashOperations
+  };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,1172 @@
+const path = require('path');
+const fs = require('fs');
+const { chainEvent } = require('../lib/chain');
+const { migrate } = require('../lib/migrate');
+const { claimLegacySessions } = require('../lib/legacy');
+const { storedOutpoints } = require('../lib/psbt');
+const {
+  OWNER_MEMBER,
+  SYSTEM_ACTOR,
+  OPEN_STATUSES,
+  CLOSE_ACTIONS,
+  TRASH_TABLES,
+  isTrashable,
+  psbtStatus,
+  verdictColumn,
+  newPublicId,
+  toPublicRow,
+  hashRow,
+  auditLabel,
+  buildRevision,
+  planImport,
+  importSummary,
+  containsPattern
+} = require('./common');
+
+// SQLite storage for local development (and Railway volumes)
+function createSqliteStorage() {
+  const sqlite3 = require('sqlite3').verbose();
+
+  // Determine database path
+  const getDbPath = () => {
+    if (process.env.RAILWAY_VOLUME_MOUNT_PATH) {
+      const dbDir = process.env.RAILWAY_VOLUME_MOUNT_PATH;
+      if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+      const dbPath = path.join(dbDir, 'data.db');
+      console.log(`Using persistent SQLite database at: ${dbPath}`);
+      return dbPath;
+    }
+    
+    const dbPath = path.join(__dirname, '..', 'data.db');
+    console.log(`Using local SQLite database at: ${dbPath}`);
+    return dbPath;
+  };
+
+  const db = new sqlite3.Database(getDbPath());
+
+  // Promisified helpers for multi-statement operations
+  const runAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  };
+
+  const getAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  };
+
+  const allAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  };
+
+  // All queries share one connection, so transactions are queued to keep
+  // two BEGIN...COMMIT blocks from interleaving.
+  let transactionQueue = Promise.resolve();
+  const withTransaction = (work) => {
+    const run = transactionQueue.then(async () => {
+      await runAsync('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await runAsync('COMMIT');
+        return result;
+      } catch (error) {
+        await runAsync('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  };
+
+  // Adapter the migrations run against (see lib/migrate.js); SQLite accepts
+  // the $n placeholders the migrations use
+  const sqliteAdapter = {
+    dialect: 'sqlite',
+    types: { id: 'INTEGER PRIMARY KEY AUTOINCREMENT', timestamp: 'TEXT', timestamptz: 'TEXT' },
+    run: runAsync,
+    get: getAsync,
+    all: allAsync,
+    hasColumn: async (table, column) => {
+      const columns = await allAsync(`PRAGMA table_info(${table})`);
+      return columns.some(info => info.name === column);
+    },
+    addColumn: async (table, column, definition) => {
+      if (!(await sqliteAdapter.hasColumn(table, column))) {
+        await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+    transaction: (work) => withTransaction(() => work(sqliteAdapter))
+  };
+
+  const ready = migrate(sqliteAdapter).then(() => claimLegacySessions(sqliteAdapter));
+
+  // Append an audit event to the session's hash chain; called inside the
+  // mutation's transaction, which already serializes appends. label defaults
+  // to the row's own (see auditLabel).
+  const recordAudit = async (sessionId, actor, action, entityType, before, after, label = auditLabel(after || before)) => {
+    const row = after || before;
+    const head = await getAsync(
+      'SELECT seq, hash FROM audit_events WHERE session_id = ? ORDER BY seq DESC LIMIT 1',
+      [sessionId]
+    );
+    const event = chainEvent(head, {
+      session_id: sessionId,
+      actor,
+      action,
+      entity_type: entityType,
+      entity_id: row.public_id,
+      entity_label: label,
+      before_hash: hashRow(before),
+      after_hash: hashRow(after)
+    });
+    await runAsync(
+      `INSERT INTO audit_events (public_id, session_id, actor, action, entity_type, entity_id, entity_label, before_hash, after_hash, seq, prev_hash, hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [newPublicId(), event.session_id, event.actor, event.action, event.entity_type, event.entity_id, event.entity_label,
+        event.before_hash, event.after_hash, event.seq, event.prev_hash, event.hash, event.created_at]
+    );
+  };
+
+  // Return a row of the caller's session (undefined if missing or in the trash)
+  const selectRow = (table, id, sessionId) => {
+    const live = isTrashable(table) ? ' AND deleted_at IS NULL' : '';
+    return getAsync(`SELECT * FROM ${table} WHERE public_id = ? AND session_id = ?${live}`, [id, sessionId]);
+  };
+
+  const selectTrashedRow = (table, id, sessionId) => {
+    return getAsync(
+      `SELECT * FROM ${table} WHERE public_id = ? AND session_id = ? AND deleted_at IS NOT NULL`,
+      [id, sessionId]
+    );
+  };
+
+  // Update a row inside a transaction and audit the change; resolves to the
+  // updated row, or undefined when the row doesn't exist. afterUpdate(before,
+  // after) runs in the same transaction.
+  const updateAudited = (table, entityType, action, id, sessionId, actor, buildUpdate, afterUpdate = null) => {
+    return withTransaction(async () => {
+      const before = await selectRow(table, id, sessionId);
+      if (!before) return undefined;
+      const { sql, params } = buildUpdate(before);
+      await runAsync(sql, [...params, before.id]);
+      const after = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [before.id]);
+      await recordAudit(sessionId, actor, action, entityType, before, after);
+      if (afterUpdate) await afterUpdate(before, after);
+      return toPublicRow(after);
+    });
+  };
+
+  // Insert a row and audit it; must run inside a transaction
+  const insertRow = async (table, entityType, action, sessionId, actor, sql, params) => {
+    const { lastID } = await runAsync(sql, params);
+    const row = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [lastID]);
+    await recordAudit(sessionId, actor, action, entityType, null, row);
+    return toPublicRow(row);
+  };
+
+  // Insert a row inside a transaction and audit its creation
+  const insertAudited = (table, entityType, sessionId, actor, sql, params) => {
+    return withTransaction(() => insertRow(table, entityType, 'create', sessionId, actor, sql, params));
+  };
+
+  // Delete a row inside a transaction and audit its removal; afterDelete(before)
+  // runs in the same transaction
+  const deleteAudited = (table, entityType, id, sessionId, actor, afterDelete = null) => {
+    return withTransaction(async () => {
+      const before = await selectRow(table, id, sessionId);
+      if (!before) return false;
+      await runAsync(`DELETE FROM ${table} WHERE id = ?`, [before.id]);
+      await recordAudit(sessionId, actor, 'delete', entityType, before, null);
+      if (afterDelete) await afterDelete(before);
+      return true;
+    });
+  };
+
+  // Move a row to the trash and audit it; must run inside a transaction.
+  // Resolves to the trashed row.
+  const trashRow = async (table, entityType, action, row, actor) => {
+    await runAsync(
+      `UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE id = ?`,
+      [new Date().toISOString(), actor, row.id]
+    );
+    const after = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [row.id]);
+    await recordAudit(row.session_id, actor, action, entityType, row, after);
+    return after;
+  };
+
+  // Move a row to the trash inside a transaction; resolves to false when it
+  // doesn't exist or is already there
+  const trashAudited = (table, entityType, id, sessionId, actor) => {
+    return withTransaction(async () => {
+      const before = await selectRow(table, id, sessionId);
+      if (!before) return false;
+      await trashRow(table, entityType, 'trash', before, actor);
+      return true;
+    });
+  };
+
+  // Remove the rows that belong to a deleted PSBT: its revisions, comments
+  // (with their edits), approvals and inputs; must run inside a transaction
+  const deletePsbtRecords = async (psbtId) => {
+    await runAsync('DELETE FROM psbt_revisions WHERE psbt_id = ?', [psbtId]);
+    await runAsync('DELETE FROM psbt_inputs WHERE psbt_id = ?', [psbtId]);
+    await runAsync('DELETE FROM psbt_comment_edits WHERE psbt_id = ?', [psbtId]);
+    await runAsync('DELETE FROM psbt_comments WHERE psbt_id = ?', [psbtId]);
+    await runAsync('DELETE FROM psbt_approvals WHERE psbt_id = ?', [psbtId]);
+  };
+
+  // Index the outpoints a PSBT's current data spends (see psbtOperations.list);
+  // must run inside a transaction
+  const indexInputs = async (psbt) => {
+    await runAsync('DELETE FROM psbt_inputs WHERE psbt_id = ?', [psbt.id]);
+    for (const outpoint of storedOutpoints(psbt.psbt_data)) {
+      await runAsync('INSERT INTO psbt_inputs (psbt_id, outpoint) VALUES (?, ?)', [psbt.id, outpoint]);
+    }
+  };
+
+  // Record a new revision of a PSBT (see buildRevision) and index its inputs;
+  // must run inside a transaction
+  const recordRevision = async (psbt, action, actor, signers = null, restoredFrom = null) => {
+    const previous = await getAsync(
+      'SELECT * FROM psbt_revisions WHERE psbt_id = ? ORDER BY revision DESC LIMIT 1',
+      [psbt.id]
+    );
+    const revision = buildRevision(psbt, previous, action, actor, signers, restoredFrom);
+    await runAsync(
+      `INSERT INTO psbt_revisions (public_id, psbt_id, session_id, revision, action, psbt_data, signatures_count, signers, new_signers, restored_from, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [revision.public_id, revision.psbt_id, revision.session_id, revision.revision, revision.action, revision.psbt_data,
+        revision.signatures_count, revision.signers, revision.new_signers, revision.restored_from, revision.created_by]
+    );
+    await indexInputs(psbt);
+  };
+
+  // Record a revision if an update changed the PSBT's data
+  const recordRevisionIfChanged = async (before, after, action, actor, signers) => {
+    if (after.psbt_data !== before.psbt_data) {
+      await recordRevision(toPublicRow(after), action, actor, signers);
+    }
+  };
+
+  // XPub operations for SQLite (promisified for async/await)
+  // Rows are looked up by public id and always scoped to the caller's session;
+  // every mutation appends an audit event in the same transaction
+  const xpubOperations = {
+    getAll: (sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM xpubs WHERE session_id = ? AND deleted_at IS NULL ORDER BY created_at DESC', [sessionId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(toPublicRow));
+        });
+      });
+    },
+
+    getById: (id, sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM xpubs WHERE public_id = ? AND session_id = ? AND deleted_at IS NULL', [id, sessionId], (err, row) => {
+          if (err) reject(err);
+          else resolve(toPublicRow(row));
+        });
+      });
+    },
+
+    create: (label, xpub, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return insertAudited(
+        'xpubs', 'xpub', sessionId, actor,
+        'INSERT INTO xpubs (public_id, label, xpub, session_id) VALUES (?, ?, ?, ?)',
+        [publicId, label, xpub, sessionId]
+      );
+    },
+
+    updateLabel: (id, label, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('xpubs', 'xpub', 'update_label', id, sessionId, actor, () => ({
+        sql: 'UPDATE xpubs SET label = ? WHERE id = ?',
+        params: [label]
+      }));
+    },
+
+    // Moves the xpub to the trash
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('xpubs', 'xpub', id, sessionId, actor);
+    }
+  };
+
+  // PSBT operations for SQLite
+  const psbtOperations = {
+    getAll: (sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM psbts WHERE session_id = ? AND deleted_at IS NULL ORDER BY created_at DESC, id DESC', [sessionId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(toPublicRow));
+        });
+      });
+    },
+
+    getById: (id, sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM psbts WHERE public_id = ? AND session_id = ? AND deleted_at IS NULL', [id, sessionId], (err, row) => {
+          if (err) reject(err);
+          else resolve(toPublicRow(row));
+        });
+      });
+    },
+
+    // A page of the session's PSBTs, newest first (ties in the order of their
+    // ids), as { psbts, total }; total counts every match, ignoring after and
+    // limit. Filters: statuses, archived ('exclude', 'only' or 'include'),
+    // search (name or a comment contains it, ignoring case), spends (some of
+    // these outpoints), after ({ id, createdAt } of the row the page follows,
+    // which needn't exist any more) and limit.
+    list: async (sessionId = '0', { statuses, archived = 'include', search, spends, after, limit } = {}) => {
+      const conditions = ['session_id = ?', 'deleted_at IS NULL'];
+      const params = [sessionId];
+      if (statuses) {
+        conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+      }
+      if (archived !== 'include') {
+        conditions.push(archived === 'only' ? 'archived_at IS NOT NULL' : 'archived_at IS NULL');
+      }
+      if (search) {
+        conditions.push(`(name LIKE ? ESCAPE '\\' OR public_id IN (
+          SELECT psbt_id FROM psbt_comments WHERE session_id = ? AND body LIKE ? ESCAPE '\\'
+        ))`);
+        params.push(containsPattern(search), sessionId, containsPattern(search));
+      }
+      if (spends) {
+        conditions.push(`public_id IN (SELECT psbt_id FROM psbt_inputs WHERE outpoint IN (${spends.map(() => '?').join(', ')}))`);
+        params.push(...spends);
+      }
+      const { total } = await getAsync(`SELECT COUNT(*) AS total FROM psbts WHERE ${conditions.join(' AND ')}`, params);
+
+      if (after) {
+        conditions.push('(created_at < ? OR (created_at = ? AND public_id < ?))');
+        params.push(after.createdAt, after.createdAt, after.id);
+      }
+      const rows = await allAsync(
+        `SELECT * FROM psbts WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, public_id DESC${limit ? ' LIMIT ?' : ''}`,
+        limit ? [...params, limit] : params
+      );
+      return { psbts: rows.map(toPublicRow), total };
+    },
+
+    // policyVerdict is the PSBT's verdict against the session's spending
+    // policy, or null where none applies (see lib/policy.js)
+    create: (name, psbtData, mRequired, nTotal, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, deadline = null, policyVerdict = null, publicId = newPublicId()) => {
+      const status = psbtStatus(signaturesCount, mRequired, policyVerdict);
+      return withTransaction(async () => {
+        const psbt = await insertRow(
+          'psbts', 'psbt', 'create', sessionId, actor,
+          'INSERT INTO psbts (public_id, name, psbt_data, m_required, n_total, signatures_count, status, deadline, policy_verdict, session_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [publicId, name, psbtData, mRequired, nTotal, signaturesCount, status, deadline, verdictColumn(policyVerdict), sessionId]
+        );
+        await recordRevision(psbt, 'create', actor, signers);
+        return psbt;
+      });
+    },
+
+    update: async (id, psbtData, signaturesCount, sessionId = '0', actor = SYSTEM_ACTOR, signers = null, policyVerdict = null) => {
+      const updated = await updateAudited('psbts', 'psbt', 'update', id, sessionId, actor, (row) => ({
+        sql: 'UPDATE psbts SET psbt_data = ?, signatures_count = ?, status = ?, policy_verdict = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        params: [psbtData, signaturesCount, psbtStatus(signaturesCount, row.m_required, policyVerdict), verdictColumn(policyVerdict)]
+      }), (before, after) => recordRevisionIfChanged(before, after, 'update', actor, signers));
+      if (!updated) {
+        throw new Error('PSBT not found');
+      }
+      return updated;
+    },
+
+    // Read-modify-write a PSBT inside a transaction so concurrent signature
+    // uploads cannot overwrite each other. merge(row) returns the new
+    // { psbtData, signaturesCount, signers, policyVerdict }.
+    mergeSignatures: async (id, merge, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      let signers = null;
+      const merged = await updateAudited('psbts', 'psbt', 'merge_signatures', id, sessionId, actor, (row) => {
+        const result = merge(row);
+        const { psbtData, signaturesCount } = result;
+        const policyVerdict = result.policyVerdict || null;
+        signers = result.signers || null;
+        const status = OPEN_STATUSES.includes(row.status)
+          ? psbtStatus(signaturesCount, row.m_required, policyVerdict)
+          : row.status;
+        return {
+          sql: 'UPDATE psbts SET psbt_data = ?, signatures_count = ?, status = ?, policy_verdict = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          params: [psbtData, signaturesCount, status, verdictColumn(policyVerdict)]
+        };
+      }, (before, after) => recordRevisionIfChanged(before, after, 'merge_signatures', actor, signers));
+      if (!merged) {
+        throw new Error('PSBT not found');
+      }
+      return merged;
+    },
+
+    // Moves the PSBT to the trash; its revisions and discussion stay until it is purged
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('psbts', 'psbt', id, sessionId, actor);
+    },
+
+    // Keep one of a set of conflicting PSBTs and move the others to the trash.
+    // check(psbt, discarded) throws if they can't be discarded; psbt and
+    // entries of discarded may be undefined.
+    resolveConflict: (id, discardIds, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const kept = await selectRow('psbts', id, sessionId);
+        const discarded = [];
+        for (const discardId of discardIds) {
+          discarded.push(await selectRow('psbts', discardId, sessionId));
+        }
+        check(toPublicRow(kept), discarded.map(toPublicRow));
+
+        for (const row of discarded) {
+          await trashRow('psbts', 'psbt', 'discard_conflict', row, actor);
+        }
+        return toPublicRow(kept);
+      });
+    },
+
+    // Stored versions of a PSBT, newest first
+    getRevisions: async (id, sessionId = '0') => {
+      const rows = await allAsync(
+        'SELECT * FROM psbt_revisions WHERE psbt_id = ? AND session_id = ? ORDER BY revision DESC',
+        [id, sessionId]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    getRevision: async (id, revision, sessionId = '0') => {
+      const row = await getAsync(
+        'SELECT * FROM psbt_revisions WHERE psbt_id = ? AND revision = ? AND session_id = ?',
+        [id, revision, sessionId]
+      );
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    // Make an earlier revision's data current again, as a new revision.
+    // check(psbt, revision) throws if it can't be restored (either may be
+    // undefined) and returns the policy verdict of the revision's data.
+    restoreRevision: (id, revision, check, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await selectRow('psbts', id, sessionId);
+        const target = before && await getAsync(
+          'SELECT * FROM psbt_revisions WHERE psbt_id = ? AND revision = ?',
+          [id, revision]
+        );
+        const policyVerdict = check(toPublicRow(before), toPublicRow(target)) || null;
+
+        await runAsync(
+          'UPDATE psbts SET psbt_data = ?, signatures_count = ?, status = ?, policy_verdict = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [target.psbt_data, target.signatures_count, psbtStatus(target.signatures_count, before.m_required, policyVerdict),
+            verdictColumn(policyVerdict), before.id]
+        );
+        const after = await getAsync('SELECT * FROM psbts WHERE id = ?', [before.id]);
+        await recordAudit(sessionId, actor, 'restore_revision', 'psbt', before, after);
+        const restored = toPublicRow(after);
+        await recordRevision(restored, 'restore', actor, target.signers ? JSON.parse(target.signers) : null, target.revision);
+        return restored;
+      });
+    },
+
+    // Close an open PSBT with status 'expired' or 'invalidated'; resolves to
+    // undefined when it doesn't exist or is no longer open
+    close: (id, status, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await selectRow('psbts', id, sessionId);
+        if (!before || !OPEN_STATUSES.includes(before.status)) return undefined;
+        await runAsync('UPDATE psbts SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, before.id]);
+        const after = await getAsync('SELECT * FROM psbts WHERE id = ?', [before.id]);
+        await recordAudit(sessionId, actor, CLOSE_ACTIONS[status], 'psbt', before, after);
+        return toPublicRow(after);
+      });
+    },
+
+    // Store a new policy verdict for an open PSBT (after the session's policy
+    // or its other PSBTs changed), which may move it between 'pending' and
+    // 'ready'; resolves to undefined when it doesn't exist or is no longer open
+    setPolicyVerdict: (id, policyVerdict, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await selectRow('psbts', id, sessionId);
+        if (!before || !OPEN_STATUSES.includes(before.status)) return undefined;
+        await runAsync(
+          'UPDATE psbts SET status = ?, policy_verdict = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [psbtStatus(before.signatures_count, before.m_required, policyVerdict), verdictColumn(policyVerdict), before.id]
+        );
+        const after = await getAsync('SELECT * FROM psbts WHERE id = ?', [before.id]);
+        await recordAudit(sessionId, actor, 'evaluate_policy', 'psbt', before, after);
+        return toPublicRow(after);
+      });
+    },
+
+    // Archive a final PSBT, or bring it back to the active list; resolves to
+    // undefined when it doesn't exist or isn't final
+    setArchived: (id, archived, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await selectRow('psbts', id, sessionId);
+        if (!before || before.status !== 'final') return undefined;
+        if (Boolean(before.archived_at) === archived) return toPublicRow(before);
+        await runAsync(
+          'UPDATE psbts SET archived_at = ? WHERE id = ?',
+          [archived ? new Date().toISOString() : null, before.id]
+        );
+        const after = await getAsync('SELECT * FROM psbts WHERE id = ?', [before.id]);
+        await recordAudit(sessionId, actor, archived ? 'archive' : 'unarchive', 'psbt', before, after);
+        return toPublicRow(after);
+      });
+    },
+
+    updateBroadcastStatus: (id, txid, status, confirmations, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('psbts', 'psbt', 'update_broadcast', id, sessionId, actor, () => ({
+        sql: 'UPDATE psbts SET txid = ?, status = ?, confirmations = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        params: [txid, status, confirmations]
+      }));
+    },
+
+    // PSBTs of every session that are still collecting signatures
+    getOpen: async () => {
+      const rows = await allAsync(
+        `SELECT * FROM psbts WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+        OPEN_STATUSES
+      );
+      return rows.map(toPublicRow);
+    },
+
+    // Get PSBTs that need confirmation checking (broadcast but not final)
+    getPendingConfirmations: () => {
+      return new Promise((resolve, reject) => {
+        db.all(
+          "SELECT * FROM psbts WHERE status LIKE 'broadcast%' AND status != 'final' AND txid IS NOT NULL AND deleted_at IS NULL",
+          [],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows.map(toPublicRow));
+          }
+        );
+      });
+    }
+  };
+
+  // Descriptor operations for SQLite
+  const descriptorOperations = {
+    getAll: (sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM descriptors WHERE session_id = ? AND deleted_at IS NULL ORDER BY created_at DESC', [sessionId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(toPublicRow));
+        });
+      });
+    },
+
+    getById: (id, sessionId = '0') => {
+      return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM descriptors WHERE public_id = ? AND session_id = ? AND deleted_at IS NULL', [id, sessionId], (err, row) => {
+          if (err) reject(err);
+          else resolve(toPublicRow(row));
+        });
+      });
+    },
+
+    create: (name, descriptor, mRequired, nTotal, firstAddress, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return insertAudited(
+        'descriptors', 'descriptor', sessionId, actor,
+        'INSERT INTO descriptors (public_id, name, descriptor, m_required, n_total, first_address, session_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [publicId, name, descriptor, mRequired, nTotal, firstAddress, sessionId]
+      );
+    },
+
+    // Moves the descriptor to the trash
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return trashAudited('descriptors', 'descriptor', id, sessionId, actor);
+    }
+  };
+
+  // Audit log operations for SQLite (append-only; events are written by the mutations above)
+  const auditOperations = {
+    getAll: async (sessionId = '0', limit = 100) => {
+      const rows = await allAsync(
+        'SELECT * FROM audit_events WHERE session_id = ? ORDER BY seq DESC LIMIT ?',
+        [sessionId, limit]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    // Events from fromSeq onwards in chain order, for verifying the hash chain
+    getChain: async (sessionId = '0', fromSeq = 1, limit = 1000) => {
+      const rows = await allAsync(
+        'SELECT * FROM audit_events WHERE session_id = ? AND seq >= ? ORDER BY seq ASC LIMIT ?',
+        [sessionId, fromSeq, limit]
+      );
+      return rows.map(toPublicRow);
+    }
+  };
+
+  // Session operations for SQLite
+  const sessionOperations = {
+    getByName: (name) => {
+      return getAsync('SELECT * FROM sessions WHERE name = ?', [name]);
+    },
+
+    // Create the session and its owner, who starts out as the coordinator.
+    // encryption holds the client's key derivation parameters for end-to-end encrypted sessions.
+    create: (name, passphraseHash, ownerName = OWNER_MEMBER, encryption = null) => {
+      return withTransaction(async () => {
+        const ownerId = newPublicId();
+        await runAsync(
+          'INSERT INTO sessions (name, passphrase_hash, encryption) VALUES (?, ?, ?)',
+          [name, passphraseHash, encryption ? JSON.stringify(encryption) : null]
+        );
+        await runAsync(
+          'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES (?, ?, ?, ?, ?)',
+          [ownerId, name, ownerName, passphraseHash, 'coordinator']
+        );
+        return {
+          session: await getAsync('SELECT * FROM sessions WHERE name = ?', [name]),
+          owner: toPublicRow(await getAsync('SELECT * FROM session_members WHERE public_id = ?', [ownerId]))
+        };
+      });
+    },
+
+    // Import a bundle's records (see lib/bundle.js) in one transaction, so a
+    // failed import leaves the session untouched; resolves to the counts
+    importRecords: (sessionId, records, onConflict = 'skip', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const plan = planImport({
+          xpubs: await allAsync('SELECT * FROM xpubs WHERE session_id = ?', [sessionId]),
+          descriptors: await allAsync('SELECT * FROM descriptors WHERE session_id = ? AND deleted_at IS NULL', [sessionId]),
+          psbts: await allAsync('SELECT * FROM psbts WHERE session_id = ? AND deleted_at IS NULL', [sessionId]),
+          ids: new Set((await allAsync(
+            `SELECT public_id FROM xpubs WHERE session_id = ?
+             UNION ALL SELECT public_id FROM descriptors WHERE session_id = ?
+             UNION ALL SELECT public_id FROM psbts WHERE session_id = ?
+             UNION ALL SELECT public_id FROM psbt_comments WHERE session_id = ?`,
+            [sessionId, sessionId, sessionId, sessionId]
+          )).map(row => row.public_id))
+        }, records, onConflict);
+
+        for (const { row, label } of plan.xpubs.update) {
+          await runAsync('UPDATE xpubs SET label = ? WHERE id = ?', [label, row.id]);
+          const after = await getAsync('SELECT * FROM xpubs WHERE id = ?', [row.id]);
+          await recordAudit(sessionId, actor, 'update_label', 'xpub', row, after);
+        }
+        for (const { row, label } of plan.xpubs.restore) {
+          await runAsync('UPDATE xpubs SET label = ?, deleted_at = NULL, deleted_by = NULL WHERE id = ?', [label, row.id]);
+          const after = await getAsync('SELECT * FROM xpubs WHERE id = ?', [row.id]);
+          await recordAudit(sessionId, actor, 'restore', 'xpub', row, after);
+        }
+        for (const entry of plan.xpubs.insert) {
+          await insertRow(
+            'xpubs', 'xpub', 'import', sessionId, actor,
+            'INSERT INTO xpubs (public_id, label, xpub, session_id) VALUES (?, ?, ?, ?)',
+            [entry.id || newPublicId(), entry.label, entry.xpub, sessionId]
+          );
+        }
+        for (const entry of plan.descriptors.insert) {
+          await insertRow(
+            'descriptors', 'descriptor', 'import', sessionId, actor,
+            'INSERT INTO descriptors (public_id, name, descriptor, m_required, n_total, first_address, session_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [entry.id || newPublicId(), entry.name, entry.descriptor, entry.m_required, entry.n_total, entry.first_address, sessionId]
+          );
+        }
+        for (const entry of plan.psbts.insert) {
+          const psbt = await insertRow(
+            'psbts', 'psbt', 'import', sessionId, actor,
+            `INSERT INTO psbts (public_id, name, psbt_data, m_required, n_total, signatures_count, status, txid, confirmations, deadline, session_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.id || newPublicId(), entry.name, entry.psbt_data, entry.m_required, entry.n_total, entry.signatures_count,
+              entry.status, entry.txid, entry.confirmations, entry.deadline, sessionId]
+          );
+          await recordRevision(psbt, 'import', actor, entry.signers);
+          for (const comment of entry.comments) {
+            await runAsync(
+              `INSERT INTO psbt_comments (public_id, psbt_id, session_id, author, body, created_at, updated_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+              [comment.id || newPublicId(), psbt.id, sessionId, comment.author, comment.body, comment.created_at, comment.created_at]
+            );
+          }
+        }
+
+        return importSummary(plan);
+      });
+    }
+  };
+
+  // Session member operations for SQLite
+  const memberOperations = {
+    getAll: async (sessionId) => {
+      const rows = await allAsync(
+        'SELECT * FROM session_members WHERE session_id = ? ORDER BY created_at ASC, id ASC',
+        [sessionId]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId) => {
+      const row = await getAsync(
+        'SELECT * FROM session_members WHERE public_id = ? AND session_id = ?',
+        [id, sessionId]
+      );
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    getByName: async (sessionId, name) => {
+      const row = await getAsync(
+        'SELECT * FROM session_members WHERE session_id = ? AND name = ?',
+        [sessionId, name]
+      );
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    create: async (sessionId, name, passphraseHash, role) => {
+      const publicId = newPublicId();
+      await runAsync(
+        'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES (?, ?, ?, ?, ?)',
+        [publicId, sessionId, name, passphraseHash, role]
+      );
+      return memberOperations.getById(publicId, sessionId);
+    },
+
+    updateRole: async (id, role, sessionId) => {
+      const result = await runAsync(
+        'UPDATE session_members SET role = ? WHERE public_id = ? AND session_id = ?',
+        [role, id, sessionId]
+      );
+      return result.changes > 0 ? memberOperations.getById(id, sessionId) : undefined;
+    },
+
+    delete: async (id, sessionId) => {
+      const result = await runAsync(
+        'DELETE FROM session_members WHERE public_id = ? AND session_id = ?',
+        [id, sessionId]
+      );
+      return result.changes > 0;
+    }
+  };
+
+  // Session invite operations for SQLite
+  // Only a hash of the invite token is stored
+  const inviteOperations = {
+    getAll: async (sessionId) => {
+      const rows = await allAsync(
+        'SELECT * FROM session_invites WHERE session_id = ? ORDER BY created_at DESC, id DESC',
+        [sessionId]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    getByTokenHash: async (tokenHash) => {
+      const row = await getAsync('SELECT * FROM session_invites WHERE token_hash = ?', [tokenHash]);
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    create: async (sessionId, tokenHash, role, expiresAt, maxUses, createdBy) => {
+      await runAsync(
+        `INSERT INTO session_invites (public_id, session_id, token_hash, role, expires_at, max_uses, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [newPublicId(), sessionId, tokenHash, role, expiresAt, maxUses, createdBy]
+      );
+      return inviteOperations.getByTokenHash(tokenHash);
+    },
+
+    // Redeem an invite by adding a member in one transaction; `check` throws if
+    // the invite can no longer be used, so a single-use invite can't be redeemed twice
+    redeem: (tokenHash, memberName, passphraseHash, check) => {
+      return withTransaction(async () => {
+        const row = await getAsync('SELECT * FROM session_invites WHERE token_hash = ?', [tokenHash]);
+        const invite = row ? toPublicRow(row) : undefined;
+        check(invite);
+
+        const taken = await getAsync(
+          'SELECT 1 FROM session_members WHERE session_id = ? AND name = ?',
+          [invite.session_id, memberName]
+        );
+        if (taken) {
+          throw new Error('A member with this name already exists');
+        }
+
+        const memberId = newPublicId();
+        await runAsync(
+          'INSERT INTO session_members (public_id, session_id, name, passphrase_hash, role) VALUES (?, ?, ?, ?, ?)',
+          [memberId, invite.session_id, memberName, passphraseHash, invite.role]
+        );
+        await runAsync(
+          'UPDATE session_invites SET use_count = use_count + 1 WHERE token_hash = ?',
+          [tokenHash]
+        );
+        return toPublicRow(await getAsync('SELECT * FROM session_members WHERE public_id = ?', [memberId]));
+      });
+    },
+
+    delete: async (id, sessionId) => {
+      const result = await runAsync(
+        'DELETE FROM session_invites WHERE public_id = ? AND session_id = ?',
+        [id, sessionId]
+      );
+      return result.changes > 0;
+    }
+  };
+
+  // Webhook operations for SQLite
+  // events is stored as a JSON array of event names
+  const webhookOperations = {
+    getAll: async (sessionId) => {
+      const rows = await allAsync(
+        'SELECT * FROM webhooks WHERE session_id = ? ORDER BY created_at DESC, id DESC',
+        [sessionId]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId) => {
+      const row = await getAsync('SELECT * FROM webhooks WHERE public_id = ? AND session_id = ?', [id, sessionId]);
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    create: async (sessionId, url, secret, events, description, createdBy) => {
+      const publicId = newPublicId();
+      await runAsync(
+        `INSERT INTO webhooks (public_id, session_id, url, secret, events, description, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [publicId, sessionId, url, secret, JSON.stringify(events), description, createdBy]
+      );
+      return webhookOperations.getById(publicId, sessionId);
+    },
+
+    // Deleting a webhook also drops its delivery log
+    delete: (id, sessionId) => {
+      return withTransaction(async () => {
+        const result = await runAsync('DELETE FROM webhooks WHERE public_id = ? AND session_id = ?', [id, sessionId]);
+        if (result.changes === 0) return false;
+        await runAsync('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+        return true;
+      });
+    }
+  };
+
+  // Webhook delivery log operations for SQLite
+  const deliveryOperations = {
+    create: async (webhookId, sessionId, event, payload) => {
+      const publicId = newPublicId();
+      await runAsync(
+        'INSERT INTO webhook_deliveries (public_id, webhook_id, session_id, event, payload) VALUES (?, ?, ?, ?, ?)',
+        [publicId, webhookId, sessionId, event, payload]
+      );
+      return toPublicRow(await getAsync('SELECT * FROM webhook_deliveries WHERE public_id = ?', [publicId]));
+    },
+
+    // Record the outcome of an attempt ({ status, attempts, response_status, error, next_attempt_at })
+    update: async (id, fields) => {
+      await runAsync(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE public_id = ?`,
+        [fields.status, fields.attempts, fields.response_status, fields.error, fields.next_attempt_at, id]
+      );
+      return toPublicRow(await getAsync('SELECT * FROM webhook_deliveries WHERE public_id = ?', [id]));
+    },
+
+    getAll: async (sessionId, webhookId = null, limit = 100) => {
+      const rows = webhookId
+        ? await allAsync(
+          'SELECT * FROM webhook_deliveries WHERE session_id = ? AND webhook_id = ? ORDER BY id DESC LIMIT ?',
+          [sessionId, webhookId, limit]
+        )
+        : await allAsync(
+          'SELECT * FROM webhook_deliveries WHERE session_id = ? ORDER BY id DESC LIMIT ?',
+          [sessionId, limit]
+        );
+      return rows.map(toPublicRow);
+    },
+
+    // Deliveries still waiting for a (re)try, across all sessions
+    getPending: async () => {
+      const rows = await allAsync("SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY id ASC");
+      return rows.map(toPublicRow);
+    }
+  };
+
+  // Comment operations for SQLite
+  // Comments are audited under the PSBT's name so the activity feed can say
+  // which payment they're about
+  const commentOperations = {
+    // A PSBT's comments, oldest first
+    getAll: async (psbtId, sessionId = '0') => {
+      const rows = await allAsync(
+        'SELECT * FROM psbt_comments WHERE psbt_id = ? AND session_id = ? ORDER BY created_at ASC, id ASC',
+        [psbtId, sessionId]
+      );
+      return rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      const row = await selectRow('psbt_comments', id, sessionId);
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    // Earlier versions of a PSBT's edited comments, oldest first
+    getEdits: async (psbtId, sessionId = '0') => {
+      return allAsync(
+        `SELECT comment_id, body, edited_at FROM psbt_comment_edits
+         WHERE psbt_id = ? AND session_id = ? ORDER BY edited_at ASC, id ASC`,
+        [psbtId, sessionId]
+      );
+    },
+
+    // Number of comments per PSBT of the session, as { psbtId: count }
+    countByPsbt: async (sessionId = '0') => {
+      const rows = await allAsync(
+        'SELECT psbt_id, COUNT(*) AS count FROM psbt_comments WHERE session_id = ? GROUP BY psbt_id',
+        [sessionId]
+      );
+      return Object.fromEntries(rows.map(row => [row.psbt_id, row.count]));
+    },
+
+    // Resolves to undefined when the PSBT doesn't exist
+    create: (psbtId, body, sessionId = '0', author = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return withTransaction(async () => {
+        const psbt = await selectRow('psbts', psbtId, sessionId);
+        if (!psbt) return undefined;
+        const { lastID } = await runAsync(
+          'INSERT INTO psbt_comments (public_id, psbt_id, session_id, author, body) VALUES (?, ?, ?, ?, ?)',
+          [publicId, psbtId, sessionId, author, body]
+        );
+        const row = await getAsync('SELECT * FROM psbt_comments WHERE id = ?', [lastID]);
+        await recordAudit(sessionId, author, 'comment', 'comment', null, row, psbt.name);
+        return toPublicRow(row);
+      });
+    },
+
+    // Replace a comment's text, keeping the previous text as an edit;
+    // resolves to undefined when the comment doesn't exist
+    update: (id, body, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await selectRow('psbt_comments', id, sessionId);
+        if (!before) return undefined;
+        await runAsync(
+          'INSERT INTO psbt_comment_edits (comment_id, psbt_id, session_id, body) VALUES (?, ?, ?, ?)',
+          [before.public_id, before.psbt_id, sessionId, before.body]
+        );
+        await runAsync('UPDATE psbt_comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [body, before.id]);
+        const after = await getAsync('SELECT * FROM psbt_comments WHERE id = ?', [before.id]);
+        const psbt = await selectRow('psbts', before.psbt_id, sessionId);
+        await recordAudit(sessionId, actor, 'edit_comment', 'comment', before, after, psbt ? psbt.name : null);
+        return toPublicRow(after);
+      });
+    }
+  };
+
+  // Approval operations for SQLite
+  // One decision per member and PSBT, audited under the PSBT's name
+  const approvalOperations = {
+    // Decisions of the session, or of one PSBT, oldest first
+    getAll: async (sessionId = '0', psbtId = null) => {
+      const rows = psbtId
+        ? await allAsync(
+          'SELECT * FROM psbt_approvals WHERE session_id = ? AND psbt_id = ? ORDER BY created_at ASC, id ASC',
+          [sessionId, psbtId]
+        )
+        : await allAsync(
+          'SELECT * FROM psbt_approvals WHERE session_id = ? ORDER BY created_at ASC, id ASC',
+          [sessionId]
+        );
+      return rows.map(toPublicRow);
+    },
+
+    // Record a member's decision ('approve' or 'object') on a PSBT, replacing
+    // an earlier one; resolves to undefined when the PSBT doesn't exist
+    set: (psbtId, member, decision, txid, sessionId = '0') => {
+      return withTransaction(async () => {
+        const psbt = await selectRow('psbts', psbtId, sessionId);
+        if (!psbt) return undefined;
+        const before = await getAsync(
+          'SELECT * FROM psbt_approvals WHERE psbt_id = ? AND member = ? AND session_id = ?',
+          [psbtId, member, sessionId]
+        );
+        let id;
+        if (before) {
+          await runAsync(
+            'UPDATE psbt_approvals SET decision = ?, txid = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [decision, txid, before.id]
+          );
+          id = before.id;
+        } else {
+          ({ lastID: id } = await runAsync(
+            'INSERT INTO psbt_approvals (public_id, psbt_id, session_id, member, decision, txid) VALUES (?, ?, ?, ?, ?, ?)',
+            [newPublicId(), psbtId, sessionId, member, decision, txid]
+          ));
+        }
+        const after = await getAsync('SELECT * FROM psbt_approvals WHERE id = ?', [id]);
+        await recordAudit(sessionId, member, decision, 'approval', before, after, psbt.name);
+        return toPublicRow(after);
+      });
+    },
+
+    // Withdraw a member's decision; resolves to false when there was none
+    delete: (psbtId, member, sessionId = '0') => {
+      return withTransaction(async () => {
+        const before = await getAsync(
+          'SELECT * FROM psbt_approvals WHERE psbt_id = ? AND member = ? AND session_id = ?',
+          [psbtId, member, sessionId]
+        );
+        if (!before) return false;
+        await runAsync('DELETE FROM psbt_approvals WHERE id = ?', [before.id]);
+        const psbt = await selectRow('psbts', psbtId, sessionId);
+        await recordAudit(sessionId, member, 'withdraw_approval', 'approval', before, null, psbt ? psbt.name : null);
+        return true;
+      });
+    }
+  };
+
+  // Address book of known payees (see routes/addresses.js); an entry's
+  // address can't be changed, only its label, owner and notes
+  const addressOperations = {
+    getAll: async (sessionId = '0') => {
+      const rows = await allAsync('SELECT * FROM address_book WHERE session_id = ? ORDER BY created_at DESC', [sessionId]);
+      return rows.map(toPublicRow);
+    },
+
+    getById: async (id, sessionId = '0') => {
+      return toPublicRow(await selectRow('address_book', id, sessionId));
+    },
+
+    create: (address, label, owner, notes, sessionId = '0', actor = SYSTEM_ACTOR, publicId = newPublicId()) => {
+      return insertAudited(
+        'address_book', 'address', sessionId, actor,
+        'INSERT INTO address_book (public_id, session_id, address, label, owner, notes, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [publicId, sessionId, address, label, owner, notes, actor]
+      );
+    },
+
+    update: (id, { label, owner, notes }, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return updateAudited('address_book', 'address', 'update_payee', id, sessionId, actor, () => ({
+        sql: 'UPDATE address_book SET label = ?, owner = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        params: [label, owner, notes]
+      }));
+    },
+
+    delete: (id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      return deleteAudited('address_book', 'address', id, sessionId, actor);
+    }
+  };
+
+  // One spending policy per session (see lib/policy.js); rules is stored as JSON
+  const policyOperations = {
+    // The session's policy, or undefined when it never had one
+    get: async (sessionId = '0') => {
+      const row = await getAsync('SELECT * FROM spending_policies WHERE session_id = ?', [sessionId]);
+      return row ? toPublicRow(row) : undefined;
+    },
+
+    // Replace the session's rules, creating its policy on first use
+    set: (sessionId, rules, actor = SYSTEM_ACTOR) => {
+      return withTransaction(async () => {
+        const before = await getAsync('SELECT * FROM spending_policies WHERE session_id = ?', [sessionId]);
+        if (before) {
+          await runAsync(
+            'UPDATE spending_policies SET rules = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [JSON.stringify(rules), actor, before.id]
+          );
+        } else {
+          await runAsync(
+            'INSERT INTO spending_policies (public_id, session_id, rules, updated_by) VALUES (?, ?, ?, ?)',
+            [newPublicId(), sessionId, JSON.stringify(rules), actor]
+          );
+        }
+        const after = await getAsync('SELECT * FROM spending_policies WHERE session_id = ?', [sessionId]);
+        await recordAudit(sessionId, actor, 'update_policy', 'policy', before || null, after);
+        return toPublicRow(after);
+      });
+    }
+  };
+
+  // Trash operations for SQLite; type is one of the entity types of TRASH_TABLES
+  const trashOperations = {
+    // The session's trashed records as { xpubs, descriptors, psbts }, most
+    // recently deleted first
+    getAll: async (sessionId = '0') => {
+      const trash = {};
+      for (const table of Object.values(TRASH_TABLES)) {
+        const rows = await allAsync(
+          `SELECT * FROM ${table} WHERE session_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC`,
+          [sessionId]
+        );
+        trash[table] = rows.map(toPublicRow);
+      }
+      return trash;
+    },
+
+    // Take a record out of the trash; resolves to it, or undefined when it
+    // isn't in the trash
+    restore: (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const table = TRASH_TABLES[type];
+      return withTransaction(async () => {
+        const before = await selectTrashedRow(table, id, sessionId);
+        if (!before) return undefined;
+        await runAsync(`UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [before.id]);
+        const after = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [before.id]);
+        await recordAudit(sessionId, actor, 'restore', type, before, after);
+        return toPublicRow(after);
+      });
+    },
+
+    // Delete a trashed record for good, a PSBT with its revisions and
+    // discussion; resolves to false when it isn't in the trash
+    purge: (type, id, sessionId = '0', actor = SYSTEM_ACTOR) => {
+      const table = TRASH_TABLES[type];
+      return withTransaction(async () => {
+        const before = await selectTrashedRow(table, id, sessionId);
+        if (!before) return false;
+        await runAsync(`DELETE FROM ${table} WHERE id = ?`, [before.id]);
+        await recordAudit(sessionId, actor, 'purge', type, before, null);
+        if (type === 'psbt') await deletePsbtRecords(before.public_id);
+        return true;
+      });
+    },
+
+    // Records of every session trashed before cutoff (a Date), as { type, id, session_id }
+    getDeletedBefore: async (cutoff) => {
+      const expired = [];
+      for (const [type, table] of Object.entries(TRASH_TABLES)) {
+        const rows = await allAsync(
+          `SELECT public_id, session_id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`,
+          [cutoff.toISOString()]
+        );
+        rows.forEach(row => expired.push({ type, id: row.public_id, session_id: row.session_id }));
+      }
+      return expired;
+    }
+  };
+
+  return {
+    db: db,
+    ready,
+    xpubOperations,
+    psbtOperations,
+    descriptorOperations,
+    sessionOperations,
+    memberOperations,
+    inviteOperations,
+    auditOperations,
+    webhookOperations,
+    deliveryOperations,
+    commentOperations,
+    approvalOperations,
+    policyOperations,
+    addressOperations,
+    trashOperations
+  };
+}
+
+module.exports = { createSqliteStorage };
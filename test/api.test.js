@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+process.env.STORAGE = 'memory';
+// Inputs are not looked up on a chain backend
+process.env.CHAIN_API_URL = '';
+const app = require('../server/index');
+
+const bip32 = BIP32Factory(ecc);
+const network = bitcoin.networks.bitcoin;
+
+// Three cosigners of a 2-of-3 P2WSH
+const keys = [1, 2, 3].map(i => bip32.fromSeed(Buffer.alloc(32, i)).derivePath("m/48'/0'/0'/2'/0/0"));
+const redeem = bitcoin.payments.p2ms({ m: 2, pubkeys: keys.map(key => Buffer.from(key.publicKey)).sort(Buffer.compare), network });
+const payment = bitcoin.payments.p2wsh({ redeem, network });
+
+// Unsigned PSBT spending a distinct outpoint per index
+function buildPsbt(index) {
+  const psbt = new bitcoin.Psbt({ network });
+  psbt.addInput({
+    hash: Buffer.alloc(32, index + 1),
+    index: 0,
+    witnessUtxo: { script: payment.output, value: 100000 },
+    witnessScript: redeem.output
+  });
+  psbt.addOutput({ address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', value: 90000 });
+  return psbt;
+}
+
+function sign(psbtData, key) {
+  const psbt = bitcoin.Psbt.fromBase64(psbtData);
+  psbt.signInput(0, key);
+  return psbt.toBase64();
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+let sessionCount = 0;
+
+// Token of the owner of a new private session
+async function createSession() {
+  sessionCount += 1;
+  const { status, body } = await request('POST', '/api/sessions', null, {
+    name: `test-${process.pid}-${sessionCount}`,
+    passphrase: 'correct horse'
+  });
+  assert.strictEqual(status, 201);
+  return body.token;
+}
+
+test('records of one session are not found from another', async () => {
+  const [one, two] = [await createSession(), await createSession()];
+  const { body: psbt } = await request('POST', '/api/psbts', one, { name: 'Pay', psbt_data: buildPsbt(0).toBase64() });
+
+  assert.strictEqual((await request('GET', `/api/psbts/${psbt.id}`, one)).status, 200);
+  assert.strictEqual((await request('GET', `/api/psbts/${psbt.id}`, two)).status, 404);
+  assert.strictEqual((await request('POST', `/api/psbts/${psbt.id}/signatures`, two, { psbt_data: sign(psbt.psbt_data, keys[0]) })).status, 404);
+  assert.strictEqual((await request('DELETE', `/api/psbts/${psbt.id}`, two)).status, 404);
+  assert.deepStrictEqual((await request('GET', '/api/psbts', two)).body, []);
+});
+
+test('signatures are merged into a PSBT and recorded as revisions', async () => {
+  const token = await createSession();
+  const unsigned = buildPsbt(1).toBase64();
+  const { status, body: created } = await request('POST', '/api/psbts', token, { name: 'Pay', psbt_data: unsigned });
+  assert.strictEqual(status, 201);
+  assert.deepStrictEqual([created.m_required, created.n_total, created.signatures_count, created.status], [2, 3, 0, 'pending']);
+
+  await request('POST', `/api/psbts/${created.id}/signatures`, token, { psbt_data: sign(unsigned, keys[0]) });
+  const { body: merged } = await request('POST', `/api/psbts/${created.id}/signatures`, token, { psbt_data: sign(unsigned, keys[1]) });
+  assert.strictEqual(merged.signatures_count, 2);
+  assert.strictEqual(merged.status, 'ready');
+
+  const { body: revisions } = await request('GET', `/api/psbts/${created.id}/revisions`, token);
+  assert.deepStrictEqual(revisions.map(revision => [revision.revision, revision.signatures_count]), [[3, 2], [2, 1], [1, 0]]);
+  assert.deepStrictEqual(revisions[0].new_signers, [Buffer.from(keys[1].publicKey).toString('hex')]);
+
+  const other = buildPsbt(2).toBase64();
+  assert.strictEqual((await request('POST', `/api/psbts/${created.id}/signatures`, token, { psbt_data: other })).status, 409);
+});
+
+test('the PSBT list pages with a cursor', async () => {
+  const token = await createSession();
+  for (let i = 10; i < 15; i++) {
+    await request('POST', '/api/psbts', token, { name: `PSBT ${i}`, psbt_data: buildPsbt(i).toBase64() });
+  }
+  const { body: all } = await request('GET', '/api/psbts', token);
+  assert.strictEqual(all.length, 5);
+
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await request('GET', `/api/psbts?view=summary&limit=2${cursor ? `&cursor=${cursor}` : ''}`, token);
+    assert.strictEqual(page.headers.get('x-total-count'), '5');
+    assert.ok(page.body.every(psbt => psbt.psbt_data === undefined && !('session_id' in psbt) && !('deleted_at' in psbt)));
+    ids.push(...page.body.map(psbt => psbt.id));
+    cursor = page.headers.get('x-next-cursor');
+  } while (cursor);
+  assert.deepStrictEqual(ids, all.map(psbt => psbt.id));
+
+  // The next page starts after the cursor's PSBT even once it is deleted
+  const first = await request('GET', '/api/psbts?limit=2', token);
+  await request('DELETE', `/api/psbts/${first.body[1].id}`, token);
+  const second = await request('GET', `/api/psbts?limit=2&cursor=${first.headers.get('x-next-cursor')}`, token);
+  assert.deepStrictEqual(second.body.map(psbt => psbt.id), all.slice(2, 4).map(psbt => psbt.id));
+
+  assert.strictEqual((await request('GET', '/api/psbts?limit=2&cursor=nonsense', token)).status, 400);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+process.env.STORAGE = 'memory';
+const { describePayment } = require('../server/lib/policy');
+const { buildWallet } = require('../server/lib/wallet');
+
+const bip32 = BIP32Factory(ecc);
+const network = bitcoin.networks.bitcoin;
+const ACCOUNT_PATH = "m/48'/0'/0'/2'";
+
+// Two cosigners' master keys and their account xpubs
+const masters = [1, 2].map(i => bip32.fromSeed(crypto.createHash('sha256').update(`cosigner ${i}`).digest()));
+const accounts = masters.map(master => master.derivePath(ACCOUNT_PATH));
+const wallet = buildWallet(accounts.map(account => ({ xpub: account.neutered().toBase58() })), []);
+
+// 2-of-2 P2WSH of the cosigners' keys at change/index, with its derivations
+function multisig(keys, change, index) {
+  const nodes = keys.map(({ master, account }) => ({ master, node: account.derive(change).derive(index) }));
+  const redeem = bitcoin.payments.p2ms({ m: 2, pubkeys: nodes.map(({ node }) => Buffer.from(node.publicKey)).sort(Buffer.compare), network });
+  const payment = bitcoin.payments.p2wsh({ redeem, network });
+  return {
+    script: payment.output,
+    witnessScript: redeem.output,
+    bip32Derivation: nodes.map(({ master, node }) => ({
+      masterFingerprint: Buffer.from(master.fingerprint),
+      pubkey: Buffer.from(node.publicKey),
+      path: `${ACCOUNT_PATH}/${change}/${index}`
+    }))
+  };
+}
+
+const cosigners = masters.map((master, i) => ({ master, account: accounts[i] }));
+
+function buildPsbt(outputs) {
+  const funding = multisig(cosigners, 0, 0);
+  const psbt = new bitcoin.Psbt({ network });
+  psbt.addInput({
+    hash: Buffer.alloc(32, 1),
+    index: 0,
+    witnessUtxo: { script: funding.script, value: 100000 },
+    witnessScript: funding.witnessScript
+  });
+  outputs.forEach(output => psbt.addOutput(output));
+  return psbt;
+}
+
+const external = bip32.fromSeed(Buffer.alloc(32, 7));
+const externalScript = bitcoin.payments.p2wpkh({ pubkey: Buffer.from(external.publicKey), network }).output;
+
+test('outputs built from the session keys are change', () => {
+  const change = multisig(cosigners, 1, 0);
+  const psbt = buildPsbt([
+    { script: externalScript, value: 90000 },
+    { script: change.script, value: 9000, witnessScript: change.witnessScript, bip32Derivation: change.bip32Derivation }
+  ]);
+
+  assert.strictEqual(describePayment(psbt, wallet).amount, 90000);
+});
+
+test('a forged key derivation does not make an output change', () => {
+  const psbt = buildPsbt([{
+    script: externalScript,
+    value: 90000,
+    bip32Derivation: [{
+      masterFingerprint: Buffer.from(masters[0].fingerprint),
+      pubkey: Buffer.from(external.publicKey),
+      path: `${ACCOUNT_PATH}/1/0`
+    }]
+  }]);
+
+  const payment = describePayment(psbt, wallet);
+  assert.strictEqual(payment.amount, 90000);
+  assert.deepStrictEqual(payment.destinations, [bitcoin.address.fromOutputScript(externalScript, network)]);
+});
+
+test('a multisig of keys outside the session is not change', () => {
+  const strangers = [3, 4].map(i => {
+    const master = bip32.fromSeed(crypto.createHash('sha256').update(`stranger ${i}`).digest());
+    return { master, account: master.derivePath(ACCOUNT_PATH) };
+  });
+  const output = multisig(strangers, 1, 0);
+  const psbt = buildPsbt([
+    { script: output.script, value: 90000, witnessScript: output.witnessScript, bip32Derivation: output.bip32Derivation }
+  ]);
+
+  assert.strictEqual(describePayment(psbt, wallet).amount, 90000);
+});
+
+test('without the session keys nothing is change', () => {
+  const change = multisig(cosigners, 1, 0);
+  const psbt = buildPsbt([
+    { script: change.script, value: 9000, witnessScript: change.witnessScript, bip32Derivation: change.bip32Derivation }
+  ]);
+
+  assert.strictEqual(describePayment(psbt, buildWallet([], [])).amount, 9000);
+});
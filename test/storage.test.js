@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE = 'memory';
+const { createStorage } = require('../server/database');
+
+// createStorage checks every operation of STORAGE_INTERFACE
+test('every adapter implements the storage interface', async () => {
+  const memory = createStorage('memory');
+  await memory.ready;
+
+  const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-helper-'));
+  process.env.RAILWAY_VOLUME_MOUNT_PATH = dbDir;
+  try {
+    const sqlite = createStorage('sqlite');
+    await sqlite.ready;
+    await new Promise(resolve => sqlite.db.close(resolve));
+  } finally {
+    delete process.env.RAILWAY_VOLUME_MOUNT_PATH;
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  }
+
+  // Nothing listens there; only the adapter's shape is checked
+  process.env.DATABASE_URL = 'postgres://localhost:1/multisig_helper';
+  try {
+    const postgres = createStorage('postgres');
+    await postgres.ready.catch(() => {});
+    await postgres.db.end();
+  } finally {
+    delete process.env.DATABASE_URL;
+  }
+
+  assert.throws(() => createStorage('nope'), /Unknown STORAGE "nope"/);
+});
+
+test('rows are scoped to their session', async () => {
+  const { xpubOperations, psbtOperations } = createStorage('memory');
+  const xpub = await xpubOperations.create('Alice', 'xpub-a', 'one', 'owner');
+  const psbt = await psbtOperations.create('Pay', 'not a psbt', 2, 3, 0, 'one', 'owner');
+
+  assert.strictEqual((await xpubOperations.getById(xpub.id, 'one')).label, 'Alice');
+  assert.strictEqual(await xpubOperations.getById(xpub.id, 'two'), undefined);
+  assert.strictEqual(await psbtOperations.getById(psbt.id, 'two'), undefined);
+  assert.deepStrictEqual(await psbtOperations.getAll('two'), []);
+  assert.strictEqual(await psbtOperations.delete(psbt.id, 'two', 'owner'), false);
+  assert.strictEqual((await psbtOperations.getById(psbt.id, 'one')).name, 'Pay');
+});
+
+test('list pages newest first and continues after a deleted cursor row', async () => {
+  const { psbtOperations } = createStorage('memory');
+  for (let i = 0; i < 5; i++) {
+    await psbtOperations.create(`PSBT ${i}`, `data ${i}`, 2, 3, 0, 'one', 'owner');
+  }
+  const { psbts: all, total } = await psbtOperations.list('one', {});
+  assert.strictEqual(total, 5);
+
+  const first = await psbtOperations.list('one', { limit: 2 });
+  assert.deepStrictEqual(first.psbts.map(psbt => psbt.id), all.slice(0, 2).map(psbt => psbt.id));
+  assert.strictEqual(first.total, 5);
+
+  // Rows created in the same second are ordered by id, so the cursor needs both
+  const last = first.psbts[1];
+  await psbtOperations.delete(last.id, 'one', 'owner');
+  const second = await psbtOperations.list('one', { limit: 2, after: { id: last.id, createdAt: last.created_at } });
+  assert.deepStrictEqual(second.psbts.map(psbt => psbt.id), all.slice(2, 4).map(psbt => psbt.id));
+  assert.strictEqual(second.total, 4);
+});